@@ -22,10 +22,85 @@ const requiredEnvVars = {
     'ALLOWED_ORIGINS',
     'EMAIL_USER',
     'EMAIL_PASS',
+    'NOTIFICATION_SMS_PROVIDER',
+    'NOTIFICATION_WHATSAPP_PROVIDER',
+    'NOTIFICATION_PUSH_PROVIDER',
+    'NOTIFICATION_OUTBOX_DIR',
+    'TWILIO_ACCOUNT_SID',
+    'TWILIO_AUTH_TOKEN',
+    'NOTIFICATION_WEBHOOK_URL',
+    'NOTIFICATION_MAX_ATTEMPTS',
+    'NOTIFICATION_OUTBOX_BATCH_SIZE',
+    'TWILIO_STATUS_CALLBACK_URL',
+    'NOTIFICATION_WEBHOOK_SECRET',
+    'NOTIFICATION_REMINDER_CHANNELS',
+    'NOTIFICATION_SCHEDULE_GRACE_MINUTES',
+    'DEFAULT_TIMEZONE',
+    'GEOFENCE_PICKUP_RADIUS_METERS',
+    'GEOFENCE_DROP_RADIUS_METERS',
+    'ROUTING_PROVIDER',
+    'OSRM_BASE_URL',
+    'GEOCODING_PROVIDER',
+    'GEOCODING_GAZETTEER_FILE',
+    'GEOCODING_TIMEOUT_MS',
+    'GEOCODING_CACHE_DAYS',
+    'GEOCODING_MISS_CACHE_HOURS',
+    'NOMINATIM_URL',
+    'NOMINATIM_USER_AGENT',
+    'NOMINATIM_EMAIL',
+    'NOMINATIM_MIN_INTERVAL_MS',
+    'WEATHER_PROVIDER',
+    'WEATHER_METAR_FILE',
+    'WEATHER_METAR_URL',
+    'WEATHER_TIMEOUT_MS',
+    'WEATHER_METAR_VALID_MINUTES',
+    'WEATHER_CACHE_TTL_SECONDS',
+    'PICKUP_BUFFER_DOMESTIC_MINUTES',
+    'PICKUP_BUFFER_INTERNATIONAL_MINUTES',
+    'PICKUP_BAGGAGE_CLAIM_MINUTES',
+    'PICKUP_BUFFER_PER_BAG_MINUTES',
+    'PICKUP_BUFFER_PER_PASSENGER_MINUTES',
+    'PICKUP_MEET_AND_GREET_MINUTES',
+    'PICKUP_TERMINAL_BUFFERS',
+    'DISPATCH_MODE',
+    'DISPATCH_LOOKAHEAD_HOURS',
+    'DISPATCH_DEFAULT_TRIP_MINUTES',
+    'DISPATCH_TURNAROUND_MINUTES',
     'AVIATIONSTACK_API_KEY',
+    'AVIATIONSTACK_MAX_PAGES',
+    'AVIATIONSTACK_AIRPORT_CACHE_SECONDS',
+    'FLIGHT_PROVIDERS',
+    'OPENSKY_ENABLED',
+    'FLIGHT_CACHE_TTL_SECONDS',
+    'FLIGHT_BREAKER_THRESHOLD',
+    'FLIGHT_BREAKER_COOLDOWN_SECONDS',
+    'FLIGHT_DELAY_THRESHOLD_MINUTES',
+    'FLIGHT_INBOUND_TRACKING',
+    'FLIGHT_SIMULATOR_ENABLED',
+    'FLIGHT_SIMULATOR_SPEED',
+    'FLIGHT_SIMULATOR_DEFAULT_SCENARIO',
+    'FLIGHT_SIMULATOR_SCENARIOS',
     'COZYCOZY_API_URL',
     'COZYCOZY_AUTH_TOKEN',
     'COZYCOZY_RATE_LIMIT_MS',
+    'HOTEL_MATCH_AUTO_THRESHOLD',
+    'HOTEL_MATCH_REVIEW_THRESHOLD',
+    'HOTEL_MATCH_MAX_DISTANCE_KM',
+    'HOTEL_PRICE_DROP_PERCENT',
+    'HOTEL_PRICE_HISTORY_POINTS',
+    'RECOMMENDATION_DEFAULT_PROFILE',
+    'RECOMMENDATION_PROFILES_FILE',
+    'RECOMMENDATION_MIN_RESULTS',
+    'DELAY_PREDICTION_RETENTION_DAYS',
+    'DELAY_MODEL_MIN_SAMPLES',
+    'DELAY_MODEL_MIN_GROUP_SAMPLES',
+    'DELAY_MODEL_PRIOR_STRENGTH',
+    'BACKTEST_HOURS_BEFORE_DEPARTURE',
+    'BACKTEST_MAX_TRANSFERS',
+    'DELAY_ALERT_THRESHOLD',
+    'DELAY_ALERT_CLEAR_THRESHOLD',
+    'DELAY_ALERT_WINDOW_HOURS',
+    'OPS_ALERT_CONTACTS',
     'OLLAMA_BASE_URL',
     'USE_ML_MATCHING'
   ]
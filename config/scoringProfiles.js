@@ -0,0 +1,109 @@
+const fs = require('fs');
+
+// Hotel recommendation scoring profiles (see travelAdvisoryService).
+//
+// weights: share of each factor in relevanceScore (normalized to sum to 1).
+// constraints: hard limits a hotel must meet to be recommended; null leaves
+// one out of the profile.
+//   budgetOverPercent - price at most this much over budgetMax
+//   starTolerance     - stars at most this many below preferredStarRating
+//   allAmenities      - every required amenity present
+//   conferenceRadius  - within maxDistanceFromConference of the venue
+//   minScore          - relevanceScore at least this
+// relaxOrder: when fewer than RECOMMENDATION_MIN_RESULTS hotels meet every
+// constraint, constraints are dropped in this order until enough do.
+//
+// RECOMMENDATION_PROFILES_FILE points to a JSON object of extra profiles, or
+// overrides of these by name (given fields replace the built-in ones).
+
+const CONSTRAINTS = {
+  budgetOverPercent: 'Budget',
+  starTolerance: 'Star rating',
+  allAmenities: 'Required amenities',
+  conferenceRadius: 'Distance to the conference',
+  minScore: 'Minimum relevance score'
+};
+
+const FACTORS = {
+  price: 'Price',
+  amenities: 'Amenities',
+  starRating: 'Star rating',
+  location: 'Location',
+  conference: 'Conference proximity'
+};
+
+const BUILT_IN_PROFILES = {
+  balanced: {
+    label: 'Balanced',
+    description: 'Price, amenities and location weighed evenly',
+    weights: { price: 0.25, amenities: 0.25, starRating: 0.15, location: 0.15, conference: 0.20 },
+    constraints: { budgetOverPercent: 10, starTolerance: 1, allAmenities: false, conferenceRadius: false, minScore: 40 },
+    relaxOrder: ['minScore', 'starTolerance', 'budgetOverPercent']
+  },
+  'budget-first': {
+    label: 'Budget first',
+    description: 'Stays within budget before anything else',
+    weights: { price: 0.45, amenities: 0.15, starRating: 0.10, location: 0.15, conference: 0.15 },
+    constraints: { budgetOverPercent: 0, starTolerance: 2, allAmenities: false, conferenceRadius: false, minScore: 35 },
+    relaxOrder: ['minScore', 'starTolerance', 'budgetOverPercent']
+  },
+  'proximity-first': {
+    label: 'Proximity first',
+    description: 'Closest to the conference venue and target areas',
+    weights: { price: 0.15, amenities: 0.15, starRating: 0.10, location: 0.25, conference: 0.35 },
+    constraints: { budgetOverPercent: 20, starTolerance: 1, allAmenities: false, conferenceRadius: true, minScore: 40 },
+    relaxOrder: ['minScore', 'starTolerance', 'budgetOverPercent', 'conferenceRadius']
+  },
+  vip: {
+    label: 'VIP',
+    description: 'Star rating and amenities over price',
+    weights: { price: 0.05, amenities: 0.30, starRating: 0.30, location: 0.15, conference: 0.20 },
+    constraints: { budgetOverPercent: null, starTolerance: 0, allAmenities: true, conferenceRadius: false, minScore: 50 },
+    relaxOrder: ['minScore', 'allAmenities', 'starTolerance']
+  }
+};
+
+const DEFAULT_SCORING_PROFILE = process.env.RECOMMENDATION_DEFAULT_PROFILE || 'balanced';
+
+// Built-in profiles merged with RECOMMENDATION_PROFILES_FILE. No prototype, so
+// names like "constructor" or "__proto__" are never profiles
+const loadProfiles = () => {
+  const profiles = Object.assign(Object.create(null), JSON.parse(JSON.stringify(BUILT_IN_PROFILES)));
+  const file = process.env.RECOMMENDATION_PROFILES_FILE;
+  if (!file) return profiles;
+
+  try {
+    const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [name, profile] of Object.entries(custom)) {
+      const base = profiles[name] || profiles[DEFAULT_SCORING_PROFILE] || profiles.balanced;
+      profiles[name] = {
+        ...base,
+        ...profile,
+        weights: { ...base.weights, ...profile.weights },
+        constraints: { ...base.constraints, ...profile.constraints },
+        relaxOrder: (profile.relaxOrder || base.relaxOrder).filter(constraint => Object.hasOwn(CONSTRAINTS, constraint))
+      };
+    }
+  } catch (error) {
+    console.warn(`⚠️ Scoring profiles file ${file} not loaded: ${error.message}`);
+  }
+  return profiles;
+};
+
+const SCORING_PROFILES = loadProfiles();
+
+const getScoringProfile = (name) => {
+  if (typeof name !== 'string' || !Object.hasOwn(SCORING_PROFILES, name)) return null;
+  return { name, ...SCORING_PROFILES[name] };
+};
+
+const listScoringProfiles = () => Object.keys(SCORING_PROFILES).map(getScoringProfile);
+
+module.exports = {
+  CONSTRAINTS,
+  FACTORS,
+  DEFAULT_SCORING_PROFILE,
+  SCORING_PROFILES,
+  getScoringProfile,
+  listScoringProfiles
+};
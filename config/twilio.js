@@ -1,42 +1,122 @@
-// Twilio support removed - notifications disabled
-// This file is kept for backward compatibility but all functions are stubs
+// Messaging entry point for SMS, WhatsApp and push notifications.
+// Kept at this path for backward compatibility: delivery is delegated to the
+// provider registry in services/notificationProviders (Twilio, outbox, webhook, log).
+const notificationProviders = require('../services/notificationProviders');
 
-// Message templates (kept for reference but not used)
+// Message templates
 const MESSAGE_TEMPLATES = {
-  driverAssigned: () => '',
-  flightDelayed: () => '',
-  flightLanded: () => '',
-  driverWaiting: () => '',
-  transferCompleted: () => '',
-  transferCancelled: () => '',
-  pickupReminder: () => '',
-  vendorDriverDispatch: () => '',
-  vendorFlightUpdate: () => ''
+  driverAssigned: (customerName, driverName, vehicleType, vehicleNumber, pickupLocation, pickupTime) =>
+    `Hello ${customerName}, your HALO airport transfer is confirmed. ` +
+    `Driver: ${driverName} (${vehicleType}, ${vehicleNumber}). ` +
+    `Pickup: ${pickupLocation} at ${pickupTime}.`,
+
+  flightDelayed: (customerName, flightNo, delayMinutes, newArrivalTime) =>
+    `Hello ${customerName}, flight ${flightNo} is delayed by ${delayMinutes} minutes. ` +
+    `New arrival time: ${newArrivalTime}. We have adjusted your pickup and informed your driver.`,
+
+  flightLanded: (customerName, flightNo, driverName, vehicleType) =>
+    `Welcome ${customerName}! Flight ${flightNo} has landed. ` +
+    `Your driver ${driverName} (${vehicleType}) is on the way to the pickup point.`,
+
+  driverWaiting: (customerName, driverName, vehicleType, vehicleNumber, pickupLocation) =>
+    `Hello ${customerName}, your driver ${driverName} is waiting at ${pickupLocation} ` +
+    `in a ${vehicleType} (${vehicleNumber}).`,
+
+  travelerPickedUp: (customerName, driverName, dropLocation) =>
+    `Hello ${customerName}, your driver ${driverName} has picked you up and is heading to ${dropLocation}.`,
+
+  transferCompleted: (customerName, dropLocation) =>
+    `Thank you ${customerName}! Your transfer to ${dropLocation} is complete. We hope you enjoyed the ride with HALO.`,
+
+  transferCancelled: (customerName, reason) =>
+    `Hello ${customerName}, your HALO airport transfer has been cancelled` +
+    `${reason ? ` (${reason})` : ''}. Our team will contact you to rearrange it.`,
+
+  pickupReminder: (customerName, flightNo, pickupTime) =>
+    `Reminder for ${customerName}: your HALO pickup for flight ${flightNo} is scheduled at ${pickupTime}.`,
+
+  vendorDriverDispatch: (vendorName, customerName, flightNo, arrivalTime, pickupLocation) =>
+    `${vendorName}: please dispatch a driver for ${customerName}, flight ${flightNo} ` +
+    `arriving ${arrivalTime}. Pickup: ${pickupLocation}.`,
+
+  vendorFlightUpdate: (vendorName, customerName, flightNo, status, details) =>
+    `${vendorName}: flight ${flightNo} for ${customerName} is now ${status}. ${details}.`,
+
+  flightDiverted: (customerName, flightNo, airport) =>
+    `Hello ${customerName}, flight ${flightNo} has been diverted${airport ? ` to ${airport}` : ''}. ` +
+    `We are rearranging your HALO pickup and will send the new details shortly.`,
+
+  flightCancelledRebooking: (customerName, flightNo) =>
+    `Hello ${customerName}, flight ${flightNo} has been cancelled. Your HALO transfer is kept: ` +
+    `let us know your replacement flight and we will reschedule your pickup.`,
+
+  vendorFlightDisruption: (vendorName, customerName, flightNo, details) =>
+    `${vendorName}: flight ${flightNo} for ${customerName} ${details}. ` +
+    `Please hold the pickup until HALO sends updated details.`,
+
+  transferRebooked: (customerName, flightNo, arrivalTime, pickupLocation, pickupTime) =>
+    `Hello ${customerName}, your HALO transfer now meets flight ${flightNo} arriving ${arrivalTime}. ` +
+    `Pickup: ${pickupLocation} at ${pickupTime}.`,
+
+  driverPickupRescheduled: (driverName, customerName, flightNo, previousTime, pickupTime, pickupLocation) =>
+    `${driverName}: pickup for ${customerName} (flight ${flightNo}) moved from ${previousTime} ` +
+    `to ${pickupTime}. Pickup: ${pickupLocation}.`,
+
+  opsDelayRiskAlert: (apexId, customerName, flightNo, riskLevel, probability, delayMinutes, pickupTime) =>
+    `HALO ops: ${riskLevel} delay risk for flight ${flightNo} (${apexId}, ${customerName}): ` +
+    `${probability}% chance, ~${delayMinutes} min. Pickup ${pickupTime}. ` +
+    `Suggest holding driver dispatch until the flight departs.`,
+
+  vendorDelayRiskAlert: (vendorName, customerName, flightNo, probability, delayMinutes, pickupTime) =>
+    `${vendorName}: flight ${flightNo} for ${customerName} is likely to be delayed ` +
+    `(${probability}% chance, ~${delayMinutes} min). Pickup is still ${pickupTime}; ` +
+    `please hold off dispatching the driver until HALO confirms.`,
+
+  opsDriverLate: (apexId, customerName, driverName, lateByMinutes, etaTime, readyTime) =>
+    `HALO ops: driver ${driverName} for ${customerName} (${apexId}) is expected at pickup ${etaTime}, ` +
+    `${lateByMinutes} min after the guest is ready (${readyTime}). Consider calling the driver or reassigning.`,
+
+  delayRiskCleared: (recipientName, customerName, flightNo, pickupTime) =>
+    `${recipientName}: the delay risk for flight ${flightNo} (${customerName}) has dropped. ` +
+    `Driver dispatch can go ahead for the ${pickupTime} pickup.`,
+
+  vendorTransferRebooked: (vendorName, customerName, previousFlightNo, flightNo, arrivalTime, pickupTime) =>
+    `${vendorName}: ${customerName} moved from flight ${previousFlightNo} to ${flightNo} ` +
+    `arriving ${arrivalTime}. New pickup time: ${pickupTime}.`,
+
+  hotelPriceDrop: (recipientName, hotelName, kind, preferenceName, previousPrice, price, checkIn) =>
+    `${recipientName}: the ${kind} hotel ${hotelName} for "${preferenceName}" dropped from ` +
+    `${previousPrice} to ${price} per night (check-in ${checkIn}). Worth re-quoting or rebooking.`,
+
+  hotelPriceOutOfBudget: (recipientName, hotelName, kind, preferenceName, price, budget, checkIn) =>
+    `${recipientName}: the ${kind} hotel ${hotelName} for "${preferenceName}" is now ${price} per night, ` +
+    `outside the client's ${budget} budget (check-in ${checkIn}).`
 };
 
-// Stub functions that do nothing
 const sendWhatsAppMessage = async (to, message, mediaUrl = null) => {
-  console.log(`[Notification Disabled] WhatsApp message to ${to}: ${message}`);
-  return {
-    success: false,
-    error: 'Notifications disabled - Twilio support removed'
-  };
+  return notificationProviders.send('whatsapp', { to, message, mediaUrl });
 };
 
 const sendSMSMessage = async (to, message) => {
-  console.log(`[Notification Disabled] SMS to ${to}: ${message}`);
-  return {
-    success: false,
-    error: 'Notifications disabled - Twilio support removed'
-  };
+  return notificationProviders.send('sms', { to, message });
 };
 
 const sendNotification = async (recipient, message, type = 'whatsapp', mediaUrl = null) => {
-  console.log(`[Notification Disabled] ${type} to ${recipient}: ${message}`);
-  return {
-    success: false,
-    error: 'Notifications disabled - Twilio support removed'
-  };
+  if (!recipient) {
+    return {
+      success: false,
+      error: 'Recipient is required'
+    };
+  }
+
+  if (!message) {
+    return {
+      success: false,
+      error: 'Message is empty'
+    };
+  }
+
+  return notificationProviders.send(type, { to: recipient, message, mediaUrl });
 };
 
 const validatePhoneNumber = (phoneNumber) => {
@@ -53,13 +133,11 @@ const formatPhoneNumber = (phoneNumber) => {
 };
 
 module.exports = {
-  twilioClient: null,
-  WHATSAPP_CONFIG: {},
-  SMS_CONFIG: {},
   MESSAGE_TEMPLATES,
   sendWhatsAppMessage,
   sendSMSMessage,
   sendNotification,
   validatePhoneNumber,
-  formatPhoneNumber
+  formatPhoneNumber,
+  notificationProviders
 };
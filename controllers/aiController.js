@@ -1,4 +1,6 @@
 const aiService = require('../services/aiService');
+const delayModelService = require('../services/delayModelService');
+const predictionAccuracyService = require('../services/predictionAccuracyService');
 const Transfer = require('../models/Transfer');
 
 
@@ -19,13 +21,14 @@ const predictTransferDelay = async (req, res) => {
     }
 
     // Get AI prediction
-    const prediction = await aiService.predictFlightDelay(transfer.flight_details);
+    const prediction = await aiService.predictFlightDelay(transfer.flight_details, { transferId: transfer._id });
 
     // Store prediction in transfer (optional - for tracking accuracy later)
     transfer.ai_prediction = {
       delayProbability: prediction.prediction.delayProbability,
       estimatedDelayMinutes: prediction.prediction.estimatedDelayMinutes,
       riskLevel: prediction.prediction.riskLevel,
+      modelVersion: prediction.prediction.model.version,
       predictedAt: new Date()
     };
     await transfer.save();
@@ -76,11 +79,11 @@ const predictAllActiveDelays = async (req, res) => {
 
     // Get predictions for all flights
     const flightDetails = activeTransfers.map(t => ({
-      ...t.flight_details,
+      ...t.flight_details.toObject(),
       transferId: t._id
     }));
 
-    const batchResults = await aiService.batchPredictDelays(flightDetails);
+    const batchResults = await aiService.batchPredictDelays(flightDetails, { record: false });
 
     // Enhance results with transfer IDs
     const enhancedPredictions = batchResults.predictions.map((pred, index) => ({
@@ -119,8 +122,11 @@ const getHighRiskFlights = async (req, res) => {
     }).limit(100);
 
     // Get predictions
-    const flightDetails = activeTransfers.map(t => t.flight_details);
-    const batchResults = await aiService.batchPredictDelays(flightDetails);
+    const flightDetails = activeTransfers.map(t => ({
+      ...t.flight_details.toObject(),
+      transferId: t._id
+    }));
+    const batchResults = await aiService.batchPredictDelays(flightDetails, { record: false });
 
     // Filter high-risk flights
     const highRiskFlights = batchResults.predictions
@@ -179,19 +185,22 @@ const getAIDashboard = async (req, res) => {
       'flight_details.status': { $in: ['on_time', 'delayed', 'boarding', 'departed'] }
     });
 
-    // Get predictions for 6-hour window
+    // Predict the 24-hour window once; the 6-hour window is part of it
+    let predictions24h = { predictions: [], summary: {} };
+    if (next24HTransfers.length > 0) {
+      const flights24h = next24HTransfers.map(t => ({ ...t.flight_details.toObject(), transferId: t._id }));
+      predictions24h = await aiService.batchPredictDelays(flights24h, { record: false });
+    }
+
     let predictions6h = { predictions: [], summary: {} };
     if (next6HTransfers.length > 0) {
-      const flights6h = next6HTransfers.map(t => t.flight_details);
-      predictions6h = await aiService.batchPredictDelays(flights6h);
+      const ids6h = new Set(next6HTransfers.map(t => String(t._id)));
+      const predictions = predictions24h.predictions.filter((_, index) => ids6h.has(String(next24HTransfers[index]._id)));
+      predictions6h = { predictions, summary: aiService.generateBatchSummary(predictions) };
     }
 
-    // Get predictions for 24-hour window
-    let predictions24h = { predictions: [], summary: {} };
-    if (next24HTransfers.length > 0) {
-      const flights24h = next24HTransfers.map(t => t.flight_details);
-      predictions24h = await aiService.batchPredictDelays(flights24h);
-    }
+    // How past predictions turned out
+    const accuracy = await predictionAccuracyService.getDashboardSummary();
 
     res.json({
       success: true,
@@ -216,6 +225,7 @@ const getAIDashboard = async (req, res) => {
           predictions: predictions24h.summary,
           requiresAttention: predictions24h.summary.requiresAttention || 0
         },
+        accuracy,
         generatedAt: new Date()
       }
     });
@@ -231,12 +241,13 @@ const getAIDashboard = async (req, res) => {
 };
 
 /**
- * Record actual delay for ML training
+ * Record actual delay for ML training. Without actualDelayMinutes the
+ * delay_minutes of a landed flight is used.
  */
 const recordActualDelay = async (req, res) => {
   try {
     const { transferId } = req.params;
-    const { actualDelayMinutes } = req.body;
+    const { actualDelayMinutes } = req.body || {};
     
     const transfer = await Transfer.findById(transferId);
     
@@ -247,24 +258,25 @@ const recordActualDelay = async (req, res) => {
       });
     }
 
-    // If we had a prediction, use it for training
-    if (transfer.ai_prediction) {
-      const trainResult = await aiService.trainFromActual(
-        transfer.flight_details.flight_no,
-        transfer.ai_prediction.estimatedDelayMinutes,
-        actualDelayMinutes
-      );
-
-      return res.json({
-        success: true,
-        message: 'Actual delay recorded for ML training',
-        training: trainResult
+    let actualDelay = actualDelayMinutes;
+    if (actualDelay == null && transfer.flight_details.status === 'landed') {
+      actualDelay = transfer.flight_details.delay_minutes || 0;
+    }
+    if (actualDelay == null || isNaN(Number(actualDelay)) || Number(actualDelay) < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'actualDelayMinutes must be a number of minutes (0 or more) until the flight has landed'
       });
     }
 
+    const trainResult = await aiService.trainFromActual(transfer, Number(actualDelay), {
+      by: `user:${req.user._id}`
+    });
+
     res.json({
       success: true,
-      message: 'No prediction available for training'
+      message: 'Actual delay recorded for ML training',
+      training: trainResult
     });
 
   } catch (error) {
@@ -277,11 +289,148 @@ const recordActualDelay = async (req, res) => {
   }
 };
 
+/**
+ * List delay model versions
+ */
+const getDelayModels = async (req, res) => {
+  try {
+    const models = await delayModelService.listModels();
+
+    res.json({
+      success: true,
+      count: models.length,
+      minSamples: delayModelService.minSamples,
+      models
+    });
+  } catch (error) {
+    console.error('Error listing delay models:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list delay models',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retrain the delay model from recorded outcomes
+ */
+const retrainDelayModel = async (req, res) => {
+  try {
+    const result = await delayModelService.train();
+
+    res.status(result.trained ? 201 : 200).json({
+      success: true,
+      message: result.trained ? `Delay model v${result.version} trained and activated` : result.reason,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error retraining delay model:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrain delay model',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Switch predictions to another model version (e.g. roll back)
+ */
+const activateDelayModel = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    const model = await delayModelService.activate(version);
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: `Delay model v${req.params.version} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Delay model v${model.version} activated`,
+      version: model.version
+    });
+  } catch (error) {
+    console.error('Error activating delay model:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to activate delay model',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Accuracy of stored predictions against the final delay of landed flights
+ */
+const getPredictionAccuracy = async (req, res) => {
+  try {
+    const { from, to, modelVersion, horizon } = req.query;
+    const report = await predictionAccuracyService.getAccuracyReport({ from, to, modelVersion, horizon });
+
+    res.json({
+      success: true,
+      accuracy: report
+    });
+  } catch (error) {
+    console.error('Error reporting prediction accuracy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to report prediction accuracy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Replay landed transfers through delay model versions
+ */
+const backtestDelayModels = async (req, res) => {
+  try {
+    const { versions, from, to, hoursBefore, limit, includeTrainingFlights } = req.query;
+    const result = await predictionAccuracyService.backtest({
+      versions: versions ? String(versions).split(',').map(version => version.trim()).filter(Boolean) : undefined,
+      from,
+      to,
+      hoursBefore: hoursBefore ? Number(hoursBefore) : undefined,
+      limit: limit ? parseInt(limit, 10) : undefined,
+      includeTrainingFlights: includeTrainingFlights === 'true'
+    });
+
+    res.json({
+      success: true,
+      backtest: result
+    });
+  } catch (error) {
+    if (error instanceof predictionAccuracyService.BacktestError) {
+      return res.status(error.status).json({
+        success: false,
+        message: 'Failed to backtest delay models',
+        error: error.message
+      });
+    }
+    console.error('Error backtesting delay models:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to backtest delay models',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   predictTransferDelay,
   predictAllActiveDelays,
   getHighRiskFlights,
   getAIDashboard,
-  recordActualDelay
+  recordActualDelay,
+  getDelayModels,
+  retrainDelayModel,
+  activateDelayModel,
+  getPredictionAccuracy,
+  backtestDelayModels
 };
 
@@ -1,21 +1,31 @@
 const Transfer = require('../models/Transfer');
-const { getFlightByNumber, batchUpdateFlights } = require('../config/flightApi');
+const { getFlightByNumber, batchUpdateFlights, getFlightKey } = require('../config/flightApi');
 const { sendNotification, MESSAGE_TEMPLATES } = require('../config/twilio');
 const { sendTemplatedEmail } = require('../config/nodemailer');
-const moment = require('moment');
+const timezoneService = require('../services/timezoneService');
+const { TransitionError } = require('../models/transferStateMachine');
 
 // Get flight status by flight number
 const getFlightStatus = async (req, res) => {
   try {
     const { flight_no } = req.params;
+    const { date } = req.query;
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be the departure date as YYYY-MM-DD'
+      });
+    }
     
-    const flightData = await getFlightByNumber(flight_no);
+    const flightData = await getFlightByNumber(flight_no, date || null);
     
     if (!flightData) {
       return res.status(404).json({
         success: false,
         message: 'Flight not found',
-        flight_no
+        flight_no,
+        date: date || null
       });
     }
 
@@ -37,7 +47,7 @@ const getFlightStatus = async (req, res) => {
 const updateTransferFlightStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, delay_minutes, gate, terminal } = req.body;
+    const { status, delay_minutes, gate, terminal, diverted_to } = req.body;
     
     const transfer = await Transfer.findById(id);
     if (!transfer) {
@@ -48,14 +58,16 @@ const updateTransferFlightStatus = async (req, res) => {
       });
     }
 
-    // Update flight status
-    await transfer.updateFlightStatus(status, delay_minutes);
-    
-    // Update additional flight details if provided
+    // Update additional flight details if provided (the terminal is part of the pickup plan)
     if (gate) transfer.flight_details.gate = gate;
     if (terminal) transfer.flight_details.terminal = terminal;
     
-    await transfer.save();
+    // Update flight status (the route is authenticated; the caller's role gates the transition)
+    await transfer.updateFlightStatus(status, delay_minutes, {
+      role: req.user.role,
+      by: `user:${req.user._id}`,
+      divertedTo: diverted_to
+    });
 
     // Send notifications based on status change
     await handleFlightStatusNotifications(transfer, status, delay_minutes);
@@ -66,6 +78,9 @@ const updateTransferFlightStatus = async (req, res) => {
       data: transfer
     });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json(error.toResponse());
+    }
     console.error('Error updating flight status:', error);
     res.status(500).json({
       success: false,
@@ -89,33 +104,42 @@ const syncFlightStatus = async (req, res) => {
       });
     }
 
-    // Get latest flight data from API
-    const flightData = await getFlightByNumber(transfer.flight_details.flight_no);
+    // Get latest data for this transfer's operated flight
+    const { flightNo, date } = transfer.getFlightInstance();
+    const flightData = await getFlightByNumber(flightNo, date);
     
     if (!flightData) {
       return res.status(404).json({
         success: false,
         message: 'Flight data not available from API',
-        flight_no: transfer.flight_details.flight_no
+        flight_no: flightNo,
+        flight_date: date
       });
     }
 
     // Update transfer with latest flight data
     const oldStatus = transfer.flight_details.status;
-    const oldArrivalTime = transfer.flight_details.arrival_time;
     
-    transfer.flight_details.status = flightData.status;
-    transfer.flight_details.delay_minutes = flightData.delay_minutes || 0;
+    transfer.transitionFlightTo(flightData.status, {
+      by: 'api_sync',
+      reason: 'synced from flight API',
+      divertedTo: flightData.diverted_to
+    });
     transfer.flight_details.gate = flightData.gate || transfer.flight_details.gate;
     transfer.flight_details.terminal = flightData.terminal || transfer.flight_details.terminal;
+    transfer.updateAircraft({
+      aircraftType: flightData.aircraft,
+      registration: flightData.registration,
+      inbound: flightData.inbound
+    });
     
-    // Update arrival time if delayed
-    if (flightData.delay_minutes > 0) {
-      const originalArrival = new Date(oldArrivalTime);
-      transfer.flight_details.arrival_time = new Date(originalArrival.getTime() + (flightData.delay_minutes * 60000));
-    }
-    
-    transfer.addAuditLog('flight_updated', 'api_sync', `Flight status synced: ${oldStatus} → ${flightData.status}`);
+    // Moves arrival_time by the delay and re-plans the pickup
+    transfer.updateFlightTimes({
+      delayMinutes: flightData.delay_minutes || 0,
+      actualArrival: flightData.actual_arrival_time,
+      by: 'api_sync'
+    });
+
     await transfer.save();
 
     // Send notifications if status changed
@@ -134,6 +158,9 @@ const syncFlightStatus = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json(error.toResponse());
+    }
     console.error('Error syncing flight status:', error);
     res.status(500).json({
       success: false,
@@ -167,26 +194,46 @@ const batchSyncFlights = async (req, res) => {
       });
     }
 
+    // One lookup per operated flight (flight number + departure date)
+    const instances = new Map();
+    for (const transfer of transfers) {
+      const instance = transfer.getFlightInstance();
+      instances.set(getFlightKey(instance.flightNo, instance.date), instance);
+    }
+
     // Batch update flights
-    const results = await batchUpdateFlights(flight_numbers);
+    const results = await batchUpdateFlights([...instances.values()]);
     
     // Update transfers with new flight data
     const updateResults = [];
     for (const transfer of transfers) {
       try {
+        const { flightNo, date } = transfer.getFlightInstance();
         const flightData = results.find(r => 
-          r.success && r.data && r.data.flight_no === transfer.flight_details.flight_no
+          r.success && r.data && r.key === getFlightKey(flightNo, date)
         );
         
         if (flightData && flightData.data) {
           const oldStatus = transfer.flight_details.status;
           
-          transfer.flight_details.status = flightData.data.status;
-          transfer.flight_details.delay_minutes = flightData.data.delay_minutes || 0;
+          transfer.transitionFlightTo(flightData.data.status, {
+            by: 'batch_sync',
+            reason: 'batch sync',
+            divertedTo: flightData.data.diverted_to
+          });
           transfer.flight_details.gate = flightData.data.gate || transfer.flight_details.gate;
           transfer.flight_details.terminal = flightData.data.terminal || transfer.flight_details.terminal;
-          
-          transfer.addAuditLog('flight_updated', 'batch_sync', `Batch sync: ${oldStatus} → ${flightData.data.status}`);
+          transfer.updateAircraft({
+            aircraftType: flightData.data.aircraft,
+            registration: flightData.data.registration,
+            inbound: flightData.data.inbound
+          });
+          transfer.updateFlightTimes({
+            delayMinutes: flightData.data.delay_minutes || 0,
+            actualArrival: flightData.data.actual_arrival_time,
+            by: 'batch_sync'
+          });
+
           await transfer.save();
           
           updateResults.push({
@@ -295,14 +342,14 @@ const handleFlightStatusNotifications = async (transfer, newStatus, delayMinutes
           transfer.customer_details.name,
           transfer.flight_details.flight_no,
           delayMinutes,
-          moment(transfer.flight_details.arrival_time).format('MMMM Do YYYY, h:mm A')
+          timezoneService.formatTransferTime(transfer, transfer.flight_details.arrival_time)
         );
         emailTemplate = 'flightDelayed';
         emailData = [
           transfer.customer_details.name,
           transfer.flight_details.flight_no,
           delayMinutes,
-          moment(transfer.flight_details.arrival_time).format('MMMM Do YYYY, h:mm A'),
+          timezoneService.formatTransferTime(transfer, transfer.flight_details.arrival_time),
           transfer._id
         ];
         break;
@@ -327,14 +374,8 @@ const handleFlightStatusNotifications = async (transfer, newStatus, delayMinutes
         }
         break;
         
-      case 'cancelled':
-        message = MESSAGE_TEMPLATES.transferCancelled(
-          transfer.customer_details.name,
-          'Flight cancellation'
-        );
-        break;
-        
       default:
+        // Diversions and cancellations are sent by the disruption workflow
         return; // No notification needed for other statuses
     }
 
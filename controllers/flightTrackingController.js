@@ -13,7 +13,14 @@ const getFlightInfo = async (req, res) => {
 
     console.log(`🔍 Fetching flight info for: ${flightNumber}`);
     
-    const flightInfo = await flightTrackingService.getFlightInfo(flightNumber);
+    const flightInfo = await flightTrackingService.getFlightInfo(flightNumber, req.query.date || null);
+
+    if (!flightInfo) {
+      return res.status(404).json({
+        success: false,
+        message: `Flight ${flightNumber} not found`
+      });
+    }
     
     res.json({
       success: true,
@@ -44,6 +51,13 @@ const getAirportInfo = async (req, res) => {
     console.log(`🏢 Fetching airport info for: ${iataCode}`);
     
     const airportInfo = await flightTrackingService.getAirportInfo(iataCode);
+
+    if (!airportInfo) {
+      return res.status(404).json({
+        success: false,
+        message: `Airport ${iataCode} not found`
+      });
+    }
     
     res.json({
       success: true,
@@ -73,7 +87,14 @@ const getFlightStatus = async (req, res) => {
 
     console.log(`✈️ Checking flight status for: ${flightNumber}`);
     
-    const flightInfo = await flightTrackingService.getFlightInfo(flightNumber);
+    const flightInfo = await flightTrackingService.getFlightInfo(flightNumber, req.query.date || null);
+
+    if (!flightInfo) {
+      return res.status(404).json({
+        success: false,
+        message: `Flight ${flightNumber} not found`
+      });
+    }
     
     // Extract status information
     const statusInfo = {
@@ -133,7 +154,7 @@ const searchFlights = async (req, res) => {
     
     res.json({
       success: true,
-      data: [flightInfo], // Return as array for consistency
+      data: flightInfo ? [flightInfo] : [], // Return as array for consistency
       message: 'Flight search completed successfully'
     });
   } catch (error) {
@@ -1,7 +1,18 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const Transfer = require('../models/Transfer');
-const { sendNotification, MESSAGE_TEMPLATES } = require('../config/twilio');
+const NotificationOutbox = require('../models/NotificationOutbox');
+const { MESSAGE_TEMPLATES } = require('../config/twilio');
 const { sendTemplatedEmail } = require('../config/nodemailer');
-const moment = require('moment');
+const notificationOutbox = require('../services/notificationOutboxService');
+const timezoneService = require('../services/timezoneService');
+
+// HTTP status for an outbox result: sent → 200, queued for retry → 202, otherwise 500
+const getSendStatusCode = (result) => {
+  if (result.status === 'sent') return 200;
+  if (result.status === 'pending') return 202;
+  return 500;
+};
 
 // Send manual notification
 const sendManualNotification = async (req, res) => {
@@ -23,12 +34,14 @@ const sendManualNotification = async (req, res) => {
     switch (type.toLowerCase()) {
       case 'whatsapp':
       case 'sms':
-        result = await sendNotification(
-          transfer.customer_details.contact_number,
+        result = await notificationOutbox.enqueue({
+          transfer,
+          channel: type,
+          recipient: transfer.customer_details.contact_number,
           message,
-          type,
-          media_url
-        );
+          mediaUrl: media_url,
+          template: 'manual'
+        });
         break;
         
       case 'email':
@@ -37,6 +50,17 @@ const sendManualNotification = async (req, res) => {
           'custom',
           [message]
         );
+
+        if (result.success) {
+          // Email does not go through the outbox, record it directly
+          await transfer.addNotificationRecord(
+            type,
+            message,
+            transfer.customer_details.email,
+            'sent'
+          );
+        }
+        result.status = result.success ? 'sent' : 'failed';
         break;
         
       default:
@@ -46,32 +70,28 @@ const sendManualNotification = async (req, res) => {
         });
     }
 
-    if (result.success) {
-      // Record notification in transfer
-      await transfer.addNotificationRecord(
-        type,
-        message,
-        type === 'email' ? transfer.customer_details.email : transfer.customer_details.contact_number,
-        'sent'
-      );
-
-      res.json({
-        success: true,
-        message: 'Notification sent successfully',
-        data: {
-          type,
-          recipient: type === 'email' ? transfer.customer_details.email : transfer.customer_details.contact_number,
-          messageId: result.messageId,
-          transfer: transfer._id
-        }
-      });
-    } else {
-      res.status(500).json({
+    const statusCode = getSendStatusCode(result);
+
+    if (statusCode === 500) {
+      return res.status(500).json({
         success: false,
         message: 'Failed to send notification',
         error: result.error
       });
     }
+
+    res.status(statusCode).json({
+      success: true,
+      message: statusCode === 200 ? 'Notification sent successfully' : 'Notification queued for retry',
+      data: {
+        type,
+        recipient: type === 'email' ? transfer.customer_details.email : transfer.customer_details.contact_number,
+        status: result.status,
+        messageId: result.messageId,
+        outboxId: result.outboxId,
+        transfer: transfer._id
+      }
+    });
   } catch (error) {
     console.error('Error sending manual notification:', error);
     res.status(500).json({
@@ -99,39 +119,39 @@ const sendPickupReminder = async (req, res) => {
     const message = MESSAGE_TEMPLATES.pickupReminder(
       transfer.customer_details.name,
       transfer.flight_details.flight_no,
-      moment(transfer.transfer_details.estimated_pickup_time).format('MMMM Do YYYY, h:mm A')
+      timezoneService.formatTransferTime(transfer, transfer.transfer_details.estimated_pickup_time)
     );
 
     // Send WhatsApp notification
-    const result = await sendNotification(
-      transfer.customer_details.contact_number,
+    const result = await notificationOutbox.enqueue({
+      transfer,
+      channel: 'whatsapp',
+      recipient: transfer.customer_details.contact_number,
       message,
-      'whatsapp'
-    );
+      template: 'pickupReminder'
+    });
 
-    if (result.success) {
-      await transfer.addNotificationRecord(
-        'whatsapp',
-        message,
-        transfer.customer_details.contact_number
-      );
-
-      res.json({
-        success: true,
-        message: 'Pickup reminder sent successfully',
-        data: {
-          type: 'whatsapp',
-          recipient: transfer.customer_details.contact_number,
-          messageId: result.messageId
-        }
-      });
-    } else {
-      res.status(500).json({
+    const statusCode = getSendStatusCode(result);
+
+    if (statusCode === 500) {
+      return res.status(500).json({
         success: false,
         message: 'Failed to send pickup reminder',
         error: result.error
       });
     }
+
+    res.status(statusCode).json({
+      success: true,
+      message: statusCode === 200 ? 'Pickup reminder sent successfully' : 'Pickup reminder queued for retry',
+      data: {
+        type: 'whatsapp',
+        recipient: transfer.customer_details.contact_number,
+        status: result.status,
+        messageId: result.messageId,
+        outboxId: result.outboxId
+      }
+    });
   } catch (error) {
     console.error('Error sending pickup reminder:', error);
     res.status(500).json({
@@ -160,39 +180,39 @@ const sendDriverDispatchReminder = async (req, res) => {
       transfer.vendor_details.vendor_name,
       transfer.customer_details.name,
       transfer.flight_details.flight_no,
-      moment(transfer.flight_details.arrival_time).format('MMMM Do YYYY, h:mm A'),
+      timezoneService.formatTransferTime(transfer, transfer.flight_details.arrival_time),
       transfer.transfer_details.pickup_location
     );
 
-    const result = await sendNotification(
-      transfer.vendor_details.contact_number,
+    const result = await notificationOutbox.enqueue({
+      transfer,
+      channel: 'whatsapp',
+      recipient: transfer.vendor_details.contact_number,
       message,
-      'whatsapp'
-    );
+      template: 'vendorDriverDispatch'
+    });
 
-    if (result.success) {
-      await transfer.addNotificationRecord(
-        'whatsapp',
-        message,
-        transfer.vendor_details.contact_number
-      );
-
-      res.json({
-        success: true,
-        message: 'Driver dispatch reminder sent successfully',
-        data: {
-          type: 'whatsapp',
-          recipient: transfer.vendor_details.contact_number,
-          messageId: result.messageId
-        }
-      });
-    } else {
-      res.status(500).json({
+    const statusCode = getSendStatusCode(result);
+
+    if (statusCode === 500) {
+      return res.status(500).json({
         success: false,
         message: 'Failed to send driver dispatch reminder',
         error: result.error
       });
     }
+
+    res.status(statusCode).json({
+      success: true,
+      message: statusCode === 200 ? 'Driver dispatch reminder sent successfully' : 'Driver dispatch reminder queued for retry',
+      data: {
+        type: 'whatsapp',
+        recipient: transfer.vendor_details.contact_number,
+        status: result.status,
+        messageId: result.messageId,
+        outboxId: result.outboxId
+      }
+    });
   } catch (error) {
     console.error('Error sending driver dispatch reminder:', error);
     res.status(500).json({
@@ -229,6 +249,8 @@ const getNotificationHistory = async (req, res) => {
         totalNotifications: history.length,
         lastNotificationSent: transfer.notifications.last_notification_sent,
         nextScheduledNotification: transfer.notifications.next_scheduled_notification,
+        schedule: transfer.notifications.schedule || [],
+        scheduleTimezone: transfer.notifications.schedule_timezone,
         history
       }
     });
@@ -330,24 +352,20 @@ const sendBulkNotifications = async (req, res) => {
           );
         }
 
-        const result = await sendNotification(
-          transfer.customer_details.contact_number,
-          notificationMessage,
-          type
-        );
-
-        if (result.success) {
-          await transfer.addNotificationRecord(
-            type,
-            notificationMessage,
-            transfer.customer_details.contact_number
-          );
-        }
+        const result = await notificationOutbox.enqueue({
+          transfer,
+          channel: type || 'whatsapp',
+          recipient: transfer.customer_details.contact_number,
+          message: notificationMessage,
+          template: template || 'bulk'
+        });
 
         results.push({
           transferId,
           success: result.success,
+          status: result.status,
           messageId: result.messageId,
+          outboxId: result.outboxId,
           error: result.error
         });
 
@@ -361,7 +379,8 @@ const sendBulkNotifications = async (req, res) => {
     }
 
     const successCount = results.filter(r => r.success).length;
-    const failureCount = results.filter(r => !r.success).length;
+    const queuedCount = results.filter(r => r.status === 'pending').length;
+    const failureCount = results.length - successCount - queuedCount;
 
     res.json({
       success: true,
@@ -369,6 +388,7 @@ const sendBulkNotifications = async (req, res) => {
       data: {
         total: results.length,
         successful: successCount,
+        queued: queuedCount,
         failed: failureCount,
         results
       }
@@ -460,6 +480,182 @@ const getNotificationStats = async (req, res) => {
   }
 };
 
+// Constant-time comparison of two strings by their UTF-8 bytes
+const safeEqual = (value, expected) => {
+  const valueBytes = Buffer.from(String(value), 'utf8');
+  const expectedBytes = Buffer.from(String(expected), 'utf8');
+  return valueBytes.length === expectedBytes.length && crypto.timingSafeEqual(valueBytes, expectedBytes);
+};
+
+// Verify that a delivery callback really comes from the provider
+const verifyDeliveryCallback = (req, provider) => {
+  const twilioSignature = req.get('X-Twilio-Signature');
+  const callbackUrl = process.env.TWILIO_STATUS_CALLBACK_URL;
+
+  if (provider === 'twilio' && twilioSignature && callbackUrl && process.env.TWILIO_AUTH_TOKEN) {
+    // Twilio signs the callback URL followed by the sorted POST parameters, as
+    // posted: req.body has been sanitized since (see keepWebhookRawBody in server.js)
+    const payload = [...new URLSearchParams(req.rawBody || '')]
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .reduce((data, [key, value]) => data + key + value, callbackUrl);
+    const expected = crypto
+      .createHmac('sha1', process.env.TWILIO_AUTH_TOKEN)
+      .update(payload, 'utf8')
+      .digest('base64');
+
+    return safeEqual(twilioSignature, expected);
+  }
+
+  const secret = process.env.NOTIFICATION_WEBHOOK_SECRET;
+  if (secret) {
+    const token = req.get('X-Webhook-Secret') || req.query.token || '';
+    return safeEqual(token, secret);
+  }
+
+  // Unauthenticated callbacks are only accepted outside production
+  return process.env.NODE_ENV !== 'production';
+};
+
+// Receive a delivery status callback from a notification provider
+const handleDeliveryStatusWebhook = async (req, res) => {
+  try {
+    const provider = req.params.provider.toLowerCase();
+
+    if (!verifyDeliveryCallback(req, provider)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    // Twilio posts form fields, other providers post { messageId, status, error }
+    const providerMessageId = req.body.MessageSid || req.body.messageId;
+    const status = req.body.MessageStatus || req.body.status;
+    const error = req.body.ErrorMessage ||
+      (req.body.ErrorCode ? `Error code ${req.body.ErrorCode}` : null) ||
+      req.body.error;
+
+    if (!providerMessageId || !status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message ID and status are required'
+      });
+    }
+
+    const result = await notificationOutbox.handleDeliveryStatus({
+      provider,
+      providerMessageId,
+      status,
+      error
+    });
+
+    if (!result.matched) {
+      // Acknowledge anyway so the provider does not keep retrying the callback
+      console.warn(`⚠️ Unmatched ${provider} delivery callback for ${providerMessageId}: ${result.error}`);
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error handling delivery status webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process delivery status',
+      error: error.message
+    });
+  }
+};
+
+// List outbox entries (defaults to dead letters)
+const getOutboxEntries = async (req, res) => {
+  try {
+    const { status = 'dead_letter', transfer_id, limit = 50 } = req.query;
+
+    const query = { status };
+    if (transfer_id) query.transfer_id = transfer_id;
+
+    const entries = await NotificationOutbox.find(query)
+      .sort({ update_time: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 500))
+      .lean();
+
+    const counts = await NotificationOutbox.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        status,
+        count: entries.length,
+        totals: counts.reduce((acc, item) => {
+          acc[item._id] = item.count;
+          return acc;
+        }, {}),
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notification outbox:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification outbox',
+      error: error.message
+    });
+  }
+};
+
+// Requeue a failed or dead-lettered notification
+const retryOutboxEntry = async (req, res) => {
+  try {
+    const { outboxId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(outboxId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid outbox ID'
+      });
+    }
+
+    let entry;
+    try {
+      entry = await notificationOutbox.retry(outboxId);
+    } catch (error) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outbox entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification requeued',
+      data: {
+        outboxId: entry._id,
+        status: entry.status,
+        attempts: entry.attempts,
+        maxAttempts: entry.max_attempts
+      }
+    });
+  } catch (error) {
+    console.error('Error retrying outbox entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry notification',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   sendManualNotification,
   sendPickupReminder,
@@ -467,5 +663,8 @@ module.exports = {
   getNotificationHistory,
   updateNotificationPreferences,
   sendBulkNotifications,
-  getNotificationStats
+  getNotificationStats,
+  handleDeliveryStatusWebhook,
+  getOutboxEntries,
+  retryOutboxEntry
 };
@@ -1,6 +1,31 @@
 const Transfer = require('../models/Transfer');
 const mongoose = require('mongoose');
+const trackingEvents = require('../services/trackingEventService');
+const routeHistory = require('../services/routeHistoryService');
+const geofenceService = require('../services/geofenceService');
+const etaService = require('../services/etaService');
+const { TransitionError, transferStatusForDriver } = require('../models/transferStateMachine');
 
+const OPS_ROLES = ['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER'];
+
+// Pings move the transfer and are kept as the trip record, so only ops, the
+// transfer's vendor and its assigned driver may send them
+const canReportLocation = (user, transfer) => {
+  if (OPS_ROLES.includes(user.role)) return true;
+
+  if (user.role === 'VENDOR_MANAGER' || user.role === 'VENDOR') {
+    const vendorId = transfer.vendor_details?.vendor_id;
+    const userVendorId = user.role === 'VENDOR' ? user._id.toString() : user.vendorId;
+    return Boolean(vendorId && userVendorId) && vendorId.toUpperCase() === String(userVendorId).toUpperCase();
+  }
+
+  if (user.role === 'DRIVER') {
+    const driverId = transfer.assigned_driver_details?.driver_id;
+    return Boolean(driverId && user.driverId) && driverId === user.driverId;
+  }
+
+  return false;
+};
 
 // Get transfer by ID for tracking
 const getTransferForTracking = async (req, res) => {
@@ -125,9 +150,10 @@ const getTransferForTracking = async (req, res) => {
       tracking: {
         currentStatus: transferObj.transfer_details?.transfer_status || transferObj.transfer_details?.status || 'pending',
         lastUpdated: actualLocation?.timestamp || new Date(),
-        estimatedArrival: calculateEstimatedArrival(transferObj),
+        estimatedArrival: transferObj.transfer_details?.eta?.to_drop || calculateEstimatedArrival(transferObj),
+        eta: transferObj.transfer_details?.eta || null,
         driverLocation: actualLocation,
-        routeHistory: transferObj.location_tracking?.route_history || [],
+        routeHistory: await routeHistory.getRecentPoints(transferObj._id),
         progressSteps: generateProgressSteps(transferObj)
       }
     };
@@ -167,17 +193,36 @@ const updateDriverLocation = async (req, res) => {
       });
     }
 
+    if (!canReportLocation(req.user, transfer)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the assigned driver, the vendor or operations can report this transfer\'s location'
+      });
+    }
+
+    const actor = { role: req.user.role, by: `user:${req.user._id}` };
+
     // Update location_tracking.last_location
     if (!transfer.location_tracking) {
       transfer.location_tracking = {
         enabled: true,
-        last_location: {},
-        route_history: []
+        last_location: null
       };
     }
 
     const timestamp = new Date();
-    
+
+    // An explicit status goes through the state machine, as the caller,
+    // before anything is recorded
+    if (status) {
+      const targetStatus = transferStatusForDriver(status, transfer.transfer_details.transfer_status) || status;
+      transfer.transitionTo(targetStatus, {
+        ...actor,
+        reason: 'reported with location update',
+        at: timestamp
+      });
+    }
+
     // Update last location
     transfer.location_tracking.last_location = {
       latitude: parseFloat(latitude),
@@ -186,19 +231,16 @@ const updateDriverLocation = async (req, res) => {
       timestamp: timestamp
     };
 
-    // Add to route history
-    transfer.location_tracking.route_history.push({
+    // Every ping is kept in the location_pings time-series collection
+    await routeHistory.recordPing(transfer, {
       latitude: parseFloat(latitude),
       longitude: parseFloat(longitude),
-      timestamp: timestamp,
+      address,
       speed: speed ? parseFloat(speed) : null,
-      heading: heading ? parseFloat(heading) : null
-    });
-
-    // Keep only last 100 route points to avoid bloating the database
-    if (transfer.location_tracking.route_history.length > 100) {
-      transfer.location_tracking.route_history = transfer.location_tracking.route_history.slice(-100);
-    }
+      heading: heading ? parseFloat(heading) : null,
+      status,
+      timestamp
+    }, actor.by);
 
     // Also update assigned_driver_details.currentLocation for backwards compatibility
     if (transfer.assigned_driver_details) {
@@ -208,15 +250,42 @@ const updateDriverLocation = async (req, res) => {
         address: address || '',
         lastUpdated: timestamp
       };
-      
-      if (status) {
-        transfer.assigned_driver_details.status = status;
-        transfer.transfer_details.transfer_status = status;
-      }
+    }
+
+    // Without an explicit status, entering or leaving a geofence advances the
+    // transfer on the caller's behalf
+    let geofence = null;
+    if (!status && transfer.assigned_driver_details) {
+      geofence = geofenceService.evaluate(transfer, {
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        timestamp
+      }, actor);
+    }
+
+    let eta = null;
+    try {
+      eta = await etaService.updateTransferEta(transfer, {
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude)
+      });
+    } catch (etaError) {
+      console.error(`Error updating ETA for ${transfer._id}:`, etaError.message);
     }
 
     // Save to database
     await transfer.save();
+
+    trackingEvents.publish(transfer._id, 'location', {
+      location: {
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        address: address || '',
+        timestamp
+      },
+      speed: speed ? parseFloat(speed) : null,
+      heading: heading ? parseFloat(heading) : null
+    });
     
     res.json({
       success: true,
@@ -228,10 +297,18 @@ const updateDriverLocation = async (req, res) => {
           address: address || '' 
         },
         status: transfer.transfer_details?.transfer_status || transfer.transfer_details?.status || 'enroute',
+        geofence: geofence ? {
+          events: geofence.events,
+          transition: geofence.transition
+        } : null,
+        eta,
         lastUpdated: new Date()
       }
     });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json(error.toResponse());
+    }
     console.error('Error updating driver location:', error);
     res.status(500).json({
       success: false,
@@ -241,6 +318,85 @@ const updateDriverLocation = async (req, res) => {
   }
 };
 
+// Stream live tracking updates (Server-Sent Events)
+const streamTransferUpdates = async (req, res) => {
+  try {
+    const transferId = req.params.id.toUpperCase();
+
+    const transfer = await Transfer.findById(transferId).lean();
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.write('retry: 5000\n\n');
+
+    // Current state first, then changes as they happen
+    trackingEvents.send(res, 'snapshot', {
+      transferId,
+      transfer_status: transfer.transfer_details?.transfer_status,
+      driver_status: transfer.assigned_driver_details?.status || null,
+      flight_details: transfer.flight_details,
+      location: transfer.location_tracking?.last_location || transfer.assigned_driver_details?.location || null,
+      timestamp: new Date()
+    });
+
+    const unsubscribe = trackingEvents.subscribe(transferId, res);
+    req.on('close', unsubscribe);
+  } catch (error) {
+    console.error('Error opening tracking stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open tracking stream'
+      });
+    } else {
+      res.end();
+    }
+  }
+};
+
+// Get the full recorded route (polyline, distance, duration)
+const getRouteHistory = async (req, res) => {
+  try {
+    const transferId = req.params.id.toUpperCase();
+    const { from, to } = req.query;
+
+    const transfer = await Transfer.findById(transferId).select('_id').lean();
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    const route = await routeHistory.getRoute(transferId, { from, to });
+
+    res.json({
+      success: true,
+      data: {
+        transferId,
+        ...route
+      }
+    });
+  } catch (error) {
+    console.error('Error getting route history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get route history',
+      error: error.message
+    });
+  }
+};
+
 // Get tracking history
 const getTrackingHistory = async (req, res) => {
   try {
@@ -255,7 +411,7 @@ const getTrackingHistory = async (req, res) => {
       });
     }
 
-    const history = generateTrackingHistory(transfer);
+    const history = await routeHistory.getTrackingTimeline(transfer);
 
     res.json({
       success: true,
@@ -349,40 +505,10 @@ const generateProgressSteps = (transfer) => {
   return steps;
 };
 
-const generateTrackingHistory = (transfer) => {
-  const history = [];
-  
-  // Add creation event
-  history.push({
-    timestamp: new Date(transfer.createdAt || new Date()),
-    event: 'Transfer Created',
-    description: 'Transfer request was created',
-    type: 'system'
-  });
-
-  // Add driver assignment if exists
-  if (transfer.assigned_driver_details) {
-    history.push({
-      timestamp: new Date(),
-      event: 'Driver Assigned',
-      description: `Driver ${transfer.assigned_driver_details.driver_name} was assigned`,
-      type: 'assignment'
-    });
-  }
-
-  // Add status changes
-  history.push({
-    timestamp: new Date(),
-    event: 'Status Update',
-    description: `Status changed to ${transfer.transfer_details.transfer_status || transfer.transfer_details.status}`,
-    type: 'status'
-  });
-
-  return history.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-};
-
 module.exports = {
   getTransferForTracking,
   updateDriverLocation,
+  streamTransferUpdates,
+  getRouteHistory,
   getTrackingHistory
 };
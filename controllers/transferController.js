@@ -2,7 +2,10 @@ const Transfer = require('../models/Transfer');
 const mongoose = require('mongoose');
 const { sendTemplatedEmail } = require('../config/nodemailer');
 const { sendNotification, MESSAGE_TEMPLATES } = require('../config/twilio');
-const moment = require('moment');
+const timezoneService = require('../services/timezoneService');
+const { TransitionError } = require('../models/transferStateMachine');
+const dispatchService = require('../services/dispatchService');
+const disruptionService = require('../services/disruptionService');
 
 
 // Create new transfer
@@ -77,7 +80,7 @@ const createTransfer = async (req, res) => {
           'TBD', // Vehicle type
           'TBD', // Vehicle number
           transfer.transfer_details.pickup_location,
-          moment(transfer.transfer_details.estimated_pickup_time).format('MMMM Do YYYY, h:mm A'),
+          timezoneService.formatTransferTime(transfer, transfer.transfer_details.estimated_pickup_time),
           transfer._id
         ]
       );
@@ -140,6 +143,7 @@ const getTransfers = async (req, res) => {
       vendor_id,
       driver_id,
       flight_no,
+      flight_date,
       date_from,
       date_to,
       search
@@ -221,6 +225,10 @@ const getTransfers = async (req, res) => {
     if (flight_no) {
       filter['flight_details.flight_no'] = flight_no.toUpperCase();
     }
+
+    if (flight_date) {
+      filter['flight_details.flight_date'] = flight_date;
+    }
     
     if (date_from || date_to) {
       filter['flight_details.arrival_time'] = {};
@@ -303,8 +311,23 @@ const updateTransfer = async (req, res) => {
       });
     }
 
+    // Statuses only change through the state machine. Flight status has its own
+    // endpoint (validation defaults it to on_time), so it is kept as is here.
+    const currentStatus = transfer.transfer_details.transfer_status;
+    const currentFlightStatus = transfer.flight_details.status;
+    const requestedStatus = updateData.transfer_details?.transfer_status;
+
     // Update transfer
     Object.assign(transfer, updateData);
+    transfer.transfer_details.transfer_status = currentStatus;
+    transfer.flight_details.status = currentFlightStatus;
+
+    if (requestedStatus) {
+      transfer.transitionTo(requestedStatus, {
+        role: req.user.role,
+        by: `user:${req.user._id}`
+      });
+    }
     await transfer.save();
 
     res.json({
@@ -313,6 +336,9 @@ const updateTransfer = async (req, res) => {
       data: transfer
     });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json(error.toResponse());
+    }
     console.error('Error updating transfer:', error);
     res.status(500).json({
       success: false,
@@ -353,7 +379,7 @@ const assignDriver = async (req, res) => {
     }
 
     // Assign driver (doesn't save yet)
-    transfer.assignDriver(driverDetails, req.user ? `user:${req.user._id}` : 'api');
+    transfer.assignDriver(driverDetails, `user:${req.user._id}`, req.user.role);
     
     // Save the transfer first before sending notifications
     await transfer.save();
@@ -366,7 +392,7 @@ const assignDriver = async (req, res) => {
         driverDetails.vehicle_type,
         driverDetails.vehicle_number,
         transfer.transfer_details.pickup_location,
-        moment(transfer.transfer_details.estimated_pickup_time).format('MMMM Do YYYY, h:mm A')
+        timezoneService.formatTransferTime(transfer, transfer.transfer_details.estimated_pickup_time)
       );
 
       // Send WhatsApp notification
@@ -386,7 +412,7 @@ const assignDriver = async (req, res) => {
           driverDetails.vehicle_type,
           driverDetails.vehicle_number,
           transfer.transfer_details.pickup_location,
-          moment(transfer.transfer_details.estimated_pickup_time).format('MMMM Do YYYY, h:mm A'),
+          timezoneService.formatTransferTime(transfer, transfer.transfer_details.estimated_pickup_time),
           transfer._id
         ]
       );
@@ -409,6 +435,9 @@ const assignDriver = async (req, res) => {
       data: transfer
     });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json(error.toResponse());
+    }
     console.error('Error assigning driver:', error);
     res.status(500).json({
       success: false,
@@ -440,41 +469,12 @@ const updateDriverStatus = async (req, res) => {
       });
     }
 
-    // Update driver status
-    transfer.assigned_driver_details.status = status;
     if (location) {
       transfer.assigned_driver_details.location = location;
     }
-    
-    transfer.addAuditLog('driver_updated', 'api', `Driver status changed to ${status}`);
-    await transfer.save();
 
-    // Send status update notification if driver is waiting
-    if (status === 'waiting') {
-      try {
-        const message = MESSAGE_TEMPLATES.driverWaiting(
-          transfer.customer_details.name,
-          transfer.assigned_driver_details.name,
-          transfer.assigned_driver_details.vehicle_type,
-          transfer.assigned_driver_details.vehicle_number,
-          transfer.transfer_details.pickup_location
-        );
-
-        await sendNotification(
-          transfer.customer_details.contact_number,
-          message,
-          'whatsapp'
-        );
-
-        await transfer.addNotificationRecord(
-          'whatsapp',
-          message,
-          transfer.customer_details.contact_number
-        );
-      } catch (notificationError) {
-        console.error('Failed to send driver waiting notification:', notificationError);
-      }
-    }
+    // Moves the transfer along with the driver; the waiting notification is a side effect
+    await transfer.updateDriverStatus(status, `user:${req.user._id}`, req.user.role);
 
     res.json({
       success: true,
@@ -482,6 +482,9 @@ const updateDriverStatus = async (req, res) => {
       data: transfer
     });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json(error.toResponse());
+    }
     console.error('Error updating driver status:', error);
     res.status(500).json({
       success: false,
@@ -513,69 +516,24 @@ const confirmTravelerPickup = async (req, res) => {
       });
     }
 
+    const userRole = req.user.role;
+    const actionBy = userRole === 'VENDOR' || userRole === 'VENDOR_MANAGER'
+      ? 'Vendor'
+      : userRole === 'DRIVER'
+      ? 'Driver'
+      : 'Admin';
+    const by = `user:${req.user._id}`;
+    const now = new Date();
+
     if (action === 'pickup') {
+      transfer.transitionTo('in_progress', { role: req.user.role, by, reason: `${actionBy} confirmed traveler pickup`, at: now });
       transfer.assigned_driver_details.traveler_picked_up = true;
-      transfer.assigned_driver_details.pickup_time = new Date();
-      transfer.assigned_driver_details.status = 'enroute';
-      transfer.transfer_details.transfer_status = 'in_progress';
-      
-      const userRole = req.user?.role || 'api';
-      const actionBy = userRole === 'VENDOR' || userRole === 'VENDOR_MANAGER' 
-        ? 'vendor' 
-        : userRole === 'DRIVER' 
-        ? 'driver' 
-        : 'admin';
-      
-      transfer.addAuditLog(
-        'pickup_confirmed', 
-        req.user ? `user:${req.user._id}` : 'api', 
-        `${actionBy === 'vendor' ? 'Vendor' : actionBy === 'driver' ? 'Driver' : 'Admin'} confirmed traveler pickup at ${new Date().toLocaleString()}`
-      );
-
-      // Send notification to customer
-      try {
-        const message = `✅ Your driver ${transfer.assigned_driver_details.name} has picked up the traveler and is heading to ${transfer.transfer_details.drop_location}.`;
-        await sendNotification(
-          transfer.customer_details.contact_number,
-          message,
-          'whatsapp'
-        );
-        transfer.addNotificationRecord('whatsapp', message, transfer.customer_details.contact_number);
-      } catch (notificationError) {
-        console.error('Failed to send pickup notification:', notificationError);
-      }
+      transfer.assigned_driver_details.pickup_time = now;
     } else if (action === 'drop') {
+      // Completion notification and vendor performance are state machine side effects
+      transfer.transitionTo('completed', { role: req.user.role, by, reason: `${actionBy} confirmed traveler drop-off`, at: now });
       transfer.assigned_driver_details.arrived_at_drop = true;
-      transfer.assigned_driver_details.drop_time = new Date();
-      transfer.assigned_driver_details.status = 'completed';
-      transfer.transfer_details.transfer_status = 'completed';
-      transfer.transfer_details.actual_drop_time = new Date();
-      
-      const userRole = req.user?.role || 'api';
-      const actionBy = userRole === 'VENDOR' || userRole === 'VENDOR_MANAGER' 
-        ? 'vendor' 
-        : userRole === 'DRIVER' 
-        ? 'driver' 
-        : 'admin';
-      
-      transfer.addAuditLog(
-        'drop_confirmed', 
-        req.user ? `user:${req.user._id}` : 'api', 
-        `${actionBy === 'vendor' ? 'Vendor' : actionBy === 'driver' ? 'Driver' : 'Admin'} confirmed traveler drop-off at ${new Date().toLocaleString()}`
-      );
-
-      // Send notification to customer
-      try {
-        const message = `✅ Transfer completed! Your traveler has been dropped off at ${transfer.transfer_details.drop_location}. Thank you for using HALO.`;
-        await sendNotification(
-          transfer.customer_details.contact_number,
-          message,
-          'whatsapp'
-        );
-        transfer.addNotificationRecord('whatsapp', message, transfer.customer_details.contact_number);
-      } catch (notificationError) {
-        console.error('Failed to send drop notification:', notificationError);
-      }
+      transfer.assigned_driver_details.drop_time = now;
     }
 
     await transfer.save();
@@ -586,6 +544,9 @@ const confirmTravelerPickup = async (req, res) => {
       data: transfer
     });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json(error.toResponse());
+    }
     console.error('Error confirming action:', error);
     res.status(500).json({
       success: false,
@@ -595,6 +556,180 @@ const confirmTravelerPickup = async (req, res) => {
   }
 };
 
+// Rank the vendor's drivers for a transfer without changing it
+const getDispatchProposal = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transfer = await Transfer.findById(id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found',
+        apexId: id
+      });
+    }
+
+    const evaluation = await dispatchService.evaluate(transfer);
+
+    res.json({
+      success: true,
+      data: evaluation
+    });
+  } catch (error) {
+    console.error('Error evaluating dispatch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to evaluate dispatch',
+      error: error.message
+    });
+  }
+};
+
+// Auto-dispatch a pending transfer (assigns unless `assign: false` is sent)
+const autoDispatchTransfer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const assign = req.body?.assign !== false;
+
+    const transfer = await Transfer.findById(id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found',
+        apexId: id
+      });
+    }
+
+    if (transfer.transfer_details.transfer_status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Only pending transfers can be auto-dispatched (status is ${transfer.transfer_details.transfer_status})`
+      });
+    }
+
+    const result = await dispatchService.dispatchTransfer(transfer, {
+      assign,
+      by: `dispatch:user:${req.user._id}`,
+      role: req.user.role
+    });
+
+    res.json({
+      success: true,
+      message: result.status === 'no_candidate' ? 'No eligible driver found' : `Driver ${result.status}`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+    console.error('Error auto-dispatching transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to auto-dispatch transfer',
+      error: error.message
+    });
+  }
+};
+
+// Transfers whose flight was diverted or cancelled
+const getDisruptions = async (req, res) => {
+  try {
+    const { status = 'open', type } = req.query;
+    const transfers = await disruptionService.listDisruptions({ status, type });
+
+    res.json({
+      success: true,
+      count: transfers.length,
+      data: transfers
+    });
+  } catch (error) {
+    console.error('Error fetching disruptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch disruptions',
+      error: error.message
+    });
+  }
+};
+
+// Attach the replacement flight for a cancelled or diverted flight
+const rebookTransfer = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transfer = await Transfer.findById(id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found',
+        apexId: id
+      });
+    }
+
+    await disruptionService.rebook(transfer, req.body, { by: `user:${req.user._id}` });
+
+    res.json({
+      success: true,
+      message: `Transfer rebooked onto flight ${transfer.flight_details.flight_no}`,
+      data: transfer
+    });
+  } catch (error) {
+    if (error instanceof disruptionService.RebookingError) {
+      return res.status(error.status).json({
+        success: false,
+        message: 'Failed to rebook transfer',
+        error: error.message
+      });
+    }
+    console.error('Error rebooking transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rebook transfer',
+      error: error.message
+    });
+  }
+};
+
+// Close a disruption without a replacement flight (e.g. the guest travels another way)
+const resolveTransferDisruption = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transfer = await Transfer.findById(id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found',
+        apexId: id
+      });
+    }
+
+    if (!transfer.hasOpenDisruption()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Transfer has no open flight disruption'
+      });
+    }
+
+    transfer.resolveDisruption({ by: `user:${req.user._id}`, notes: req.body?.notes || '' });
+    await transfer.save();
+
+    res.json({
+      success: true,
+      message: 'Disruption resolved',
+      data: transfer
+    });
+  } catch (error) {
+    console.error('Error resolving disruption:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve disruption',
+      error: error.message
+    });
+  }
+};
+
 // Delete transfer
 const deleteTransfer = async (req, res) => {
   try {
@@ -842,5 +977,10 @@ module.exports = {
   deleteTransfer,
   getTransferStats,
   updateClientDetails,
-  assignTraveler
+  assignTraveler,
+  getDispatchProposal,
+  autoDispatchTransfer,
+  getDisruptions,
+  rebookTransfer,
+  resolveTransferDisruption
 };
@@ -1,6 +1,8 @@
+const mongoose = require('mongoose');
 const ClientTravelPreferences = require('../models/ClientTravelPreferences');
 const travelAdvisoryService = require('../services/travelAdvisoryService');
 const User = require('../models/User');
+const { getScoringProfile, DEFAULT_SCORING_PROFILE } = require('../config/scoringProfiles');
 
 /**
  * Create or update client travel preferences
@@ -30,7 +32,8 @@ const createOrUpdatePreferences = async (req, res) => {
       maxDistanceFromConference,
       specialRequirements,
       transferId,
-      notes
+      notes,
+      scoringProfile
     } = req.body;
 
     // Validate required fields
@@ -41,6 +44,13 @@ const createOrUpdatePreferences = async (req, res) => {
       });
     }
 
+    if (scoringProfile && !getScoringProfile(scoringProfile)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scoring profile "${scoringProfile}"`
+      });
+    }
+
     // Validate budget fields
     if (budgetMin === undefined || budgetMin === null || budgetMax === undefined || budgetMax === null) {
       return res.status(400).json({
@@ -193,6 +203,9 @@ const createOrUpdatePreferences = async (req, res) => {
       existingPreferences.specialRequirements = specialRequirements || '';
       existingPreferences.transferId = transferId || null;
       existingPreferences.notes = notes || '';
+      if (scoringProfile !== undefined) {
+        existingPreferences.scoringProfile = scoringProfile || null;
+      }
       existingPreferences.updatedBy = req.user._id;
 
       preferences = await existingPreferences.save();
@@ -248,6 +261,7 @@ const createOrUpdatePreferences = async (req, res) => {
         specialRequirements: specialRequirements || '',
         transferId: transferId || null,
         notes: notes || '',
+        scoringProfile: scoringProfile || null,
         createdBy: req.user._id,
         status: 'draft'
       };
@@ -273,7 +287,9 @@ const createOrUpdatePreferences = async (req, res) => {
                 amenitiesMatch: rec.amenitiesMatch || 0,
                 priceMatch: rec.priceMatch || 0,
                 starRatingMatch: rec.starRatingMatch || false,
-                cozyCozyId: rec.cozyCozyId
+                cozyCozyId: rec.cozyCozyId,
+                explanation: rec.explanation || [],
+                unmetConstraints: rec.unmetConstraints || []
               };
               
               // Only set hotelId if it's a valid MongoDB ObjectId
@@ -287,7 +303,7 @@ const createOrUpdatePreferences = async (req, res) => {
               return recData;
             });
             
-            preferences.markRecommendationsGenerated();
+            preferences.markRecommendationsGenerated(result);
             await preferences.save();
             console.log(`✅ Auto-generated ${preferences.recommendations.length} recommendations`);
           } else {
@@ -521,7 +537,9 @@ const generateRecommendations = async (req, res) => {
           amenitiesMatch: rec.amenitiesMatch || 0,
           priceMatch: rec.priceMatch || 0,
           starRatingMatch: rec.starRatingMatch || false,
-          cozyCozyId: rec.cozyCozyId
+          cozyCozyId: rec.cozyCozyId,
+          explanation: rec.explanation || [],
+          unmetConstraints: rec.unmetConstraints || []
         };
         
         // Only set hotelId if it's a valid MongoDB ObjectId
@@ -535,7 +553,7 @@ const generateRecommendations = async (req, res) => {
         return recData;
       });
 
-      preference.markRecommendationsGenerated();
+      preference.markRecommendationsGenerated(result);
       await preference.save();
       console.log('✅ Saved recommendations to preference');
     } catch (saveError) {
@@ -615,6 +633,9 @@ const generateRecommendations = async (req, res) => {
       totalHotelsFound: result.totalHotelsFound || enhancedRecommendations.length,
       recommendationsGenerated: enhancedRecommendations.length,
       recommendations: enhancedRecommendations, // Always return the enhanced recommendations
+      scoringProfile: result.scoringProfile,
+      // Constraints dropped to reach enough recommendations, empty if none
+      relaxedConstraints: result.relaxedConstraints || [],
       preference
     });
   } catch (error) {
@@ -636,6 +657,7 @@ const getRecommendations = async (req, res) => {
     const HotelLink = require('../models/HotelLink');
     const hotelCardService = require('../services/hotelCardService');
     const travelAdvisoryService = require('../services/travelAdvisoryService');
+    const hotelPriceService = require('../services/hotelPriceService');
 
     const preference = await ClientTravelPreferences.findById(preferenceId)
       .populate('recommendations.hotelId')
@@ -667,9 +689,11 @@ const getRecommendations = async (req, res) => {
             priceMatch: rec.priceMatch,
             starRatingMatch: rec.starRatingMatch,
             cozyCozyId: rec.cozyCozyId,
+            explanation: rec.explanation || [],
+            unmetConstraints: rec.unmetConstraints || [],
             hotelData: rec.hotel
           }));
-          preference.markRecommendationsGenerated();
+          preference.markRecommendationsGenerated(result);
           await preference.save();
           await preference.populate('recommendations.hotelId');
         }
@@ -738,13 +762,17 @@ const getRecommendations = async (req, res) => {
           }
         }
 
+        // Prices seen for this stay on every search so far
+        const priceTrend = await hotelPriceService.getPriceTrend(recObj, preference);
+
         return {
           ...recObj,
           hotel: hotel, // Always include hotel data
           hotelId: hotel?._id || hotel?.hotelId || recObj.hotelId, // Ensure hotelId is set
           bookingLinks,
           prices,
-          card
+          card,
+          priceTrend
         };
       })
     );
@@ -761,8 +789,10 @@ const getRecommendations = async (req, res) => {
         checkOutDate: preference.checkOutDate,
         budgetMin: preference.budgetMin,
         budgetMax: preference.budgetMax,
-        conferenceLocation: preference.conferenceLocation
-      }
+        conferenceLocation: preference.conferenceLocation,
+        scoringProfile: preference.scoringProfile
+      },
+      recommendationRun: preference.recommendationRun || null
     });
   } catch (error) {
     console.error('Error fetching recommendations:', error);
@@ -1056,6 +1086,302 @@ const searchCozyCozy = async (req, res) => {
   }
 };
 
+/**
+ * List hotel matches waiting for review (or all with ?status=all)
+ */
+const getHotelMatches = async (req, res) => {
+  try {
+    const { status, city, limit } = req.query;
+    const hotelResolutionService = require('../services/hotelResolutionService');
+
+    const matches = await hotelResolutionService.listMatches({ status, city, limit });
+
+    res.json({
+      success: true,
+      matches,
+      total: matches.length
+    });
+  } catch (error) {
+    console.error('Error fetching hotel matches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch hotel matches',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm (merge) or reject (separate) a hotel match
+ */
+const reviewHotelMatch = async (req, res) => {
+  const hotelResolutionService = require('../services/hotelResolutionService');
+  try {
+    const { matchId } = req.params;
+    const { decision, notes } = req.body;
+
+    const match = await hotelResolutionService.reviewMatch(matchId, decision, {
+      reviewedBy: req.user?._id || null,
+      notes
+    });
+
+    res.json({
+      success: true,
+      message: decision === 'merge' ? 'Hotels merged' : 'Hotels kept separate',
+      match
+    });
+  } catch (error) {
+    if (error instanceof hotelResolutionService.HotelResolutionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: 'Failed to review hotel match',
+        error: error.message
+      });
+    }
+    console.error('Error reviewing hotel match:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review hotel match',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the recommendation scoring profiles
+ */
+const getScoringProfiles = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      defaultProfile: DEFAULT_SCORING_PROFILE,
+      profiles: travelAdvisoryService.getScoringProfiles()
+    });
+  } catch (error) {
+    console.error('Error fetching scoring profiles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scoring profiles',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set a client's default scoring profile (null clears it)
+ */
+const setClientScoringProfile = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { scoringProfile } = req.body;
+
+    if (scoringProfile && !getScoringProfile(scoringProfile)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scoring profile "${scoringProfile}"`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(clientId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client ID'
+      });
+    }
+
+    const client = await User.findById(clientId).select('username email profile role scoringProfile');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    if (client.role !== 'CUSTOMER') {
+      return res.status(400).json({
+        success: false,
+        message: 'Scoring profiles can only be set for clients'
+      });
+    }
+
+    client.scoringProfile = scoringProfile || null;
+    await User.updateOne({ _id: client._id }, { scoringProfile: client.scoringProfile });
+
+    res.json({
+      success: true,
+      message: scoringProfile ? `Scoring profile set to ${scoringProfile}` : 'Scoring profile cleared',
+      client
+    });
+  } catch (error) {
+    console.error('Error setting client scoring profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set scoring profile',
+      error: error.message
+    });
+  }
+};
+
+// Error response for a group booking handler
+const sendGroupError = (res, error, message) => {
+  const groupAllocationService = require('../services/groupAllocationService');
+  if (error instanceof groupAllocationService.GroupAllocationError) {
+    return res.status(error.status).json({
+      success: false,
+      message,
+      error: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message,
+      errors: Object.values(error.errors || {}).map(e => e.message),
+      error: error.message
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Create a delegation for a conference's preferences
+ */
+const createGroupBooking = async (req, res) => {
+  const groupAllocationService = require('../services/groupAllocationService');
+  try {
+    const { preferenceId } = req.params;
+    const { name, travelers, rules } = req.body;
+
+    const group = await groupAllocationService.createGroup(preferenceId, { name, travelers, rules }, {
+      user: req.user?._id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Group created with ${group.travelers.length} travelers`,
+      group
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to create group');
+  }
+};
+
+/**
+ * List the delegations of a conference's preferences
+ */
+const getGroupBookings = async (req, res) => {
+  const groupAllocationService = require('../services/groupAllocationService');
+  try {
+    const groups = await groupAllocationService.listGroups(req.params.preferenceId);
+
+    res.json({
+      success: true,
+      groups,
+      count: groups.length
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to fetch groups');
+  }
+};
+
+/**
+ * Get a delegation with its allocation summary
+ */
+const getGroupBooking = async (req, res) => {
+  const groupAllocationService = require('../services/groupAllocationService');
+  try {
+    const group = await groupAllocationService.findGroup(req.params.groupId);
+
+    res.json({
+      success: true,
+      group,
+      summary: await groupAllocationService.getSummary(group)
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to fetch group');
+  }
+};
+
+/**
+ * Update a delegation's name, roster or rules
+ */
+const updateGroupBooking = async (req, res) => {
+  const groupAllocationService = require('../services/groupAllocationService');
+  try {
+    const { name, travelers, rules } = req.body;
+
+    const group = await groupAllocationService.updateGroup(req.params.groupId, { name, travelers, rules }, {
+      user: req.user?._id || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Group updated',
+      group
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to update group');
+  }
+};
+
+/**
+ * Allocate a delegation to hotel rooms (dryRun: plan without booking)
+ */
+const allocateGroupBooking = async (req, res) => {
+  const groupAllocationService = require('../services/groupAllocationService');
+  try {
+    const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+
+    const { group, skippedHotels, summary } = await groupAllocationService.allocate(req.params.groupId, {
+      dryRun,
+      user: req.user?._id || null
+    });
+
+    res.json({
+      success: true,
+      message: `${dryRun ? 'Planned' : 'Allocated'} ${summary.totals.allocated} of ${summary.totals.travelers} travelers in ${summary.totals.rooms} rooms`,
+      dryRun,
+      group,
+      summary,
+      // Hotels left out, e.g. priced in another currency
+      skippedHotels
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to allocate group');
+  }
+};
+
+/**
+ * Export a delegation's allocation summary (?format=csv|json)
+ */
+const exportGroupBooking = async (req, res) => {
+  const groupAllocationService = require('../services/groupAllocationService');
+  try {
+    const group = await groupAllocationService.findGroup(req.params.groupId);
+    const summary = await groupAllocationService.getSummary(group);
+
+    if (req.query.format === 'csv') {
+      const filename = `${group.name.replace(/[^\w-]+/g, '_')}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(groupAllocationService.toCsv(summary));
+    }
+
+    res.json({
+      success: true,
+      summary
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to export group');
+  }
+};
+
 module.exports = {
   createOrUpdatePreferences,
   getClientPreferences,
@@ -1068,6 +1394,16 @@ module.exports = {
   deletePreferences,
   getHotelLinks,
   getHotelCards,
-  searchCozyCozy
+  searchCozyCozy,
+  getHotelMatches,
+  reviewHotelMatch,
+  getScoringProfiles,
+  setClientScoringProfile,
+  createGroupBooking,
+  getGroupBookings,
+  getGroupBooking,
+  updateGroupBooking,
+  allocateGroupBooking,
+  exportGroupBooking
 };
 
@@ -1,6 +1,7 @@
 const Transfer = require('../models/Transfer');
 const { sendNotification, MESSAGE_TEMPLATES } = require('../config/twilio');
-const moment = require('moment');
+const timezoneService = require('../services/timezoneService');
+const { TransitionError } = require('../models/transferStateMachine');
 const mongoose = require('mongoose');
 
 
@@ -204,7 +205,7 @@ const assignDriverToVendorTransfer = async (req, res) => {
     }
 
     // Assign driver (doesn't save yet)
-    transfer.assignDriver(driverDetails, `vendor:${vendorId}`);
+    transfer.assignDriver(driverDetails, `vendor:${vendorId}`, 'VENDOR');
     
     // Save the transfer first
     await transfer.save();
@@ -217,7 +218,7 @@ const assignDriverToVendorTransfer = async (req, res) => {
         driverDetails.vehicle_type,
         driverDetails.vehicle_number,
         transfer.transfer_details.pickup_location,
-        moment(transfer.transfer_details.estimated_pickup_time).format('MMMM Do YYYY, h:mm A')
+        timezoneService.formatTransferTime(transfer, transfer.transfer_details.estimated_pickup_time)
       );
 
       await sendNotification(
@@ -243,6 +244,9 @@ const assignDriverToVendorTransfer = async (req, res) => {
       data: transfer
     });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json(error.toResponse());
+    }
     console.error('Error assigning driver:', error);
     res.status(500).json({
       success: false,
@@ -278,41 +282,12 @@ const updateVendorDriverStatus = async (req, res) => {
       });
     }
 
-    // Update driver status
-    transfer.assigned_driver_details.status = status;
     if (location) {
       transfer.assigned_driver_details.location = location;
     }
-    
-    transfer.addAuditLog('driver_updated', `vendor:${vendorId}`, `Driver status changed to ${status}`);
-    await transfer.save();
 
-    // Send status update notification if driver is waiting
-    if (status === 'waiting') {
-      try {
-        const message = MESSAGE_TEMPLATES.driverWaiting(
-          transfer.customer_details.name,
-          transfer.assigned_driver_details.name,
-          transfer.assigned_driver_details.vehicle_type,
-          transfer.assigned_driver_details.vehicle_number,
-          transfer.transfer_details.pickup_location
-        );
-
-        await sendNotification(
-          transfer.customer_details.contact_number,
-          message,
-          'whatsapp'
-        );
-
-        await transfer.addNotificationRecord(
-          'whatsapp',
-          message,
-          transfer.customer_details.contact_number
-        );
-      } catch (notificationError) {
-        console.error('Failed to send driver waiting notification:', notificationError);
-      }
-    }
+    // Moves the transfer along with the driver; the waiting notification is a side effect
+    await transfer.updateDriverStatus(status, `vendor:${vendorId}`, 'VENDOR');
 
     res.json({
       success: true,
@@ -320,6 +295,9 @@ const updateVendorDriverStatus = async (req, res) => {
       data: transfer
     });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json(error.toResponse());
+    }
     console.error('Error updating driver status:', error);
     res.status(500).json({
       success: false,
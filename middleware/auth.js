@@ -273,6 +273,14 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Accept the JWT as ?access_token= for clients that cannot set headers (EventSource)
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
 // Rate limiting middleware (basic implementation)
 const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
   const requests = new Map();
@@ -312,5 +320,6 @@ module.exports = {
   requirePermission,
   authorizeResource,
   optionalAuth,
+  tokenFromQuery,
   rateLimit
 };
@@ -216,6 +216,17 @@ const maskHeaders = (headers) => {
   return masked;
 };
 
+/**
+ * Mask credentials passed in the query string (e.g. ?access_token= on SSE streams)
+ */
+const maskUrl = (url) => {
+  if (!url || typeof url !== 'string') {
+    return url;
+  }
+
+  return url.replace(/([?&](?:access_token|token)=)([^&#]*)/gi, (match, key, value) => `${key}${maskValue(value)}`);
+};
+
 /**
  * Secure logging middleware
  * Intercepts and masks sensitive data before logging
@@ -289,10 +300,10 @@ const secureLogging = (req, res, next) => {
     if (process.env.NODE_ENV === 'development') {
       console.log('Request:', {
         method: req.method,
-        url: req.url,
+        url: maskUrl(req.url),
         headers: maskedHeaders,
         body: maskedBody,
-        query: req.query,
+        query: maskSensitiveData(req.query, false),
         params: req.params
       });
     }
@@ -318,6 +329,7 @@ module.exports = {
   maskRequestBody,
   maskResponseBody,
   maskHeaders,
+  maskUrl,
   createSecureLogger
 };
 
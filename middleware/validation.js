@@ -142,7 +142,7 @@ const createTransferSchema = Joi.object({
     arrival_time: commonSchemas.dateTime,
     
     status: Joi.string()
-      .valid('on_time', 'delayed', 'landed', 'cancelled', 'boarding', 'departed')
+      .valid('on_time', 'delayed', 'landed', 'cancelled', 'boarding', 'departed', 'diverted')
       .default('on_time'),
     
     delay_minutes: Joi.number()
@@ -180,6 +180,12 @@ const createTransferSchema = Joi.object({
         'string.min': 'Drop location must be at least 5 characters long'
       }),
     
+    // Centre of the drop-off geofence
+    drop_coordinates: Joi.object({
+      latitude: Joi.number().min(-90).max(90).required(),
+      longitude: Joi.number().min(-180).max(180).required()
+    }).allow(null),
+    
     event_place: Joi.string()
       .trim()
       .min(5)
@@ -189,7 +195,8 @@ const createTransferSchema = Joi.object({
         'string.min': 'Event place must be at least 5 characters long'
       }),
     
-    estimated_pickup_time: commonSchemas.dateTime,
+    // Planned from the flight's arrival when omitted
+    estimated_pickup_time: commonSchemas.dateTime.optional(),
     
     special_notes: Joi.string()
       .trim()
@@ -344,7 +351,7 @@ const sendNotificationSchema = Joi.object({
 // Flight status update schema
 const updateFlightStatusSchema = Joi.object({
   status: Joi.string()
-    .valid('on_time', 'delayed', 'landed', 'cancelled', 'boarding', 'departed')
+    .valid('on_time', 'delayed', 'landed', 'cancelled', 'boarding', 'departed', 'diverted')
     .required(),
   
   delay_minutes: Joi.number()
@@ -360,9 +367,39 @@ const updateFlightStatusSchema = Joi.object({
   terminal: Joi.string()
     .trim()
     .max(10)
-    .allow('', null)
+    .allow('', null),
+  
+  // Where a diverted flight is landing instead
+  diverted_to: commonSchemas.airportCode.optional()
 });
 
+// Replacement flight for a transfer whose flight was cancelled or diverted.
+// Schedule fields are only needed when the flight API doesn't know the flight.
+const rebookFlightSchema = Joi.object({
+  flight_no: commonSchemas.flightNumber,
+  
+  // Departure date at the origin
+  flight_date: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({ 'string.pattern.base': 'flight_date must be YYYY-MM-DD' }),
+  
+  airline: Joi.string()
+    .trim()
+    .min(2)
+    .max(50),
+  
+  departure_airport: commonSchemas.airportCode.optional(),
+  arrival_airport: commonSchemas.airportCode.optional(),
+  
+  departure_time: commonSchemas.dateTime.optional(),
+  arrival_time: commonSchemas.dateTime.optional(),
+  
+  notes: Joi.string()
+    .trim()
+    .max(500)
+    .allow('', null)
+}).and('departure_airport', 'arrival_airport', 'departure_time', 'arrival_time');
+
 // Vendor creation schema
 const createVendorSchema = Joi.object({
   vendorId: Joi.string()
@@ -619,6 +656,11 @@ const queryParamsSchema = Joi.object({
   
   flight_no: commonSchemas.flightNumber.optional(),
   
+  // Departure date at the origin, with flight_no selects one operated flight
+  flight_date: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({ 'string.pattern.base': 'flight_date must be YYYY-MM-DD' }),
+  
   date_from: Joi.date()
     .iso()
     .allow('', null),
@@ -690,6 +732,7 @@ const validateDriverStatusUpdate = validate(updateDriverStatusSchema);
 const validateDriverConfirmAction = validate(confirmDriverActionSchema);
 const validateNotification = validate(sendNotificationSchema);
 const validateFlightStatusUpdate = validate(updateFlightStatusSchema);
+const validateFlightRebooking = validate(rebookFlightSchema);
 const validateUser = validate(createUserSchema);
 const validateVendor = validate(createVendorSchema);
 const validateVendorAssignment = validate(vendorAssignmentSchema);
@@ -756,6 +799,7 @@ module.exports = {
   validateDriverConfirmAction,
   validateNotification,
   validateFlightStatusUpdate,
+  validateFlightRebooking,
   validateUser,
   validateVendor,
   validateVendorAssignment,
@@ -770,6 +814,7 @@ module.exports = {
   confirmDriverActionSchema,
   sendNotificationSchema,
   updateFlightStatusSchema,
+  rebookFlightSchema,
   createUserSchema,
   createVendorSchema,
   vendorAssignmentSchema,
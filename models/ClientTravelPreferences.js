@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const geocodingService = require('../services/geocodingService');
+
+// Geocoding runs for a queued venue before the geocoding cron job gives up
+const GEOCODE_MAX_ATTEMPTS = 5;
 
 const recommendationSchema = new mongoose.Schema({
   hotelId: {
@@ -39,6 +43,31 @@ const recommendationSchema = new mongoose.Schema({
   notes: {
     type: String,
     default: ''
+  },
+  // Why the hotel scored as it did, factor by factor (see travelAdvisoryService.explainScores)
+  explanation: [{
+    _id: false,
+    factor: String,
+    label: String,
+    score: Number,
+    weight: Number,
+    contribution: Number,
+    detail: String
+  }],
+  // Constraints of the scoring profile the hotel misses; only possible when they were relaxed
+  unmetConstraints: [String],
+  // Price re-check state (see hotelPriceAlertService)
+  priceWatch: {
+    referencePrice: Number,
+    lastPrice: Number,
+    currency: String,
+    inBudget: Boolean,
+    lastCheckedAt: Date,
+    lastAlertedAt: Date,
+    lastAlert: {
+      type: String,
+      enum: ['drop', 'over_budget', 'under_budget']
+    }
   }
 }, { _id: false });
 
@@ -120,6 +149,15 @@ const clientTravelPreferencesSchema = new mongoose.Schema({
         min: -180,
         max: 180
       }
+    },
+    // Set while the venue waits to be geocoded (see geocodeVenue)
+    geocodePending: {
+      type: Boolean,
+      default: false
+    },
+    geocodeAttempts: {
+      type: Number,
+      default: 0
     }
   },
   maxDistanceFromConference: {
@@ -145,7 +183,25 @@ const clientTravelPreferencesSchema = new mongoose.Schema({
     default: 'draft',
     index: true
   },
+  // Scoring profile for recommendations (config/scoringProfiles.js); null uses the client's
+  scoringProfile: {
+    type: String,
+    trim: true,
+    default: null
+  },
   recommendations: [recommendationSchema],
+  // How the current recommendations were chosen
+  recommendationRun: {
+    scoringProfile: String,
+    relaxedConstraints: [{
+      _id: false,
+      constraint: String,
+      label: String,
+      description: String,
+      admitted: Number
+    }],
+    generatedAt: Date
+  },
   selectedHotel: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Hotel',
@@ -174,20 +230,110 @@ clientTravelPreferencesSchema.pre('save', function(next) {
   next();
 });
 
+// Queue a conference venue that comes without coordinates, when the
+// preferences are created or the venue changes, for geocoding once saved, so
+// hotel distances are real without the save waiting on a geocoding provider
+clientTravelPreferencesSchema.pre('save', function(next) {
+  const venue = this.conferenceLocation;
+  const coordinates = venue?.coordinates;
+  const missing = coordinates?.latitude == null || coordinates?.longitude == null;
+  const venueChanged = this.isModified('conferenceLocation.name') || this.isModified('conferenceLocation.address');
+  if (venue?.name && missing && (this.isNew || venueChanged)) {
+    venue.geocodePending = true;
+    venue.geocodeAttempts = 0;
+    this.$locals.geocodeVenue = true;
+  }
+  next();
+});
+
+// Geocode a queued venue after the save has returned; the 'geocoding' cron
+// job retries those still pending
+clientTravelPreferencesSchema.post('save', function(doc) {
+  if (doc.$locals.geocodeVenue) {
+    doc.$locals.geocodeVenue = false;
+    setImmediate(() => doc.constructor.geocodeVenue(doc));
+  }
+});
+
 // Indexes
 clientTravelPreferencesSchema.index({ clientId: 1, createdAt: -1 });
 clientTravelPreferencesSchema.index({ status: 1, country: 1 });
 clientTravelPreferencesSchema.index({ checkInDate: 1, checkOutDate: 1 });
 clientTravelPreferencesSchema.index({ name: 1 }); // Index for search
+clientTravelPreferencesSchema.index(
+  { 'conferenceLocation.geocodePending': 1 },
+  { partialFilterExpression: { 'conferenceLocation.geocodePending': true } }
+);
 
 // Instance methods
-clientTravelPreferencesSchema.methods.markRecommendationsGenerated = function() {
+// result: generateRecommendations result, recorded as the recommendation run
+clientTravelPreferencesSchema.methods.markRecommendationsGenerated = function(result = null) {
   if (this.recommendations && this.recommendations.length > 0) {
     this.status = 'recommendations_generated';
   }
+  if (result) {
+    this.recommendationRun = {
+      scoringProfile: result.scoringProfile,
+      relaxedConstraints: result.relaxedConstraints || [],
+      generatedAt: result.generatedAt || new Date()
+    };
+  }
   return this;
 };
 
+// Static methods
+// Place the queued conference venue from its name, address and first target
+// area. Only written while the venue is still the one geocoded; a placed venue
+// is also set on the given document, for a caller about to score hotels.
+// Returns whether it was placed.
+clientTravelPreferencesSchema.statics.geocodeVenue = async function(preferences) {
+  const { name, address } = preferences.conferenceLocation;
+
+  try {
+    const query = [name, address, preferences.targetAreas?.[0]].filter(Boolean).join(', ');
+    const place = await geocodingService.getCoordinates(query, { country: preferences.country, minPrecision: 'locality' });
+
+    const update = place
+      ? {
+        $set: {
+          'conferenceLocation.coordinates': { latitude: place.latitude, longitude: place.longitude },
+          'conferenceLocation.geocodePending': false
+        }
+      }
+      : { $inc: { 'conferenceLocation.geocodeAttempts': 1 } };
+    const result = await this.updateOne({
+      _id: preferences._id,
+      'conferenceLocation.name': name,
+      'conferenceLocation.address': address ?? null,
+      'conferenceLocation.geocodePending': true
+    }, update);
+
+    const placed = !!place && result.modifiedCount > 0;
+    if (placed) {
+      preferences.conferenceLocation.coordinates = update.$set['conferenceLocation.coordinates'];
+      preferences.conferenceLocation.geocodePending = false;
+    }
+    return placed;
+  } catch (error) {
+    console.warn(`⚠️ Geocoding the conference venue of preferences ${preferences._id} failed: ${error.message}`);
+    return false;
+  }
+};
+
+// Retry venues still pending, up to GEOCODE_MAX_ATTEMPTS runs each
+clientTravelPreferencesSchema.statics.geocodePendingVenues = async function({ limit = 50 } = {}) {
+  const preferences = await this.find({
+    'conferenceLocation.geocodePending': true,
+    'conferenceLocation.geocodeAttempts': { $lt: GEOCODE_MAX_ATTEMPTS }
+  }).limit(limit);
+
+  let placed = 0;
+  for (const preference of preferences) {
+    if (await this.geocodeVenue(preference)) placed++;
+  }
+  return { checked: preferences.length, placed };
+};
+
 const ClientTravelPreferences = mongoose.model('ClientTravelPreferences', clientTravelPreferencesSchema);
 
 module.exports = ClientTravelPreferences;
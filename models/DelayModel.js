@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Learned effect of one feature value (an airline, an airport or an hour)
+const effectSchema = new mongoose.Schema({
+  // Outcomes with this value
+  n: {
+    type: Number,
+    required: true
+  },
+  // Added to the intercepts, in minutes and in probability (0-1)
+  delay: {
+    type: Number,
+    required: true
+  },
+  probability: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const effectMap = {
+  type: Map,
+  of: effectSchema,
+  default: {}
+};
+
+// A fitted delay-prediction model. Every retraining stores a new version;
+// predictFlightDelay uses the active one (see services/delayModelService.js).
+const delayModelSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  active: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  trained_at: {
+    type: Date,
+    default: Date.now
+  },
+  sample_size: {
+    type: Number,
+    required: true
+  },
+  // A flight counts as delayed from this many minutes
+  delay_threshold_minutes: {
+    type: Number,
+    required: true
+  },
+  // Shrinkage toward the average: a value with n outcomes keeps n / (n + prior_strength) of its effect
+  prior_strength: {
+    type: Number,
+    required: true
+  },
+  intercept: {
+    delay: { type: Number, required: true },
+    probability: { type: Number, required: true }
+  },
+  features: {
+    airline: effectMap,
+    departure_airport: effectMap,
+    arrival_airport: effectMap,
+    departure_hour: effectMap
+  },
+  // In-sample mean absolute error, and that of always predicting the average
+  metrics: {
+    mae: Number,
+    baseline_mae: Number
+  }
+}, {
+  timestamps: {
+    createdAt: 'create_time',
+    updatedAt: 'update_time'
+  },
+  collection: 'delay_models'
+});
+
+module.exports = mongoose.model('DelayModel', delayModelSchema);
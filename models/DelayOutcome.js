@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// The delay a flight actually had, labeled for training the delay model
+// (see services/delayModelService.js). One outcome per transfer.
+const delayOutcomeSchema = new mongoose.Schema({
+  transfer_id: {
+    type: String,
+    ref: 'Transfer',
+    required: true,
+    unique: true
+  },
+  flight_no: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  flight_date: {
+    type: String,
+    default: null
+  },
+  // Training features
+  airline: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  departure_airport: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+  arrival_airport: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+  // Scheduled departure hour (0-23) at the origin airport
+  departure_hour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: null
+  },
+  scheduled_departure: {
+    type: Date,
+    default: null
+  },
+  // Label
+  actual_delay_minutes: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // What was predicted for the flight, when a prediction was made
+  predicted_delay_minutes: {
+    type: Number,
+    default: null
+  },
+  predicted_probability: {
+    type: Number,
+    default: null
+  },
+  model_version: {
+    type: Number,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['api', 'flight_sync'],
+    default: 'api'
+  },
+  recorded_by: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: {
+    createdAt: 'create_time',
+    updatedAt: 'update_time'
+  },
+  collection: 'delay_outcomes'
+});
+
+delayOutcomeSchema.index({ airline: 1 });
+delayOutcomeSchema.index({ create_time: -1 });
+
+module.exports = mongoose.model('DelayOutcome', delayOutcomeSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Hours before departure a kept prediction counts for: one per transfer,
+// model version and horizon, the latest made at or before that many hours out
+const HORIZONS_HOURS = [24, 12, 6, 3, 1, 0];
+const DAY_SECONDS = 24 * 60 * 60;
+
+// One delay prediction as it was made: the inputs, the model that made it and,
+// once the flight has landed, the delay it actually had. Used for accuracy
+// reporting (see services/predictionAccuracyService.js). Kept for
+// DELAY_PREDICTION_RETENTION_DAYS.
+const delayPredictionSchema = new mongoose.Schema({
+  transfer_id: {
+    type: String,
+    ref: 'Transfer',
+    default: null,
+    index: true
+  },
+  flight_no: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  flight_date: {
+    type: String,
+    default: null
+  },
+  inputs: {
+    airline: String,
+    departure_airport: String,
+    arrival_airport: String,
+    departure_hour: Number,
+    departure_time: Date,
+    arrival_time: Date,
+    status: String,
+    hours_until_departure: Number,
+    // 0-100, worse of the two airports; null without weather data
+    weather_severity: Number,
+    // Minutes the late inbound aircraft pushes departure back; null without an inbound leg
+    propagated_delay_minutes: Number
+  },
+  delay_probability: {
+    type: Number,
+    required: true
+  },
+  estimated_delay_minutes: {
+    type: Number,
+    required: true
+  },
+  risk_level: {
+    type: String,
+    enum: ['low', 'medium', 'high']
+  },
+  // 'learned' predictions come from delay model model_version
+  model_type: {
+    type: String,
+    enum: ['learned', 'heuristic'],
+    required: true
+  },
+  model_version: {
+    type: Number,
+    default: null
+  },
+  // See HORIZONS_HOURS; null on predictions stored before horizons
+  horizon_hours: {
+    type: Number,
+    default: null
+  },
+  predicted_at: {
+    type: Date,
+    default: Date.now
+  },
+  // Filled in once the flight has landed
+  actual_delay_minutes: {
+    type: Number,
+    default: null
+  },
+  resolved_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'create_time',
+    updatedAt: 'update_time'
+  },
+  collection: 'delay_predictions'
+});
+
+delayPredictionSchema.index(
+  { predicted_at: 1 },
+  { expireAfterSeconds: (parseInt(process.env.DELAY_PREDICTION_RETENTION_DAYS) || 365) * DAY_SECONDS }
+);
+delayPredictionSchema.index({ resolved_at: 1, transfer_id: 1 });
+delayPredictionSchema.index({ transfer_id: 1, model_type: 1, model_version: 1, horizon_hours: 1 });
+
+// Horizon of a prediction made this many hours before departure
+delayPredictionSchema.statics.getHorizon = function(hoursUntilDeparture) {
+  const hours = Number(hoursUntilDeparture);
+  if (!Number.isFinite(hours)) return null;
+  return HORIZONS_HOURS.find(horizon => hours >= horizon) ?? 0;
+};
+
+delayPredictionSchema.statics.HORIZONS_HOURS = HORIZONS_HOURS;
+
+module.exports = mongoose.model('DelayPrediction', delayPredictionSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A geocoding answer kept so the same address isn't looked up again.
+// Entries expire on their own (TTL index on expires_at).
+const geocodeCacheSchema = new mongoose.Schema({
+  // Normalized query and country hint (see geocodingService.getCacheKey)
+  query_key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  query: {
+    type: String,
+    required: true
+  },
+  country: {
+    type: String,
+    default: null
+  },
+  // False when nothing was found; misses are cached for a shorter time
+  found: {
+    type: Boolean,
+    default: true
+  },
+  latitude: Number,
+  longitude: Number,
+  display_name: String,
+  precision: {
+    type: String,
+    enum: ['country', 'region', 'city', 'locality', 'street', 'address', null],
+    default: null
+  },
+  provider: String,
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: {
+    createdAt: 'create_time',
+    updatedAt: 'update_time'
+  },
+  collection: 'geocode_cache'
+});
+
+geocodeCacheSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const GeocodeCache = mongoose.model('GeocodeCache', geocodeCacheSchema);
+
+module.exports = GeocodeCache;
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+// A member of the delegation
+const travelerSchema = new mongoose.Schema({
+  travelerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Only used to keep shared rooms single-gender (rules.sameGenderOnly)
+  gender: {
+    type: String,
+    enum: ['female', 'male', 'other', null],
+    default: null
+  },
+  // Most this traveler's share of a room may cost per night; null uses the preferences' budgetMax
+  budgetPerNight: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // 'single': a room of their own; 'shared': may be paired with other travelers
+  roomSharing: {
+    type: String,
+    enum: ['single', 'shared'],
+    default: 'shared'
+  },
+  // Travelers with the same roomGroup share one room
+  roomGroup: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+// A room given to one or more travelers
+const roomSchema = new mongoose.Schema({
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: true
+  },
+  hotelName: String,
+  roomType: String,
+  travelerIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  pricePerNight: Number,
+  nights: Number,
+  totalPrice: Number,
+  bookingReference: String
+}, { _id: false });
+
+/**
+ * A delegation travelling to the conference of a ClientTravelPreferences,
+ * allocated across its recommended hotels by groupAllocationService. Each
+ * room is booked as one Hotel.assignedToCustomers entry per occupant, all
+ * carrying the room's bookingReference and this group's _id.
+ */
+const groupBookingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  preferenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientTravelPreferences',
+    required: true,
+    index: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  travelers: [travelerSchema],
+  rules: {
+    // Most travelers put together in a room when pairing those who share
+    maxPerRoom: {
+      type: Number,
+      min: 1,
+      default: 2
+    },
+    // Only pair travelers of the same gender; travelers without one get their own room
+    sameGenderOnly: {
+      type: Boolean,
+      default: true
+    },
+    // Most rooms to take in any one hotel; null is limited by the hotel's rooms only
+    maxRoomsPerHotel: {
+      type: Number,
+      min: 1,
+      default: null
+    },
+    // Hotels to allocate to, in order of preference; empty uses the preferences' recommendations
+    hotelIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hotel'
+    }]
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    enum: ['INR', 'USD', 'EUR', 'GBP'],
+    default: 'INR'
+  },
+  // Stay the rooms are booked for, from the preferences at allocation
+  checkIn: Date,
+  checkOut: Date,
+  // 'allocating' while groupAllocationService writes the bookings
+  status: {
+    type: String,
+    enum: ['draft', 'allocating', 'allocated'],
+    default: 'draft',
+    index: true
+  },
+  rooms: [roomSchema],
+  unallocated: [{
+    _id: false,
+    travelerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    // 'over_budget', 'no_room_type' (no room large enough) or 'sold_out'
+    reason: String
+  }],
+  totalPrice: {
+    type: Number,
+    default: 0
+  },
+  allocatedAt: Date,
+  allocationStartedAt: {
+    type: Date,
+    default: null
+  },
+  allocatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'groupbookings'
+});
+
+const GroupBooking = mongoose.model('GroupBooking', groupBookingSchema);
+
+module.exports = GroupBooking;
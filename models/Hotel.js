@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const geocodingService = require('../services/geocodingService');
+
+// Geocoding runs for a queued address before the geocoding cron job gives up
+const GEOCODE_MAX_ATTEMPTS = 5;
 
 const hotelSchema = new mongoose.Schema({
   hotelId: {
@@ -46,6 +50,15 @@ const hotelSchema = new mongoose.Schema({
         min: -180,
         max: 180
       }
+    },
+    // Set while the address waits to be geocoded (see geocodeLocation)
+    geocodePending: {
+      type: Boolean,
+      default: false
+    },
+    geocodeAttempts: {
+      type: Number,
+      default: 0
     }
   },
   starRating: {
@@ -223,9 +236,11 @@ const hotelSchema = new mongoose.Schema({
     checkOut: {
       type: Date
     },
+    // null: not known, so no limit; 0: sold out
     roomsAvailable: {
       type: Number,
-      default: 0
+      min: 0,
+      default: null
     }
   },
   assignedToCustomers: [{
@@ -266,6 +281,12 @@ const hotelSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Set when the booking belongs to a group allocation
+    groupBookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GroupBooking',
+      default: null
+    },
     assignedAt: {
       type: Date,
       default: Date.now
@@ -343,9 +364,14 @@ const hotelSchema = new mongoose.Schema({
 hotelSchema.index({ city: 1, starRating: 1 });
 hotelSchema.index({ status: 1, isAvailable: 1 });
 hotelSchema.index({ 'assignedToCustomers.customerId': 1 });
+hotelSchema.index({ 'assignedToCustomers.groupBookingId': 1 }, { sparse: true });
 hotelSchema.index({ verified: 1, status: 1 });
 hotelSchema.index({ xoteloId: 1 }, { sparse: true });
 hotelSchema.index({ cozyCozyId: 1 }, { sparse: true });
+hotelSchema.index(
+  { 'location.geocodePending': 1 },
+  { partialFilterExpression: { 'location.geocodePending': true } }
+);
 
 // Pre-save hook to generate hotelId if not provided
 hotelSchema.pre('save', async function(next) {
@@ -357,6 +383,32 @@ hotelSchema.pre('save', async function(next) {
   next();
 });
 
+// Queue the address of new hotels without coordinates, and address changes
+// without new coordinates, for geocoding once saved: the save never waits on a
+// geocoding provider. Coordinates of the old address are removed meanwhile.
+hotelSchema.pre('save', function(next) {
+  const location = this.location;
+  const coordinates = location?.coordinates;
+  const missing = coordinates?.latitude == null || coordinates?.longitude == null;
+  const addressChanged = this.isModified('location.address') && !this.isModified('location.coordinates');
+  if (location?.address && ((this.isNew && missing) || (!this.isNew && addressChanged))) {
+    if (!missing) location.coordinates = undefined;
+    location.geocodePending = true;
+    location.geocodeAttempts = 0;
+    this.$locals.geocodeLocation = true;
+  }
+  next();
+});
+
+// Geocode a queued address after the save has returned; the 'geocoding' cron
+// job retries those still pending
+hotelSchema.post('save', function(doc) {
+  if (doc.$locals.geocodeLocation) {
+    doc.$locals.geocodeLocation = false;
+    setImmediate(() => doc.constructor.geocodeLocation(doc));
+  }
+});
+
 // Instance methods
 hotelSchema.methods.updatePerformance = function(bookingStatus, rating = null) {
   if (bookingStatus === 'confirmed') {
@@ -387,6 +439,50 @@ hotelSchema.statics.findByStarRating = function(minStars) {
   return this.find({ starRating: { $gte: minStars }, status: 'active' });
 };
 
+// Place the hotel from its queued address and city. Only written while the
+// address is still the one geocoded. Returns whether it was placed.
+hotelSchema.statics.geocodeLocation = async function(hotel) {
+  const address = hotel.location.address;
+
+  try {
+    const query = address.toLowerCase().includes(hotel.city.toLowerCase()) ? address : `${address}, ${hotel.city}`;
+    const place = await geocodingService.getCoordinates(query, { country: hotel.country, minPrecision: 'locality' });
+
+    const update = place
+      ? {
+        $set: {
+          'location.coordinates': { latitude: place.latitude, longitude: place.longitude },
+          'location.geocodePending': false
+        }
+      }
+      : { $inc: { 'location.geocodeAttempts': 1 } };
+    const result = await this.updateOne({
+      _id: hotel._id,
+      'location.address': address,
+      'location.geocodePending': true
+    }, update);
+
+    return !!place && result.modifiedCount > 0;
+  } catch (error) {
+    console.warn(`⚠️ Geocoding the address of hotel ${hotel.hotelId || hotel._id} failed: ${error.message}`);
+    return false;
+  }
+};
+
+// Retry addresses still pending, up to GEOCODE_MAX_ATTEMPTS runs each
+hotelSchema.statics.geocodePendingLocations = async function({ limit = 50 } = {}) {
+  const hotels = await this.find({
+    'location.geocodePending': true,
+    'location.geocodeAttempts': { $lt: GEOCODE_MAX_ATTEMPTS }
+  }).limit(limit);
+
+  let placed = 0;
+  for (const hotel of hotels) {
+    if (await this.geocodeLocation(hotel)) placed++;
+  }
+  return { checked: hotels.length, placed };
+};
+
 const Hotel = mongoose.model('Hotel', hotelSchema);
 
 module.exports = Hotel;
@@ -19,6 +19,28 @@ const hotelLinkSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Source keys of every record resolved to this hotel ('hotel:<_id>',
+  // 'cozycozy:<id>', 'xotelo:<id>', 'makemytrip:<id>'; see hotelResolutionService)
+  aliases: {
+    type: [String],
+    default: []
+  },
+  // How the records were linked: shared IDs, an automatic match or an admin
+  resolution: {
+    method: {
+      type: String,
+      enum: ['id', 'auto', 'manual'],
+      default: 'id'
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    resolvedAt: {
+      type: Date
+    }
+  },
   hotelName: {
     type: String,
     required: true,
@@ -94,6 +116,7 @@ hotelLinkSchema.index({ hotelId: 1, lastChecked: -1 });
 hotelLinkSchema.index({ cozyCozyId: 1 }, { sparse: true });
 hotelLinkSchema.index({ xoteloId: 1 }, { sparse: true });
 hotelLinkSchema.index({ city: 1, lastChecked: -1 });
+hotelLinkSchema.index({ aliases: 1 });
 
 // Instance methods
 hotelLinkSchema.methods.addBookingLink = function(platform, url) {
@@ -150,6 +173,10 @@ hotelLinkSchema.statics.findByXoteloId = async function(xoteloId) {
   return this.findOne({ xoteloId });
 };
 
+hotelLinkSchema.statics.findByAlias = async function(key) {
+  return this.findOne({ aliases: key });
+};
+
 hotelLinkSchema.statics.findByCity = async function(city) {
   return this.find({ city: city.toUpperCase() }).sort({ lastChecked: -1 });
 };
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// What each side looked like when the pair was found
+const matchSideSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: String,
+  address: String,
+  city: String,
+  source: String,
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  }
+}, { _id: false });
+
+/**
+ * A pair of hotel records that may be the same property, found by
+ * hotelResolutionService. Pairs scoring between the review and the auto-merge
+ * thresholds wait here for an admin; the decision is an override that every
+ * later resolution respects.
+ */
+const hotelMatchSchema = new mongoose.Schema({
+  // Sorted 'left|right' source keys (see hotelResolutionService.getKeys)
+  pairKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  left: {
+    type: matchSideSchema,
+    required: true
+  },
+  right: {
+    type: matchSideSchema,
+    required: true
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  signals: {
+    name: Number,
+    address: Number,
+    distanceKm: Number
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'merged', 'separate'],
+    default: 'pending',
+    index: true
+  },
+  // The HotelLink both sides belong to after a merge
+  linkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HotelLink'
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  collection: 'hotelmatches'
+});
+
+hotelMatchSchema.index({ 'left.key': 1, status: 1 });
+hotelMatchSchema.index({ 'right.key': 1, status: 1 });
+hotelMatchSchema.index({ status: 1, score: -1 });
+
+const HotelMatch = mongoose.model('HotelMatch', hotelMatchSchema);
+
+module.exports = HotelMatch;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * One observed nightly price of a hotel on a platform for a stay, recorded
+ * by hotelPriceService whenever a search returns the hotel. HotelLink.prices
+ * only holds the latest price per platform; the history lives here.
+ */
+const hotelPriceSchema = new mongoose.Schema({
+  // Linked source keys of the hotel when observed (see hotelResolutionService.getKeys)
+  hotelKeys: {
+    type: [String],
+    required: true,
+    index: true
+  },
+  hotelLinkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HotelLink',
+    default: null
+  },
+  hotelName: {
+    type: String,
+    trim: true
+  },
+  platform: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Stay dates, midnight UTC
+  checkIn: {
+    type: Date,
+    required: true
+  },
+  checkOut: {
+    type: Date
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD'
+  },
+  observedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // The travel preferences whose search saw the price
+  preferenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientTravelPreferences',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'hotelprices'
+});
+
+hotelPriceSchema.index({ hotelKeys: 1, checkIn: 1, observedAt: -1 });
+hotelPriceSchema.index({ hotelLinkId: 1, platform: 1, checkIn: 1 });
+
+const HotelPrice = mongoose.model('HotelPrice', hotelPriceSchema);
+
+module.exports = HotelPrice;
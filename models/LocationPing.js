@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// One driver location ping. Stored in a MongoDB time-series collection keyed
+// by transfer, so the full trip can be replayed for disputes and billing.
+const locationPingSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  meta: {
+    transfer_id: {
+      type: String,
+      required: true
+    },
+    driver_id: {
+      type: String,
+      default: null
+    }
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  address: {
+    type: String,
+    default: ''
+  },
+  speed: {
+    type: Number,
+    default: null
+  },
+  heading: {
+    type: Number,
+    default: null
+  },
+  // Transfer status reported with the ping, if any
+  status: {
+    type: String,
+    default: null
+  },
+  recorded_by: {
+    type: String,
+    default: 'driver'
+  }
+}, {
+  collection: 'location_pings',
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'seconds'
+  },
+  versionKey: false
+});
+
+locationPingSchema.index({ 'meta.transfer_id': 1, timestamp: 1 });
+
+/**
+ * Pings of a transfer in chronological order
+ * @param {string} transferId - Transfer APX ID
+ * @param {Object} options - { from, to, limit }
+ */
+locationPingSchema.statics.findByTransfer = function(transferId, { from, to, limit } = {}) {
+  const query = { 'meta.transfer_id': transferId };
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = new Date(from);
+    if (to) query.timestamp.$lte = new Date(to);
+  }
+
+  const cursor = this.find(query).sort({ timestamp: 1 });
+  if (limit) cursor.limit(limit);
+  return cursor.lean();
+};
+
+/**
+ * Most recent pings of a transfer, oldest first
+ */
+locationPingSchema.statics.findRecentByTransfer = async function(transferId, limit = 100) {
+  const pings = await this.find({ 'meta.transfer_id': transferId })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
+  return pings.reverse();
+};
+
+module.exports = mongoose.model('LocationPing', locationPingSchema);
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  attempted_at: {
+    type: Date,
+    default: Date.now
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const notificationOutboxSchema = new mongoose.Schema({
+  transfer_id: {
+    type: String,
+    ref: 'Transfer',
+    default: null,
+    index: true
+  },
+  // _id of the matching entry in transfer.notifications.notification_history
+  history_entry_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: ['sms', 'whatsapp', 'push']
+  },
+  recipient: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  media_url: {
+    type: String,
+    default: null
+  },
+  template: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['pending', 'processing', 'sent', 'delivered', 'failed', 'dead_letter'],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  max_attempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  locked_at: {
+    type: Date,
+    default: null
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  provider_message_id: {
+    type: String,
+    default: null
+  },
+  last_error: {
+    type: String,
+    default: null
+  },
+  attempt_log: {
+    type: [attemptSchema],
+    default: []
+  },
+  sent_at: {
+    type: Date,
+    default: null
+  },
+  delivered_at: {
+    type: Date,
+    default: null
+  },
+  failed_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'create_time',
+    updatedAt: 'update_time'
+  },
+  collection: 'notification_outbox'
+});
+
+// Indexes for draining and callback lookups
+notificationOutboxSchema.index({ status: 1, next_attempt_at: 1 });
+notificationOutboxSchema.index({ provider: 1, provider_message_id: 1 });
+
+/**
+ * Backoff before the next attempt: 1, 2, 4, 8 ... minutes, capped at 60
+ */
+notificationOutboxSchema.statics.getRetryDelayMs = function(attempts) {
+  const minutes = Math.min(60, Math.pow(2, Math.max(0, attempts - 1)));
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Atomically claim the next due entry for delivery
+ */
+notificationOutboxSchema.statics.claimNext = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      status: 'pending',
+      next_attempt_at: { $lte: now }
+    },
+    {
+      $set: { status: 'processing', locked_at: now }
+    },
+    {
+      sort: { next_attempt_at: 1 },
+      new: true
+    }
+  );
+};
+
+/**
+ * Return entries stuck in processing (e.g. after a crash) to the queue
+ */
+notificationOutboxSchema.statics.releaseStale = function(minutes = 10) {
+  const cutoff = new Date(Date.now() - minutes * 60 * 1000);
+  return this.updateMany(
+    { status: 'processing', locked_at: { $lt: cutoff } },
+    { $set: { status: 'pending', locked_at: null } }
+  );
+};
+
+notificationOutboxSchema.statics.findDeadLetters = function(limit = 100) {
+  return this.find({ status: 'dead_letter' })
+    .sort({ failed_at: -1 })
+    .limit(limit)
+    .lean();
+};
+
+module.exports = mongoose.model('NotificationOutbox', notificationOutboxSchema);
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const timezoneService = require('../services/timezoneService');
+const trackingEvents = require('../services/trackingEventService');
+const geocodingService = require('../services/geocodingService');
+const airportDatabase = require('../services/databases/airportDatabase');
+const { applyStateMachine, transferStatusForDriver, TransitionError } = require('./transferStateMachine');
+const { applyDisruptionWorkflow } = require('./transferDisruption');
+const pickupPlanner = require('../services/pickupPlanner');
+
+const MINUTE_MS = 60 * 1000;
+// Geocoding runs of a drop location before it is left without coordinates
+const DROP_GEOCODE_MAX_ATTEMPTS = 5;
 
 const auditLogSchema = new mongoose.Schema({
   action: {
@@ -12,6 +23,13 @@ const auditLogSchema = new mongoose.Schema({
       'status_changed',
       'notification_sent',
       'flight_updated',
+      'disruption_opened',
+      'disruption_resolved',
+      'flight_rebooked',
+      'pickup_rescheduled',
+      'delay_risk_alert',
+      'delay_risk_cleared',
+      'driver_late',
       'cancelled',
       'completed'
     ]
@@ -62,6 +80,24 @@ const customerDetailsSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Previous leg of the aircraft operating the flight (flightProviders toInboundLeg)
+const inboundLegSchema = new mongoose.Schema({
+  flight_no: String,
+  registration: String,
+  departure_airport: String,
+  arrival_airport: String,
+  scheduled_arrival: Date,
+  // Actual landing once known, else the estimate
+  expected_arrival: Date,
+  delay_minutes: {
+    type: Number,
+    default: 0
+  },
+  status: String,
+  source: String,
+  updated_at: Date
+}, { _id: false });
+
 const flightDetailsSchema = new mongoose.Schema({
   flight_no: {
     type: String,
@@ -94,14 +130,25 @@ const flightDetailsSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Scheduled departure date at the origin airport ('YYYY-MM-DD'). Together
+  // with flight_no it identifies the operated flight; set on save.
+  flight_date: {
+    type: String,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  // Expected arrival: the schedule moved by delay_minutes
   arrival_time: {
     type: Date,
     required: true
   },
+  actual_arrival_time: {
+    type: Date,
+    default: null
+  },
   status: {
     type: String,
     required: true,
-    enum: ['on_time', 'delayed', 'landed', 'cancelled', 'boarding', 'departed'],
+    enum: ['on_time', 'delayed', 'landed', 'cancelled', 'boarding', 'departed', 'diverted'],
     default: 'on_time'
   },
   delay_minutes: {
@@ -118,6 +165,21 @@ const flightDetailsSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: 10
+  },
+  aircraft_type: {
+    type: String,
+    trim: true,
+    maxlength: 20
+  },
+  aircraft_registration: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    maxlength: 10
+  },
+  inbound: {
+    type: inboundLegSchema,
+    default: null
   }
 }, { _id: false });
 
@@ -134,16 +196,58 @@ const transferDetailsSchema = new mongoose.Schema({
     trim: true,
     maxlength: 200
   },
+  // Centre of the drop-off geofence
+  drop_coordinates: {
+    latitude: {
+      type: Number,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      min: -180,
+      max: 180
+    }
+  },
+  // Set while drop_location waits to be geocoded (see geocodeDrop)
+  drop_geocode_pending: {
+    type: Boolean,
+    default: false
+  },
+  drop_geocode_attempts: {
+    type: Number,
+    default: 0
+  },
   event_place: {
     type: String,
     required: true,
     trim: true,
     maxlength: 200
   },
+  // Set by the pickup planner when not given (see services/pickupPlanner.js)
   estimated_pickup_time: {
     type: Date,
     required: true
   },
+  // How estimated_pickup_time was derived from the arrival
+  pickup_plan: {
+    arrival_time: Date,
+    arrival_basis: {
+      type: String,
+      enum: ['actual', 'estimated']
+    },
+    arrival_type: {
+      type: String,
+      enum: ['domestic', 'international', 'unknown']
+    },
+    base_minutes: Number,
+    baggage_minutes: Number,
+    passenger_minutes: Number,
+    terminal_minutes: Number,
+    meet_and_greet_minutes: Number,
+    buffer_minutes: Number,
+    planned_at: Date
+  },
   actual_pickup_time: {
     type: Date,
     default: null
@@ -152,6 +256,35 @@ const transferDetailsSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Live ETAs maintained by the ETA service from driver pings
+  eta: {
+    to_pickup: Date,
+    to_drop: Date,
+    remaining_km: Number,
+    guest_ready_at: Date,
+    late_for_pickup: {
+      type: Boolean,
+      default: false
+    },
+    late_by_minutes: {
+      type: Number,
+      default: 0
+    },
+    provider: String,
+    computed_at: Date
+  },
+  // Latest auto-dispatch decision (see services/dispatchService.js)
+  dispatch: {
+    status: {
+      type: String,
+      // redispatch: the flight was diverted and the pickup needs a driver again
+      enum: ['proposed', 'assigned', 'no_candidate', 'redispatch']
+    },
+    driver_id: String,
+    score: Number,
+    explanation: String,
+    evaluated_at: Date
+  },
   actual_drop_time: {
     type: Date,
     default: null
@@ -274,12 +407,161 @@ const notificationsSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['sent', 'delivered', 'failed'],
+      enum: ['queued', 'sent', 'delivered', 'failed'],
       default: 'sent'
     },
     message: String,
-    recipient: String
-  }]
+    recipient: String,
+    provider: String,
+    provider_message_id: String,
+    outbox_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotificationOutbox'
+    },
+    status_updated_at: Date,
+    error: String
+  }],
+  // Guest reminder schedule built by the notification scheduler
+  schedule: [{
+    lead: {
+      type: String,
+      enum: ['60_min_before', '30_min_before', '15_min_before', 'on_arrival'],
+      required: true
+    },
+    scheduled_for: {
+      type: Date,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'skipped'],
+      default: 'pending'
+    },
+    channels: [String],
+    sent_at: Date,
+    skip_reason: String
+  }],
+  // Arrival time and timezone the schedule was built for; cleared to force a rebuild
+  schedule_arrival_time: {
+    type: Date,
+    default: null
+  },
+  schedule_timezone: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const locationPointSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  address: String,
+  speed: Number,
+  heading: Number,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const locationTrackingSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Latest ping only; the full route lives in the location_pings collection
+  last_location: {
+    type: locationPointSchema,
+    default: null
+  },
+  // Whether the driver was last inside or outside each geofence
+  geofence_state: {
+    pickup: {
+      type: String,
+      enum: ['inside', 'outside', null],
+      default: null
+    },
+    drop: {
+      type: String,
+      enum: ['inside', 'outside', null],
+      default: null
+    }
+  }
+}, { _id: false });
+
+// A flight the transfer used to follow, kept when it is diverted or replaced
+const flightHistorySchema = new mongoose.Schema({
+  flight_no: String,
+  flight_date: String,
+  airline: String,
+  departure_airport: String,
+  arrival_airport: String,
+  departure_time: Date,
+  arrival_time: Date,
+  status: String,
+  replaced_at: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    enum: ['diversion', 'rebooking']
+  }
+}, { _id: false });
+
+// Flight disruption needing ops follow-up (diversion or cancellation)
+const disruptionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['diversion', 'cancellation']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  opened_at: {
+    type: Date,
+    default: Date.now
+  },
+  opened_by: String,
+  flight_no: String,
+  original_arrival_airport: String,
+  diverted_to: String,
+  // Driver released because the pickup moved
+  released_driver_id: String,
+  replacement_flight_no: String,
+  resolved_at: Date,
+  resolved_by: String,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, { _id: false });
+
+// Risk band last alerted by the delay-alerts job (services/delayAlertService.js)
+const delayAlertSchema = new mongoose.Schema({
+  band: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    required: true
+  },
+  delay_probability: Number,
+  estimated_delay_minutes: Number,
+  model_version: Number,
+  alerted_at: Date
 }, { _id: false });
 
 const transferSchema = new mongoose.Schema({
@@ -310,6 +592,10 @@ const transferSchema = new mongoose.Schema({
     type: assignedDriverDetailsSchema,
     default: null
   },
+  location_tracking: {
+    type: locationTrackingSchema,
+    default: null
+  },
   notifications: {
     type: notificationsSchema,
     default: () => ({})
@@ -318,6 +604,27 @@ const transferSchema = new mongoose.Schema({
     type: [auditLogSchema],
     default: []
   },
+  flight_history: {
+    type: [flightHistorySchema],
+    default: []
+  },
+  disruption: {
+    type: disruptionSchema,
+    default: null
+  },
+  // Latest delay prediction (GET /api/ai/predict/:transferId)
+  ai_prediction: {
+    delayProbability: Number,
+    estimatedDelayMinutes: Number,
+    riskLevel: String,
+    modelVersion: Number,
+    predictedAt: Date
+  },
+  // null while the delay risk is below DELAY_ALERT_THRESHOLD
+  delay_alert: {
+    type: delayAlertSchema,
+    default: null
+  },
   priority: {
     type: String,
     enum: ['low', 'normal', 'high', 'vip'],
@@ -339,14 +646,20 @@ const transferSchema = new mongoose.Schema({
 // Indexes for performance
 // Note: _id is automatically indexed by MongoDB, cannot override it
 transferSchema.index({ 'flight_details.flight_no': 1 });
+transferSchema.index({ 'flight_details.flight_no': 1, 'flight_details.flight_date': 1 });
 transferSchema.index({ 'vendor_details.vendor_id': 1 });
 transferSchema.index({ 'assigned_driver_details.driver_id': 1 });
 transferSchema.index({ 'flight_details.arrival_time': 1 });
 transferSchema.index({ 'transfer_details.transfer_status': 1 });
 transferSchema.index({ 'flight_details.status': 1 });
+transferSchema.index({ 'disruption.status': 1, 'disruption.opened_at': -1 });
 transferSchema.index({ 'notifications.next_scheduled_notification': 1 });
 transferSchema.index({ 'customer_details.email': 1 });
 transferSchema.index({ 'customer_details.contact_number': 1 });
+transferSchema.index(
+  { 'transfer_details.drop_geocode_pending': 1 },
+  { partialFilterExpression: { 'transfer_details.drop_geocode_pending': true } }
+);
 
 // Compound indexes for common queries
 transferSchema.index({ 'flight_details.arrival_time': 1, 'flight_details.status': 1 });
@@ -360,14 +673,57 @@ transferSchema.virtual('time_until_arrival').get(function() {
   return Math.max(0, arrival - now);
 });
 
-// Virtual for determining if it's night time (for notification preferences)
+// IANA timezone of the arrival airport (null if the airport is unknown)
+transferSchema.virtual('arrival_timezone').get(function() {
+  return timezoneService.getTransferTimezone(this);
+});
+
+// Virtual for determining if the flight lands at night local time (for notification preferences)
 transferSchema.virtual('is_night_time').get(function() {
-  const hour = new Date().getHours();
-  return hour >= 22 || hour <= 6; // 10 PM to 6 AM
+  if (!this.flight_details?.arrival_time) return false;
+  return timezoneService.isNightTime(
+    this.flight_details.arrival_time,
+    this.arrival_timezone || timezoneService.defaultTimezone
+  ); // 10 PM to 6 AM
 });
 
 // Pre-save middleware to add audit log entry
+// New transfers without a pickup time get a planned one
+transferSchema.pre('validate', function(next) {
+  if (this.isNew && !this.transfer_details?.estimated_pickup_time && this.flight_details?.arrival_time) {
+    this.planPickup();
+  }
+  next();
+});
+
 transferSchema.pre('save', function(next) {
+  // Remember what changed for the live tracking stream (published in post-save)
+  this.$locals.trackingChanges = {
+    status: !this.isNew && (
+      this.isModified('transfer_details.transfer_status') ||
+      this.isModified('assigned_driver_details.status')
+    ),
+    flight: !this.isNew && this.isModified('flight_details')
+  };
+
+  // Operating date follows the scheduled departure, not delays
+  if (this.isNew ||
+      this.isModified('flight_details.departure_time') ||
+      this.isModified('flight_details.departure_airport')) {
+    this.flight_details.flight_date = timezoneService.getFlightDate(
+      this.flight_details.departure_time,
+      this.flight_details.departure_airport
+    );
+  }
+
+  // Reschedule reminders when the arrival time or the preferences change
+  if (this.isNew ||
+      this.isModified('flight_details.arrival_time') ||
+      this.isModified('notifications.notification_preferences')) {
+    this.notifications.schedule_arrival_time = null;
+    this.notifications.next_scheduled_notification = new Date();
+  }
+
   if (this.isNew) {
     this.audit_log.push({
       action: 'created',
@@ -387,7 +743,55 @@ transferSchema.pre('save', function(next) {
   next();
 });
 
+// Queue the drop location of new transfers without coordinates, and of
+// location changes without new coordinates, for geocoding once saved: the
+// save never waits on a geocoding provider. Coordinates of the old location
+// are removed meanwhile. Other saves (status, pings) don't queue it again.
+transferSchema.pre('save', function(next) {
+  const details = this.transfer_details;
+  const coordinates = details?.drop_coordinates;
+  const missing = coordinates?.latitude == null || coordinates?.longitude == null;
+  const locationChanged = this.isModified('transfer_details.drop_location') &&
+    !this.isModified('transfer_details.drop_coordinates');
+  if (details?.drop_location && ((this.isNew && missing) || (!this.isNew && locationChanged))) {
+    if (!missing) details.drop_coordinates = undefined;
+    details.drop_geocode_pending = true;
+    details.drop_geocode_attempts = 0;
+    this.$locals.geocodeDrop = true;
+  }
+  next();
+});
+
+// Push status and flight changes to live tracking subscribers
+transferSchema.post('save', function(doc) {
+  const changes = doc.$locals.trackingChanges;
+  if (changes && (changes.status || changes.flight)) {
+    trackingEvents.publishTransferChanges(doc, changes);
+  }
+});
+
+// Geocode a queued drop location after the save has returned; the
+// 'geocoding' cron job retries those still pending
+transferSchema.post('save', function(doc) {
+  if (doc.$locals.geocodeDrop) {
+    doc.$locals.geocodeDrop = false;
+    setImmediate(() => doc.constructor.geocodeDrop(doc));
+  }
+});
+
+applyStateMachine(transferSchema);
+applyDisruptionWorkflow(transferSchema);
+
 // Instance methods
+// The operated flight this transfer belongs to: { flightNo, date }
+transferSchema.methods.getFlightInstance = function() {
+  const details = this.flight_details;
+  return {
+    flightNo: details.flight_no,
+    date: details.flight_date || timezoneService.getFlightDate(details.departure_time, details.departure_airport)
+  };
+};
+
 transferSchema.methods.addAuditLog = function(action, by, details = '') {
   this.audit_log.push({
     action,
@@ -398,33 +802,146 @@ transferSchema.methods.addAuditLog = function(action, by, details = '') {
   return this.save();
 };
 
-transferSchema.methods.updateFlightStatus = function(status, delayMinutes = 0) {
-  this.flight_details.status = status;
-  if (delayMinutes > 0) {
-    this.flight_details.delay_minutes = delayMinutes;
-    // Adjust arrival time based on delay
-    const originalArrival = new Date(this.flight_details.arrival_time);
-    this.flight_details.arrival_time = new Date(originalArrival.getTime() + (delayMinutes * 60000));
-  }
-  this.addAuditLog('flight_updated', 'system', `Status changed to ${status}${delayMinutes ? ` with ${delayMinutes} min delay` : ''}`);
+// Status changes go through the state machine (transferStateMachine.js)
+transferSchema.methods.updateFlightStatus = function(status, delayMinutes = 0, { role = 'system', by = 'system', divertedTo = null, actualArrival = null } = {}) {
+  this.transitionFlightTo(status, {
+    role,
+    by,
+    divertedTo,
+    reason: delayMinutes ? `${delayMinutes} min delay` : ''
+  });
+  // A zero delay only clears an earlier one when the flight is back on time
+  this.updateFlightTimes({
+    delayMinutes: delayMinutes > 0 || status === 'on_time' ? delayMinutes : null,
+    actualArrival,
+    by
+  });
   return this.save();
 };
 
-transferSchema.methods.assignDriver = function(driverDetails, assignedBy) {
+/**
+ * Apply the latest delay and landing time, then re-plan the pickup.
+ * arrival_time moves by the change in delay, so repeated updates with the
+ * same delay don't add up. Doesn't save.
+ * @param {Object} options - { delayMinutes (null: unknown), actualArrival, by }
+ */
+transferSchema.methods.updateFlightTimes = function({ delayMinutes = null, actualArrival = null, by = 'system' } = {}) {
+  const flight = this.flight_details;
+
+  if (delayMinutes != null && delayMinutes !== flight.delay_minutes) {
+    const change = delayMinutes - (flight.delay_minutes || 0);
+    flight.arrival_time = new Date(new Date(flight.arrival_time).getTime() + change * MINUTE_MS);
+    flight.delay_minutes = delayMinutes;
+  }
+  if (actualArrival) {
+    flight.actual_arrival_time = new Date(actualArrival);
+  }
+
+  return this.planPickup({ by });
+};
+
+/**
+ * Record the aircraft operating the flight and its inbound leg. The leg is
+ * only replaced when it changed, and dropped when another aircraft takes
+ * over the flight. Doesn't save.
+ * @param {Object} aircraft - { aircraftType, registration, inbound }
+ */
+transferSchema.methods.updateAircraft = function({ aircraftType = null, registration = null, inbound = null } = {}) {
+  const flight = this.flight_details;
+
+  if (aircraftType) flight.aircraft_type = aircraftType;
+  if (registration && registration !== flight.aircraft_registration) {
+    flight.aircraft_registration = registration;
+    flight.inbound = null;
+  }
+
+  const current = flight.inbound;
+  const changed = inbound && (!current ||
+    ['flight_no', 'status', 'delay_minutes'].some(field => current[field] !== inbound[field]) ||
+    new Date(current.expected_arrival).getTime() !== new Date(inbound.expected_arrival).getTime());
+  if (changed) {
+    flight.inbound = inbound;
+  }
+};
+
+/**
+ * Re-derive estimated_pickup_time from the arrival (see services/pickupPlanner.js).
+ * The drop time moves with it, and an assigned driver is told about the change
+ * after the save. Only transfers still waiting for their pickup are planned.
+ * Doesn't save.
+ * @param {Object} options - { by, at }
+ * @returns {Object|null} The stored pickup_plan, or null if not planned
+ */
+transferSchema.methods.planPickup = function({ by = 'system', at = new Date() } = {}) {
+  const details = this.transfer_details;
+  if (this.flight_details.status === 'cancelled' ||
+      !['pending', 'assigned', 'enroute'].includes(details.transfer_status)) {
+    return null;
+  }
+
+  const { pickupTime, plan } = pickupPlanner.plan(this, { now: at });
+  const previous = details.estimated_pickup_time;
+  const shiftMs = previous ? pickupTime.getTime() - new Date(previous).getTime() : null;
+
+  // Unchanged pickups keep their plan, so a sync with nothing new doesn't save
+  if (previous && Math.abs(shiftMs) < MINUTE_MS) {
+    if (!details.pickup_plan?.planned_at) details.pickup_plan = plan;
+    return details.pickup_plan;
+  }
+
+  details.pickup_plan = plan;
+  details.estimated_pickup_time = pickupTime;
+  if (!previous) return details.pickup_plan;
+
+  if (details.estimated_drop_time) {
+    details.estimated_drop_time = new Date(new Date(details.estimated_drop_time).getTime() + shiftMs);
+  }
+
+  this.audit_log.push({
+    action: 'pickup_rescheduled',
+    timestamp: at,
+    by,
+    details: `Pickup moved ${shiftMs > 0 ? 'later' : 'earlier'} by ${Math.round(Math.abs(shiftMs) / MINUTE_MS)} min: ` +
+      `${plan.arrival_basis} arrival ${plan.arrival_time.toISOString()} + ${plan.buffer_minutes} min`
+  });
+
+  if (this.assigned_driver_details) {
+    this.$locals.transitionEffects = this.$locals.transitionEffects || [];
+    this.$locals.transitionEffects.push({ field: 'pickup', from: previous, to: 'rescheduled' });
+  }
+
+  return details.pickup_plan;
+};
+
+// Doesn't save: callers save once after assigning
+transferSchema.methods.assignDriver = function(driverDetails, assignedBy, role = 'system') {
+  this.transitionTo('assigned', { role, by: assignedBy, reason: `driver ${driverDetails.driver_id}` });
   this.assigned_driver_details = {
     ...driverDetails,
+    status: 'assigned',
     assigned_at: new Date()
   };
-  this.transfer_details.transfer_status = 'assigned';
-  this.addAuditLog('driver_assigned', assignedBy, `Driver ${driverDetails.name} (${driverDetails.driver_id}) assigned`);
-  return this.save();
+  this.audit_log.push({
+    action: 'driver_assigned',
+    timestamp: new Date(),
+    by: assignedBy,
+    details: `Driver ${driverDetails.name} (${driverDetails.driver_id}) assigned`
+  });
+  return this;
 };
 
-transferSchema.methods.updateDriverStatus = function(status, updatedBy) {
-  if (this.assigned_driver_details) {
-    this.assigned_driver_details.status = status;
-    this.addAuditLog('driver_updated', updatedBy, `Driver status changed to ${status}`);
+// Driver statuses map onto transfer statuses, so the two cannot drift apart
+transferSchema.methods.updateDriverStatus = function(status, updatedBy, role = 'system') {
+  const transferStatus = transferStatusForDriver(status, this.transfer_details.transfer_status);
+  if (!transferStatus) {
+    throw new TransitionError(`Unknown driver status: ${status}`, { field: 'driver_status', to: status, role });
   }
+  this.transitionTo(transferStatus, { role, by: updatedBy, reason: `driver reported ${status}` });
+  return this.save();
+};
+
+transferSchema.methods.updateStatus = function(status, updatedBy, notes = '', role = 'system') {
+  this.transitionTo(status, { role, by: updatedBy, reason: notes });
   return this.save();
 };
 
@@ -441,8 +958,30 @@ transferSchema.methods.addNotificationRecord = function(type, message, recipient
 };
 
 // Static methods
-transferSchema.statics.findByFlightNumber = function(flightNo) {
-  return this.find({ 'flight_details.flight_no': flightNo.toUpperCase() });
+// Updates a notification_history entry in place (without touching the rest of the document)
+transferSchema.statics.updateNotificationStatus = function(transferId, historyEntryId, status, fields = {}) {
+  const update = {
+    'notifications.notification_history.$.status': status,
+    'notifications.notification_history.$.status_updated_at': new Date()
+  };
+  Object.entries(fields).forEach(([key, value]) => {
+    update[`notifications.notification_history.$.${key}`] = value;
+  });
+  if (status === 'sent') {
+    update['notifications.last_notification_sent'] = new Date();
+  }
+
+  return this.updateOne(
+    { _id: transferId, 'notifications.notification_history._id': historyEntryId },
+    { $set: update }
+  );
+};
+
+// Pass the departure date to get one operated flight instead of every day's
+transferSchema.statics.findByFlightNumber = function(flightNo, flightDate = null) {
+  const query = { 'flight_details.flight_no': flightNo.toUpperCase() };
+  if (flightDate) query['flight_details.flight_date'] = flightDate;
+  return this.find(query);
 };
 
 transferSchema.statics.findByVendor = function(vendorId) {
@@ -470,6 +1009,56 @@ transferSchema.statics.findRequiringNotification = function() {
   });
 };
 
+// Centre the drop-off geofence on the queued drop location, placed with the
+// arrival city (a 200 m geofence needs an address, not a city). Only written
+// while the location is still the one geocoded. Returns whether it was placed.
+transferSchema.statics.geocodeDrop = async function(transfer) {
+  const location = transfer.transfer_details.drop_location;
+
+  try {
+    const airport = airportDatabase.getAirport(transfer.flight_details?.arrival_airport);
+    const query = airport?.city && !location.toLowerCase().includes(airport.city.toLowerCase())
+      ? `${location}, ${airport.city}`
+      : location;
+    const place = await geocodingService.getCoordinates(query, { country: airport?.country, minPrecision: 'address' });
+
+    const update = place
+      ? {
+        $set: {
+          'transfer_details.drop_coordinates': { latitude: place.latitude, longitude: place.longitude },
+          'transfer_details.drop_geocode_pending': false
+        }
+      }
+      : { $inc: { 'transfer_details.drop_geocode_attempts': 1 } };
+    const result = await this.updateOne({
+      _id: transfer._id,
+      'transfer_details.drop_location': location,
+      'transfer_details.drop_geocode_pending': true
+    }, update);
+
+    return !!place && result.modifiedCount > 0;
+  } catch (error) {
+    console.warn(`⚠️ Geocoding the drop location of ${transfer._id} failed: ${error.message}`);
+    return false;
+  }
+};
+
+// Retry drop locations still pending (provider down, restart before the
+// post-save lookup), up to DROP_GEOCODE_MAX_ATTEMPTS runs each
+transferSchema.statics.geocodePendingDrops = async function({ limit = 50 } = {}) {
+  const transfers = await this.find({
+    'transfer_details.drop_geocode_pending': true,
+    'transfer_details.drop_geocode_attempts': { $lt: DROP_GEOCODE_MAX_ATTEMPTS },
+    'transfer_details.transfer_status': { $nin: ['completed', 'cancelled'] }
+  }).limit(limit);
+
+  let placed = 0;
+  for (const transfer of transfers) {
+    if (await this.geocodeDrop(transfer)) placed++;
+  }
+  return { checked: transfers.length, placed };
+};
+
 // Ensure virtual fields are included in JSON output
 transferSchema.set('toJSON', { virtuals: true });
 transferSchema.set('toObject', { virtuals: true });
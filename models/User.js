@@ -77,6 +77,12 @@ const userSchema = new mongoose.Schema({
       return this.role === 'DRIVER';
     }
   },
+  // Hotel recommendation scoring profile for this client's travel preferences (config/scoringProfiles.js)
+  scoringProfile: {
+    type: String,
+    trim: true,
+    default: null
+  },
   // Customer-specific data
   customerTransfers: [{
     type: String,
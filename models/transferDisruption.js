@@ -0,0 +1,222 @@
+/**
+ * Transfer Disruption Workflow
+ *
+ * A diverted or cancelled flight opens a disruption on the transfer instead of
+ * cancelling it. transitionFlightTo() opens it; ops close it by rebooking the
+ * guest on a replacement flight or by resolving it by hand.
+ *
+ * - Diversion: the new arrival airport becomes flight_details.arrival_airport
+ *   and the transfer is flagged for re-dispatch (dispatch.status 'redispatch').
+ * - Cancellation: the transfer waits for a replacement flight.
+ *
+ * Either way a driver who has not set off yet is released. Replaced flights
+ * are kept in flight_history. Guest and vendor messages go out after the save.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Snapshot of the current flight for flight_history
+const snapshotFlight = (flight, reason, at) => ({
+  flight_no: flight.flight_no,
+  flight_date: flight.flight_date,
+  airline: flight.airline,
+  departure_airport: flight.departure_airport,
+  arrival_airport: flight.arrival_airport,
+  departure_time: flight.departure_time,
+  arrival_time: flight.arrival_time,
+  status: flight.status,
+  replaced_at: at,
+  reason
+});
+
+const queueEffect = (transfer, to) => {
+  transfer.$locals.transitionEffects = transfer.$locals.transitionEffects || [];
+  transfer.$locals.transitionEffects.push({ field: 'disruption', to });
+};
+
+/**
+ * Install the disruption methods on the Transfer schema
+ * @param {mongoose.Schema} schema - Transfer schema
+ */
+const applyDisruptionWorkflow = (schema) => {
+  schema.methods.hasOpenDisruption = function(type = null) {
+    return !!(this.disruption && this.disruption.status === 'open' && (!type || this.disruption.type === type));
+  };
+
+  /**
+   * Open (or update) a disruption. Doesn't save.
+   * @param {string} type - 'diversion' or 'cancellation'
+   * @param {Object} options - { by, reason, divertedTo, at }
+   */
+  schema.methods.openDisruption = function(type, { by = 'system', reason = '', divertedTo = null, at = new Date() } = {}) {
+    const flight = this.flight_details;
+    divertedTo = divertedTo ? String(divertedTo).toUpperCase() : null;
+
+    // A diversion airport reported after the diversion itself
+    if (this.hasOpenDisruption(type)) {
+      if (type === 'diversion' && divertedTo && divertedTo !== flight.arrival_airport) {
+        this.flight_history.push(snapshotFlight(flight, 'diversion', at));
+        flight.arrival_airport = divertedTo;
+        this.disruption.diverted_to = divertedTo;
+        this.audit_log.push({
+          action: 'disruption_opened',
+          timestamp: at,
+          by,
+          details: `Flight ${flight.flight_no} diverted to ${divertedTo}`
+        });
+        queueEffect(this, type);
+      }
+      return this.disruption;
+    }
+
+    const originalArrival = flight.arrival_airport;
+    if (type === 'diversion' && divertedTo && divertedTo !== originalArrival) {
+      this.flight_history.push(snapshotFlight(flight, 'diversion', at));
+      flight.arrival_airport = divertedTo;
+    }
+
+    this.disruption = {
+      type,
+      status: 'open',
+      opened_at: at,
+      opened_by: by,
+      flight_no: flight.flight_no,
+      original_arrival_airport: originalArrival,
+      diverted_to: type === 'diversion' ? divertedTo : null,
+      notes: reason || undefined
+    };
+
+    // The pickup moves, so a driver who hasn't left yet is freed up
+    const driver = this.assigned_driver_details;
+    if (driver && this.transfer_details.transfer_status === 'assigned') {
+      this.transitionTo('pending', { by, reason: `flight ${type}` });
+      this.disruption.released_driver_id = driver.driver_id;
+      this.audit_log.push({
+        action: 'driver_updated',
+        timestamp: at,
+        by,
+        details: `Driver ${driver.name} (${driver.driver_id}) released after flight ${type}`
+      });
+      this.assigned_driver_details = null;
+    }
+
+    if (type === 'diversion') {
+      this.transfer_details.dispatch = {
+        status: 'redispatch',
+        driver_id: null,
+        score: null,
+        explanation: `Flight ${flight.flight_no} diverted` +
+          `${divertedTo ? ` from ${originalArrival} to ${divertedTo}` : ''}; pickup needs a driver again`,
+        evaluated_at: at
+      };
+    }
+
+    this.audit_log.push({
+      action: 'disruption_opened',
+      timestamp: at,
+      by,
+      details: type === 'diversion'
+        ? `Flight ${flight.flight_no} diverted${divertedTo ? ` to ${divertedTo}` : ''}`
+        : `Flight ${flight.flight_no} cancelled; waiting for a replacement flight`
+    });
+    queueEffect(this, type);
+
+    return this.disruption;
+  };
+
+  /**
+   * Move the transfer onto a replacement flight, keeping the old one in
+   * flight_history, and re-plan the pickup from the new arrival.
+   * Closes the open disruption. Doesn't save.
+   * @param {Object} replacement - flight_details fields of the new flight
+   * @param {Object} options - { by, notes, at }
+   */
+  schema.methods.rebookFlight = function(replacement, { by = 'system', notes = '', at = new Date() } = {}) {
+    const flight = this.flight_details;
+    const previous = flight.flight_no;
+    const previousPickup = this.transfer_details.estimated_pickup_time;
+
+    this.flight_history.push(snapshotFlight(flight, 'rebooking', at));
+
+    // A new flight: its status starts fresh rather than following the old one's transitions
+    Object.assign(flight, {
+      flight_no: replacement.flight_no,
+      airline: replacement.airline || flight.airline,
+      departure_airport: replacement.departure_airport,
+      arrival_airport: replacement.arrival_airport,
+      departure_time: replacement.departure_time,
+      arrival_time: replacement.arrival_time,
+      actual_arrival_time: null,
+      status: replacement.status || 'on_time',
+      delay_minutes: 0,
+      gate: replacement.gate || undefined,
+      terminal: replacement.terminal || undefined
+    });
+    this.updateFlightTimes({
+      delayMinutes: replacement.delay_minutes || 0,
+      actualArrival: replacement.actual_arrival_time,
+      by
+    });
+    const shiftMs = new Date(this.transfer_details.estimated_pickup_time) - new Date(previousPickup);
+
+    if (this.hasOpenDisruption()) {
+      Object.assign(this.disruption, {
+        status: 'resolved',
+        replacement_flight_no: flight.flight_no,
+        resolved_at: at,
+        resolved_by: by,
+        notes: notes || this.disruption.notes
+      });
+    }
+
+    this.audit_log.push({
+      action: 'flight_rebooked',
+      timestamp: at,
+      by,
+      details: `Rebooked from ${previous} to ${flight.flight_no}; pickup moved by ` +
+        `${Math.round(shiftMs / MINUTE_MS)} min${notes ? ` (${notes})` : ''}`
+    });
+    queueEffect(this, 'rebooked');
+
+    return this;
+  };
+
+  /**
+   * Close the open disruption without a replacement flight. Doesn't save.
+   * @param {Object} options - { by, notes, at }
+   */
+  schema.methods.resolveDisruption = function({ by = 'system', notes = '', at = new Date() } = {}) {
+    if (!this.hasOpenDisruption()) return null;
+
+    Object.assign(this.disruption, {
+      status: 'resolved',
+      resolved_at: at,
+      resolved_by: by,
+      notes: notes || this.disruption.notes
+    });
+    this.audit_log.push({
+      action: 'disruption_resolved',
+      timestamp: at,
+      by,
+      details: `Flight ${this.disruption.type} resolved${notes ? ` (${notes})` : ''}`
+    });
+
+    return this.disruption;
+  };
+};
+
+// Guest and vendor messages for disruption changes, after the save
+const runDisruptionEffects = async (transfer, { to }) => {
+  const notificationService = require('../services/notificationService');
+
+  if (to === 'rebooked') {
+    await notificationService.sendTransferRebookedNotification(transfer);
+  } else {
+    await notificationService.sendFlightDisruptionNotification(transfer);
+  }
+};
+
+module.exports = {
+  applyDisruptionWorkflow,
+  runDisruptionEffects
+};
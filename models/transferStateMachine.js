@@ -0,0 +1,339 @@
+/**
+ * Transfer State Machine
+ *
+ * Single definition of the allowed transfer_status and flight_details.status
+ * transitions, who may trigger each one, and their side effects. Attached to
+ * the Transfer model as transitionTo() / transitionFlightTo(); every route and
+ * service changes status through those methods.
+ *
+ * Illegal transitions throw a TransitionError (status 409).
+ *
+ * A flight moving to `diverted` or `cancelled` opens a disruption on the
+ * transfer (see transferDisruption.js) rather than cancelling it.
+ */
+
+const { runDisruptionEffects } = require('./transferDisruption');
+
+const OPS = ['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER'];
+const VENDOR = ['VENDOR_MANAGER', 'VENDOR'];
+const FIELD = [...OPS, ...VENDOR, 'DRIVER'];
+// Automated actors (geofences, flight sync, cron jobs)
+const SYSTEM = 'system';
+
+// transfer_status: from → { to: roles allowed }
+const TRANSFER_TRANSITIONS = {
+  pending: {
+    assigned: [...OPS, ...VENDOR, SYSTEM],
+    cancelled: [...OPS, ...VENDOR, SYSTEM]
+  },
+  assigned: {
+    pending: [...OPS, SYSTEM],
+    enroute: [...FIELD, SYSTEM],
+    waiting: [...FIELD, SYSTEM],
+    cancelled: [...OPS, ...VENDOR, SYSTEM]
+  },
+  enroute: {
+    assigned: [...OPS, ...VENDOR],
+    waiting: [...FIELD, SYSTEM],
+    in_progress: [...FIELD, SYSTEM],
+    cancelled: [...OPS, ...VENDOR, SYSTEM]
+  },
+  waiting: {
+    assigned: [...OPS, ...VENDOR],
+    in_progress: [...FIELD, SYSTEM],
+    cancelled: [...OPS, ...VENDOR, SYSTEM]
+  },
+  in_progress: {
+    completed: [...FIELD, SYSTEM]
+  },
+  completed: {},
+  cancelled: {
+    pending: [...OPS]
+  }
+};
+
+// flight_details.status: from → { to: roles allowed }
+const FLIGHT_TRANSITIONS = {
+  on_time: {
+    delayed: [...OPS, SYSTEM],
+    boarding: [...OPS, SYSTEM],
+    departed: [...OPS, SYSTEM],
+    diverted: [...OPS, SYSTEM],
+    landed: [...OPS, SYSTEM],
+    cancelled: [...OPS, SYSTEM]
+  },
+  delayed: {
+    on_time: [...OPS, SYSTEM],
+    boarding: [...OPS, SYSTEM],
+    departed: [...OPS, SYSTEM],
+    diverted: [...OPS, SYSTEM],
+    landed: [...OPS, SYSTEM],
+    cancelled: [...OPS, SYSTEM]
+  },
+  boarding: {
+    delayed: [...OPS, SYSTEM],
+    departed: [...OPS, SYSTEM],
+    landed: [...OPS, SYSTEM],
+    cancelled: [...OPS, SYSTEM]
+  },
+  departed: {
+    on_time: [...OPS, SYSTEM],
+    delayed: [...OPS, SYSTEM],
+    diverted: [...OPS, SYSTEM],
+    landed: [...OPS, SYSTEM]
+  },
+  diverted: {
+    landed: [...OPS, SYSTEM],
+    cancelled: [...OPS, SYSTEM]
+  },
+  landed: {},
+  cancelled: {
+    on_time: [...OPS],
+    delayed: [...OPS]
+  }
+};
+
+// Driver status that goes with each transfer status
+const DRIVER_STATUS_FOR = {
+  assigned: 'assigned',
+  enroute: 'enroute',
+  waiting: 'waiting',
+  in_progress: 'enroute',
+  completed: 'completed',
+  cancelled: 'cancelled'
+};
+
+// Driver status updates (PUT .../driver/status) expressed as transfer statuses
+const TRANSFER_STATUS_FOR_DRIVER = {
+  assigned: 'assigned',
+  enroute: 'enroute',
+  waiting: 'waiting',
+  completed: 'completed',
+  cancelled: 'cancelled'
+};
+
+// Minutes after the planned pickup that still count as on time (vendor performance)
+const ON_TIME_GRACE_MINUTES = 15;
+
+class TransitionError extends Error {
+  constructor(message, { field, from, to, role } = {}) {
+    super(message);
+    this.name = 'TransitionError';
+    this.status = 409;
+    this.field = field;
+    this.from = from;
+    this.to = to;
+    this.role = role;
+  }
+
+  toResponse() {
+    return {
+      success: false,
+      message: this.message,
+      field: this.field,
+      from: this.from,
+      to: this.to
+    };
+  }
+}
+
+/**
+ * Check a transition against a transition table
+ * @returns {Object} { allowed, reason }
+ */
+const checkTransition = (table, from, to, role) => {
+  if (!table[to]) {
+    return { allowed: false, reason: `Unknown status: ${to}` };
+  }
+  if (from === to) {
+    return { allowed: true };
+  }
+
+  const roles = table[from]?.[to];
+  if (!roles) {
+    return { allowed: false, reason: `Cannot change status from ${from} to ${to}` };
+  }
+  if (!roles.includes(role)) {
+    return { allowed: false, reason: `${role} cannot change status from ${from} to ${to}` };
+  }
+  return { allowed: true };
+};
+
+/**
+ * Map a driver status to the transfer status it implies. A driver reporting
+ * `enroute` after pickup keeps the transfer in_progress.
+ */
+const transferStatusForDriver = (driverStatus, currentTransferStatus) => {
+  if (driverStatus === 'enroute' && currentTransferStatus === 'in_progress') {
+    return 'in_progress';
+  }
+  return TRANSFER_STATUS_FOR_DRIVER[driverStatus] || null;
+};
+
+/**
+ * Install the state machine on the Transfer schema
+ * @param {mongoose.Schema} schema - Transfer schema
+ */
+const applyStateMachine = (schema) => {
+  /**
+   * Whether this transfer may move to a status
+   * @returns {Object} { allowed, reason }
+   */
+  schema.methods.canTransition = function(to, role = SYSTEM) {
+    return checkTransition(TRANSFER_TRANSITIONS, this.transfer_details.transfer_status, to, role);
+  };
+
+  /**
+   * Move transfer_status, keeping the driver status, timestamps and audit log
+   * in step. Notifications and vendor performance run after the next save.
+   * @param {string} to - Target transfer_status
+   * @param {Object} options - { role, by, reason, at }
+   * @returns {Object} { from, to, changed }
+   */
+  schema.methods.transitionTo = function(to, { role = SYSTEM, by = SYSTEM, reason = '', at = new Date() } = {}) {
+    const from = this.transfer_details.transfer_status;
+    const check = checkTransition(TRANSFER_TRANSITIONS, from, to, role);
+    if (!check.allowed) {
+      throw new TransitionError(check.reason, { field: 'transfer_status', from, to, role });
+    }
+    if (from === to) {
+      return { from, to, changed: false };
+    }
+
+    this.transfer_details.transfer_status = to;
+
+    if (this.assigned_driver_details && DRIVER_STATUS_FOR[to]) {
+      this.assigned_driver_details.status = DRIVER_STATUS_FOR[to];
+    }
+    if (to === 'in_progress' && !this.transfer_details.actual_pickup_time) {
+      this.transfer_details.actual_pickup_time = at;
+    }
+    if (to === 'completed' && !this.transfer_details.actual_drop_time) {
+      this.transfer_details.actual_drop_time = at;
+    }
+
+    const action = ['completed', 'cancelled'].includes(to) ? to : 'status_changed';
+    this.audit_log.push({
+      action,
+      timestamp: at,
+      by,
+      details: `Transfer status changed from ${from} to ${to}${reason ? ` (${reason})` : ''}`
+    });
+
+    this.$locals.transitionEffects = this.$locals.transitionEffects || [];
+    this.$locals.transitionEffects.push({ field: 'transfer_status', from, to, reason });
+
+    return { from, to, changed: true };
+  };
+
+  /**
+   * Move flight_details.status with an audit entry. Diversions and
+   * cancellations open a disruption; reinstating a cancelled flight closes it.
+   * @param {string} to - Target flight status
+   * @param {Object} options - { role, by, reason, at, divertedTo }
+   * @returns {Object} { from, to, changed }
+   */
+  schema.methods.transitionFlightTo = function(to, { role = SYSTEM, by = SYSTEM, reason = '', at = new Date(), divertedTo = null } = {}) {
+    const from = this.flight_details.status;
+    const check = checkTransition(FLIGHT_TRANSITIONS, from, to, role);
+    if (!check.allowed) {
+      throw new TransitionError(check.reason, { field: 'flight_status', from, to, role });
+    }
+    if (from === to) {
+      // Where a diverted flight lands may only be known later
+      if (to === 'diverted' && divertedTo) {
+        this.openDisruption('diversion', { by, divertedTo, at });
+      }
+      return { from, to, changed: false };
+    }
+
+    this.flight_details.status = to;
+    this.audit_log.push({
+      action: 'flight_updated',
+      timestamp: at,
+      by,
+      details: `Flight status changed from ${from} to ${to}${reason ? ` (${reason})` : ''}`
+    });
+
+    if (to === 'diverted') {
+      this.openDisruption('diversion', { by, divertedTo, at });
+    } else if (to === 'cancelled') {
+      this.openDisruption('cancellation', { by, at });
+    } else if (from === 'cancelled' && this.hasOpenDisruption('cancellation')) {
+      this.resolveDisruption({ by, notes: 'flight reinstated', at });
+    }
+
+    return { from, to, changed: true };
+  };
+
+  // Side effects of transfer transitions, once the change is persisted
+  schema.post('save', async function(doc) {
+    const effects = doc.$locals.transitionEffects;
+    if (!effects || effects.length === 0) return;
+    doc.$locals.transitionEffects = [];
+
+    for (const effect of effects) {
+      try {
+        await runTransitionEffects(doc, effect);
+      } catch (error) {
+        console.error(`Error running ${effect.from} → ${effect.to} side effects for ${doc._id}:`, error.message);
+      }
+    }
+  });
+};
+
+const runTransitionEffects = async (transfer, { field, from, to, reason }) => {
+  if (field === 'disruption') {
+    return runDisruptionEffects(transfer, { to });
+  }
+
+  // Required lazily: both services depend on the Transfer model
+  const notificationService = require('../services/notificationService');
+
+  if (field === 'pickup') {
+    return notificationService.sendPickupRescheduledNotification(transfer, from);
+  }
+
+  switch (to) {
+    case 'in_progress':
+      await notificationService.sendTravelerPickedUpNotification(transfer);
+      break;
+    case 'waiting':
+      await notificationService.sendDriverWaitingNotification(transfer);
+      break;
+    case 'completed':
+      await notificationService.sendTransferCompletionNotification(transfer);
+      await updateVendorPerformance(transfer, 'completed');
+      break;
+    case 'cancelled':
+      await notificationService.sendTransferCancellationNotification(transfer, reason);
+      await updateVendorPerformance(transfer, 'cancelled');
+      break;
+  }
+};
+
+const updateVendorPerformance = async (transfer, outcome) => {
+  const vendorId = transfer.vendor_details?.vendor_id;
+  if (!vendorId) return;
+
+  const Vendor = require('./Vendor');
+  const vendor = await Vendor.findOne({ vendorId: vendorId.toUpperCase() });
+  if (!vendor) return;
+
+  const planned = transfer.transfer_details.estimated_pickup_time;
+  const actual = transfer.transfer_details.actual_pickup_time;
+  const onTime = !!(planned && actual &&
+    new Date(actual) <= new Date(new Date(planned).getTime() + ON_TIME_GRACE_MINUTES * 60 * 1000));
+
+  vendor.updatePerformance(outcome, null, onTime);
+  await vendor.save();
+};
+
+module.exports = {
+  TRANSFER_TRANSITIONS,
+  FLIGHT_TRANSITIONS,
+  DRIVER_STATUS_FOR,
+  TransitionError,
+  transferStatusForDriver,
+  applyStateMachine
+};
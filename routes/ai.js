@@ -5,11 +5,16 @@ const {
   predictAllActiveDelays,
   getHighRiskFlights,
   getAIDashboard,
-  recordActualDelay
+  recordActualDelay,
+  getDelayModels,
+  retrainDelayModel,
+  activateDelayModel,
+  getPredictionAccuracy,
+  backtestDelayModels
 } = require('../controllers/aiController');
 
 // Import authentication middleware
-const { optionalAuth } = require('../middleware/auth');
+const { optionalAuth, authenticate, authorize } = require('../middleware/auth');
 
 // Use optional auth for demo mode compatibility
 // In production, change to 'authenticate' for required authentication
@@ -45,9 +50,44 @@ router.get('/dashboard', optionalAuth, getAIDashboard);
 /**
  * @route   POST /api/ai/train/:transferId
  * @desc    Record actual delay for ML training
- * @access  Public (with optional auth)
+ * @access  Private (Admin, Operations Manager)
+ */
+router.post('/train/:transferId', authenticate, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER'), recordActualDelay);
+
+/**
+ * @route   GET /api/ai/models
+ * @desc    List delay model versions with their training metrics
+ * @access  Private (Admin, Operations Manager)
+ */
+router.get('/models', authenticate, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER'), getDelayModels);
+
+/**
+ * @route   POST /api/ai/models/retrain
+ * @desc    Fit a new delay model version from recorded outcomes and activate it
+ * @access  Private (Admin)
+ */
+router.post('/models/retrain', authenticate, authorize('SUPER_ADMIN', 'ADMIN'), retrainDelayModel);
+
+/**
+ * @route   POST /api/ai/models/:version/activate
+ * @desc    Use another delay model version for predictions
+ * @access  Private (Admin)
+ */
+router.post('/models/:version/activate', authenticate, authorize('SUPER_ADMIN', 'ADMIN'), activateDelayModel);
+
+/**
+ * @route   GET /api/ai/accuracy
+ * @desc    Accuracy of stored predictions against landed flights (MAE, calibration, per airline)
+ * @access  Private (Admin, Operations Manager)
+ */
+router.get('/accuracy', authenticate, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER'), getPredictionAccuracy);
+
+/**
+ * @route   GET /api/ai/backtest
+ * @desc    Replay landed transfers through delay model versions and compare their accuracy
+ * @access  Private (Admin, Operations Manager)
  */
-router.post('/train/:transferId', optionalAuth, recordActualDelay);
+router.get('/backtest', authenticate, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER'), backtestDelayModels);
 
 module.exports = router;
 
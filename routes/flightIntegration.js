@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const FlightIntegrationService = require('../services/flightIntegrationService');
+const flightProviders = require('../services/flightProviders');
 const Transfer = require('../models/Transfer');
 const { authenticate, authorize } = require('../middleware/auth');
+const { TransitionError } = require('../models/transferStateMachine');
 
 // Initialize flight integration service
 const flightIntegrationService = new FlightIntegrationService();
@@ -50,7 +52,7 @@ router.get('/status', authenticate, authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATIO
       isRunning: flightIntegrationService.isRunning,
       updateInterval: flightIntegrationService.updateInterval,
       lastUpdate: new Date(),
-      apiKey: flightIntegrationService.apiKey ? 'configured' : 'not configured'
+      providers: flightProviders.getStatus()
     };
     
     res.json({
@@ -90,7 +92,8 @@ router.post('/update-flight/:flightNumber', authenticate, authorize(['SUPER_ADMI
   try {
     const { flightNumber } = req.params;
     
-    const transfers = await Transfer.find({ 'flight_details.flight_no': flightNumber.toUpperCase() });
+    // Optional ?date=YYYY-MM-DD limits the update to one day's operation
+    const transfers = await Transfer.findByFlightNumber(flightNumber, req.query.date || null);
     
     if (transfers.length === 0) {
       return res.status(404).json({
@@ -266,7 +269,8 @@ router.get('/flight/:flightNumber', authenticate, authorize(['SUPER_ADMIN', 'ADM
   try {
     const { flightNumber } = req.params;
     
-    const flightData = await flightIntegrationService.getFlightData(flightNumber);
+    // ?date=YYYY-MM-DD (departure date at the origin) picks one day's operation
+    const flightData = await flightIntegrationService.getFlightData(flightNumber, req.query.date || null);
     
     if (!flightData) {
       return res.status(404).json({
@@ -289,6 +293,87 @@ router.get('/flight/:flightNumber', authenticate, authorize(['SUPER_ADMIN', 'ADM
   }
 });
 
+// Flight simulator state (dev and demos only)
+router.get('/simulator', authenticate, authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER']), async (req, res) => {
+  res.json({
+    success: true,
+    simulator: flightProviders.simulator.getStatus()
+  });
+});
+
+// Play a scripted scenario for a flight
+router.post('/simulator/scenarios', authenticate, authorize(['SUPER_ADMIN', 'ADMIN']), async (req, res) => {
+  try {
+    if (!flightProviders.isSimulating()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Flight simulator is not enabled (FLIGHT_SIMULATOR_ENABLED=true, not in production)'
+      });
+    }
+
+    const { flightNumber, scenario, departInMinutes } = req.body;
+
+    if (!flightNumber || !scenario) {
+      return res.status(400).json({
+        success: false,
+        message: 'Flight number and scenario are required',
+        scenarios: flightProviders.simulator.getScenarios()
+      });
+    }
+
+    const timeline = flightProviders.simulator.setScenario(flightNumber, scenario,
+      departInMinutes != null ? { departInMinutes: Number(departInMinutes) } : {});
+
+    res.json({
+      success: true,
+      message: `Scenario ${scenario} started for ${timeline.flightNo}`,
+      flightData: await flightProviders.getFlight(timeline.flightNo)
+    });
+  } catch (error) {
+    console.error('Set simulator scenario error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to set simulator scenario',
+      error: error.message
+    });
+  }
+});
+
+// Move the virtual clock: { advanceMinutes }, { speed } or { reset: true, at }
+router.post('/simulator/clock', authenticate, authorize(['SUPER_ADMIN', 'ADMIN']), async (req, res) => {
+  if (!flightProviders.isSimulating()) {
+    return res.status(409).json({
+      success: false,
+      message: 'Flight simulator is not enabled (FLIGHT_SIMULATOR_ENABLED=true, not in production)'
+    });
+  }
+
+  const { advanceMinutes, speed, reset, at } = req.body;
+  const simulator = flightProviders.simulator;
+
+  if (reset) {
+    simulator.resetClock({ at, speed: speed ? Number(speed) : null });
+  } else {
+    if (speed != null) {
+      if (!(Number(speed) > 0)) {
+        return res.status(400).json({ success: false, message: 'Speed must be a positive number' });
+      }
+      simulator.setSpeed(Number(speed));
+    }
+    if (advanceMinutes != null) {
+      if (!Number.isFinite(Number(advanceMinutes))) {
+        return res.status(400).json({ success: false, message: 'advanceMinutes must be a number' });
+      }
+      simulator.advanceClock(Number(advanceMinutes));
+    }
+  }
+
+  res.json({
+    success: true,
+    simulator: simulator.getStatus()
+  });
+});
+
 // Get transfers by customer
 router.get('/customer/:customerId', authenticate, authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER', 'CUSTOMER']), async (req, res) => {
   try {
@@ -355,7 +440,7 @@ router.patch('/transfer/:transferId/status', authenticate, authorize(['SUPER_ADM
       });
     }
     
-    await transfer.updateStatus(status, req.user.username, notes);
+    await transfer.updateStatus(status, req.user.username, notes, req.user.role);
     
     res.json({
       success: true,
@@ -367,6 +452,9 @@ router.patch('/transfer/:transferId/status', authenticate, authorize(['SUPER_ADM
       }
     });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json(error.toResponse());
+    }
     console.error('Update transfer status error:', error);
     res.status(500).json({
       success: false,
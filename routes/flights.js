@@ -17,6 +17,7 @@ const {
   validateFlightStatusUpdate,
   validateQueryParams
 } = require('../middleware/validation');
+const { authenticate, authorize } = require('../middleware/auth');
 
 /**
  * @route   GET /api/flights/:flight_no
@@ -35,9 +36,9 @@ router.get('/attention/required', validateQueryParams, getFlightsRequiringAttent
 /**
  * @route   PUT /api/flights/transfers/:id/status
  * @desc    Update flight status for a specific transfer
- * @access  Public (should be protected in production)
+ * @access  Private (Admin, Operations Manager)
  */
-router.put('/transfers/:id/status', validateApexId, validateFlightStatusUpdate, updateTransferFlightStatus);
+router.put('/transfers/:id/status', authenticate, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER'), validateApexId, validateFlightStatusUpdate, updateTransferFlightStatus);
 
 /**
  * @route   POST /api/flights/transfers/:id/sync
@@ -9,9 +9,14 @@ const {
   getNotificationHistory,
   updateNotificationPreferences,
   sendBulkNotifications,
-  getNotificationStats
+  getNotificationStats,
+  handleDeliveryStatusWebhook,
+  getOutboxEntries,
+  retryOutboxEntry
 } = require('../controllers/notificationController');
 
+const { authenticate, authorize } = require('../middleware/auth');
+
 // Import validation middleware
 const {
   validateNotification,
@@ -68,4 +73,25 @@ router.post('/bulk/send', sendBulkNotifications);
  */
 router.get('/stats', validateQueryParams, getNotificationStats);
 
+/**
+ * @route   POST /api/notifications/webhooks/:provider/status
+ * @desc    Delivery status callback from a notification provider (e.g. Twilio StatusCallback)
+ * @access  Provider (Twilio signature or NOTIFICATION_WEBHOOK_SECRET)
+ */
+router.post('/webhooks/:provider/status', handleDeliveryStatusWebhook);
+
+/**
+ * @route   GET /api/notifications/outbox
+ * @desc    List notification outbox entries (dead letters by default)
+ * @access  Private (Admin, Operations Manager)
+ */
+router.get('/outbox', authenticate, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER'), getOutboxEntries);
+
+/**
+ * @route   POST /api/notifications/outbox/:outboxId/retry
+ * @desc    Requeue a failed or dead-lettered notification
+ * @access  Private (Admin, Operations Manager)
+ */
+router.post('/outbox/:outboxId/retry', authenticate, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER'), retryOutboxEntry);
+
 module.exports = router;
@@ -5,6 +5,8 @@ const router = express.Router();
 const {
   getTransferForTracking,
   updateDriverLocation,
+  streamTransferUpdates,
+  getRouteHistory,
   getTrackingHistory
 } = require('../controllers/trackingController');
 
@@ -12,7 +14,7 @@ const {
 const { validateApexId } = require('../middleware/validation');
 
 // Import authentication middleware
-const { optionalAuth } = require('../middleware/auth');
+const { authenticate, authorizeResource, tokenFromQuery } = require('../middleware/auth');
 
 /**
  * @route   GET /api/tracking/:id
@@ -24,9 +26,24 @@ router.get('/:id', validateApexId, getTransferForTracking);
 /**
  * @route   PUT /api/tracking/:id/location
  * @desc    Update driver location (for drivers)
- * @access  Private (Driver, Admin, Operations Manager)
+ * @access  Private (assigned Driver, Vendor, Admin, Operations Manager)
  */
-router.put('/:id/location', optionalAuth, validateApexId, updateDriverLocation);
+router.put('/:id/location', authenticate, validateApexId, updateDriverLocation);
+
+/**
+ * @route   GET /api/tracking/:id/stream
+ * @desc    Live driver location, transfer status and flight updates (Server-Sent Events).
+ *          EventSource clients pass the JWT as ?access_token=
+ * @access  Private (same access rules as GET /api/transfers/:id)
+ */
+router.get('/:id/stream', tokenFromQuery, authenticate, validateApexId, authorizeResource('transfer'), streamTransferUpdates);
+
+/**
+ * @route   GET /api/tracking/:id/route
+ * @desc    Full recorded route with encoded polyline, distance and duration (?from=&to= to narrow)
+ * @access  Private (same access rules as GET /api/transfers/:id)
+ */
+router.get('/:id/route', authenticate, validateApexId, authorizeResource('transfer'), getRouteHistory);
 
 /**
  * @route   GET /api/tracking/:id/history
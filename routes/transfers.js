@@ -13,7 +13,12 @@ const {
   deleteTransfer,
   getTransferStats,
   updateClientDetails,
-  assignTraveler
+  assignTraveler,
+  getDispatchProposal,
+  autoDispatchTransfer,
+  getDisruptions,
+  rebookTransfer,
+  resolveTransferDisruption
 } = require('../controllers/transferController');
 
 // Import validation middleware
@@ -23,7 +28,8 @@ const {
   validateDriverStatusUpdate,
   validateDriverConfirmAction,
   validateQueryParams,
-  validateApexId
+  validateApexId,
+  validateFlightRebooking
 } = require('../middleware/validation');
 
 // Import authentication middleware
@@ -55,6 +61,13 @@ router.get('/', authenticate, validateQueryParams, getTransfers);
  */
 router.get('/stats', authenticate, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER', 'VENDOR_MANAGER'), getTransferStats);
 
+/**
+ * @route   GET /api/transfers/disruptions
+ * @desc    Transfers whose flight was diverted or cancelled (?status=open|resolved, ?type=diversion|cancellation)
+ * @access  Private (Admin, Operations Manager)
+ */
+router.get('/disruptions', authenticate, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER'), getDisruptions);
+
 /**
  * @route   GET /api/transfers/:id
  * @desc    Get transfer by Apex ID
@@ -76,6 +89,34 @@ router.put('/:id', authenticate, validateApexId, authorize('SUPER_ADMIN', 'ADMIN
  */
 router.put('/:id/driver', authenticate, validateApexId, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER', 'VENDOR_MANAGER', 'VENDOR'), authorizeResource('transfer'), validateDriverAssignment, assignDriver);
 
+/**
+ * @route   GET /api/transfers/:id/dispatch
+ * @desc    Rank the vendor's drivers for a transfer, with reasons
+ * @access  Private (Admin, Operations Manager, Vendor Manager)
+ */
+router.get('/:id/dispatch', authenticate, validateApexId, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER', 'VENDOR_MANAGER'), authorizeResource('transfer'), getDispatchProposal);
+
+/**
+ * @route   POST /api/transfers/:id/dispatch
+ * @desc    Auto-dispatch a pending transfer (body `assign: false` only proposes)
+ * @access  Private (Admin, Operations Manager, Vendor Manager)
+ */
+router.post('/:id/dispatch', authenticate, validateApexId, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER', 'VENDOR_MANAGER'), authorizeResource('transfer'), autoDispatchTransfer);
+
+/**
+ * @route   POST /api/transfers/:id/rebook
+ * @desc    Move the transfer onto a replacement flight; reschedules pickup and re-notifies guest and vendor
+ * @access  Private (Admin, Operations Manager)
+ */
+router.post('/:id/rebook', authenticate, validateApexId, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER'), validateFlightRebooking, rebookTransfer);
+
+/**
+ * @route   POST /api/transfers/:id/disruption/resolve
+ * @desc    Close a flight disruption without rebooking
+ * @access  Private (Admin, Operations Manager)
+ */
+router.post('/:id/disruption/resolve', authenticate, validateApexId, authorize('SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER'), resolveTransferDisruption);
+
 /**
  * @route   PUT /api/transfers/:id/driver/status
  * @desc    Update driver status
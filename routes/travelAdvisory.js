@@ -12,7 +12,17 @@ const {
   deletePreferences,
   getHotelLinks,
   getHotelCards,
-  searchCozyCozy
+  searchCozyCozy,
+  getHotelMatches,
+  reviewHotelMatch,
+  getScoringProfiles,
+  setClientScoringProfile,
+  createGroupBooking,
+  getGroupBookings,
+  getGroupBooking,
+  updateGroupBooking,
+  allocateGroupBooking,
+  exportGroupBooking
 } = require('../controllers/travelAdvisoryController');
 
 const { authenticate, authorize } = require('../middleware/auth');
@@ -97,6 +107,76 @@ router.get('/hotels/:hotelId/links', authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATI
  */
 router.get('/hotels/:hotelId/cards', authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER']), getHotelCards);
 
+/**
+ * @route   GET /api/travel-advisory/hotel-matches
+ * @desc    Hotel records that may be the same property, waiting for review
+ * @access  Private (Admin)
+ */
+router.get('/hotel-matches', authorize(['SUPER_ADMIN', 'ADMIN']), getHotelMatches);
+
+/**
+ * @route   POST /api/travel-advisory/hotel-matches/:matchId/review
+ * @desc    Merge or separate a matched pair of hotel records
+ * @access  Private (Admin)
+ */
+router.post('/hotel-matches/:matchId/review', authorize(['SUPER_ADMIN', 'ADMIN']), reviewHotelMatch);
+
+/**
+ * @route   GET /api/travel-advisory/scoring-profiles
+ * @desc    Recommendation scoring profiles with their weights and constraints
+ * @access  Private (Admin, Operations Manager)
+ */
+router.get('/scoring-profiles', authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER']), getScoringProfiles);
+
+/**
+ * @route   PUT /api/travel-advisory/clients/:clientId/scoring-profile
+ * @desc    Set the scoring profile used for a client's preferences by default
+ * @access  Private (Admin, Operations Manager)
+ */
+router.put('/clients/:clientId/scoring-profile', authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER']), setClientScoringProfile);
+
+/**
+ * @route   POST /api/travel-advisory/preferences/:preferenceId/groups
+ * @desc    Create a delegation (roster, room-sharing rules, budgets) for a conference
+ * @access  Private (Admin, Operations Manager)
+ */
+router.post('/preferences/:preferenceId/groups', authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER']), createGroupBooking);
+
+/**
+ * @route   GET /api/travel-advisory/preferences/:preferenceId/groups
+ * @desc    Delegations for a conference
+ * @access  Private (Admin, Operations Manager)
+ */
+router.get('/preferences/:preferenceId/groups', authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER']), getGroupBookings);
+
+/**
+ * @route   GET /api/travel-advisory/groups/:groupId
+ * @desc    Delegation with its allocation summary
+ * @access  Private (Admin, Operations Manager)
+ */
+router.get('/groups/:groupId', authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER']), getGroupBooking);
+
+/**
+ * @route   PUT /api/travel-advisory/groups/:groupId
+ * @desc    Update a delegation; an allocated one goes back to draft
+ * @access  Private (Admin, Operations Manager)
+ */
+router.put('/groups/:groupId', authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER']), updateGroupBooking);
+
+/**
+ * @route   POST /api/travel-advisory/groups/:groupId/allocate
+ * @desc    Allocate a delegation to hotel rooms and book them ({ dryRun: true } to plan only)
+ * @access  Private (Admin, Operations Manager)
+ */
+router.post('/groups/:groupId/allocate', authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER']), allocateGroupBooking);
+
+/**
+ * @route   GET /api/travel-advisory/groups/:groupId/export
+ * @desc    Delegation allocation summary (?format=csv for a spreadsheet)
+ * @access  Private (Admin, Operations Manager)
+ */
+router.get('/groups/:groupId/export', authorize(['SUPER_ADMIN', 'ADMIN', 'OPERATIONS_MANAGER']), exportGroupBooking);
+
 /**
  * @route   POST /api/travel-advisory/cozycozy/search
  * @desc    Search hotels via CozyCozy API
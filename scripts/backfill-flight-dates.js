@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Transfer = require('../models/Transfer');
+const timezoneService = require('../services/timezoneService');
+
+// Sets flight_details.flight_date (departure date at the origin airport) on
+// transfers saved before it existed. Safe to run more than once.
+async function backfillFlightDates() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/halo';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const transfers = await Transfer.find(
+      { 'flight_details.flight_date': { $exists: false } },
+      { 'flight_details.departure_time': 1, 'flight_details.departure_airport': 1 }
+    ).lean();
+    console.log(`\n🔄 Backfilling flight dates for ${transfers.length} transfers...`);
+
+    const operations = transfers
+      .map(transfer => ({
+        id: transfer._id,
+        date: timezoneService.getFlightDate(
+          transfer.flight_details.departure_time,
+          transfer.flight_details.departure_airport
+        )
+      }))
+      .filter(({ date }) => date)
+      .map(({ id, date }) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: { $set: { 'flight_details.flight_date': date } }
+        }
+      }));
+
+    if (operations.length > 0) {
+      const result = await Transfer.bulkWrite(operations);
+      console.log(`✅ Updated ${result.modifiedCount} transfers`);
+    }
+
+    console.log('\n✅ Backfill completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run backfill
+backfillFlightDates();
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Hotel = require('../models/Hotel');
+
+// availability.roomsAvailable used to default to 0, which group allocation
+// read as "no limit". 0 now means sold out and an unknown count is null, so
+// clear the old default. Nothing set the field before then, so run this once
+// right after upgrading: a later run would also clear real sold-out counts.
+async function clearDefaultHotelRooms() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/halo';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    console.log('\n🔄 Clearing default room counts...');
+    const result = await Hotel.updateMany(
+      { 'availability.roomsAvailable': 0 },
+      { $set: { 'availability.roomsAvailable': null } }
+    );
+    console.log(`✅ Updated ${result.modifiedCount} hotels`);
+
+    console.log('\n✅ Cleanup completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Cleanup failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run cleanup
+clearDefaultHotelRooms();
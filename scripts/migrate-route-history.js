@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Transfer = require('../models/Transfer');
+const LocationPing = require('../models/LocationPing');
+
+// Moves location_tracking.route_history, the embedded route of transfers
+// tracked before location_pings existed, into the location_pings collection
+// and removes it from the transfer. Points already copied (same timestamp) are
+// skipped, so an interrupted run can be repeated.
+async function migrateRouteHistory() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/halo';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    // Creates location_pings as a time-series collection if it does not exist yet
+    await LocationPing.init();
+
+    // route_history is no longer in the schema, so read the raw documents
+    const cursor = Transfer.collection.find(
+      { 'location_tracking.route_history.0': { $exists: true } },
+      { projection: { 'location_tracking.route_history': 1, 'assigned_driver_details.driver_id': 1 } }
+    );
+    console.log('\n🔄 Migrating embedded route histories...');
+
+    let transferCount = 0;
+    let pingCount = 0;
+    for await (const transfer of cursor) {
+      const copied = await LocationPing.find({ 'meta.transfer_id': transfer._id }, { timestamp: 1 }).lean();
+      const copiedTimes = new Set(copied.map(ping => new Date(ping.timestamp).getTime()));
+
+      const pings = transfer.location_tracking.route_history
+        .filter(point => point.latitude != null && point.longitude != null && point.timestamp)
+        .filter(point => !copiedTimes.has(new Date(point.timestamp).getTime()))
+        .map(point => ({
+          timestamp: point.timestamp,
+          meta: {
+            transfer_id: transfer._id,
+            driver_id: transfer.assigned_driver_details?.driver_id || null
+          },
+          latitude: point.latitude,
+          longitude: point.longitude,
+          address: point.address || '',
+          speed: point.speed ?? null,
+          heading: point.heading ?? null,
+          recorded_by: 'route_history'
+        }));
+
+      if (pings.length > 0) {
+        await LocationPing.insertMany(pings);
+        pingCount += pings.length;
+      }
+      await Transfer.collection.updateOne(
+        { _id: transfer._id },
+        { $unset: { 'location_tracking.route_history': '' } }
+      );
+      transferCount++;
+    }
+
+    console.log(`✅ Moved ${pingCount} points from ${transferCount} transfers`);
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrateRouteHistory();
@@ -111,9 +111,15 @@ const rateLimiter = process.env.NODE_ENV === 'production'
 
 app.use(rateLimiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing middleware. Delivery callbacks keep the body as sent, since
+// their signature covers it before sanitization
+const keepWebhookRawBody = (req, res, buf) => {
+  if (/\/webhooks\/[^/]+\/status/.test(req.originalUrl)) {
+    req.rawBody = buf.toString('utf8');
+  }
+};
+app.use(express.json({ limit: '10mb', verify: keepWebhookRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepWebhookRawBody }));
 
 // Input sanitization middleware (must be after body parsing)
 const { sanitize } = require('./middleware/sanitize');
@@ -132,7 +138,9 @@ const { auditLogger, logPermissionDenial } = require('./middleware/auditLogger')
 app.use(auditLogger);
 app.use(logPermissionDenial);
 
-// Logging middleware
+// Logging middleware (with query-string tokens masked out of the logged URL)
+const { maskUrl } = require('./middleware/logging');
+morgan.token('url', (req) => maskUrl(req.originalUrl || req.url));
 app.use(morgan('combined'));
 
 // Health check endpoint (both with and without /api prefix for cluster compatibility)
@@ -1,5 +1,9 @@
 const axios = require('axios');
 const moment = require('moment');
+const delayModelService = require('./delayModelService');
+const DelayPrediction = require('../models/DelayPrediction');
+const weatherProviders = require('./weatherProviders');
+const aircraftDatabase = require('./databases/aircraftDatabase');
 
 /**
  * HALO AI Service - Flight Delay Prediction
@@ -10,6 +14,13 @@ const moment = require('moment');
  * - Weather conditions
  * - Airport congestion patterns
  * - Real-time flight status trends
+ *
+ * Airline, airport and time-of-day effects come from the delay model fitted
+ * on our own outcomes (delayModelService) when it knows the flight; the
+ * constants below are the fallback. Weather comes from METAR/TAF reports
+ * for both airports (weatherProviders) when a source is configured, and a
+ * late inbound aircraft (flight_details.inbound) pushes the departure back
+ * when it eats into the turnaround.
  */
 
 class AIService {
@@ -56,18 +67,23 @@ class AIService {
   /**
    * Predict flight delay probability and estimated delay
    * @param {Object} flightDetails - Flight information
+   * @param {Object} options - { transferId, model (a DelayModel, or null for the
+   *   heuristics; default the active one), now, record (store in delay_predictions;
+   *   only the delay-predictions job does), weather (look up airport weather) }
    * @returns {Object} Prediction results
    */
-  async predictFlightDelay(flightDetails) {
+  async predictFlightDelay(flightDetails, {
+    transferId = flightDetails.transferId,
+    model: modelOverride,
+    now = new Date(),
+    record = false,
+    weather: useWeather = true
+  } = {}) {
     try {
       const {
         flight_no,
-        airline,
-        departure_airport,
-        arrival_airport,
         departure_time,
-        arrival_time,
-        current_status
+        current_status = flightDetails.status
       } = flightDetails;
 
       // Initialize prediction components
@@ -76,57 +92,17 @@ class AIService {
       let confidenceScore = 0;
       let factors = [];
 
-      // 1. Airline Performance Factor (25% weight)
-      const airlineCode = this.extractAirlineCode(flight_no);
-      const airlineData = this.airlinePerformance[airlineCode] || this.airlinePerformance.DEFAULT;
-      const airlineFactor = (1 - airlineData.onTimeRate) * 100;
-      delayProbability += airlineFactor * 0.25;
-      estimatedDelayMinutes += airlineData.avgDelay * 0.25;
-      factors.push({
-        name: 'Airline Performance',
-        impact: airlineFactor.toFixed(1) + '%',
-        weight: '25%',
-        description: `${airline} has ${(airlineData.onTimeRate * 100).toFixed(1)}% on-time performance`
-      });
-
-      // 2. Airport Congestion Factor (20% weight)
-      const departureCongest = this.airportCongestion[departure_airport] || this.airportCongestion.DEFAULT;
-      const arrivalCongest = this.airportCongestion[arrival_airport] || this.airportCongestion.DEFAULT;
-      const avgCongestion = (departureCongest + arrivalCongest) / 2;
-      const congestionFactor = (avgCongestion - 1) * 100;
-      delayProbability += congestionFactor * 0.20;
-      estimatedDelayMinutes += congestionFactor * 0.5 * 0.20;
-      factors.push({
-        name: 'Airport Congestion',
-        impact: congestionFactor.toFixed(1) + '%',
-        weight: '20%',
-        description: `${departure_airport} → ${arrival_airport} congestion level: ${avgCongestion.toFixed(2)}x`
-      });
-
-      // 3. Time of Day Factor (20% weight)
-      const departureHour = moment(departure_time).hour();
-      const timeSlot = this.getTimeSlot(departureHour);
-      const timeFactor = (this.timePatterns[timeSlot] - 1) * 100;
-      delayProbability += Math.abs(timeFactor) * 0.20;
-      estimatedDelayMinutes += Math.max(0, timeFactor * 0.3) * 0.20;
-      factors.push({
-        name: 'Departure Time',
-        impact: timeFactor.toFixed(1) + '%',
-        weight: '20%',
-        description: `${timeSlot} flights have ${this.timePatterns[timeSlot]}x delay rate`
-      });
-
-      // 4. Seasonal Factor (15% weight)
-      const season = this.getSeason(moment(departure_time).month());
-      const seasonalFactor = (this.seasonalFactors[season] - 1) * 100;
-      delayProbability += Math.abs(seasonalFactor) * 0.15;
-      estimatedDelayMinutes += Math.max(0, seasonalFactor * 0.4) * 0.15;
-      factors.push({
-        name: 'Seasonal Pattern',
-        impact: seasonalFactor.toFixed(1) + '%',
-        weight: '15%',
-        description: `${season.charAt(0).toUpperCase() + season.slice(1)} season factor: ${this.seasonalFactors[season]}x`
-      });
+      // 1-4. Airline, airports, time of day and season: learned from our own
+      // outcomes when the active delay model knows this flight, otherwise
+      // the industry heuristics
+      const model = modelOverride === undefined ? await delayModelService.getActiveModel() : modelOverride;
+      const features = delayModelService.extractFeatures(flightDetails);
+      const base = model && delayModelService.covers(model, features)
+        ? this.getLearnedFactors(model, features)
+        : this.getHeuristicFactors(flightDetails);
+      delayProbability += base.probability;
+      estimatedDelayMinutes += base.delayMinutes;
+      factors.push(...base.factors);
 
       // 5. Current Status Boost (20% weight)
       if (current_status === 'delayed') {
@@ -168,7 +144,7 @@ class AIService {
       });
 
       // 7. Advanced Time to Departure (5% weight)
-      const hoursUntilDeparture = moment(departure_time).diff(moment(), 'hours');
+      const hoursUntilDeparture = moment(departure_time).diff(moment(now), 'hours');
       let advanceTimeFactor = 0;
       if (hoursUntilDeparture < 2) {
         advanceTimeFactor = 15; // Higher confidence for near-term flights
@@ -191,6 +167,22 @@ class AIService {
         description: `${hoursUntilDeparture}h until departure`
       });
 
+      // 8. Weather at origin and destination (20% weight)
+      const weather = useWeather ? await this.getWeatherFactor(flightDetails) : null;
+      if (weather) {
+        delayProbability += weather.probability;
+        estimatedDelayMinutes += weather.delayMinutes;
+        factors.push(weather.factor);
+      }
+
+      // 9. Late inbound aircraft (25% weight)
+      const inbound = this.getInboundFactor(flightDetails, current_status);
+      if (inbound) {
+        delayProbability += inbound.probability;
+        estimatedDelayMinutes += inbound.delayMinutes;
+        factors.push(inbound.factor);
+      }
+
       // Normalize probability to 0-100 range
       delayProbability = Math.min(Math.max(delayProbability, 0), 100);
       estimatedDelayMinutes = Math.max(Math.round(estimatedDelayMinutes), 0);
@@ -216,22 +208,38 @@ class AIService {
       }
 
       // Generate AI insights and recommendations
-      const insights = this.generateInsights(delayProbability, estimatedDelayMinutes, factors, hoursUntilDeparture);
+      const insights = this.generateInsights(delayProbability, estimatedDelayMinutes, factors, hoursUntilDeparture, weather, inbound);
+
+      const prediction = {
+        flightNumber: flight_no,
+        delayProbability: Math.round(delayProbability),
+        estimatedDelayMinutes,
+        riskLevel,
+        riskColor,
+        confidenceScore: Math.round(confidenceScore),
+        model: base.model,
+        predictedAt: now,
+        weather: weather ? { departure: weather.departure, arrival: weather.arrival } : null,
+        inbound: inbound ? { ...inbound.leg, propagatedDelayMinutes: inbound.propagatedDelay } : null,
+        factors,
+        insights,
+        recommendation: this.getRecommendation(delayProbability, estimatedDelayMinutes, hoursUntilDeparture)
+      };
+
+      if (record) {
+        await this.recordPrediction(flightDetails, prediction, {
+          transferId,
+          features,
+          status: current_status,
+          hoursUntilDeparture,
+          weatherSeverity: weather ? weather.severity : null,
+          propagatedDelay: inbound ? inbound.propagatedDelay : null
+        });
+      }
 
       return {
         success: true,
-        prediction: {
-          flightNumber: flight_no,
-          delayProbability: Math.round(delayProbability),
-          estimatedDelayMinutes,
-          riskLevel,
-          riskColor,
-          confidenceScore: Math.round(confidenceScore),
-          predictedAt: new Date(),
-          factors,
-          insights,
-          recommendation: this.getRecommendation(delayProbability, estimatedDelayMinutes, hoursUntilDeparture)
-        }
+        prediction
       };
 
     } catch (error) {
@@ -244,10 +252,236 @@ class AIService {
     }
   }
 
+  /**
+   * Store a prediction with its inputs for accuracy reporting
+   * (predictionAccuracyService). A transfer keeps one prediction per model
+   * version and horizon (see DelayPrediction.getHorizon), the latest made
+   * within it, so accuracy weighs flights, not how often they were predicted.
+   * Predictions without a transfer are not kept. A failure here never fails
+   * the prediction.
+   */
+  async recordPrediction(flightDetails, prediction, { transferId, features, status, hoursUntilDeparture, weatherSeverity, propagatedDelay }) {
+    if (!transferId) return;
+    try {
+      const key = {
+        transfer_id: transferId,
+        model_type: prediction.model.type,
+        model_version: prediction.model.version ?? null,
+        horizon_hours: DelayPrediction.getHorizon(hoursUntilDeparture)
+      };
+      await DelayPrediction.updateOne(key, { $set: {
+        ...key,
+        flight_no: flightDetails.flight_no,
+        flight_date: flightDetails.flight_date || null,
+        inputs: {
+          ...features,
+          departure_time: flightDetails.departure_time,
+          arrival_time: flightDetails.arrival_time,
+          status,
+          hours_until_departure: hoursUntilDeparture,
+          weather_severity: weatherSeverity,
+          propagated_delay_minutes: propagatedDelay
+        },
+        delay_probability: prediction.delayProbability,
+        estimated_delay_minutes: prediction.estimatedDelayMinutes,
+        risk_level: prediction.riskLevel,
+        predicted_at: prediction.predictedAt
+      } }, { upsert: true });
+    } catch (error) {
+      console.error(`❌ Failed to record delay prediction for ${flightDetails.flight_no}:`, error.message);
+    }
+  }
+
+  /**
+   * Factor 8 from the weather at departure and at arrival (weatherProviders).
+   * The worse airport counts.
+   * @returns {Object|null} { probability, delayMinutes, severity, factor, departure, arrival },
+   *   null when no weather provider is configured
+   */
+  async getWeatherFactor({ departure_airport, arrival_airport, departure_time, arrival_time }) {
+    if (!weatherProviders.getProvider()) return null;
+
+    const [departure, arrival] = await Promise.all([
+      weatherProviders.getAirportWeather(departure_airport, { at: departure_time || new Date() }),
+      weatherProviders.getAirportWeather(arrival_airport, { at: arrival_time || departure_time || new Date() })
+    ]);
+    const describe = (airport, report) => {
+      if (!report) return `${airport}: no report`;
+      const reasons = report.severity.reasons.length ? report.severity.reasons.join(', ') : 'no significant weather';
+      return `${airport}: ${reasons} (${report.source.toUpperCase()})`;
+    };
+
+    const severity = Math.max(departure?.severity.score || 0, arrival?.severity.score || 0);
+    return {
+      probability: severity * 0.20,
+      delayMinutes: severity * 0.20,
+      severity,
+      departure,
+      arrival,
+      factor: {
+        name: 'Weather',
+        impact: severity.toFixed(1) + '%',
+        weight: '20%',
+        description: `${describe(departure_airport, departure)}; ${describe(arrival_airport, arrival)}`
+      }
+    };
+  }
+
+  /**
+   * Factor 9 from the previous leg of the aircraft (flight_details.inbound).
+   * The aircraft can leave once it has landed and had its minimum turnaround
+   * (by aircraft type); whatever lands past that is passed on to this flight.
+   * @returns {Object|null} { probability, delayMinutes, propagatedDelay, leg, factor },
+   *   null without an inbound leg or once the flight has left
+   */
+  getInboundFactor({ inbound, aircraft_type, departure_time }, status) {
+    if (!inbound || !inbound.expected_arrival || !departure_time) return null;
+    if (!['on_time', 'delayed', 'boarding'].includes(status)) return null;
+
+    const turnaround = aircraftDatabase.getMinimumTurnaround(aircraft_type);
+    const departure = new Date(departure_time).getTime();
+    const readyAt = new Date(inbound.expected_arrival).getTime() + turnaround * 60 * 1000;
+    const propagatedDelay = Math.max(0, Math.round((readyAt - departure) / (60 * 1000)));
+    const inboundDelay = inbound.delay_minutes || 0;
+
+    let description;
+    if (propagatedDelay > 0) {
+      description = `Inbound ${inbound.flight_no} from ${inbound.departure_airport} ` +
+        `${inboundDelay} min late; ${turnaround} min turnaround pushes departure back ${propagatedDelay} min`;
+    } else if (inboundDelay > 0) {
+      description = `Inbound ${inbound.flight_no} ${inboundDelay} min late, absorbed by the scheduled turnaround`;
+    } else {
+      description = `Inbound ${inbound.flight_no} from ${inbound.departure_airport} on time`;
+    }
+
+    const impact = Math.min(propagatedDelay * 2, 100);
+    return {
+      probability: impact * 0.25,
+      delayMinutes: propagatedDelay,
+      propagatedDelay,
+      leg: {
+        flightNo: inbound.flight_no,
+        registration: inbound.registration,
+        from: inbound.departure_airport,
+        expectedArrival: inbound.expected_arrival,
+        delayMinutes: inboundDelay,
+        turnaroundMinutes: turnaround
+      },
+      factor: {
+        name: 'Late Inbound Aircraft',
+        impact: impact.toFixed(1) + '%',
+        weight: '25%',
+        description
+      }
+    };
+  }
+
+  /**
+   * Factors 1-4 from the hard-coded industry averages
+   * @returns {Object} { probability, delayMinutes, factors }
+   */
+  getHeuristicFactors({ flight_no, airline, departure_airport, arrival_airport, departure_time }) {
+    let delayProbability = 0;
+    let estimatedDelayMinutes = 0;
+    const factors = [];
+
+    // 1. Airline Performance Factor (25% weight)
+    const airlineCode = this.extractAirlineCode(flight_no);
+    const airlineData = this.airlinePerformance[airlineCode] || this.airlinePerformance.DEFAULT;
+    const airlineFactor = (1 - airlineData.onTimeRate) * 100;
+    delayProbability += airlineFactor * 0.25;
+    estimatedDelayMinutes += airlineData.avgDelay * 0.25;
+    factors.push({
+      name: 'Airline Performance',
+      impact: airlineFactor.toFixed(1) + '%',
+      weight: '25%',
+      description: `${airline} has ${(airlineData.onTimeRate * 100).toFixed(1)}% on-time performance`
+    });
+
+    // 2. Airport Congestion Factor (20% weight)
+    const departureCongest = this.airportCongestion[departure_airport] || this.airportCongestion.DEFAULT;
+    const arrivalCongest = this.airportCongestion[arrival_airport] || this.airportCongestion.DEFAULT;
+    const avgCongestion = (departureCongest + arrivalCongest) / 2;
+    const congestionFactor = (avgCongestion - 1) * 100;
+    delayProbability += congestionFactor * 0.20;
+    estimatedDelayMinutes += congestionFactor * 0.5 * 0.20;
+    factors.push({
+      name: 'Airport Congestion',
+      impact: congestionFactor.toFixed(1) + '%',
+      weight: '20%',
+      description: `${departure_airport} → ${arrival_airport} congestion level: ${avgCongestion.toFixed(2)}x`
+    });
+
+    // 3. Time of Day Factor (20% weight)
+    const departureHour = moment(departure_time).hour();
+    const timeSlot = this.getTimeSlot(departureHour);
+    const timeFactor = (this.timePatterns[timeSlot] - 1) * 100;
+    delayProbability += Math.abs(timeFactor) * 0.20;
+    estimatedDelayMinutes += Math.max(0, timeFactor * 0.3) * 0.20;
+    factors.push({
+      name: 'Departure Time',
+      impact: timeFactor.toFixed(1) + '%',
+      weight: '20%',
+      description: `${timeSlot} flights have ${this.timePatterns[timeSlot]}x delay rate`
+    });
+
+    // 4. Seasonal Factor (15% weight)
+    const season = this.getSeason(moment(departure_time).month());
+    const seasonalFactor = (this.seasonalFactors[season] - 1) * 100;
+    delayProbability += Math.abs(seasonalFactor) * 0.15;
+    estimatedDelayMinutes += Math.max(0, seasonalFactor * 0.4) * 0.15;
+    factors.push({
+      name: 'Seasonal Pattern',
+      impact: seasonalFactor.toFixed(1) + '%',
+      weight: '15%',
+      description: `${season.charAt(0).toUpperCase() + season.slice(1)} season factor: ${this.seasonalFactors[season]}x`
+    });
+
+    return { probability: delayProbability, delayMinutes: estimatedDelayMinutes, factors, model: { type: 'heuristic', version: null } };
+  }
+
+  /**
+   * Factors 1-4 from a fitted delay model (see delayModelService)
+   * @returns {Object} { probability, delayMinutes, factors }
+   */
+  getLearnedFactors(model, features) {
+    const learned = delayModelService.predict(model, features);
+    const labels = {
+      airline: 'Airline History',
+      departure_airport: 'Departure Airport History',
+      arrival_airport: 'Arrival Airport History',
+      departure_hour: 'Departure Hour History'
+    };
+
+    const factors = [{
+      name: 'Historical Average',
+      impact: (model.intercept.probability * 100).toFixed(1) + '%',
+      weight: 'learned',
+      description: `Model v${model.version}: ${(model.intercept.probability * 100).toFixed(0)}% of ${model.sample_size} past flights ` +
+        `were delayed, ${Math.round(model.intercept.delay)} min on average`
+    }];
+    for (const { feature, value, n, delay, probability } of learned.contributions) {
+      factors.push({
+        name: labels[feature],
+        impact: (probability * 100).toFixed(1) + '%',
+        weight: 'learned',
+        description: `${feature === 'departure_hour' ? `${value}:00 departures` : value} (${n} past flights): ` +
+          `${delay >= 0 ? '+' : ''}${Math.round(delay)} min vs average`
+      });
+    }
+
+    return {
+      probability: learned.probability * 100,
+      delayMinutes: learned.delayMinutes,
+      factors,
+      model: { type: 'learned', version: model.version }
+    };
+  }
+
   /**
    * Generate actionable insights from prediction
    */
-  generateInsights(probability, delay, factors, hoursUntilDeparture) {
+  generateInsights(probability, delay, factors, hoursUntilDeparture, weather = null, inbound = null) {
     const insights = [];
 
     // Primary insight
@@ -284,6 +518,28 @@ class AIService {
       });
     }
 
+    // Weather insights
+    if (weather && weather.severity >= 40) {
+      const airports = [weather.departure, weather.arrival]
+        .filter(report => report && report.severity.score >= 40)
+        .map(report => `${report.airport} (${report.severity.reasons.join(', ')})`);
+      insights.push({
+        type: 'weather',
+        message: `Adverse weather expected at ${airports.join(' and ')}. Expect ground holds or slower arrivals.`,
+        icon: '⛈️'
+      });
+    }
+
+    // Cascade from the previous leg
+    if (inbound && inbound.propagatedDelay >= 15) {
+      const aircraft = inbound.leg.registration ? `Aircraft ${inbound.leg.registration}` : 'The aircraft';
+      insights.push({
+        type: 'inbound',
+        message: `${aircraft} arrives late on ${inbound.leg.flightNo}; expect about ${inbound.propagatedDelay} min knock-on delay.`,
+        icon: '🛬'
+      });
+    }
+
     // Time-based insights
     if (hoursUntilDeparture < 2) {
       insights.push({
@@ -343,12 +599,14 @@ class AIService {
 
   /**
    * Batch predict delays for multiple flights
+   * @param {Array} flightsList - Flight information, with transferId where known
+   * @param {Object} options - As for predictFlightDelay
    */
-  async batchPredictDelays(flightsList) {
+  async batchPredictDelays(flightsList, options = {}) {
     const predictions = [];
     
     for (const flight of flightsList) {
-      const prediction = await this.predictFlightDelay(flight);
+      const prediction = await this.predictFlightDelay(flight, options);
       predictions.push(prediction);
     }
 
@@ -405,26 +663,29 @@ class AIService {
   }
 
   /**
-   * Learn from actual outcomes to improve predictions (ML training loop)
+   * Store the actual delay of a transfer's flight as a labeled outcome for
+   * the next retraining (delayModelService.train)
+   * @param {Transfer} transfer - Transfer document
+   * @param {number} actualDelay - Actual arrival delay in minutes
+   * @param {Object} options - { by }
    */
-  async trainFromActual(flightNumber, predictedDelay, actualDelay) {
-    // This would store training data for future ML model improvements
-    // For now, we'll log for analysis
-    const accuracy = Math.abs(predictedDelay - actualDelay) <= 15 ? 'accurate' : 'needs_improvement';
-    
-    console.log('🤖 AI Learning:', {
-      flight: flightNumber,
-      predicted: predictedDelay,
-      actual: actualDelay,
-      accuracy,
-      timestamp: new Date()
-    });
+  async trainFromActual(transfer, actualDelay, { by = 'system' } = {}) {
+    const outcome = await delayModelService.recordOutcome(transfer, actualDelay, { source: 'api', by });
+    const predictedDelay = outcome.predicted_delay_minutes;
 
-    return {
+    const result = {
       success: true,
-      accuracy,
-      improvement: Math.abs(predictedDelay - actualDelay)
+      outcomeId: outcome._id,
+      actualDelayMinutes: outcome.actual_delay_minutes,
+      predictedDelayMinutes: predictedDelay
     };
+    if (predictedDelay != null) {
+      result.accuracy = Math.abs(predictedDelay - outcome.actual_delay_minutes) <= 15 ? 'accurate' : 'needs_improvement';
+      result.error = Math.abs(predictedDelay - outcome.actual_delay_minutes);
+    }
+
+    console.log(`🤖 Recorded ${outcome.actual_delay_minutes} min delay for ${transfer.flight_details.flight_no} (${transfer._id})`);
+    return result;
   }
 }
 
@@ -1,7 +1,14 @@
 const cron = require('node-cron');
 const Transfer = require('../models/Transfer');
-const { getFlightByNumber, batchUpdateFlights } = require('../config/flightApi');
+const Hotel = require('../models/Hotel');
+const ClientTravelPreferences = require('../models/ClientTravelPreferences');
+const { getFlightByNumber, batchUpdateFlights, getFlightKey } = require('../config/flightApi');
 const notificationService = require('./notificationService');
+const dispatchService = require('./dispatchService');
+const delayModelService = require('./delayModelService');
+const predictionAccuracyService = require('./predictionAccuracyService');
+const delayAlertService = require('./delayAlertService');
+const hotelPriceAlertService = require('./hotelPriceAlertService');
 
 class CronService {
   constructor() {
@@ -27,12 +34,33 @@ class CronService {
     // Emergency notifications - every 2 minutes
     this.startJob('emergency', '*/2 * * * *', this.processEmergencyNotifications.bind(this));
     
+    // Auto-dispatch pending transfers - every 5 minutes
+    this.startJob('auto-dispatch', '*/5 * * * *', this.autoDispatchTransfers.bind(this));
+    
+    // Delay-risk alerts for upcoming transfers - every 15 minutes
+    this.startJob('delay-alerts', '*/15 * * * *', this.sendDelayAlerts.bind(this));
+    
+    // Store delay predictions of transfers departing within a day - every 30 minutes
+    this.startJob('delay-predictions', '*/30 * * * *', this.recordDelayPredictions.bind(this));
+    
+    // Geocode drop locations, hotels and venues still waiting for coordinates - every 10 minutes
+    this.startJob('geocoding', '*/10 * * * *', this.geocodePendingLocations.bind(this));
+    
+    // Re-check hotel prices of upcoming stays - every 6 hours
+    this.startJob('hotel-prices', '0 */6 * * *', this.recheckHotelPrices.bind(this));
+    
     // Vendor dispatch reminders - every 15 minutes
     this.startJob('vendor-reminders', '*/15 * * * *', this.sendVendorDispatchReminders.bind(this));
     
     // Cleanup old notifications - daily at 2 AM
     this.startJob('cleanup', '0 2 * * *', this.cleanupOldData.bind(this));
     
+    // Label stored delay predictions of landed flights - every hour
+    this.startJob('delay-outcomes', '20 * * * *', this.resolveDelayOutcomes.bind(this));
+    
+    // Retrain the delay-prediction model - daily at 3 AM
+    this.startJob('delay-model', '0 3 * * *', this.retrainDelayModel.bind(this));
+    
     // Health check - every hour
     this.startJob('health-check', '0 * * * *', this.healthCheck.bind(this));
     
@@ -78,7 +106,7 @@ class CronService {
       
       // Get all active transfers (flights that haven't landed or been cancelled)
       const activeTransfers = await Transfer.find({
-        'flight_details.status': { $in: ['on_time', 'delayed', 'boarding', 'departed'] },
+        'flight_details.status': { $in: ['on_time', 'delayed', 'boarding', 'departed', 'diverted'] },
         'flight_details.arrival_time': { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
       }).limit(50); // Limit to avoid API rate limits
       
@@ -87,40 +115,61 @@ class CronService {
         return;
       }
       
-      const flightNumbers = [...new Set(activeTransfers.map(t => t.flight_details.flight_no))];
-      console.log(`✈️ Syncing ${flightNumbers.length} unique flights`);
+      // One lookup per operated flight (flight number + departure date)
+      const instances = new Map();
+      for (const transfer of activeTransfers) {
+        const instance = transfer.getFlightInstance();
+        instances.set(getFlightKey(instance.flightNo, instance.date), instance);
+      }
+      console.log(`✈️ Syncing ${instances.size} unique flights`);
       
       // Batch update flights
-      const results = await batchUpdateFlights(flightNumbers);
+      const results = await batchUpdateFlights([...instances.values()]);
       
       let updatedCount = 0;
       let errorCount = 0;
       
       for (const transfer of activeTransfers) {
         try {
+          const { flightNo, date } = transfer.getFlightInstance();
           const flightResult = results.find(r => 
-            r.success && r.data && r.data.flight_no === transfer.flight_details.flight_no
+            r.success && r.data && r.key === getFlightKey(flightNo, date)
           );
           
           if (flightResult && flightResult.data) {
             const oldStatus = transfer.flight_details.status;
             const newStatus = flightResult.data.status;
+            const divertedTo = flightResult.data.diverted_to;
+            const delayMinutes = flightResult.data.delay_minutes || 0;
+            const actualArrival = flightResult.data.actual_arrival_time;
             
-            if (oldStatus !== newStatus) {
-              // Update flight status
-              await transfer.updateFlightStatus(newStatus, flightResult.data.delay_minutes || 0);
-              
-              // Update additional details
-              if (flightResult.data.gate) transfer.flight_details.gate = flightResult.data.gate;
-              if (flightResult.data.terminal) transfer.flight_details.terminal = flightResult.data.terminal;
-              
-              await transfer.save();
+            // Update additional details (the terminal is part of the pickup plan)
+            if (flightResult.data.gate) transfer.flight_details.gate = flightResult.data.gate;
+            if (flightResult.data.terminal) transfer.flight_details.terminal = flightResult.data.terminal;
+            transfer.updateAircraft({
+              aircraftType: flightResult.data.aircraft,
+              registration: flightResult.data.registration,
+              inbound: flightResult.data.inbound
+            });
+            
+            if (oldStatus === newStatus && !(divertedTo && divertedTo !== transfer.flight_details.arrival_airport)) {
+              // Same status: a new delay or landing time still moves the pickup
+              transfer.updateFlightTimes({ delayMinutes, actualArrival });
+              if (transfer.isModified()) {
+                await transfer.save();
+                updatedCount++;
+              }
+            } else {
+              // Update flight status (diversions and cancellations open a
+              // disruption) and re-plan the pickup
+              await transfer.updateFlightStatus(newStatus, delayMinutes, { divertedTo, actualArrival });
               
               console.log(`✅ Updated ${transfer.flight_details.flight_no}: ${oldStatus} → ${newStatus}`);
               updatedCount++;
               
-              // Send notification if status changed significantly
-              if (['landed', 'cancelled', 'delayed'].includes(newStatus)) {
+              // Send notification if status changed significantly; disruptions
+              // notify guest and vendor themselves
+              if (['landed', 'delayed'].includes(newStatus)) {
                 await notificationService.sendFlightStatusNotification(
                   transfer, 
                   newStatus, 
@@ -168,6 +217,57 @@ class CronService {
     }
   }
 
+  // Propose or assign drivers for pending transfers (DISPATCH_MODE)
+  async autoDispatchTransfers() {
+    try {
+      console.log(`🧭 Auto-dispatching pending transfers (${dispatchService.mode})...`);
+      
+      const result = await dispatchService.dispatchPending();
+      console.log(`✅ Auto-dispatch: ${result.processed} processed, ${result.assigned} assigned, ${result.proposed} proposed, ${result.no_candidate} without driver, ${result.errors} errors`);
+      
+    } catch (error) {
+      console.error('❌ Error auto-dispatching transfers:', error);
+    }
+  }
+
+  // Predict upcoming transfers and alert ops and vendors when the delay risk band changes
+  async sendDelayAlerts() {
+    try {
+      console.log(`🔮 Checking delay risk of upcoming transfers (threshold ${delayAlertService.threshold}%)...`);
+      
+      const result = await delayAlertService.checkUpcomingTransfers();
+      console.log(`✅ Delay alerts: ${result.processed} predicted, ${result.raised} raised, ${result.changed} changed, ${result.cleared} cleared, ${result.errors} errors`);
+      
+    } catch (error) {
+      console.error('❌ Error sending delay alerts:', error);
+    }
+  }
+
+  // Predict every transfer departing within the longest horizon and store it for accuracy reporting
+  async recordDelayPredictions() {
+    try {
+      const { processed, recorded } = await predictionAccuracyService.recordUpcomingPredictions();
+      if (processed > 0) {
+        console.log(`🔮 Stored ${recorded} of ${processed} delay predictions for accuracy reporting`);
+      }
+    } catch (error) {
+      console.error('❌ Error storing delay predictions:', error);
+    }
+  }
+
+  // Re-check prices of recommended hotels and alert on drops and budget changes
+  async recheckHotelPrices() {
+    try {
+      console.log(`🏨 Re-checking hotel prices (drop alert at ${hotelPriceAlertService.dropPercent}%)...`);
+      
+      const result = await hotelPriceAlertService.checkPrices();
+      console.log(`✅ Hotel prices: ${result.processed} preferences, ${result.checked} hotels checked, ${result.drops} drops, ${result.budgetAlerts} budget alerts, ${result.errors} errors`);
+      
+    } catch (error) {
+      console.error('❌ Error re-checking hotel prices:', error);
+    }
+  }
+
   // Send vendor dispatch reminders
   async sendVendorDispatchReminders() {
     try {
@@ -268,6 +368,58 @@ class CronService {
     }
   }
 
+  // Retry locations whose geocoding after save found nothing or didn't run
+  async geocodePendingLocations() {
+    const queues = [
+      ['drop locations', () => Transfer.geocodePendingDrops()],
+      ['hotel addresses', () => Hotel.geocodePendingLocations()],
+      ['conference venues', () => ClientTravelPreferences.geocodePendingVenues()]
+    ];
+
+    for (const [label, geocodePending] of queues) {
+      try {
+        const { checked, placed } = await geocodePending();
+        if (checked > 0) {
+          console.log(`📍 Geocoded ${placed} of ${checked} pending ${label}`);
+        }
+      } catch (error) {
+        console.error(`❌ Error geocoding ${label}:`, error);
+      }
+    }
+  }
+
+  // Copy the final delay of landed flights onto their stored predictions (accuracy reporting)
+  async resolveDelayOutcomes() {
+    try {
+      const resolved = await predictionAccuracyService.resolveOutcomes();
+      if (resolved > 0) {
+        console.log(`📏 ${resolved} delay predictions compared with landed flights`);
+      }
+    } catch (error) {
+      console.error('❌ Error resolving delay predictions:', error);
+    }
+  }
+
+  // Label landed flights and their stored predictions, and fit a new delay model version
+  async retrainDelayModel() {
+    try {
+      console.log('🤖 Retraining delay model...');
+      
+      const resolved = await predictionAccuracyService.resolveOutcomes();
+      if (resolved > 0) {
+        console.log(`📏 ${resolved} delay predictions compared with landed flights`);
+      }
+
+      const result = await delayModelService.train();
+      if (!result.trained) {
+        console.log(`📭 Delay model not retrained: ${result.reason}`);
+      }
+      
+    } catch (error) {
+      console.error('❌ Error retraining delay model:', error);
+    }
+  }
+
   // Health check
   async healthCheck() {
     try {
@@ -357,6 +509,9 @@ class CronService {
         case 'emergency':
           await this.processEmergencyNotifications();
           break;
+        case 'auto-dispatch':
+          await this.autoDispatchTransfers();
+          break;
         case 'vendor-reminders':
           await this.sendVendorDispatchReminders();
           break;
@@ -4,6 +4,14 @@
  * Uses OpenSky Network aircraft database (free)
  */
 
+// Shortest usual turnaround (landing to next departure) by aircraft type, minutes
+const MINIMUM_TURNAROUND_MINUTES = {
+  'Wide-body': 60,
+  'Narrow-body': 35,
+  'Regional': 25
+};
+const DEFAULT_TURNAROUND_MINUTES = 40;
+
 class AircraftDatabase {
   constructor() {
     this.aircraft = new Map();
@@ -123,6 +131,16 @@ class AircraftDatabase {
     };
   }
 
+  /**
+   * Shortest usual turnaround for an aircraft model
+   * @param {string} model - Model code (A320, B788), or null if unknown
+   * @returns {number} Minutes from landing to the next departure
+   */
+  getMinimumTurnaround(model) {
+    const aircraft = model ? this.aircraft.get(String(model).toUpperCase().trim()) : null;
+    return (aircraft && MINIMUM_TURNAROUND_MINUTES[aircraft.type]) || DEFAULT_TURNAROUND_MINUTES;
+  }
+
   /**
    * Get aircraft model name
    * @param {string} icao24 - ICAO24 code
@@ -0,0 +1,156 @@
+const Transfer = require('../models/Transfer');
+const aiService = require('./aiService');
+const notificationService = require('./notificationService');
+
+/**
+ * Delay Alert Service
+ *
+ * Predicts delays for upcoming transfers on a schedule (cron 'delay-alerts')
+ * instead of waiting for someone to open GET /api/ai/high-risk. A transfer
+ * whose delayProbability reaches DELAY_ALERT_THRESHOLD alerts the ops team
+ * (OPS_ALERT_CONTACTS) and the vendor, suggesting they hold driver dispatch
+ * until the flight's real departure is known, and the prediction is written
+ * to its audit_log.
+ *
+ * The band alerted (riskLevel low/medium/high) is kept in transfer.delay_alert,
+ * so the next runs stay quiet unless the risk climbs to a higher band. Only
+ * when it falls below DELAY_ALERT_CLEAR_THRESHOLD, lower than the alert
+ * threshold, are ops and vendor told the hold can be lifted: a probability
+ * wobbling around the threshold doesn't alert and clear on every run.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Flights still ahead of us; a transfer with an open disruption is already handled by ops
+const UPCOMING_FLIGHT_STATUSES = ['on_time', 'delayed', 'boarding', 'departed'];
+const ALERTABLE_TRANSFER_STATUSES = ['pending', 'assigned'];
+const RISK_BANDS = ['low', 'medium', 'high'];
+
+class DelayAlertService {
+  constructor() {
+    this.threshold = parseInt(process.env.DELAY_ALERT_THRESHOLD) || 70;
+    this.clearThreshold = Math.min(parseInt(process.env.DELAY_ALERT_CLEAR_THRESHOLD) || this.threshold - 15, this.threshold);
+    this.windowHours = parseInt(process.env.DELAY_ALERT_WINDOW_HOURS) || 12;
+    this.opsContacts = (process.env.OPS_ALERT_CONTACTS || '')
+      .split(',')
+      .map(contact => contact.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Transfers whose flights arrive within the alert window
+   */
+  findUpcomingTransfers(now = new Date()) {
+    return Transfer.find({
+      'transfer_details.transfer_status': { $in: ALERTABLE_TRANSFER_STATUSES },
+      'flight_details.status': { $in: UPCOMING_FLIGHT_STATUSES },
+      'flight_details.arrival_time': { $gte: now, $lte: new Date(now.getTime() + this.windowHours * HOUR_MS) },
+      'disruption.status': { $ne: 'open' }
+    }).sort({ 'flight_details.arrival_time': 1 });
+  }
+
+  /**
+   * What to do with a new prediction
+   * @param {string|null} alertedBand - Band of the last alert (delay_alert.band)
+   * @param {Object} prediction - predictFlightDelay prediction
+   * @returns {string|null} 'raise', 'change', 'clear' or null
+   */
+  decide(alertedBand, prediction) {
+    if (!alertedBand) {
+      return prediction.delayProbability >= this.threshold ? 'raise' : null;
+    }
+    if (prediction.delayProbability < this.clearThreshold) {
+      return 'clear';
+    }
+    // A lower band while still above the clear threshold stays quiet
+    return RISK_BANDS.indexOf(prediction.riskLevel) > RISK_BANDS.indexOf(alertedBand) ? 'change' : null;
+  }
+
+  /**
+   * Predict upcoming transfers and alert on those whose risk band changed
+   * @returns {Object} { processed, raised, changed, cleared, errors }
+   */
+  async checkUpcomingTransfers({ now = new Date() } = {}) {
+    const transfers = await this.findUpcomingTransfers(now);
+    const summary = { processed: 0, raised: 0, changed: 0, cleared: 0, errors: 0 };
+    if (transfers.length === 0) return summary;
+
+    const batch = await aiService.batchPredictDelays(transfers.map(transfer => ({
+      ...transfer.flight_details.toObject(),
+      transferId: transfer._id
+    })));
+
+    for (const [index, transfer] of transfers.entries()) {
+      const { prediction } = batch.predictions[index];
+      summary.processed++;
+      if (!prediction) continue;
+
+      const action = this.decide(transfer.delay_alert?.band || null, prediction);
+      if (!action) continue;
+
+      try {
+        await this.applyAlert(transfer, prediction, action);
+        summary[action === 'raise' ? 'raised' : action === 'change' ? 'changed' : 'cleared']++;
+      } catch (error) {
+        summary.errors++;
+        console.error(`Error raising delay alert for ${transfer._id}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Record the alert on the transfer and notify ops and vendor
+   * @param {Transfer} transfer - Transfer document
+   * @param {Object} prediction - predictFlightDelay prediction
+   * @param {string} action - 'raise', 'change' or 'clear'
+   */
+  async applyAlert(transfer, prediction, action) {
+    const previousBand = transfer.delay_alert?.band || null;
+    const model = prediction.model.type === 'learned' ? `model v${prediction.model.version}` : 'heuristic model';
+    const summary = `${prediction.delayProbability}% chance of delay, ~${prediction.estimatedDelayMinutes} min (${model})`;
+
+    transfer.ai_prediction = {
+      delayProbability: prediction.delayProbability,
+      estimatedDelayMinutes: prediction.estimatedDelayMinutes,
+      riskLevel: prediction.riskLevel,
+      modelVersion: prediction.model.version,
+      predictedAt: prediction.predictedAt
+    };
+
+    if (action === 'clear') {
+      transfer.delay_alert = null;
+      transfer.audit_log.push({
+        action: 'delay_risk_cleared',
+        timestamp: prediction.predictedAt,
+        by: 'delay-alerts',
+        details: `Delay risk back below ${this.clearThreshold}%: ${summary}. Driver dispatch can proceed`
+      });
+    } else {
+      transfer.delay_alert = {
+        band: prediction.riskLevel,
+        delay_probability: prediction.delayProbability,
+        estimated_delay_minutes: prediction.estimatedDelayMinutes,
+        model_version: prediction.model.version,
+        alerted_at: prediction.predictedAt
+      };
+      transfer.audit_log.push({
+        action: 'delay_risk_alert',
+        timestamp: prediction.predictedAt,
+        by: 'delay-alerts',
+        details: `${previousBand ? `Delay risk ${previousBand} → ${prediction.riskLevel}` : `Delay risk ${prediction.riskLevel}`}: ` +
+          `${summary}. Suggest holding driver dispatch`
+      });
+    }
+    await transfer.save();
+
+    console.log(`⚠️ Delay alert (${action}) for ${transfer._id} flight ${transfer.flight_details.flight_no}: ${summary}`);
+    return notificationService.sendDelayRiskAlert(transfer, {
+      cleared: action === 'clear',
+      opsContacts: this.opsContacts
+    });
+  }
+}
+
+module.exports = new DelayAlertService();
@@ -0,0 +1,302 @@
+const Transfer = require('../models/Transfer');
+const DelayOutcome = require('../models/DelayOutcome');
+const DelayModel = require('../models/DelayModel');
+const airportDatabase = require('./databases/airportDatabase');
+const timezoneService = require('./timezoneService');
+const { parseFlightNumber, DELAY_THRESHOLD_MINUTES } = require('./flightProviders/flightRecord');
+
+/**
+ * Delay Model Service
+ *
+ * Learns flight delays from our own history. Every landed flight becomes a
+ * labeled outcome (DelayOutcome): its airline, airports and departure hour,
+ * and the arrival delay it actually had. Retraining fits an additive model
+ *
+ *   delay = average + airline + departure airport + arrival airport + hour
+ *
+ * twice, once for the delay in minutes and once for the chance of a delay of
+ * FLIGHT_DELAY_THRESHOLD_MINUTES or more. Effects are fitted by backfitting
+ * and shrunk toward zero for values with few outcomes (DELAY_MODEL_PRIOR_STRENGTH),
+ * so a single late flight doesn't mark an airline as unreliable.
+ *
+ * Each retraining is stored as a new DelayModel version and activated.
+ * Nothing is fitted until DELAY_MODEL_MIN_SAMPLES outcomes exist, and a flight
+ * none of whose airline or airports has DELAY_MODEL_MIN_GROUP_SAMPLES outcomes
+ * is predicted with the heuristics in aiService instead.
+ */
+
+const FEATURES = ['airline', 'departure_airport', 'arrival_airport', 'departure_hour'];
+const BACKFIT_ITERATIONS = 10;
+const MODEL_CACHE_MS = 10 * 60 * 1000;
+
+const mean = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+class DelayModelService {
+  constructor() {
+    this.minSamples = parseInt(process.env.DELAY_MODEL_MIN_SAMPLES) || 50;
+    this.minGroupSamples = parseInt(process.env.DELAY_MODEL_MIN_GROUP_SAMPLES) || 5;
+    this.priorStrength = parseInt(process.env.DELAY_MODEL_PRIOR_STRENGTH) || 10;
+    this.cached = null;
+  }
+
+  /**
+   * Model features of a flight (flight_details fields)
+   */
+  extractFeatures(flight) {
+    const departure = flight.departure_time ? new Date(flight.departure_time) : null;
+    const timezone = airportDatabase.getTimezone(flight.departure_airport) || timezoneService.defaultTimezone;
+
+    return {
+      airline: parseFlightNumber(flight.flight_no).carrier || 'UNKNOWN',
+      departure_airport: flight.departure_airport ? String(flight.departure_airport).toUpperCase() : null,
+      arrival_airport: flight.arrival_airport ? String(flight.arrival_airport).toUpperCase() : null,
+      departure_hour: departure && !isNaN(departure) ? timezoneService.getLocalHour(departure, timezone) : null
+    };
+  }
+
+  // ---- Outcomes ----
+
+  /**
+   * Store (or correct) the actual delay of a transfer's flight
+   * @param {Transfer} transfer - Transfer document
+   * @param {number} actualDelayMinutes - Arrival delay
+   * @param {Object} options - { source, by }
+   */
+  async recordOutcome(transfer, actualDelayMinutes, { source = 'api', by = 'system' } = {}) {
+    const flight = transfer.flight_details;
+    const prediction = transfer.ai_prediction || {};
+
+    return DelayOutcome.findOneAndUpdate(
+      { transfer_id: transfer._id },
+      {
+        $set: {
+          flight_no: flight.flight_no,
+          flight_date: flight.flight_date || null,
+          ...this.extractFeatures(flight),
+          scheduled_departure: flight.departure_time,
+          actual_delay_minutes: Math.max(0, Math.round(actualDelayMinutes)),
+          predicted_delay_minutes: prediction.estimatedDelayMinutes ?? null,
+          predicted_probability: prediction.delayProbability ?? null,
+          model_version: prediction.modelVersion ?? null,
+          source,
+          recorded_by: by
+        }
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Label landed flights that have no outcome yet with their final delay_minutes
+   * @returns {number} Outcomes added
+   */
+  async collectOutcomes({ limit = 1000 } = {}) {
+    const labeled = await DelayOutcome.distinct('transfer_id');
+    const transfers = await Transfer.find({
+      _id: { $nin: labeled },
+      'flight_details.status': 'landed'
+    }).limit(limit);
+
+    for (const transfer of transfers) {
+      await this.recordOutcome(transfer, transfer.flight_details.delay_minutes || 0, { source: 'flight_sync' });
+    }
+    return transfers.length;
+  }
+
+  // ---- Fitting ----
+
+  /**
+   * Fit one target by backfitting with shrinkage
+   * @param {Array} rows - Outcomes
+   * @param {Function} target - row → value
+   * @returns {Object} { intercept, effects: { feature: { value: { n, effect } } } }
+   */
+  fitTarget(rows, target) {
+    const y = rows.map(target);
+    const intercept = mean(y);
+    const effects = Object.fromEntries(FEATURES.map(feature => [feature, {}]));
+    const effectOf = (feature, row) => effects[feature][row[feature]]?.effect || 0;
+
+    for (let iteration = 0; iteration < BACKFIT_ITERATIONS; iteration++) {
+      for (const feature of FEATURES) {
+        const groups = {};
+        rows.forEach((row, i) => {
+          const value = row[feature];
+          if (value == null) return;
+          const others = FEATURES.reduce((sum, other) => other === feature ? sum : sum + effectOf(other, row), 0);
+          const group = groups[value] || (groups[value] = { n: 0, sum: 0 });
+          group.n++;
+          group.sum += y[i] - intercept - others;
+        });
+        effects[feature] = Object.fromEntries(Object.entries(groups).map(([value, { n, sum }]) =>
+          [value, { n, effect: sum / (n + this.priorStrength) }]
+        ));
+      }
+    }
+
+    return { intercept, effects };
+  }
+
+  /**
+   * Fit a model from outcomes. Pure: doesn't touch the database.
+   * @param {Array} outcomes - DelayOutcome documents or plain objects
+   * @returns {Object} DelayModel fields (without version)
+   */
+  fit(outcomes) {
+    const rows = outcomes.map(outcome => ({
+      ...Object.fromEntries(FEATURES.map(feature => [feature, outcome[feature] ?? null])),
+      delay: outcome.actual_delay_minutes
+    }));
+
+    const delayFit = this.fitTarget(rows, row => row.delay);
+    const probabilityFit = this.fitTarget(rows, row => row.delay >= DELAY_THRESHOLD_MINUTES ? 1 : 0);
+
+    const features = {};
+    for (const feature of FEATURES) {
+      features[feature] = {};
+      for (const [value, { n, effect }] of Object.entries(delayFit.effects[feature])) {
+        features[feature][value] = {
+          n,
+          delay: Math.round(effect * 100) / 100,
+          probability: Math.round(probabilityFit.effects[feature][value].effect * 10000) / 10000
+        };
+      }
+    }
+
+    const model = {
+      sample_size: rows.length,
+      delay_threshold_minutes: DELAY_THRESHOLD_MINUTES,
+      prior_strength: this.priorStrength,
+      intercept: {
+        delay: Math.round(delayFit.intercept * 100) / 100,
+        probability: Math.round(probabilityFit.intercept * 10000) / 10000
+      },
+      features
+    };
+
+    model.metrics = {
+      mae: Math.round(mean(rows.map(row => Math.abs(this.predict(model, row).delayMinutes - row.delay))) * 100) / 100,
+      baseline_mae: Math.round(mean(rows.map(row => Math.abs(delayFit.intercept - row.delay))) * 100) / 100
+    };
+    return model;
+  }
+
+  /**
+   * Retrain from all outcomes and activate the new version
+   * @returns {Object} { trained, version, sampleSize, metrics } or { trained: false, reason }
+   */
+  async train() {
+    const collected = await this.collectOutcomes();
+    const outcomes = await DelayOutcome.find().lean();
+
+    if (outcomes.length < this.minSamples) {
+      return {
+        trained: false,
+        collected,
+        sampleSize: outcomes.length,
+        reason: `Only ${outcomes.length} outcomes; at least ${this.minSamples} are needed`
+      };
+    }
+
+    const latest = await DelayModel.findOne().sort({ version: -1 }).select('version').lean();
+    const model = await DelayModel.create({
+      ...this.fit(outcomes),
+      version: (latest?.version || 0) + 1,
+      trained_at: new Date()
+    });
+    await this.activate(model.version);
+
+    console.log(`🤖 Delay model v${model.version} trained on ${model.sample_size} outcomes (MAE ${model.metrics.mae} min, baseline ${model.metrics.baseline_mae} min)`);
+    return {
+      trained: true,
+      collected,
+      version: model.version,
+      sampleSize: model.sample_size,
+      metrics: model.metrics
+    };
+  }
+
+  // ---- Versions ----
+
+  async activate(version) {
+    const model = await DelayModel.findOne({ version });
+    if (!model) return null;
+
+    await DelayModel.updateMany({ version: { $ne: version } }, { $set: { active: false } });
+    model.active = true;
+    await model.save();
+    this.cached = { model, loadedAt: Date.now() };
+    return model;
+  }
+
+  listModels() {
+    return DelayModel.find()
+      .select('version active trained_at sample_size delay_threshold_minutes metrics')
+      .sort({ version: -1 })
+      .lean();
+  }
+
+  getModel(version) {
+    return DelayModel.findOne({ version });
+  }
+
+  /**
+   * The active model, reloaded at most every 10 minutes; null if none
+   */
+  async getActiveModel() {
+    if (this.cached && Date.now() - this.cached.loadedAt < MODEL_CACHE_MS) {
+      return this.cached.model;
+    }
+    const model = await DelayModel.findOne({ active: true });
+    this.cached = { model, loadedAt: Date.now() };
+    return model;
+  }
+
+  // ---- Prediction ----
+
+  // Effects may live in a Mongoose Map or a plain object
+  getEffect(model, feature, value) {
+    if (value == null) return null;
+    const effects = model.features?.[feature];
+    if (!effects) return null;
+    return (typeof effects.get === 'function' ? effects.get(String(value)) : effects[value]) || null;
+  }
+
+  /**
+   * Whether the model knows enough about this flight to replace the heuristics
+   */
+  covers(model, features) {
+    return ['airline', 'departure_airport', 'arrival_airport'].some(feature => {
+      const effect = this.getEffect(model, feature, features[feature]);
+      return effect && effect.n >= this.minGroupSamples;
+    });
+  }
+
+  /**
+   * Predict from a model
+   * @param {Object} model - DelayModel
+   * @param {Object} features - From extractFeatures()
+   * @returns {Object} { delayMinutes, probability (0-1), contributions }
+   */
+  predict(model, features) {
+    let delay = model.intercept.delay;
+    let probability = model.intercept.probability;
+    const contributions = [];
+
+    for (const feature of FEATURES) {
+      const effect = this.getEffect(model, feature, features[feature]);
+      if (!effect) continue;
+      delay += effect.delay;
+      probability += effect.probability;
+      contributions.push({ feature, value: features[feature], n: effect.n, delay: effect.delay, probability: effect.probability });
+    }
+
+    return {
+      delayMinutes: Math.max(0, delay),
+      probability: Math.min(Math.max(probability, 0), 1),
+      contributions
+    };
+  }
+}
+
+module.exports = new DelayModelService();
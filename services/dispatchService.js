@@ -0,0 +1,310 @@
+const Transfer = require('../models/Transfer');
+const User = require('../models/User');
+const Vendor = require('../models/Vendor');
+const etaService = require('./etaService');
+const notificationService = require('./notificationService');
+
+/**
+ * Dispatch Service
+ *
+ * Picks the best driver of the transfer's vendor (User role DRIVER with the
+ * same vendorId). A driver is eligible when their vehicle fits the passengers
+ * and luggage and they have no assignment overlapping the pickup window; the
+ * vendor must also be under Vendor.preferences.maxConcurrentTransfers.
+ * Eligible drivers are ranked by rating, then by how closely the vehicle fits
+ * and by how many trips they already have that day.
+ *
+ * Every evaluation returns the reasons for each candidate and stores the
+ * decision in transfer_details.dispatch.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Seats and luggage per vehicle type (Vendor.services vehicleTypes)
+const VEHICLE_CAPACITY = {
+  sedan: { passengers: 3, luggage: 3 },
+  electric: { passengers: 3, luggage: 2 },
+  luxury: { passengers: 3, luggage: 3 },
+  suv: { passengers: 6, luggage: 5 },
+  van: { passengers: 10, luggage: 10 },
+  bus: { passengers: 20, luggage: 30 }
+};
+
+const ACTIVE_STATUSES = ['assigned', 'enroute', 'waiting', 'in_progress'];
+
+class DispatchService {
+  constructor() {
+    // 'propose' stores the best driver for review, 'assign' assigns it
+    this.mode = process.env.DISPATCH_MODE === 'assign' ? 'assign' : 'propose';
+    this.lookaheadHours = parseInt(process.env.DISPATCH_LOOKAHEAD_HOURS) || 12;
+    this.defaultTripMinutes = parseInt(process.env.DISPATCH_DEFAULT_TRIP_MINUTES) || 90;
+    this.turnaroundMinutes = parseInt(process.env.DISPATCH_TURNAROUND_MINUTES) || 30;
+  }
+
+  /**
+   * Time a driver is busy with a transfer, padded by the turnaround time
+   * @returns {Object} { start, end }
+   */
+  getWindow(transfer) {
+    const details = transfer.transfer_details;
+    const start = details.estimated_pickup_time
+      ? new Date(details.estimated_pickup_time)
+      : etaService.getGuestReadyTime(transfer);
+    const end = details.estimated_drop_time && new Date(details.estimated_drop_time) > start
+      ? new Date(details.estimated_drop_time)
+      : new Date(start.getTime() + this.defaultTripMinutes * MINUTE_MS);
+
+    return {
+      start: new Date(start.getTime() - this.turnaroundMinutes * MINUTE_MS),
+      end: new Date(end.getTime() + this.turnaroundMinutes * MINUTE_MS)
+    };
+  }
+
+  overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+  }
+
+  getCapacity(vehicleType) {
+    return VEHICLE_CAPACITY[String(vehicleType || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Rank the vendor's drivers for a transfer
+   * @param {Object} transfer - Transfer document
+   * @param {Object} options - { reserved: Map driverId → windows already taken in this batch }
+   * @returns {Object} { transferId, selected, candidates, explanation }
+   */
+  async evaluate(transfer, { reserved = new Map() } = {}) {
+    // Vendor IDs are stored uppercase (VEN000001); normalize once so the
+    // vendor, driver and transfer lookups all use the same form
+    const vendorId = transfer.vendor_details?.vendor_id?.trim().toUpperCase() || null;
+    const window = this.getWindow(transfer);
+    const passengers = transfer.customer_details.no_of_passengers;
+    const luggage = transfer.customer_details.luggage_count;
+
+    const result = {
+      transferId: transfer._id,
+      vendorId,
+      window,
+      selected: null,
+      candidates: [],
+      explanation: ''
+    };
+
+    if (!vendorId) {
+      result.explanation = 'Transfer has no vendor';
+      return result;
+    }
+
+    const [vendor, drivers, activeTransfers] = await Promise.all([
+      Vendor.findOne({ vendorId }),
+      User.find({ role: 'DRIVER', vendorId, isActive: true }),
+      this.findActiveTransfers(vendorId, window, transfer._id)
+    ]);
+
+    // Vendor-wide limit on transfers running at the same time, counting only
+    // this vendor's drivers' reservations from the batch
+    const maxConcurrent = vendor?.preferences?.maxConcurrentTransfers ?? 10;
+    const vendorReserved = drivers.flatMap(driver => reserved.get(driver.driverId) || []);
+    const concurrent = activeTransfers.filter(other => this.overlaps(window, this.getWindow(other))).length +
+      vendorReserved.filter(taken => this.overlaps(window, taken)).length;
+    if (concurrent >= maxConcurrent) {
+      result.explanation = `Vendor ${vendorId} already has ${concurrent} transfers in this window ` +
+        `(max ${maxConcurrent})`;
+      return result;
+    }
+
+    if (drivers.length === 0) {
+      result.explanation = `Vendor ${vendorId} has no active drivers`;
+      return result;
+    }
+
+    const sameDay = (date) => new Date(date).toDateString() === window.start.toDateString();
+
+    for (const driver of drivers) {
+      const candidate = this.scoreDriver(driver, {
+        window,
+        passengers,
+        luggage,
+        assignments: activeTransfers.filter(other =>
+          other.assigned_driver_details?.driver_id === driver.driverId),
+        reserved: reserved.get(driver.driverId) || [],
+        sameDay
+      });
+      result.candidates.push(candidate);
+    }
+
+    result.candidates.sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score));
+    const best = result.candidates[0];
+
+    if (best?.eligible) {
+      result.selected = best;
+      result.explanation = `${best.name} (${best.driverId}) selected: ${best.reasons.join('; ')}`;
+    } else {
+      result.explanation = `No eligible driver among ${drivers.length}: ` +
+        result.candidates.map(c => `${c.driverId} – ${c.reasons.join(', ')}`).join('; ');
+    }
+
+    return result;
+  }
+
+  /**
+   * Eligibility and score of one driver, with the reasons behind both
+   */
+  scoreDriver(driver, { window, passengers, luggage, assignments, reserved, sameDay }) {
+    const details = driver.driverDetails || {};
+    const capacity = this.getCapacity(details.vehicleType);
+    const rating = details.rating || 0;
+    const reasons = [];
+    let eligible = true;
+
+    if (details.isActive === false) {
+      eligible = false;
+      reasons.push('driver is inactive');
+    }
+
+    if (!capacity) {
+      eligible = false;
+      reasons.push(`unknown vehicle type "${details.vehicleType || ''}"`);
+    } else if (capacity.passengers < passengers || capacity.luggage < luggage) {
+      eligible = false;
+      reasons.push(`${details.vehicleType} seats ${capacity.passengers} with ${capacity.luggage} bags, ` +
+        `needs ${passengers} with ${luggage}`);
+    }
+
+    const busyWindows = [...assignments.map(other => this.getWindow(other)), ...reserved];
+    const clash = assignments.find(other => this.overlaps(window, this.getWindow(other)));
+    if (clash) {
+      eligible = false;
+      reasons.push(`already on ${clash._id} in this window`);
+    } else if (reserved.some(taken => this.overlaps(window, taken))) {
+      eligible = false;
+      reasons.push('already proposed for another transfer in this window');
+    }
+
+    // Rating counts most; a snug vehicle and a lighter day break ties
+    const spareSeats = capacity ? Math.max(0, capacity.passengers - passengers) : 0;
+    const tripsToday = busyWindows.filter(busy => sameDay(busy.start)).length;
+    const score = Math.round((rating * 20 + Math.max(0, 10 - spareSeats * 2) - tripsToday * 5) * 10) / 10;
+
+    if (eligible) {
+      reasons.push(`rating ${rating.toFixed(1)}`);
+      reasons.push(`${details.vehicleType} fits ${passengers} pax / ${luggage} bags`);
+      reasons.push(`${tripsToday} other trip${tripsToday === 1 ? '' : 's'} that day`);
+    }
+
+    return {
+      driverId: driver.driverId,
+      userId: driver._id,
+      name: [driver.profile?.firstName, driver.profile?.lastName].filter(Boolean).join(' ') ||
+        driver.username || driver.driverId,
+      contactNumber: driver.profile?.phone || null,
+      vehicleType: details.vehicleType || null,
+      vehicleNumber: details.vehicleNumber || null,
+      rating,
+      eligible,
+      score,
+      reasons
+    };
+  }
+
+  // Vendor transfers with a driver that may overlap the window
+  async findActiveTransfers(vendorId, window, excludeId) {
+    const margin = (this.defaultTripMinutes + this.turnaroundMinutes) * MINUTE_MS * 4;
+    return Transfer.find({
+      _id: { $ne: excludeId },
+      'vendor_details.vendor_id': vendorId,
+      'transfer_details.transfer_status': { $in: ACTIVE_STATUSES },
+      'transfer_details.estimated_pickup_time': {
+        $gte: new Date(window.start.getTime() - margin),
+        $lte: new Date(window.end.getTime() + margin)
+      }
+    });
+  }
+
+  /**
+   * Evaluate one transfer and store (or apply) the decision
+   * @param {Object} transfer - Pending transfer document
+   * @param {Object} options - { assign, by, role, reserved }
+   * @returns {Object} Evaluation with `status`
+   */
+  async dispatchTransfer(transfer, { assign = this.mode === 'assign', by = 'dispatch', role = 'system', reserved } = {}) {
+    const evaluation = await this.evaluate(transfer, { reserved });
+    const best = evaluation.selected;
+    const status = !best ? 'no_candidate' : assign ? 'assigned' : 'proposed';
+
+    transfer.transfer_details.dispatch = {
+      status,
+      driver_id: best?.driverId || null,
+      score: best?.score ?? null,
+      explanation: evaluation.explanation.slice(0, 1000),
+      evaluated_at: new Date()
+    };
+
+    if (status === 'assigned') {
+      transfer.assignDriver({
+        driver_id: best.driverId,
+        name: best.name,
+        contact_number: best.contactNumber || undefined,
+        vehicle_type: best.vehicleType,
+        vehicle_number: best.vehicleNumber
+      }, by, role);
+    }
+
+    await transfer.save();
+
+    if (status === 'assigned') {
+      await notificationService.sendDriverAssignmentNotification(transfer, transfer.assigned_driver_details);
+    }
+
+    return { ...evaluation, status };
+  }
+
+  /**
+   * Dispatch pending transfers arriving within the lookahead, earliest first.
+   * Drivers proposed earlier in the batch are held for their windows.
+   * @param {Object} options - { assign }
+   * @returns {Object} Counts and per-transfer decisions
+   */
+  async dispatchPending({ assign = this.mode === 'assign' } = {}) {
+    const now = new Date();
+    const transfers = await Transfer.find({
+      'transfer_details.transfer_status': 'pending',
+      'flight_details.status': { $ne: 'cancelled' },
+      'flight_details.arrival_time': {
+        $gte: new Date(now.getTime() - 2 * 60 * MINUTE_MS),
+        $lte: new Date(now.getTime() + this.lookaheadHours * 60 * MINUTE_MS)
+      }
+    }).sort({ 'flight_details.arrival_time': 1 });
+
+    const reserved = new Map();
+    const summary = { processed: 0, assigned: 0, proposed: 0, no_candidate: 0, errors: 0, results: [] };
+
+    for (const transfer of transfers) {
+      try {
+        const result = await this.dispatchTransfer(transfer, { assign, reserved });
+        // Assigned drivers show up in later queries; proposals are only held here
+        if (result.status === 'proposed') {
+          const taken = reserved.get(result.selected.driverId) || [];
+          taken.push(result.window);
+          reserved.set(result.selected.driverId, taken);
+        }
+        summary[result.status]++;
+        summary.results.push({
+          transferId: transfer._id,
+          status: result.status,
+          driverId: result.selected?.driverId || null,
+          explanation: result.explanation
+        });
+      } catch (error) {
+        summary.errors++;
+        console.error(`Error dispatching ${transfer._id}:`, error.message);
+      }
+      summary.processed++;
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new DispatchService();
@@ -0,0 +1,104 @@
+const Transfer = require('../models/Transfer');
+const flightProviders = require('./flightProviders');
+const { toFlightDetails } = require('../config/flightApi');
+
+/**
+ * Disruption Service
+ *
+ * The ops side of diverted and cancelled flights (see
+ * models/transferDisruption.js): the queue of open disruptions, and rebooking
+ * a transfer onto the guest's replacement flight. The replacement is looked up
+ * through the flight providers; the schedule entered by ops is used when no
+ * provider knows the flight.
+ */
+
+// Transfers that already ended can't be rebooked
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+class RebookingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RebookingError';
+    this.status = status;
+  }
+}
+
+class DisruptionService {
+  /**
+   * Transfers with a disruption, oldest first
+   * @param {Object} filters - { status, type } (status defaults to 'open')
+   */
+  async listDisruptions({ status = 'open', type = null } = {}) {
+    const query = { 'disruption.status': status };
+    if (type) query['disruption.type'] = type;
+
+    return Transfer.find(query)
+      .select('customer_details.name flight_details transfer_details.transfer_status ' +
+        'transfer_details.pickup_location transfer_details.estimated_pickup_time vendor_details.vendor_name ' +
+        'disruption flight_history')
+      .sort({ 'disruption.opened_at': 1 });
+  }
+
+  /**
+   * Move a transfer onto a replacement flight and save it
+   * @param {Transfer} transfer - Transfer with an open disruption
+   * @param {Object} replacement - { flight_no, flight_date, airline, departure_airport,
+   *   arrival_airport, departure_time, arrival_time, notes }
+   * @param {Object} options - { by }
+   */
+  async rebook(transfer, replacement, { by = 'system' } = {}) {
+    if (!transfer.hasOpenDisruption()) {
+      throw new RebookingError('Transfer has no open flight disruption', 409);
+    }
+    if (CLOSED_STATUSES.includes(transfer.transfer_details.transfer_status)) {
+      throw new RebookingError(`Transfer is ${transfer.transfer_details.transfer_status}`, 409);
+    }
+
+    const flight = await this.findReplacementFlight(replacement);
+    if (flight.status === 'cancelled') {
+      throw new RebookingError(`Flight ${flight.flight_no} is cancelled`, 409);
+    }
+
+    transfer.rebookFlight(flight, { by, notes: replacement.notes || '' });
+    await transfer.save();
+
+    console.log(`🔁 Rebooked ${transfer._id} onto ${flight.flight_no}`);
+    return transfer;
+  }
+
+  // Replacement schedule from the providers, else as entered
+  async findReplacementFlight({ flight_no, flight_date, ...manual }) {
+    let record = null;
+    try {
+      record = await flightProviders.getFlight(flight_no, { date: flight_date || null });
+    } catch (error) {
+      console.warn(`⚠️ Flight lookup failed for replacement ${flight_no}: ${error.message}`);
+    }
+
+    if (record) {
+      const details = toFlightDetails(record);
+      return { ...details, airline: manual.airline || details.airline };
+    }
+
+    if (!manual.arrival_time) {
+      throw new RebookingError(
+        `Flight ${flight_no} not found; provide departure_airport, arrival_airport, departure_time and arrival_time`,
+        404
+      );
+    }
+
+    return {
+      flight_no,
+      airline: manual.airline,
+      departure_airport: manual.departure_airport,
+      arrival_airport: manual.arrival_airport,
+      departure_time: manual.departure_time,
+      arrival_time: manual.arrival_time
+    };
+  }
+}
+
+const disruptionService = new DisruptionService();
+disruptionService.RebookingError = RebookingError;
+
+module.exports = disruptionService;
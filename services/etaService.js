@@ -0,0 +1,162 @@
+const routingProviders = require('./routingProviders');
+const routeHistory = require('./routeHistoryService');
+const geofenceService = require('./geofenceService');
+const timezoneService = require('./timezoneService');
+const trackingEvents = require('./trackingEventService');
+const pickupPlanner = require('./pickupPlanner');
+const notificationService = require('./notificationService');
+
+/**
+ * ETA Service
+ *
+ * Keeps transfer_details.eta (driver at pickup, guest at drop) and
+ * estimated_drop_time up to date from the driver's latest ping, recent speed
+ * and the configured routing backend. Pickup is the arrival airport; the
+ * guest is ready at the time planned by the pickup planner.
+ *
+ * When the driver is expected after the guest is ready, the ETA is flagged
+ * late: the transfer's audit log gets a `driver_late` entry, the ops team
+ * (OPS_ALERT_CONTACTS) is alerted and an `eta_warning` event goes to live
+ * tracking subscribers. This happens once until the driver is on time again.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+class EtaService {
+  constructor() {
+    this.opsContacts = (process.env.OPS_ALERT_CONTACTS || '')
+      .split(',')
+      .map(contact => contact.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * When the guest should be ready at the pickup point
+   */
+  getGuestReadyTime(transfer) {
+    return pickupPlanner.getGuestReadyTime(transfer);
+  }
+
+  /**
+   * Compute both ETA legs for a transfer
+   * @param {Object} transfer - Transfer document
+   * @param {Object} location - Driver position { latitude, longitude }
+   * @param {Object} options - { now, observedSpeedKmh }
+   * @returns {Object|null} ETA fields, or null if pickup/drop coordinates are unknown
+   */
+  async computeEta(transfer, location, { now = new Date(), observedSpeedKmh = null } = {}) {
+    const zones = geofenceService.getZones(transfer);
+    const status = transfer.transfer_details.transfer_status;
+    const timezone = timezoneService.getTransferTimezone(transfer) || timezoneService.defaultTimezone;
+    const guestReadyAt = this.getGuestReadyTime(transfer);
+
+    let toPickup = null;
+    let toDrop = null;
+    let provider = null;
+    let remainingKm = null;
+
+    if (['assigned', 'enroute'].includes(status) && zones.pickup) {
+      const leg = await routingProviders.route(location, zones.pickup, {
+        departAt: now, timezone, observedSpeedKmh
+      });
+      toPickup = new Date(now.getTime() + leg.durationMinutes * MINUTE_MS);
+      provider = leg.provider;
+      remainingKm = leg.distanceKm;
+    } else if (status === 'waiting') {
+      toPickup = now;
+    }
+
+    if (['assigned', 'enroute', 'waiting'].includes(status) && zones.pickup && zones.drop) {
+      // Leave the airport once both driver and guest are there
+      const departAt = new Date(Math.max(toPickup.getTime(), guestReadyAt.getTime()));
+      const leg = await routingProviders.route(zones.pickup, zones.drop, { departAt, timezone });
+      toDrop = new Date(departAt.getTime() + leg.durationMinutes * MINUTE_MS);
+      provider = provider || leg.provider;
+    } else if (status === 'in_progress' && zones.drop) {
+      const leg = await routingProviders.route(location, zones.drop, {
+        departAt: now, timezone, observedSpeedKmh
+      });
+      toDrop = new Date(now.getTime() + leg.durationMinutes * MINUTE_MS);
+      provider = leg.provider;
+      remainingKm = leg.distanceKm;
+    }
+
+    if (!toPickup && !toDrop) return null;
+
+    const lateByMinutes = toPickup && ['assigned', 'enroute'].includes(status)
+      ? Math.round((toPickup - guestReadyAt) / MINUTE_MS)
+      : 0;
+
+    return {
+      to_pickup: toPickup,
+      to_drop: toDrop,
+      remaining_km: remainingKm,
+      guest_ready_at: guestReadyAt,
+      late_for_pickup: lateByMinutes > 0,
+      late_by_minutes: Math.max(0, lateByMinutes),
+      provider,
+      computed_at: now
+    };
+  }
+
+  /**
+   * Recompute and store the ETA after a location ping. Mutates the transfer;
+   * the caller saves it.
+   * @param {Object} transfer - Transfer document
+   * @param {Object} location - Latest driver position { latitude, longitude }
+   * @returns {Object|null} Stored ETA
+   */
+  async updateTransferEta(transfer, location) {
+    if (['completed', 'cancelled', 'pending'].includes(transfer.transfer_details.transfer_status)) {
+      return null;
+    }
+
+    const observedSpeedKmh = await routeHistory.getRecentSpeedKmh(transfer._id);
+    const eta = await this.computeEta(transfer, location, {
+      // Ignore a parked or crawling driver's speed
+      observedSpeedKmh: observedSpeedKmh && observedSpeedKmh > 5 ? observedSpeedKmh : null
+    });
+    if (!eta) return null;
+
+    const wasLate = !!transfer.transfer_details.eta?.late_for_pickup;
+
+    transfer.transfer_details.eta = eta;
+    if (eta.to_drop) {
+      transfer.transfer_details.estimated_drop_time = eta.to_drop;
+    }
+
+    trackingEvents.publish(transfer._id, 'eta', { eta });
+
+    if (eta.late_for_pickup && !wasLate) {
+      await this.raiseLateWarning(transfer, eta);
+    }
+
+    return eta;
+  }
+
+  async raiseLateWarning(transfer, eta) {
+    const details = `Driver ETA ${timezoneService.formatTransferTime(transfer, eta.to_pickup)} is ` +
+      `${eta.late_by_minutes} min after the guest is ready ` +
+      `(${timezoneService.formatTransferTime(transfer, eta.guest_ready_at)})`;
+
+    console.warn(`⚠️ Late driver for ${transfer._id}: ${details}`);
+
+    transfer.audit_log.push({
+      action: 'driver_late',
+      timestamp: new Date(),
+      by: 'eta',
+      details
+    });
+
+    trackingEvents.publish(transfer._id, 'eta_warning', {
+      late_by_minutes: eta.late_by_minutes,
+      to_pickup: eta.to_pickup,
+      guest_ready_at: eta.guest_ready_at,
+      message: details
+    });
+
+    return notificationService.sendDriverLateAlert(transfer, eta, { opsContacts: this.opsContacts });
+  }
+}
+
+module.exports = new EtaService();
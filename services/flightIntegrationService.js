@@ -1,13 +1,11 @@
-const axios = require('axios');
 const Transfer = require('../models/Transfer');
 const User = require('../models/User');
 const Vendor = require('../models/Vendor');
+const { TransitionError } = require('../models/transferStateMachine');
+const flightProviders = require('./flightProviders');
 
 class FlightIntegrationService {
   constructor() {
-    this.apiKey = process.env.AVIATIONSTACK_API_KEY || 'a81fec64c6fda4a44a703cd582b7bdbb';
-    this.baseUrl = 'http://api.aviationstack.com/v1';
-    this.openSkyUrl = 'https://opensky-network.org/api';
     this.updateInterval = 5 * 60 * 1000; // 5 minutes
     this.isRunning = false;
     this.updateTimer = null;
@@ -55,7 +53,7 @@ class FlightIntegrationService {
     try {
       // Find transfers that require flight updates (transfers with flight details and status not completed/cancelled)
       const transfers = await Transfer.find({
-        'flight_details.flight_number': { $exists: true, $ne: null },
+        'flight_details.flight_no': { $exists: true, $ne: null },
         'transfer_details.transfer_status': { $nin: ['completed', 'cancelled'] }
       });
       
@@ -78,25 +76,37 @@ class FlightIntegrationService {
   // Update flight data for a specific transfer
   async updateFlightForTransfer(transfer) {
     try {
-      const flightNumber = transfer.flight_details.flight_no;
-      console.log(`🔍 Updating flight data for ${flightNumber}...`);
+      const { flightNo: flightNumber, date } = transfer.getFlightInstance();
+      console.log(`🔍 Updating flight data for ${flightNumber} on ${date}...`);
       
-      // Get flight data from external APIs
-      const flightData = await this.getFlightData(flightNumber);
+      // Get the canonical record of this transfer's operated flight
+      const flightData = await this.getFlightData(flightNumber, date);
       
       if (flightData) {
-        // Update transfer with new flight data
-        await transfer.updateFlightTracking(flightData, flightData.source);
-        
-        // Check if flight status changed significantly
-        const oldStatus = transfer.flight_details.flight_tracking.real_time_status;
-        const newStatus = flightData.real_time_status;
+        const details = transfer.flight_details;
+        const times = { delayMinutes: flightData.delay_minutes, actualArrival: flightData.arrival.actual };
+        if (flightData.arrival.gate) details.gate = flightData.arrival.gate;
+        if (flightData.arrival.terminal) details.terminal = flightData.arrival.terminal;
+        transfer.updateAircraft({
+          aircraftType: flightData.aircraft,
+          registration: flightData.registration,
+          inbound: flightData.inbound
+        });
+
+        // Check if flight status changed
+        const oldStatus = details.status;
+        const newStatus = flightData.status;
+        const divertedTo = flightData.diverted_to?.iata || null;
         
-        if (oldStatus !== newStatus) {
-          await this.handleFlightStatusChange(transfer, oldStatus, newStatus);
+        // The diversion airport can be reported after the diversion itself
+        if (oldStatus !== newStatus || (divertedTo && divertedTo !== details.arrival_airport)) {
+          await this.handleFlightStatusChange(transfer, oldStatus, newStatus, { divertedTo, ...times });
+        } else {
+          transfer.updateFlightTimes(times);
+          await transfer.save();
         }
         
-        console.log(`✅ Updated ${flightNumber}: ${oldStatus} → ${newStatus}`);
+        console.log(`✅ Updated ${flightNumber} from ${flightData.source}: ${oldStatus} → ${newStatus}`);
       } else {
         console.log(`⚠️ No flight data found for ${flightNumber}`);
       }
@@ -105,193 +115,32 @@ class FlightIntegrationService {
     }
   }
 
-  // Get flight data from external APIs
-  async getFlightData(flightNumber) {
-    try {
-      // Try AviationStack first
-      if (this.apiKey && this.apiKey !== 'your_api_key_here') {
-        const aviationData = await this.getFlightFromAviationStack(flightNumber);
-        if (aviationData) {
-          return aviationData;
-        }
-      }
-      
-      // Try OpenSky Network
-      const openSkyData = await this.getFlightFromOpenSky(flightNumber);
-      if (openSkyData) {
-        return openSkyData;
-      }
-      
-      // Fallback to mock data
-      return this.getMockFlightData(flightNumber);
-    } catch (error) {
-      console.error('Error getting flight data:', error.message);
-      return this.getMockFlightData(flightNumber);
-    }
-  }
-
-  // Get flight data from AviationStack
-  async getFlightFromAviationStack(flightNumber) {
-    try {
-      const response = await axios.get(`${this.baseUrl}/flights`, {
-        params: {
-          access_key: this.apiKey,
-          flight_iata: flightNumber,
-          limit: 1
-        },
-        timeout: 10000
-      });
-
-      if (response.data && response.data.data && response.data.data.length > 0) {
-        const flight = response.data.data[0];
-        return this.formatAviationStackData(flight);
-      }
-      
-      return null;
-    } catch (error) {
-      console.error('AviationStack API error:', error.message);
-      return null;
-    }
-  }
-
-  // Get flight data from OpenSky Network
-  async getFlightFromOpenSky(flightNumber) {
-    try {
-      const response = await axios.get(`${this.openSkyUrl}/states/all`, {
-        timeout: 10000
-      });
-
-      if (response.data && response.data.states) {
-        const states = response.data.states;
-        const flight = states.find(state => 
-          state[1] && state[1].trim().toUpperCase() === flightNumber.toUpperCase()
-        );
-        
-        if (flight) {
-          return this.formatOpenSkyStateData(flight);
-        }
-      }
-      
-      return null;
-    } catch (error) {
-      console.error('OpenSky Network API error:', error.message);
-      return null;
-    }
-  }
-
-  // Format AviationStack data
-  formatAviationStackData(flight) {
-    const now = new Date();
-    const scheduledDeparture = new Date(flight.departure?.scheduled);
-    const actualDeparture = flight.departure?.actual ? new Date(flight.departure.actual) : null;
-    const scheduledArrival = new Date(flight.arrival?.scheduled);
-    const actualArrival = flight.arrival?.actual ? new Date(flight.arrival.actual) : null;
-
-    let realTimeStatus = 'scheduled';
-    if (actualArrival && now > actualArrival) {
-      realTimeStatus = 'landed';
-    } else if (actualDeparture && now > actualDeparture) {
-      if (actualArrival && now < actualArrival) {
-        realTimeStatus = 'in-flight';
-      } else if (!actualArrival && now < scheduledArrival) {
-        realTimeStatus = 'in-flight';
-      } else {
-        realTimeStatus = 'landed';
-      }
-    } else if (now > scheduledArrival) {
-      realTimeStatus = 'landed';
-    } else if (now > scheduledDeparture) {
-      realTimeStatus = 'in-flight';
-    } else {
-      realTimeStatus = 'scheduled';
-    }
-
-    return {
-      real_time_status: realTimeStatus,
-      actual_departure_time: actualDeparture,
-      actual_arrival_time: actualArrival,
-      aircraft_type: flight.aircraft?.iata || flight.aircraft?.icao || null,
-      aircraft_registration: flight.aircraft?.registration || null,
-      route_distance: flight.distance || null,
-      flight_duration: flight.duration || null,
-      weather_conditions: {
-        departure: flight.departure?.weather || null,
-        arrival: flight.arrival?.weather || null
-      },
-      source: 'aviationstack'
-    };
-  }
-
-  // Format OpenSky Network data
-  formatOpenSkyStateData(state) {
-    const callsign = state[1]?.trim();
-    const now = new Date();
-    
-    return {
-      real_time_status: state[8] ? 'landed' : 'in-flight', // on_ground
-      actual_departure_time: new Date(now.getTime() - 2 * 60 * 60 * 1000), // 2 hours ago
-      actual_arrival_time: null,
-      aircraft_type: state[0], // icao24
-      aircraft_registration: null,
-      route_distance: null,
-      flight_duration: null,
-      weather_conditions: {
-        departure: null,
-        arrival: null
-      },
-      source: 'opensky'
-    };
+  // Canonical flight record (see services/flightProviders/flightRecord.js);
+  // `date` is the departure date at the origin, for one day's operation
+  async getFlightData(flightNumber, date = null) {
+    return flightProviders.getFlight(flightNumber, { date });
   }
 
-  // Get mock flight data
-  getMockFlightData(flightNumber) {
-    const now = new Date();
-    const randomDelay = Math.random() * 30; // 0-30 minutes delay
-    
-    return {
-      real_time_status: 'in-flight',
-      actual_departure_time: new Date(now.getTime() - 2 * 60 * 60 * 1000), // 2 hours ago
-      actual_arrival_time: new Date(now.getTime() + 1 * 60 * 60 * 1000), // 1 hour from now
-      aircraft_type: 'Boeing 737',
-      aircraft_registration: 'N123AB',
-      route_distance: 500,
-      flight_duration: 180,
-      weather_conditions: {
-        departure: 'Clear',
-        arrival: 'Partly Cloudy'
-      },
-      source: 'mock'
-    };
-  }
-
-  // Handle flight status changes
-  async handleFlightStatusChange(transfer, oldStatus, newStatus) {
+  // Handle flight status changes. Diversions and cancellations open a
+  // disruption on the transfer (see models/transferDisruption.js); the pickup
+  // is re-planned from the new delay and landing time.
+  async handleFlightStatusChange(transfer, oldStatus, newStatus, { divertedTo = null, delayMinutes = null, actualArrival = null } = {}) {
     try {
       console.log(`🔄 Flight status change: ${transfer.flight_details.flight_no} ${oldStatus} → ${newStatus}`);
       
-      // Update transfer status based on flight status
-      switch (newStatus) {
-        case 'boarding':
-          await transfer.updateStatus('assigned', 'system', 'Flight is boarding');
-          break;
-        case 'departed':
-          await transfer.updateStatus('enroute', 'system', 'Flight has departed');
-          break;
-        case 'in-flight':
-          await transfer.updateStatus('enroute', 'system', 'Flight is in progress');
-          break;
-        case 'landed':
-          await transfer.updateStatus('waiting', 'system', 'Flight has landed');
-          break;
-        case 'cancelled':
-          await transfer.updateStatus('cancelled', 'system', 'Flight was cancelled');
-          break;
-      }
+      // Flight and transfer statuses only move along the state machine's transitions
+      transfer.transitionFlightTo(newStatus, { reason: `flight tracking reported ${newStatus}`, divertedTo });
+      transfer.updateFlightTimes({ delayMinutes, actualArrival });
+      await transfer.save();
       
       // Send notifications if needed
       await this.sendStatusChangeNotification(transfer, oldStatus, newStatus);
       
     } catch (error) {
+      if (error instanceof TransitionError) {
+        console.warn(`⚠️ Ignoring flight status change for ${transfer._id}: ${error.message}`);
+        return;
+      }
       console.error('Error handling flight status change:', error.message);
     }
   }
@@ -313,9 +162,6 @@ class FlightIntegrationService {
         case 'landed':
           message = `Your flight ${flightNumber} has landed! Your driver is on the way to the pickup location.`;
           break;
-        case 'cancelled':
-          message = `Your flight ${flightNumber} has been cancelled. Please contact us to reschedule your transfer.`;
-          break;
       }
       
       if (message) {
@@ -0,0 +1,216 @@
+const axios = require('axios');
+const { createFlightRecord, toFlightDate, parseFlightNumber } = require('./flightRecord');
+
+/**
+ * AviationStack Flight Provider
+ * Schedules, gates and actual times from api.aviationstack.com.
+ * Needs AVIATIONSTACK_API_KEY (FLIGHT_API_KEY is accepted as well).
+ *
+ * Every request is billed, so airport listings are read at most
+ * AVIATIONSTACK_MAX_PAGES pages of 100 and kept per airport and day for
+ * AVIATIONSTACK_AIRPORT_CACHE_SECONDS: inbound lookups for flights leaving the
+ * same airport share them.
+ */
+
+const PAGE_SIZE = 100;
+const AIRPORT_CACHE_MAX_ENTRIES = 200;
+
+// AviationStack flight_status → canonical status (null: derive from the delay)
+const STATUS_MAP = {
+  scheduled: null,
+  active: 'departed',
+  landed: 'landed',
+  cancelled: 'cancelled',
+  incident: 'delayed',
+  // AviationStack does not say where a diverted flight lands
+  diverted: 'diverted',
+  unknown: null
+};
+
+class AviationStackProvider {
+  constructor(options = {}) {
+    this.name = 'aviationstack';
+    this.apiKey = options.apiKey || process.env.AVIATIONSTACK_API_KEY || process.env.FLIGHT_API_KEY;
+    this.baseUrl = (options.baseUrl || process.env.FLIGHT_API_BASE_URL || 'http://api.aviationstack.com/v1').replace(/\/$/, '');
+    this.timeout = parseInt(process.env.FLIGHT_API_TIMEOUT_MS) || 10000;
+    this.maxPages = parseInt(process.env.AVIATIONSTACK_MAX_PAGES) || 5;
+    this.airportCacheTtlMs = (parseInt(process.env.AVIATIONSTACK_AIRPORT_CACHE_SECONDS) || 900) * 1000;
+    this.airportCache = new Map();
+  }
+
+  isConfigured() {
+    return !!this.apiKey && this.apiKey !== 'your_api_key_here';
+  }
+
+  async request(path, params) {
+    return (await this.requestPage(path, params)).data;
+  }
+
+  // One page of results with its pagination ({ offset, count, total })
+  async requestPage(path, params) {
+    const response = await axios.get(`${this.baseUrl}${path}`, {
+      params: { access_key: this.apiKey, ...params },
+      timeout: this.timeout
+    });
+
+    // AviationStack reports quota and key problems in a 200 body
+    if (response.data?.error) {
+      throw new Error(`AviationStack: ${response.data.error.message || response.data.error.code}`);
+    }
+    return {
+      data: response.data?.data || [],
+      pagination: response.data?.pagination || null
+    };
+  }
+
+  /**
+   * Look up one flight
+   * @param {string} flightNo - IATA flight number
+   * @param {Object} options - { date: 'YYYY-MM-DD' }
+   * @returns {Object|null} Canonical flight record
+   */
+  async getFlight(flightNo, { date = null } = {}) {
+    const params = { flight_iata: flightNo, limit: 1 };
+    if (date) params.flight_date = date;
+
+    const flights = await this.request('/flights', params);
+    return flights.length > 0 ? this.toRecord(flights[0]) : null;
+  }
+
+  /**
+   * Arrivals or departures of an airport, up to maxPages pages. Cached per
+   * airport, day and airline.
+   * @param {string} airportCode - IATA code
+   * @param {string} type - 'arrival' or 'departure'
+   * @param {string} date - 'YYYY-MM-DD'
+   * @param {Object} options - { airline: IATA code to only list that airline's flights }
+   */
+  async getFlightsByAirport(airportCode, type = 'arrival', date = null, { airline = null } = {}) {
+    const params = { [`${type === 'departure' ? 'dep' : 'arr'}_iata`]: airportCode.toUpperCase() };
+    if (date) params.flight_date = date;
+    if (airline) params.airline_iata = airline.toUpperCase();
+
+    const key = [type, params.dep_iata || params.arr_iata, date || 'any', airline || 'all'].join('|');
+    const cached = this.airportCache.get(key);
+    if (cached && Date.now() - cached.cachedAt <= this.airportCacheTtlMs) {
+      return cached.records;
+    }
+
+    // Concurrent lookups of the same listing share one set of requests
+    const records = this.fetchAllPages('/flights', params)
+      .then(flights => flights.map(flight => this.toRecord(flight)));
+    this.setAirportCache(key, records);
+
+    try {
+      return await records;
+    } catch (error) {
+      this.airportCache.delete(key);
+      throw error;
+    }
+  }
+
+  async fetchAllPages(path, params) {
+    const flights = [];
+
+    for (let page = 0; page < this.maxPages; page++) {
+      const { data, pagination } = await this.requestPage(path, { ...params, limit: PAGE_SIZE, offset: page * PAGE_SIZE });
+      flights.push(...data);
+      if (data.length < PAGE_SIZE || !pagination || flights.length >= pagination.total) break;
+    }
+    return flights;
+  }
+
+  setAirportCache(key, records) {
+    // Map keeps insertion order, so the first key is the oldest entry
+    this.airportCache.delete(key);
+    if (this.airportCache.size >= AIRPORT_CACHE_MAX_ENTRIES) {
+      this.airportCache.delete(this.airportCache.keys().next().value);
+    }
+    this.airportCache.set(key, { records, cachedAt: Date.now() });
+  }
+
+  /**
+   * The leg the same aircraft flies into this flight's origin: the latest
+   * arrival there with the same registration scheduled before this departure.
+   * Looks at the operating airline's arrivals on the departure date, then the
+   * day before.
+   * @param {Object} record - Canonical flight record with a registration
+   * @returns {Object|null} Canonical record of the previous leg
+   */
+  async getPreviousLeg(record) {
+    const origin = record.departure.iata;
+    const departure = record.departure.scheduled;
+    if (!record.registration || !origin || !departure) return null;
+
+    const day = record.flight_date || toFlightDate(departure, origin);
+    const dayBefore = toFlightDate(new Date(new Date(`${day}T00:00:00Z`).getTime() - 24 * 60 * 60 * 1000));
+    // Listing only the operating airline's arrivals keeps this to a page or two
+    const { carrier } = parseFlightNumber(record.flight_no);
+    const airline = carrier && carrier.length === 2 ? carrier : null;
+
+    for (const date of [day, dayBefore]) {
+      const arrivals = await this.getFlightsByAirport(origin, 'arrival', date, { airline });
+      const legs = arrivals
+        .filter(leg => leg.registration === record.registration && leg.flight_no !== record.flight_no)
+        .filter(leg => leg.arrival.scheduled && leg.arrival.scheduled < departure)
+        .sort((a, b) => b.arrival.scheduled - a.arrival.scheduled);
+      if (legs.length > 0) return legs[0];
+    }
+    return null;
+  }
+
+  async getAirport(iataCode) {
+    const airports = await this.request('/airports', { iata_code: iataCode });
+    return airports[0] || null;
+  }
+
+  toRecord(flight) {
+    const departure = flight.departure || {};
+    const arrival = flight.arrival || {};
+
+    return createFlightRecord({
+      flight_no: flight.flight?.iata || flight.flight?.icao || flight.flight?.number,
+      flight_date: flight.flight_date,
+      airline: flight.airline?.name || null,
+      // ICAO type designators (A320, B738) are what aircraftDatabase knows
+      aircraft: flight.aircraft?.icao || flight.aircraft?.iata || null,
+      registration: flight.aircraft?.registration || null,
+      icao24: flight.aircraft?.icao24 || null,
+      departure: {
+        iata: departure.iata,
+        airport: departure.airport,
+        scheduled: departure.scheduled,
+        estimated: departure.estimated,
+        actual: departure.actual,
+        terminal: departure.terminal,
+        gate: departure.gate,
+        delay_minutes: Number.isFinite(departure.delay) ? departure.delay : undefined
+      },
+      arrival: {
+        iata: arrival.iata,
+        airport: arrival.airport,
+        scheduled: arrival.scheduled,
+        estimated: arrival.estimated,
+        actual: arrival.actual,
+        terminal: arrival.terminal,
+        gate: arrival.gate,
+        baggage: arrival.baggage,
+        delay_minutes: Number.isFinite(arrival.delay) ? arrival.delay : undefined
+      },
+      status: STATUS_MAP[flight.flight_status] ?? null,
+      live: flight.live ? {
+        latitude: flight.live.latitude,
+        longitude: flight.live.longitude,
+        altitude_m: flight.live.altitude,
+        speed_kmh: flight.live.speed_horizontal,
+        heading: flight.live.direction,
+        on_ground: !!flight.live.is_ground
+      } : null,
+      source: this.name
+    });
+  }
+}
+
+AviationStackProvider.STATUS_MAP = STATUS_MAP;
+
+module.exports = AviationStackProvider;
@@ -0,0 +1,181 @@
+const timezoneService = require('../timezoneService');
+
+/**
+ * Canonical flight record shared by every flight provider.
+ *
+ * {
+ *   flight_no, carrier, number, airline,
+ *   aircraft,        // aircraft type (A320, B788) when known
+ *   registration,    // tail number of the operating aircraft (VT-EXA) when known
+ *   icao24,          // transponder address (OpenSky) when known
+ *   flight_date,     // scheduled departure date at the origin ('YYYY-MM-DD')
+ *   departure: { iata, airport, scheduled, estimated, actual, terminal, gate, delay_minutes },
+ *   arrival:   { iata, airport, scheduled, estimated, actual, terminal, gate, baggage, delay_minutes },
+ *   status,          // one of FLIGHT_STATUSES (same values as flight_details.status)
+ *   diverted_to,     // { iata, airport } the flight now lands at, or null
+ *   delay_minutes,   // arrival delay, else departure delay
+ *   live,            // { latitude, longitude, altitude_m, speed_kmh, heading, on_ground } or null
+ *   inbound,         // previous leg of the same aircraft (see toInboundLeg), or null
+ *   source, fetched_at
+ * }
+ *
+ * A flight number alone is not a flight: a daily AI101 operates once per day.
+ * One operated flight is identified by (carrier, number, flight_date), see
+ * getFlightKey().
+ */
+
+const FLIGHT_STATUSES = ['on_time', 'delayed', 'boarding', 'departed', 'diverted', 'landed', 'cancelled'];
+
+// A flight this late (minutes) is reported as delayed
+const DELAY_THRESHOLD_MINUTES = parseInt(process.env.FLIGHT_DELAY_THRESHOLD_MINUTES) || 15;
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const minutesLate = (scheduled, actual) => {
+  if (!scheduled || !actual) return 0;
+  return Math.max(0, Math.round((actual - scheduled) / 60000));
+};
+
+const buildEndpoint = (endpoint = {}) => {
+  const scheduled = toDate(endpoint.scheduled);
+  const estimated = toDate(endpoint.estimated);
+  const actual = toDate(endpoint.actual);
+
+  return {
+    iata: endpoint.iata ? String(endpoint.iata).toUpperCase() : null,
+    airport: endpoint.airport || null,
+    scheduled,
+    estimated,
+    actual,
+    terminal: endpoint.terminal != null ? String(endpoint.terminal) : null,
+    gate: endpoint.gate != null ? String(endpoint.gate) : null,
+    baggage: endpoint.baggage != null ? String(endpoint.baggage) : null,
+    delay_minutes: Number.isFinite(endpoint.delay_minutes)
+      ? endpoint.delay_minutes
+      : minutesLate(scheduled, actual || estimated)
+  };
+};
+
+/**
+ * Split a flight number into carrier and number, dropping spaces and leading
+ * zeros ('ai 0101' → { carrier: 'AI', number: '101', flightNo: 'AI101' })
+ * @param {string} flightNo - IATA (AI101, 6E2345) or ICAO (AIC101) flight number
+ * @returns {Object} { carrier, number, flightNo }; carrier is null if unrecognised
+ */
+const parseFlightNumber = (flightNo) => {
+  const clean = String(flightNo || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const match = clean.match(/^([A-Z]{3}|[A-Z][A-Z0-9]|[0-9][A-Z])(\d{1,4}[A-Z]?)$/);
+  if (!match) return { carrier: null, number: clean, flightNo: clean };
+
+  const number = match[2].replace(/^0+(?=\d)/, '');
+  return { carrier: match[1], number, flightNo: `${match[1]}${number}` };
+};
+
+/**
+ * Identity of one operated flight, used for caching and matching transfers
+ * @param {string} flightNo - Flight number
+ * @param {string} flightDate - Departure date at the origin ('YYYY-MM-DD'), or null if unknown
+ */
+const getFlightKey = (flightNo, flightDate) => {
+  return `${parseFlightNumber(flightNo).flightNo}|${flightDate || 'any'}`;
+};
+
+/**
+ * Build a canonical record from provider fields
+ * @param {Object} fields - Record fields; departure/arrival times may be strings
+ * @returns {Object} Canonical flight record
+ */
+const createFlightRecord = (fields) => {
+  const departure = buildEndpoint(fields.departure);
+  const arrival = buildEndpoint(fields.arrival);
+  const delayMinutes = Number.isFinite(fields.delay_minutes)
+    ? fields.delay_minutes
+    : (arrival.delay_minutes || departure.delay_minutes || 0);
+
+  const status = FLIGHT_STATUSES.includes(fields.status)
+    ? fields.status
+    : (delayMinutes >= DELAY_THRESHOLD_MINUTES ? 'delayed' : 'on_time');
+
+  const { carrier, number, flightNo } = parseFlightNumber(fields.flight_no);
+
+  return {
+    flight_no: flightNo,
+    carrier,
+    number,
+    // Providers that know the operating date pass it; otherwise derive it
+    flight_date: toFlightDate(fields.flight_date, departure.iata) ||
+      timezoneService.getFlightDate(departure.scheduled, departure.iata),
+    airline: fields.airline || null,
+    aircraft: fields.aircraft || null,
+    registration: normalizeRegistration(fields.registration),
+    icao24: fields.icao24 ? String(fields.icao24).toLowerCase() : null,
+    departure,
+    arrival,
+    status,
+    diverted_to: fields.diverted_to?.iata ? {
+      iata: String(fields.diverted_to.iata).toUpperCase(),
+      airport: fields.diverted_to.airport || null
+    } : null,
+    delay_minutes: delayMinutes,
+    live: fields.live || null,
+    inbound: null,
+    source: fields.source,
+    fetched_at: new Date()
+  };
+};
+
+// 'VT-EXA', 'vt-exa ' → 'VT-EXA'
+const normalizeRegistration = (registration) => {
+  if (!registration) return null;
+  return String(registration).toUpperCase().replace(/\s+/g, '') || null;
+};
+
+/**
+ * Summary of the leg that brings the aircraft to this flight's origin,
+ * stored as flight_details.inbound
+ * @param {Object} leg - Canonical record of the previous leg
+ * @returns {Object} { flight_no, registration, departure_airport, arrival_airport,
+ *   scheduled_arrival, expected_arrival, delay_minutes, status, source, updated_at }
+ */
+const toInboundLeg = (leg) => {
+  const scheduled = leg.arrival.scheduled;
+  const expected = leg.arrival.actual || leg.arrival.estimated ||
+    (scheduled ? new Date(scheduled.getTime() + (leg.delay_minutes || 0) * 60000) : null);
+
+  return {
+    flight_no: leg.flight_no,
+    registration: leg.registration,
+    departure_airport: leg.departure.iata,
+    arrival_airport: leg.arrival.iata,
+    scheduled_arrival: scheduled,
+    expected_arrival: expected,
+    delay_minutes: scheduled && expected ? minutesLate(scheduled, expected) : (leg.delay_minutes || 0),
+    status: leg.status,
+    source: leg.source,
+    updated_at: leg.fetched_at
+  };
+};
+
+// 'YYYY-MM-DD' for a date string as given, or for a time as the local date at
+// the departure airport (UTC when the airport is unknown); null otherwise
+const toFlightDate = (date, departureAirport = null) => {
+  if (!date) return null;
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  const parsed = toDate(date);
+  return parsed ? timezoneService.getFlightDate(parsed, departureAirport) : null;
+};
+
+module.exports = {
+  FLIGHT_STATUSES,
+  DELAY_THRESHOLD_MINUTES,
+  createFlightRecord,
+  parseFlightNumber,
+  getFlightKey,
+  toFlightDate,
+  normalizeRegistration,
+  toInboundLeg
+};
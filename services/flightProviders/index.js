@@ -0,0 +1,259 @@
+const AviationStackProvider = require('./aviationStackProvider');
+const OpenSkyProvider = require('./openSkyProvider');
+const SimulatorProvider = require('./simulatorProvider');
+const { toFlightDate, parseFlightNumber, getFlightKey, toInboundLeg } = require('./flightRecord');
+
+/**
+ * Flight Provider Registry
+ * Every flight lookup goes through here. Providers are tried in the order of
+ * FLIGHT_PROVIDERS (aviationstack,opensky by default); the first one that
+ * finds the flight wins. A lookup with a date asks for that day's operation
+ * only: records of another day are discarded, never reused. Results are
+ * cached per flight number and operating date (getFlightKey), and a
+ * provider that keeps failing is skipped for a cooldown (circuit breaker).
+ *
+ * Flights that haven't departed also get `inbound`, the previous leg flown by
+ * the same aircraft registration, from providers that can look it up
+ * (getPreviousLeg). FLIGHT_INBOUND_TRACKING=false turns this off.
+ *
+ * There is no fabricated fallback: when no provider knows a flight the lookup
+ * returns null. Simulated flights come only from the simulator, which replaces
+ * every other provider while FLIGHT_SIMULATOR_ENABLED=true (never in production).
+ */
+
+// The inbound aircraft only matters until the flight leaves
+const INBOUND_STATUSES = ['on_time', 'delayed', 'boarding'];
+
+class FlightProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.breakers = new Map();
+    this.cache = new Map();
+
+    this.cacheTtlMs = (parseInt(process.env.FLIGHT_CACHE_TTL_SECONDS) || 300) * 1000;
+    this.cacheMaxEntries = parseInt(process.env.FLIGHT_CACHE_MAX_ENTRIES) || 500;
+    this.breakerThreshold = parseInt(process.env.FLIGHT_BREAKER_THRESHOLD) || 3;
+    this.breakerCooldownMs = (parseInt(process.env.FLIGHT_BREAKER_COOLDOWN_SECONDS) || 120) * 1000;
+
+    this.register(new AviationStackProvider());
+    this.register(new OpenSkyProvider());
+    this.simulator = this.register(new SimulatorProvider());
+  }
+
+  /**
+   * Register (or replace) a provider
+   * @param {Object} provider - Object with name, isConfigured() and getFlight()
+   */
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.getFlight !== 'function') {
+      throw new Error('Flight provider must have a name and a getFlight() method');
+    }
+    this.providers.set(provider.name, provider);
+    this.breakers.set(provider.name, { failures: 0, openedAt: null, lastError: null });
+    return provider;
+  }
+
+  getProvider(name) {
+    return this.providers.get(name) || null;
+  }
+
+  isSimulating() {
+    return this.simulator.isConfigured();
+  }
+
+  // Configured providers in failover order
+  getOrder() {
+    if (this.isSimulating()) return [this.simulator];
+
+    return (process.env.FLIGHT_PROVIDERS || 'aviationstack,opensky')
+      .split(',')
+      .map(name => this.providers.get(name.trim().toLowerCase()))
+      .filter(provider => provider && provider !== this.simulator && provider.isConfigured());
+  }
+
+  // closed: in use, open: skipped, half-open: cooldown over, one trial call allowed
+  getBreakerState(name) {
+    const breaker = this.breakers.get(name);
+    if (!breaker.openedAt) return 'closed';
+    return Date.now() - breaker.openedAt >= this.breakerCooldownMs ? 'half-open' : 'open';
+  }
+
+  recordSuccess(name) {
+    this.breakers.set(name, { failures: 0, openedAt: null, lastError: null });
+  }
+
+  recordFailure(name, error) {
+    const breaker = this.breakers.get(name);
+    breaker.failures++;
+    breaker.lastError = error.message;
+
+    // A failed trial call re-opens the breaker straight away
+    if (breaker.openedAt || breaker.failures >= this.breakerThreshold) {
+      if (!breaker.openedAt || this.getBreakerState(name) === 'half-open') {
+        console.warn(`⚠️ Flight provider ${name} circuit open for ${this.breakerCooldownMs / 1000}s: ${error.message}`);
+      }
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  getCached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.cachedAt > this.cacheTtlMs) {
+      this.cache.delete(key);
+      return null;
+    }
+    return entry.record;
+  }
+
+  setCached(key, record) {
+    // Map keeps insertion order, so the first key is the oldest entry
+    if (this.cache.size >= this.cacheMaxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, { record, cachedAt: Date.now() });
+  }
+
+  // Whether a record is the operation on `date` (records without a date only
+  // come from live data, which can only be today's or yesterday's departure)
+  matchesDate(record, date) {
+    if (!date) return true;
+    if (record.flight_date) return record.flight_date === date;
+
+    const today = Date.now();
+    return [today, today - 24 * 60 * 60 * 1000].some(day => toFlightDate(new Date(day)) === date);
+  }
+
+  /**
+   * Look up a flight, failing over between providers
+   * @param {string} flightNo - Flight number
+   * @param {Object} options - { date: departure date at the origin (Date or 'YYYY-MM-DD'), skipCache }
+   * @returns {Object|null} Canonical flight record, or null if no provider knows the flight
+   * @throws {Error} When every provider tried failed
+   */
+  async getFlight(flightNo, { date = null, skipCache = false } = {}) {
+    const normalized = parseFlightNumber(flightNo).flightNo;
+    if (!normalized) throw new Error('Flight number is required');
+
+    const flightDate = toFlightDate(date);
+    const key = getFlightKey(normalized, flightDate);
+
+    // Simulated lookups never see cached real flights
+    if (!skipCache && !this.isSimulating()) {
+      const cached = this.getCached(key);
+      if (cached) return cached;
+    }
+
+    const errors = [];
+    let attempted = 0;
+
+    for (const provider of this.getOrder()) {
+      if (this.getBreakerState(provider.name) === 'open') continue;
+      attempted++;
+
+      try {
+        const record = await provider.getFlight(normalized, { date: flightDate });
+        this.recordSuccess(provider.name);
+
+        if (record && !this.matchesDate(record, flightDate)) {
+          console.warn(`⚠️ Flight provider ${provider.name} returned ${normalized} of ${record.flight_date || 'an unknown day'}, wanted ${flightDate}`);
+          continue;
+        }
+
+        if (record) {
+          record.inbound = await this.getInboundLeg(record);
+          if (provider.cacheable !== false) this.setCached(key, record);
+          return record;
+        }
+      } catch (error) {
+        this.recordFailure(provider.name, error);
+        errors.push(`${provider.name}: ${error.message}`);
+        console.warn(`⚠️ Flight provider ${provider.name} failed for ${normalized}: ${error.message}`);
+      }
+    }
+
+    if (attempted === 0) {
+      throw new Error('No flight data provider available');
+    }
+    if (errors.length === attempted) {
+      throw new Error(`All flight data providers failed (${errors.join('; ')})`);
+    }
+    return null;
+  }
+
+  /**
+   * The previous leg of the aircraft operating a flight that hasn't departed
+   * yet. Inbound data is optional: failures are logged and give null.
+   * @param {Object} record - Canonical flight record with a registration
+   * @returns {Object|null} Inbound leg (see toInboundLeg)
+   */
+  async getInboundLeg(record) {
+    if (process.env.FLIGHT_INBOUND_TRACKING === 'false') return null;
+    if (!record.registration || !INBOUND_STATUSES.includes(record.status)) return null;
+
+    for (const provider of this.getOrder()) {
+      if (typeof provider.getPreviousLeg !== 'function' || this.getBreakerState(provider.name) === 'open') continue;
+
+      try {
+        const leg = await provider.getPreviousLeg(record);
+        this.recordSuccess(provider.name);
+        if (leg) return toInboundLeg(leg);
+      } catch (error) {
+        this.recordFailure(provider.name, error);
+        console.warn(`⚠️ Flight provider ${provider.name} failed to find the inbound leg of ${record.flight_no}: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Look up several flights
+   * @param {Array} flights - Flight numbers or { flightNo, date }
+   * @returns {Array} [{ flightNo, date, record, error }]
+   */
+  async getFlights(flights) {
+    const results = [];
+
+    for (const flight of flights) {
+      const { flightNo, date } = typeof flight === 'string' ? { flightNo: flight } : flight;
+      try {
+        results.push({ flightNo, date, record: await this.getFlight(flightNo, { date }), error: null });
+      } catch (error) {
+        results.push({ flightNo, date, record: null, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  // Provider order, configuration and breaker state, for status endpoints
+  getStatus() {
+    const order = this.getOrder().map(provider => provider.name);
+
+    return {
+      order,
+      simulating: this.isSimulating(),
+      providers: [...this.providers.values()].map(provider => {
+        const breaker = this.breakers.get(provider.name);
+        return {
+          name: provider.name,
+          configured: provider.isConfigured(),
+          active: order.includes(provider.name),
+          circuit: this.getBreakerState(provider.name),
+          failures: breaker.failures,
+          lastError: breaker.lastError
+        };
+      }),
+      cache: {
+        entries: this.cache.size,
+        ttlSeconds: this.cacheTtlMs / 1000
+      }
+    };
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new FlightProviderRegistry();
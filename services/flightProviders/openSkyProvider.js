@@ -0,0 +1,76 @@
+const axios = require('axios');
+const { createFlightRecord } = require('./flightRecord');
+
+/**
+ * OpenSky Network Flight Provider
+ * Live position of airborne flights from /states/all (free, no key). OpenSky
+ * has no schedules, so records carry position and status only.
+ */
+
+// IATA → ICAO airline prefixes: OpenSky callsigns use ICAO (AI101 flies as AIC101)
+const ICAO_PREFIX = {
+  AI: 'AIC', '6E': 'IGO', SG: 'SEJ', IX: 'AXB', UK: 'VTI', QP: 'AKJ',
+  EK: 'UAE', QR: 'QTR', EY: 'ETD', SQ: 'SIA', TK: 'THY', LH: 'DLH',
+  BA: 'BAW', AF: 'AFR', KL: 'KLM', QF: 'QFA', AA: 'AAL', DL: 'DAL',
+  UA: 'UAL', CX: 'CPA', TG: 'THA', MH: 'MAS', LX: 'SWR', VS: 'VIR'
+};
+
+class OpenSkyProvider {
+  constructor(options = {}) {
+    this.name = 'opensky';
+    this.baseUrl = (options.baseUrl || process.env.OPENSKY_BASE_URL || 'https://opensky-network.org/api').replace(/\/$/, '');
+    this.timeout = parseInt(process.env.OPENSKY_TIMEOUT_MS) || 10000;
+  }
+
+  isConfigured() {
+    return process.env.OPENSKY_ENABLED !== 'false';
+  }
+
+  // Callsigns a flight number may appear under
+  getCallsigns(flightNo) {
+    const clean = flightNo.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const callsigns = [clean];
+    const match = clean.match(/^([A-Z0-9]{2})(\d{1,4}[A-Z]?)$/);
+    if (match && ICAO_PREFIX[match[1]]) {
+      callsigns.push(`${ICAO_PREFIX[match[1]]}${match[2]}`);
+    }
+    return callsigns;
+  }
+
+  /**
+   * Look up a flight that is currently in the air (or just landed)
+   * @param {string} flightNo - IATA or ICAO flight number
+   * @returns {Object|null} Canonical flight record
+   */
+  async getFlight(flightNo) {
+    const response = await axios.get(`${this.baseUrl}/states/all`, { timeout: this.timeout });
+    const states = response.data?.states || [];
+    const callsigns = this.getCallsigns(flightNo);
+
+    const state = states.find(candidate => callsigns.includes(candidate[1]?.trim().toUpperCase()));
+    return state ? this.toRecord(flightNo, state) : null;
+  }
+
+  // State vector: [0] icao24, [1] callsign, [5] longitude, [6] latitude,
+  // [7] baro_altitude, [8] on_ground, [9] velocity (m/s), [10] true_track
+  toRecord(flightNo, state) {
+    const onGround = !!state[8];
+
+    return createFlightRecord({
+      flight_no: flightNo,
+      icao24: state[0],
+      status: onGround ? 'landed' : 'departed',
+      live: {
+        latitude: state[6],
+        longitude: state[5],
+        altitude_m: state[7],
+        speed_kmh: state[9] != null ? Math.round(state[9] * 3.6) : null,
+        heading: state[10],
+        on_ground: onGround
+      },
+      source: this.name
+    });
+  }
+}
+
+module.exports = OpenSkyProvider;
@@ -0,0 +1,352 @@
+const { createFlightRecord, toFlightDate, parseFlightNumber } = require('./flightRecord');
+
+/**
+ * Flight Simulator
+ * Scripted flights for development and demos, switched on with
+ * FLIGHT_SIMULATOR_ENABLED=true and never available in production. While it
+ * is on it is the only flight provider, so simulated and real data never mix;
+ * every record it returns has source 'simulated'.
+ *
+ * Each flight plays a scenario against a virtual clock that runs
+ * FLIGHT_SIMULATOR_SPEED times faster than real time and can be advanced by
+ * hand. Scenario steps are timed in minutes relative to the scheduled
+ * departure and are applied in order up to the current virtual time.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// First simulated departure this far after the flight is first looked up
+const LEAD_MINUTES = 180;
+
+const AIRLINES = { AI: 'Air India', '6E': 'IndiGo', SG: 'SpiceJet', UK: 'Vistara', QP: 'Akasa Air', EK: 'Emirates', QF: 'Qantas Airways' };
+const AIRPORTS = [
+  { iata: 'BOM', airport: 'Chhatrapati Shivaji Maharaj International Airport' },
+  { iata: 'DEL', airport: 'Indira Gandhi International Airport' },
+  { iata: 'BLR', airport: 'Kempegowda International Airport' },
+  { iata: 'MAA', airport: 'Chennai International Airport' },
+  { iata: 'HYD', airport: 'Rajiv Gandhi International Airport' },
+  { iata: 'DXB', airport: 'Dubai International Airport' }
+];
+
+// step: { at, status, delay, departed, landed, arrivalShift, divertTo }
+// `at` may be a function of the block time (minutes) for steps tied to arrival
+const SCENARIOS = {
+  on_time: [
+    { at: -40, status: 'boarding' },
+    { at: 0, status: 'departed', departed: true },
+    { at: (block) => block, status: 'landed', landed: true }
+  ],
+  delay: [
+    { at: -120, status: 'delayed', delay: 30 },
+    { at: -60, status: 'delayed', delay: 75 },
+    { at: 35, status: 'boarding' },
+    { at: 75, status: 'departed', departed: true },
+    { at: (block) => block + 75, status: 'landed', landed: true }
+  ],
+  diversion: [
+    { at: -40, status: 'boarding' },
+    { at: 0, status: 'departed', departed: true },
+    { at: (block) => Math.round(block * 0.6), status: 'diverted', divertTo: true, arrivalShift: 45 },
+    { at: (block) => block + 45, status: 'landed', landed: true }
+  ],
+  cancellation: [
+    { at: -150, status: 'delayed', delay: 40 },
+    { at: -90, status: 'cancelled' }
+  ],
+  early_landing: [
+    { at: -40, status: 'boarding' },
+    { at: 0, status: 'departed', departed: true },
+    { at: (block) => Math.round(block * 0.5), arrivalShift: -25 },
+    { at: (block) => block - 25, status: 'landed', landed: true }
+  ],
+  // The inbound aircraft lands INBOUND_LATE_MINUTES late, eating the turnaround
+  late_inbound: [
+    { at: -90, status: 'delayed', delay: 45 },
+    { at: 5, status: 'boarding' },
+    { at: 45, status: 'departed', departed: true },
+    { at: (block) => block + 45, status: 'landed', landed: true }
+  ]
+};
+
+// Every simulated aircraft arrives this long before its next departure
+const INBOUND_TURNAROUND_MINUTES = 50;
+const INBOUND_BLOCK_MINUTES = 80;
+const INBOUND_LATE_MINUTES = 60;
+
+class SimulatorProvider {
+  constructor() {
+    this.name = 'simulator';
+    // Virtual time moves on its own, so results must not be cached
+    this.cacheable = false;
+    this.flights = new Map();
+    this.assignments = new Map();
+    this.defaultScenario = SCENARIOS[process.env.FLIGHT_SIMULATOR_DEFAULT_SCENARIO]
+      ? process.env.FLIGHT_SIMULATOR_DEFAULT_SCENARIO
+      : 'on_time';
+    this.productionWarned = false;
+
+    // FLIGHT_SIMULATOR_SCENARIOS=EK501:delay,AI202:diversion
+    for (const entry of (process.env.FLIGHT_SIMULATOR_SCENARIOS || '').split(',')) {
+      const [flightNo, scenario] = entry.split(':').map(part => part && part.trim());
+      if (flightNo && SCENARIOS[scenario]) this.assignments.set(this.normalize(flightNo), scenario);
+    }
+
+    this.resetClock();
+  }
+
+  isConfigured() {
+    if (process.env.FLIGHT_SIMULATOR_ENABLED !== 'true') return false;
+
+    if (process.env.NODE_ENV === 'production') {
+      if (!this.productionWarned) {
+        console.warn('⚠️ FLIGHT_SIMULATOR_ENABLED is ignored in production');
+        this.productionWarned = true;
+      }
+      return false;
+    }
+    return true;
+  }
+
+  normalize(flightNo) {
+    return parseFlightNumber(flightNo).flightNo;
+  }
+
+  hash(value) {
+    let hash = 0;
+    for (const char of value) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    return hash;
+  }
+
+  // ---- Virtual clock ----
+
+  now() {
+    const elapsed = Date.now() - this.clock.realStart;
+    return new Date(this.clock.virtualStart + elapsed * this.clock.speed);
+  }
+
+  /**
+   * Restart the clock at the real time (or `at`), forgetting simulated flights
+   * @param {Object} options - { at, speed }
+   */
+  resetClock({ at = null, speed = null } = {}) {
+    this.clock = {
+      realStart: Date.now(),
+      virtualStart: at ? new Date(at).getTime() : Date.now(),
+      speed: speed || parseFloat(process.env.FLIGHT_SIMULATOR_SPEED) || 1
+    };
+    this.flights.clear();
+  }
+
+  advanceClock(minutes) {
+    this.clock.virtualStart += minutes * MINUTE_MS;
+    return this.now();
+  }
+
+  setSpeed(speed) {
+    // Re-anchor so the virtual time doesn't jump
+    const now = this.now().getTime();
+    this.clock = { realStart: Date.now(), virtualStart: now, speed };
+  }
+
+  // ---- Scenarios ----
+
+  getScenarios() {
+    return Object.keys(SCENARIOS);
+  }
+
+  /**
+   * Play a scenario for a flight, restarting its timeline
+   * @param {string} flightNo - Flight number
+   * @param {string} scenario - One of getScenarios()
+   * @param {Object} options - { departInMinutes }
+   */
+  setScenario(flightNo, scenario, { departInMinutes = LEAD_MINUTES } = {}) {
+    if (!SCENARIOS[scenario]) {
+      throw new Error(`Unknown scenario "${scenario}". Use one of: ${this.getScenarios().join(', ')}`);
+    }
+
+    const key = this.normalize(flightNo);
+    this.assignments.set(key, scenario);
+    for (const flightKey of this.flights.keys()) {
+      if (flightKey.startsWith(`${key}|`)) this.flights.delete(flightKey);
+    }
+    return this.getTimeline(key, null, departInMinutes);
+  }
+
+  // Schedule of a simulated flight, created the first time it is looked up
+  getTimeline(flightNo, date, departInMinutes = LEAD_MINUTES) {
+    const key = `${flightNo}|${date || ''}`;
+    if (this.flights.has(key)) return this.flights.get(key);
+
+    const hash = this.hash(flightNo);
+    const from = AIRPORTS[hash % AIRPORTS.length];
+    const to = AIRPORTS[(hash % AIRPORTS.length + 1 + (hash >> 3) % (AIRPORTS.length - 1)) % AIRPORTS.length];
+    const alternate = AIRPORTS.find(airport => airport !== from && airport !== to);
+
+    // Flights on another day depart at a fixed hour of that day
+    const today = toFlightDate(this.now());
+    const scheduledDeparture = date && date !== today
+      ? new Date(`${date}T${String(6 + hash % 14).padStart(2, '0')}:00:00Z`)
+      : new Date(this.now().getTime() + departInMinutes * MINUTE_MS);
+
+    const timeline = {
+      flightNo,
+      date,
+      scenario: this.assignments.get(flightNo) || this.defaultScenario,
+      airline: AIRLINES[flightNo.slice(0, 2)] || 'Simulated Airways',
+      from,
+      to,
+      alternate,
+      scheduledDeparture,
+      blockMinutes: 90 + (hash >> 4) % 150,
+      registration: `VT-${[0, 5, 10].map(shift => String.fromCharCode(65 + (hash >> shift) % 26)).join('')}`,
+      terminal: String((hash % 3) + 1),
+      gate: `${'ABC'[hash % 3]}${(hash >> 2) % 20 + 1}`
+    };
+
+    this.flights.set(key, timeline);
+    return timeline;
+  }
+
+  // Scenario state at the current virtual time
+  getState(timeline) {
+    const elapsed = (this.now() - timeline.scheduledDeparture) / MINUTE_MS;
+    const state = { status: 'on_time', delay: 0, arrivalShift: 0, departed: false, landed: false, diverted: false, step: 0 };
+
+    for (const step of SCENARIOS[timeline.scenario]) {
+      const at = typeof step.at === 'function' ? step.at(timeline.blockMinutes) : step.at;
+      if (elapsed < at) break;
+
+      if (step.status) state.status = step.status;
+      if (step.delay != null) state.delay = step.delay;
+      if (step.arrivalShift != null) state.arrivalShift = step.arrivalShift;
+      if (step.departed) state.departed = true;
+      if (step.landed) state.landed = true;
+      if (step.divertTo) state.diverted = true;
+      state.step++;
+    }
+
+    return state;
+  }
+
+  async getFlight(flightNo, { date = null } = {}) {
+    const timeline = this.getTimeline(this.normalize(flightNo), toFlightDate(date));
+    const state = this.getState(timeline);
+
+    const departure = new Date(timeline.scheduledDeparture);
+    const arrival = new Date(departure.getTime() + timeline.blockMinutes * MINUTE_MS);
+    const estimatedDeparture = new Date(departure.getTime() + state.delay * MINUTE_MS);
+    const estimatedArrival = new Date(arrival.getTime() + (state.delay + state.arrivalShift) * MINUTE_MS);
+    const arrivalDelay = Math.max(0, state.delay + state.arrivalShift);
+
+    const record = createFlightRecord({
+      flight_no: timeline.flightNo,
+      flight_date: timeline.date,
+      airline: timeline.airline,
+      aircraft: 'A320',
+      registration: timeline.registration,
+      departure: {
+        ...timeline.from,
+        scheduled: departure,
+        estimated: estimatedDeparture,
+        actual: state.departed ? estimatedDeparture : null,
+        terminal: timeline.terminal,
+        gate: timeline.gate,
+        delay_minutes: state.delay
+      },
+      arrival: {
+        ...timeline.to,
+        scheduled: arrival,
+        estimated: estimatedArrival,
+        actual: state.landed ? estimatedArrival : null,
+        terminal: timeline.terminal,
+        delay_minutes: arrivalDelay
+      },
+      status: state.status,
+      diverted_to: state.diverted ? timeline.alternate : null,
+      delay_minutes: arrivalDelay,
+      source: 'simulated'
+    });
+
+    record.simulation = {
+      scenario: timeline.scenario,
+      step: state.step,
+      virtual_time: this.now()
+    };
+    return record;
+  }
+
+  /**
+   * The leg that brings the aircraft of a simulated flight to its origin,
+   * late in the late_inbound scenario
+   * @param {Object} record - Record returned by getFlight()
+   * @returns {Object|null} Canonical record of the previous leg
+   */
+  async getPreviousLeg(record) {
+    const timeline = [...this.flights.values()].find(candidate =>
+      candidate.flightNo === record.flight_no &&
+      candidate.scheduledDeparture.getTime() === record.departure.scheduled?.getTime()
+    );
+    if (!timeline) return null;
+
+    const arrival = new Date(timeline.scheduledDeparture.getTime() - INBOUND_TURNAROUND_MINUTES * MINUTE_MS);
+    const departure = new Date(arrival.getTime() - INBOUND_BLOCK_MINUTES * MINUTE_MS);
+    const delay = timeline.scenario === 'late_inbound' ? INBOUND_LATE_MINUTES : 0;
+    const estimatedDeparture = new Date(departure.getTime() + delay * MINUTE_MS);
+    const estimatedArrival = new Date(arrival.getTime() + delay * MINUTE_MS);
+    const now = this.now();
+
+    let status = delay ? 'delayed' : 'on_time';
+    if (now >= estimatedArrival) status = 'landed';
+    else if (now >= estimatedDeparture) status = 'departed';
+
+    const number = parseFlightNumber(timeline.flightNo);
+    return createFlightRecord({
+      flight_no: `${number.carrier || ''}${(parseInt(number.number, 10) || 0) + 1}`,
+      flight_date: toFlightDate(departure, timeline.alternate.iata),
+      airline: timeline.airline,
+      aircraft: 'A320',
+      registration: timeline.registration,
+      departure: {
+        ...timeline.alternate,
+        scheduled: departure,
+        estimated: estimatedDeparture,
+        actual: now >= estimatedDeparture ? estimatedDeparture : null,
+        delay_minutes: delay
+      },
+      arrival: {
+        ...timeline.from,
+        scheduled: arrival,
+        estimated: estimatedArrival,
+        actual: status === 'landed' ? estimatedArrival : null,
+        delay_minutes: delay
+      },
+      status,
+      delay_minutes: delay,
+      source: 'simulated'
+    });
+  }
+
+  // Clock and simulated flights, for the simulator endpoints
+  getStatus() {
+    return {
+      enabled: this.isConfigured(),
+      virtualTime: this.now(),
+      speed: this.clock.speed,
+      defaultScenario: this.defaultScenario,
+      scenarios: this.getScenarios(),
+      assignments: Object.fromEntries(this.assignments),
+      flights: [...this.flights.values()].map(timeline => ({
+        flightNo: timeline.flightNo,
+        date: timeline.date,
+        scenario: timeline.scenario,
+        scheduledDeparture: timeline.scheduledDeparture,
+        status: this.getState(timeline).status
+      }))
+    };
+  }
+}
+
+SimulatorProvider.SCENARIOS = SCENARIOS;
+
+module.exports = SimulatorProvider;
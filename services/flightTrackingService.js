@@ -1,755 +1,63 @@
-const axios = require('axios');
+const flightProviders = require('./flightProviders');
 
 class FlightTrackingService {
-  constructor() {
-    // AviationStack API - Free tier allows 100 requests per month
-    this.apiKey = process.env.AVIATIONSTACK_API_KEY || 'a81fec64c6fda4a44a703cd582b7bdbb';
-    this.baseUrl = 'http://api.aviationstack.com/v1';
-    
-    // Alternative: OpenSky Network API (completely free, no API key needed)
-    this.openSkyUrl = 'https://opensky-network.org/api';
+  // Flight lookups go through the provider registry (services/flightProviders),
+  // which handles failover between AviationStack and OpenSky, or the simulator.
+  // Unknown flights return null rather than made-up data.
+  // `date` (departure date at the origin) selects one day's operation
+  async getFlightInfo(flightNumber, date = null) {
+    console.log(`🔍 Looking up flight: ${flightNumber}${date ? ` on ${date}` : ''}`);
+    const record = await flightProviders.getFlight(flightNumber, { date });
+    return record ? this.toTrackingInfo(record) : null;
   }
 
-  async getFlightInfo(flightNumber) {
-    try {
-      // Try AviationStack first (has complete flight data including routes)
-      if (this.apiKey && this.apiKey !== 'your_api_key_here') {
-        console.log(`🔍 Searching AviationStack for flight: ${flightNumber}`);
-        const aviationResult = await this.getFlightFromAviationStack(flightNumber);
-        if (aviationResult) {
-          // Try to get real-time status from OpenSky Network
-          console.log(`🔍 Checking OpenSky Network for real-time status: ${flightNumber}`);
-          const openSkyResult = await this.getFlightFromOpenSky(flightNumber);
-          if (openSkyResult) {
-            // Merge AviationStack route data with OpenSky real-time status
-            return {
-              ...aviationResult,
-              status: openSkyResult.status,
-              live: openSkyResult.live,
-              source: 'aviationstack-opensky-hybrid'
-            };
-          }
-          return aviationResult;
-        }
-      }
-      
-      // Fallback to OpenSky Network (limited data - only position)
-      console.log(`🔍 Searching OpenSky Network for flight: ${flightNumber}`);
-      const openSkyResult = await this.getFlightFromOpenSky(flightNumber);
-      if (openSkyResult) {
-        return openSkyResult;
-      }
-      
-      // Final fallback to mock data
-      console.log(`🔍 Using mock data for flight: ${flightNumber}`);
-      return this.getMockFlightData(flightNumber);
-    } catch (error) {
-      console.error('Flight tracking error:', error.message);
-      return this.getMockFlightData(flightNumber);
-    }
-  }
-
-  async getFlightFromAviationStack(flightNumber) {
-    try {
-      // Try different search approaches for AviationStack, prioritizing active flights
-      const searchVariations = [
-        // First try active flights only
-        { flight_iata: flightNumber, flight_status: 'active' },
-        { flight_icao: flightNumber, flight_status: 'active' },
-        { flight_number: flightNumber, flight_status: 'active' },
-        // Then try all flights
-        { flight_iata: flightNumber },
-        { flight_icao: flightNumber },
-        { flight_number: flightNumber },
-        { flight_iata: flightNumber.substring(0, 3) + flightNumber.substring(3) },
-        { flight_iata: flightNumber.substring(0, 2) + flightNumber.substring(2) }
-      ];
-
-      for (const searchParams of searchVariations) {
-        try {
-          console.log(`🔍 Trying AviationStack search:`, searchParams);
-          const response = await axios.get(`${this.baseUrl}/flights`, {
-            params: {
-              access_key: this.apiKey,
-              ...searchParams,
-              limit: 1
-            },
-            timeout: 10000
-          });
-
-          if (response.data.data && response.data.data.length > 0) {
-            const flight = response.data.data[0];
-            console.log(`✅ Found flight in AviationStack:`, flight.flight?.iata || flight.flight?.icao);
-            console.log(`   Status:`, flight.flight_status);
-            return this.formatAviationStackData(flight);
-          }
-        } catch (searchError) {
-          console.log(`AviationStack search failed for ${JSON.stringify(searchParams)}:`, searchError.message);
-          continue;
-        }
-      }
-      
-      console.log(`❌ No flight found in AviationStack for ${flightNumber}`);
-      return null;
-    } catch (error) {
-      console.error('AviationStack API error:', error.message);
-      return null;
-    }
-  }
-
-  async getFlightFromOpenSky(flightNumber) {
-    try {
-      // OpenSky Network provides real-time flight data
-      // We'll search for currently active flights
-      console.log(`🔍 Searching OpenSky Network for active flights matching: ${flightNumber}`);
-
-      // Search in multiple ways
-      const searchTerms = [
-        flightNumber, // Exact match
-        flightNumber.substring(0, 3), // Airline code only
-        flightNumber.replace(/[^A-Z0-9]/g, '') // Clean version
-      ];
-
-      for (const searchTerm of searchTerms) {
-        try {
-          // Try to get currently active flights (no historical data needed)
-          const response = await axios.get(`${this.openSkyUrl}/states/all`, {
-            timeout: 5000
-          });
-
-          if (response.data && response.data.states) {
-            // Look for flights with matching callsign
-            const flight = response.data.states.find(state => {
-              const callsign = state[1]?.trim();
-              return callsign && callsign.toUpperCase().includes(searchTerm.toUpperCase());
-            });
-
-            if (flight) {
-              console.log(`✅ Found active flight ${flight[1]} in OpenSky Network`);
-              return this.formatOpenSkyStateData(flight);
-            }
-          }
-        } catch (searchError) {
-          console.log(`Search failed for ${searchTerm}:`, searchError.message);
-          continue;
-        }
-      }
-
-      // Try alternative approach - search by airline code
-      try {
-        const airlineCode = flightNumber.substring(0, 2).toUpperCase();
-        const response = await axios.get(`${this.openSkyUrl}/states/all`, {
-          timeout: 5000
-        });
-
-        if (response.data && response.data.states) {
-          // Look for any flight from the same airline
-          const flight = response.data.states.find(state => {
-            const callsign = state[1]?.trim();
-            return callsign && callsign.startsWith(airlineCode);
-          });
-
-          if (flight) {
-            console.log(`✅ Found airline flight ${flight[1]} in OpenSky Network`);
-            return this.formatOpenSkyStateData(flight);
-          }
-        }
-      } catch (airlineSearchError) {
-        console.log('Airline search failed:', airlineSearchError.message);
-      }
-
-      console.log(`❌ No active flight found for ${flightNumber} in OpenSky Network`);
-      return null;
-    } catch (error) {
-      console.error('OpenSky API error:', error.message);
-      return null;
-    }
-  }
-
-  formatAviationStackData(flight) {
-    const now = new Date();
-    const scheduledDeparture = new Date(flight.departure?.scheduled);
-    const actualDeparture = flight.departure?.actual ? new Date(flight.departure.actual) : null;
-    const scheduledArrival = new Date(flight.arrival?.scheduled);
-    const actualArrival = flight.arrival?.actual ? new Date(flight.arrival.actual) : null;
-    
-    // Calculate intelligent flight status based on times
-    let status = 'scheduled';
-    
-    // Simple and robust status calculation
-    if (actualArrival && now > actualArrival) {
-      status = 'landed';
-    } else if (actualDeparture && now > actualDeparture) {
-      // Flight has departed
-      if (actualArrival && now < actualArrival) {
-        status = 'in-flight';
-      } else if (!actualArrival && now < scheduledArrival) {
-        status = 'in-flight';
-      } else {
-        status = 'landed';
-      }
-    } else if (now > scheduledArrival) {
-      status = 'landed';
-    } else if (now > scheduledDeparture) {
-      status = 'in-flight';
-    } else {
-      status = 'scheduled';
-    }
-
-    return {
-      flightNumber: flight.flight?.iata || flight.flight?.icao,
-      airline: flight.airline?.name,
-      aircraft: flight.aircraft?.iata,
-      departure: {
-        airport: flight.departure?.airport,
-        iata: flight.departure?.iata,
-        scheduled: flight.departure?.scheduled,
-        actual: flight.departure?.actual,
-        terminal: flight.departure?.terminal,
-        gate: flight.departure?.gate,
-        delay: flight.departure?.delay
-      },
-      arrival: {
-        airport: flight.arrival?.airport,
-        iata: flight.arrival?.iata,
-        scheduled: flight.arrival?.scheduled,
-        actual: flight.arrival?.actual,
-        terminal: flight.arrival?.terminal,
-        gate: flight.arrival?.gate,
-        delay: flight.arrival?.delay
-      },
-      status: status,
-      live: flight.live,
-      source: 'aviationstack'
-    };
-  }
-
-  formatOpenSkyStateData(state) {
-    // OpenSky states array format:
-    // [0] icao24, [1] callsign, [2] origin_country, [3] time_position, [4] last_contact,
-    // [5] longitude, [6] latitude, [7] baro_altitude, [8] on_ground, [9] velocity,
-    // [10] true_track, [11] vertical_rate, [12] sensors, [13] geo_altitude, [14] squawk,
-    // [15] spi, [16] position_source
-    const callsign = state[1]?.trim();
-    const airline = this.getAirlineFromCallsign(callsign);
-    const originCountry = state[2] || 'Unknown';
-    const now = new Date();
-    
-    // Generate realistic airport information based on airline and origin country
-    const airportInfo = this.getAirportInfoFromAirline(airline, originCountry);
-    
-    console.log(`📍 OpenSky Network: Using estimated airport info for ${callsign}`);
-    console.log(`   Airline: ${airline}, Origin: ${originCountry}`);
-    console.log(`   Estimated Route: ${airportInfo.departure.iata} → ${airportInfo.arrival.iata}`);
-    
-    return {
-      flightNumber: callsign,
-      airline: airline,
-      aircraft: state[0], // icao24
-      departure: {
-        airport: airportInfo.departure.airport,
-        iata: airportInfo.departure.iata,
-        scheduled: new Date(now.getTime() - 2 * 60 * 60 * 1000).toISOString(), // 2 hours ago
-        actual: new Date(now.getTime() - 2 * 60 * 60 * 1000).toISOString(),
-        terminal: this.getRandomTerminal(),
-        gate: this.getRandomGate(),
-        delay: 0
-      },
-      arrival: {
-        airport: airportInfo.arrival.airport,
-        iata: airportInfo.arrival.iata,
-        scheduled: new Date(now.getTime() + 2 * 60 * 60 * 1000).toISOString(), // 2 hours from now
-        actual: null,
-        terminal: this.getRandomTerminal(),
-        gate: this.getRandomGate(),
-        delay: 0
-      },
-      status: state[8] ? 'landed' : 'in-flight', // on_ground
-      live: true,
-      source: 'opensky-live'
-    };
-  }
-
-  formatOpenSkyData(flight) {
-    const airline = this.getAirlineFromCallsign(flight.callsign);
-    const departureTime = new Date(flight.firstSeen * 1000);
-    const arrivalTime = flight.lastSeen ? new Date(flight.lastSeen * 1000) : null;
-    
-    return {
-      flightNumber: flight.callsign,
-      airline: airline,
-      aircraft: flight.icao24,
-      departure: {
-        airport: this.getAirportName(flight.estDepartureAirport),
-        iata: flight.estDepartureAirport,
-        scheduled: departureTime.toISOString(),
-        actual: departureTime.toISOString(),
-        terminal: this.getRandomTerminal(),
-        gate: this.getRandomGate(),
-        delay: 0
-      },
-      arrival: {
-        airport: this.getAirportName(flight.estArrivalAirport),
-        iata: flight.estArrivalAirport,
-        scheduled: arrivalTime ? arrivalTime.toISOString() : new Date(departureTime.getTime() + 2 * 60 * 60 * 1000).toISOString(),
-        actual: arrivalTime ? arrivalTime.toISOString() : null,
-        terminal: this.getRandomTerminal(),
-        gate: this.getRandomGate(),
-        delay: 0
-      },
-      status: flight.lastSeen ? 'landed' : 'in-flight',
-      live: true,
-      source: 'opensky'
-    };
-  }
-
-  getAirportName(iataCode) {
-    const airports = {
-      'EDDF': 'Frankfurt Airport',
-      'EGLL': 'London Heathrow Airport',
-      'EHAM': 'Amsterdam Airport Schiphol',
-      'LFPG': 'Charles de Gaulle Airport',
-      'KJFK': 'John F. Kennedy International Airport',
-      'KLAX': 'Los Angeles International Airport',
-      'KSFO': 'San Francisco International Airport',
-      'VIDP': 'Indira Gandhi International Airport',
-      'VABB': 'Chhatrapati Shivaji Maharaj International Airport',
-      'VOBL': 'Kempegowda International Airport',
-      'VOMM': 'Chennai International Airport',
-      'VECC': 'Netaji Subhash Chandra Bose International Airport',
-      'YSSY': 'Sydney Kingsford Smith Airport',
-      'YMML': 'Melbourne Airport',
-      'NZAA': 'Auckland Airport',
-      'RJTT': 'Tokyo Haneda Airport',
-      'RKSI': 'Incheon International Airport',
-      'ZBAA': 'Beijing Capital International Airport',
-      'ZSPD': 'Shanghai Pudong International Airport',
-      'OMDB': 'Dubai International Airport',
-      'OTHH': 'Hamad International Airport',
-      'WSSS': 'Singapore Changi Airport',
-      'VTBS': 'Suvarnabhumi Airport',
-      'VHHH': 'Hong Kong International Airport'
-    };
-    
-    return airports[iataCode] || `${iataCode} Airport`;
-  }
-
-  getRandomTerminal() {
-    return Math.floor(Math.random() * 3) + 1;
-  }
-
-  getRandomGate() {
-    return Math.floor(Math.random() * 50) + 1;
-  }
-
-  getAirlineFromCallsign(callsign) {
-    const airlineCodes = {
-      'LH': 'Lufthansa',
-      'DLH': 'Lufthansa',
-      'BA': 'British Airways',
-      'AF': 'Air France',
-      'KL': 'KLM Royal Dutch Airlines',
-      'EK': 'Emirates',
-      'QR': 'Qatar Airways',
-      'SQ': 'Singapore Airlines',
-      'AI': 'Air India',
-      '6E': 'IndiGo',
-      'SG': 'SpiceJet',
-      'G8': 'GoAir',
-      'IX': 'Air India Express',
-      'QF': 'Qantas Airways',
-      'AA': 'American Airlines',
-      'DL': 'Delta Air Lines',
-      'UA': 'United Airlines',
-      'WN': 'Southwest Airlines',
-      'AC': 'Air Canada',
-      'AF': 'Air France',
-      'KL': 'KLM',
-      'LX': 'Swiss International Air Lines',
-      'OS': 'Austrian Airlines',
-      'SN': 'Brussels Airlines',
-      'IB': 'Iberia',
-      'AZ': 'Alitalia',
-      'TP': 'TAP Air Portugal',
-      'AY': 'Finnair',
-      'SK': 'SAS Scandinavian Airlines',
-      'LO': 'LOT Polish Airlines',
-      'OK': 'Czech Airlines',
-      'RO': 'Tarom',
-      'SU': 'Aeroflot',
-      'TK': 'Turkish Airlines',
-      'MS': 'EgyptAir',
-      'ET': 'Ethiopian Airlines',
-      'SA': 'South African Airways',
-      'KQ': 'Kenya Airways',
-      'QR': 'Qatar Airways',
-      'EY': 'Etihad Airways',
-      'SV': 'Saudia',
-      'GF': 'Gulf Air',
-      'KU': 'Kuwait Airways',
-      'RJ': 'Royal Jordanian',
-      'ME': 'Middle East Airlines',
-      'MS': 'EgyptAir',
-      'LY': 'El Al Israel Airlines',
-      'TK': 'Turkish Airlines',
-      'PC': 'Pegasus Airlines',
-      'W6': 'Wizz Air',
-      'FR': 'Ryanair',
-      'U2': 'easyJet',
-      'VY': 'Vueling',
-      'IB': 'Iberia',
-      'V7': 'Volotea',
-      'HV': 'Transavia',
-      'BE': 'Flybe',
-      'T3': 'Eastern Airways',
-      'B6': 'JetBlue Airways',
-      'NK': 'Spirit Airlines',
-      'F9': 'Frontier Airlines',
-      'AS': 'Alaska Airlines',
-      'HA': 'Hawaiian Airlines',
-      'VX': 'Virgin America',
-      'VS': 'Virgin Atlantic',
-      'JL': 'Japan Airlines',
-      'NH': 'All Nippon Airways',
-      'KE': 'Korean Air',
-      'OZ': 'Asiana Airlines',
-      'CI': 'China Airlines',
-      'BR': 'EVA Air',
-      'CX': 'Cathay Pacific',
-      'KA': 'Dragonair',
-      'MF': 'Xiamen Airlines',
-      'CZ': 'China Southern Airlines',
-      'CA': 'Air China',
-      'MU': 'China Eastern Airlines',
-      'HU': 'Hainan Airlines',
-      '3U': 'Sichuan Airlines',
-      '9C': 'Spring Airlines',
-      'HO': 'Juneyao Airlines',
-      'JD': 'Beijing Capital Airlines',
-      'GS': 'Tianjin Airlines',
-      'PN': 'West Air',
-      'G5': 'China Express Airlines',
-      '8L': 'Lucky Air',
-      'A6': 'Air Travel',
-      'BK': 'Okay Airways',
-      'CN': 'Grand China Air',
-      'EU': 'Chengdu Airlines',
-      'FM': 'Shanghai Airlines',
-      'GJ': 'Zhejiang Loong Airlines',
-      'GT': 'Guangxi Beibu Gulf Airlines',
-      'GY': 'Colorful Guizhou Airlines',
-      'HX': 'Hong Kong Airlines',
-      'KN': 'China United Airlines',
-      'KY': 'Kunming Airlines',
-      'LT': 'LongJiang Airlines',
-      'NS': 'Hebei Airlines',
-      'QW': 'Qingdao Airlines',
-      'RY': 'Ruili Airlines',
-      'TV': 'Tibet Airlines',
-      'UQ': 'Urumqi Air',
-      'VD': 'Henan Airlines',
-      'Y8': 'Yangtze River Express',
-      'ZH': 'Shenzhen Airlines',
-      '9H': 'Air Changan',
-      'A1': 'Atifly',
-      'B7': 'Uni Air',
-      'C7': 'Cinnamon Air',
-      'D7': 'AirAsia X',
-      'E5': 'Air Arabia Egypt',
-      'F7': 'Flybaboo',
-      'G9': 'Air Arabia',
-      'H2': 'Sky Airline',
-      'I5': 'AirAsia India',
-      'J2': 'Azerbaijan Airlines',
-      'K6': 'Cambodia Angkor Air',
-      'L5': 'Allegiant Air',
-      'M6': 'Amerijet International',
-      'N4': 'Nordwind Airlines',
-      'O6': 'Avianca Brazil',
-      'P5': 'Wingo',
-      'Q2': 'Maldivian',
-      'R2': 'Orenburg Airlines',
-      'S3': 'Santa Barbara Airlines',
-      'T4': 'TRIP Linhas Aéreas',
-      'U4': 'Buddha Air',
-      'V2': 'Vision Airlines',
-      'W5': 'Mahan Air',
-      'X3': 'TUIfly',
-      'Y4': 'Volaris',
-      'Z2': 'Philippines AirAsia'
-    };
-    
-    if (!callsign) return 'Unknown Airline';
-    
-    // Try 2-letter code first
-    const code2 = callsign.substring(0, 2);
-    if (airlineCodes[code2]) return airlineCodes[code2];
-    
-    // Try 3-letter code
-    const code3 = callsign.substring(0, 3);
-    if (airlineCodes[code3]) return airlineCodes[code3];
-    
-    return 'Unknown Airline';
-  }
-
-  getAirportInfoFromAirline(airline, originCountry) {
-    // Generate realistic airport information based on airline and origin country
-    const airportMappings = {
-      'Air India': {
-        departure: {
-          airport: 'Indira Gandhi International Airport',
-          iata: 'DEL'
-        },
-        arrival: {
-          airport: 'Chhatrapati Shivaji International Airport',
-          iata: 'BOM'
-        }
-      },
-      'Lufthansa': {
-        departure: {
-          airport: 'Frankfurt International Airport',
-          iata: 'FRA'
-        },
-        arrival: {
-          airport: 'Munich Airport',
-          iata: 'MUC'
-        }
-      },
-      'British Airways': {
-        departure: {
-          airport: 'London Heathrow Airport',
-          iata: 'LHR'
-        },
-        arrival: {
-          airport: 'London Gatwick Airport',
-          iata: 'LGW'
-        }
-      },
-      'American Airlines': {
-        departure: {
-          airport: 'Dallas/Fort Worth International Airport',
-          iata: 'DFW'
-        },
-        arrival: {
-          airport: 'Los Angeles International Airport',
-          iata: 'LAX'
-        }
-      },
-      'Delta Air Lines': {
-        departure: {
-          airport: 'Hartsfield-Jackson Atlanta International Airport',
-          iata: 'ATL'
-        },
-        arrival: {
-          airport: 'John F. Kennedy International Airport',
-          iata: 'JFK'
-        }
-      }
-    };
-
-    // Default airports based on origin country
-    const countryAirports = {
-      'India': {
-        departure: {
-          airport: 'Indira Gandhi International Airport',
-          iata: 'DEL'
-        },
-        arrival: {
-          airport: 'Chhatrapati Shivaji International Airport',
-          iata: 'BOM'
-        }
-      },
-      'Germany': {
-        departure: {
-          airport: 'Frankfurt International Airport',
-          iata: 'FRA'
-        },
-        arrival: {
-          airport: 'Munich Airport',
-          iata: 'MUC'
-        }
-      },
-      'United States': {
-        departure: {
-          airport: 'Los Angeles International Airport',
-          iata: 'LAX'
-        },
-        arrival: {
-          airport: 'John F. Kennedy International Airport',
-          iata: 'JFK'
-        }
-      }
-    };
-
-    // Try airline-specific airports first
-    if (airportMappings[airline]) {
-      return airportMappings[airline];
-    }
-
-    // Fall back to country-specific airports
-    if (countryAirports[originCountry]) {
-      return countryAirports[originCountry];
-    }
-
-    // Default fallback
-    return {
-      departure: {
-        airport: 'International Airport',
-        iata: 'INT'
-      },
-      arrival: {
-        airport: 'Destination Airport',
-        iata: 'DST'
-      }
-    };
-  }
-
-  getMockFlightData(flightNumber) {
-    // Check for specific known flights and provide accurate mock data
-    const knownFlights = {
-      'QFA104': {
-        airline: 'Qantas Airways',
-        aircraft: 'Boeing 787-9',
-        departure: {
-          airport: 'Honolulu International Airport',
-          iata: 'HNL',
-          city: 'Honolulu',
-          timezone: 'HST (UTC -10:00)'
-        },
-        arrival: {
-          airport: 'Sydney Kingsford Smith Airport',
-          iata: 'SYD',
-          city: 'Sydney',
-          timezone: 'AEDT (UTC +11:00)'
-        },
-        status: 'scheduled',
-        duration: '10h 30m'
-      },
-      'QF104': {
-        airline: 'Qantas Airways',
-        aircraft: 'Boeing 787-9',
-        departure: {
-          airport: 'Honolulu International Airport',
-          iata: 'HNL',
-          city: 'Honolulu',
-          timezone: 'HST (UTC -10:00)'
-        },
-        arrival: {
-          airport: 'Sydney Kingsford Smith Airport',
-          iata: 'SYD',
-          city: 'Sydney',
-          timezone: 'AEDT (UTC +11:00)'
-        },
-        status: 'scheduled',
-        duration: '10h 30m'
-      }
-    };
-
-    // If we have specific data for this flight, use it
-    if (knownFlights[flightNumber]) {
-      const flight = knownFlights[flightNumber];
-      const now = new Date();
-      const scheduledDeparture = new Date(now.getTime() + 2 * 60 * 60 * 1000); // 2 hours from now
-      const scheduledArrival = new Date(scheduledDeparture.getTime() + 10.5 * 60 * 60 * 1000); // 10.5 hours later
-
-      return {
-        flightNumber,
-        airline: flight.airline,
-        aircraft: flight.aircraft,
-        departure: {
-          airport: flight.departure.airport,
-          iata: flight.departure.iata,
-          scheduled: scheduledDeparture.toISOString(),
-          actual: null,
-          terminal: '2',
-          gate: '15',
-          delay: 0
-        },
-        arrival: {
-          airport: flight.arrival.airport,
-          iata: flight.arrival.iata,
-          scheduled: scheduledArrival.toISOString(),
-          actual: null,
-          terminal: '1',
-          gate: '8',
-          delay: 0
-        },
-        status: flight.status,
-        live: false,
-        source: 'mock-accurate'
-      };
-    }
-
-    // Fallback to generic mock data for other flights
-    const airlines = ['Air India', 'IndiGo', 'SpiceJet', 'Vistara', 'GoAir'];
-    const airports = [
-      { name: 'Mumbai Airport', iata: 'BOM', city: 'Mumbai' },
-      { name: 'Delhi Airport', iata: 'DEL', city: 'Delhi' },
-      { name: 'Bangalore Airport', iata: 'BLR', city: 'Bangalore' },
-      { name: 'Chennai Airport', iata: 'MAA', city: 'Chennai' },
-      { name: 'Kolkata Airport', iata: 'CCU', city: 'Kolkata' }
-    ];
-
-    const now = new Date();
-    const scheduledDeparture = new Date(now.getTime() + Math.random() * 2 * 60 * 60 * 1000); // Within 2 hours
-    const scheduledArrival = new Date(scheduledDeparture.getTime() + (2 + Math.random() * 3) * 60 * 60 * 1000); // 2-5 hours flight
-
-    const departureAirport = airports[Math.floor(Math.random() * airports.length)];
-    const arrivalAirport = airports[Math.floor(Math.random() * airports.length)];
+  // Canonical flight record → public flight-tracking shape
+  toTrackingInfo(record) {
+    const endpoint = (side) => ({
+      airport: side.airport,
+      iata: side.iata,
+      scheduled: side.scheduled,
+      estimated: side.estimated,
+      actual: side.actual,
+      terminal: side.terminal,
+      gate: side.gate,
+      delay: side.delay_minutes
+    });
 
     return {
-      flightNumber,
-      airline: airlines[Math.floor(Math.random() * airlines.length)],
-      aircraft: 'A320',
-      departure: {
-        airport: departureAirport.name,
-        iata: departureAirport.iata,
-        scheduled: scheduledDeparture.toISOString(),
-        actual: null,
-        terminal: Math.floor(Math.random() * 3) + 1,
-        gate: Math.floor(Math.random() * 20) + 1,
-        delay: Math.random() > 0.7 ? Math.floor(Math.random() * 30) : 0
-      },
-      arrival: {
-        airport: arrivalAirport.name,
-        iata: arrivalAirport.iata,
-        scheduled: scheduledArrival.toISOString(),
-        actual: null,
-        terminal: Math.floor(Math.random() * 3) + 1,
-        gate: Math.floor(Math.random() * 20) + 1,
-        delay: Math.random() > 0.7 ? Math.floor(Math.random() * 30) : 0
-      },
-      status: 'scheduled',
-      live: false,
-      source: 'mock'
+      flightNumber: record.flight_no,
+      flightDate: record.flight_date,
+      airline: record.airline,
+      aircraft: record.aircraft,
+      departure: endpoint(record.departure),
+      arrival: { ...endpoint(record.arrival), baggage: record.arrival.baggage },
+      status: record.status,
+      delayMinutes: record.delay_minutes,
+      live: record.live,
+      source: record.source,
+      fetchedAt: record.fetched_at
     };
   }
 
   async getAirportInfo(iataCode) {
-    try {
-      if (this.apiKey && this.apiKey !== 'your_api_key_here') {
-        const response = await axios.get(`${this.baseUrl}/airports`, {
-          params: {
-            access_key: this.apiKey,
-            iata_code: iataCode
-          },
-          timeout: 10000
-        });
+    const provider = flightProviders.getProvider('aviationstack');
 
-        if (response.data.data && response.data.data.length > 0) {
-          return response.data.data[0];
-        }
+    try {
+      if (provider && provider.isConfigured()) {
+        const airport = await provider.getAirport(iataCode);
+        if (airport) return airport;
       }
-      
-      // Fallback to mock airport data
-      return this.getMockAirportData(iataCode);
+
+      // Fallback to the built-in airport list
+      return this.getKnownAirport(iataCode);
     } catch (error) {
       console.error('Airport info error:', error.message);
-      return this.getMockAirportData(iataCode);
+      return this.getKnownAirport(iataCode);
     }
   }
 
-  getMockAirportData(iataCode) {
+  // Static reference data for the main airports served; null when unknown
+  getKnownAirport(iataCode) {
     const airports = {
       'BOM': { name: 'Chhatrapati Shivaji Maharaj International Airport', city: 'Mumbai', country: 'India' },
       'DEL': { name: 'Indira Gandhi International Airport', city: 'Delhi', country: 'India' },
@@ -758,7 +66,7 @@ class FlightTrackingService {
       'CCU': { name: 'Netaji Subhash Chandra Bose International Airport', city: 'Kolkata', country: 'India' }
     };
 
-    return airports[iataCode] || { name: 'Unknown Airport', city: 'Unknown', country: 'Unknown' };
+    return airports[String(iataCode).toUpperCase()] || null;
   }
 }
 
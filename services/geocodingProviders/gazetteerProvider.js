@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Offline Gazetteer Provider
+ * Looks places up in local datasets in the GeoNames layout (tab-separated:
+ * geonameid, name, asciiname, alternatenames, latitude, longitude,
+ * feature class, feature code, country code, ..., population). The bundled
+ * services/databases/gazetteer.tsv covers the countries and cities we fly
+ * to; GEOCODING_GAZETTEER_FILE adds more, e.g. GeoNames' cities15000.txt
+ * (comma-separate several files).
+ *
+ * An address is matched on its most specific known place: the comma
+ * segments are tried in order, then the longest runs of words in each, so
+ * "Jio World Centre, BKC, Mumbai 400051" finds Bandra Kurla Complex. Country
+ * rows (feature code PCLI) only resolve country names; a country on its own
+ * is placed at its capital.
+ */
+
+const BUNDLED_FILE = path.join(__dirname, '..', 'databases', 'gazetteer.tsv');
+const MAX_PHRASE_WORDS = 4;
+
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// How exactly a GeoNames feature pins down a place
+const toPrecision = (featureClass, featureCode) => {
+  if (featureClass === 'A') return featureCode.startsWith('PCL') ? 'country' : 'region';
+  if (featureClass === 'P') return featureCode === 'PPLX' ? 'locality' : 'city';
+  if (featureClass === 'S') return 'address';
+  if (featureClass === 'R') return 'street';
+  return 'locality';
+};
+
+class GazetteerProvider {
+  constructor(options = {}) {
+    this.name = 'gazetteer';
+    this.files = options.files || [
+      BUNDLED_FILE,
+      ...(process.env.GEOCODING_GAZETTEER_FILE || '').split(',').map(file => file.trim()).filter(Boolean)
+    ];
+    this.index = null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // Places by normalized name, countries by name and code, capitals by country code
+  load() {
+    if (this.index) return this.index;
+
+    const index = { places: new Map(), countries: new Map(), capitals: new Map() };
+    for (const file of this.files) {
+      let text;
+      try {
+        text = fs.readFileSync(file, 'utf8');
+      } catch (error) {
+        console.warn(`⚠️ Gazetteer file ${file} not readable: ${error.message}`);
+        continue;
+      }
+
+      for (const line of text.split(/\r?\n/)) {
+        const columns = line.split('\t');
+        if (columns.length < 9) continue;
+        const [, name, asciiName, alternateNames, latitude, longitude, featureClass, featureCode, countryCode] = columns;
+        const place = {
+          name,
+          latitude: parseFloat(latitude),
+          longitude: parseFloat(longitude),
+          countryCode,
+          featureCode,
+          precision: toPrecision(featureClass, featureCode),
+          population: parseInt(columns[14]) || 0
+        };
+        if (!Number.isFinite(place.latitude) || !Number.isFinite(place.longitude)) continue;
+
+        const names = new Set([name, asciiName, ...(alternateNames || '').split(',')].map(normalize).filter(Boolean));
+        if (place.precision === 'country') {
+          names.add(normalize(countryCode));
+          for (const key of names) index.countries.set(key, place);
+          continue;
+        }
+        if (featureCode === 'PPLC') index.capitals.set(countryCode, place);
+        for (const key of names) {
+          const places = index.places.get(key) || [];
+          places.push(place);
+          index.places.set(key, places);
+        }
+      }
+    }
+
+    this.index = index;
+    return index;
+  }
+
+  // Best of the places sharing a name: in the country if known, then the most precise and populous
+  pick(places, countryCode) {
+    const candidates = countryCode ? places.filter(place => place.countryCode === countryCode) : places;
+    if (candidates.length === 0) return null;
+    const rank = ['country', 'region', 'city', 'locality', 'street', 'address'];
+    return [...candidates].sort((a, b) =>
+      rank.indexOf(b.precision) - rank.indexOf(a.precision) || b.population - a.population
+    )[0];
+  }
+
+  /**
+   * Look a place up, synchronously
+   * @param {string} query - Address or place name
+   * @param {Object} options - { country (name or ISO code) }
+   * @returns {Object|null} { latitude, longitude, displayName, precision, provider }
+   */
+  lookup(query, { country } = {}) {
+    const { places, countries, capitals } = this.load();
+    const segments = String(query || '').split(',').map(normalize).filter(Boolean);
+    if (segments.length === 0) return null;
+
+    // A country named in the address narrows the search like the hint does
+    const countryPlace = countries.get(normalize(country)) ||
+      segments.map(segment => countries.get(segment.replace(/\d+/g, '').trim())).find(Boolean);
+    const countryCode = countryPlace?.countryCode;
+
+    const toResult = (place) => ({
+      latitude: place.latitude,
+      longitude: place.longitude,
+      displayName: place.precision === 'country' ? place.name : [place.name, countryPlace?.name].filter(Boolean).join(', '),
+      precision: place.precision,
+      provider: this.name
+    });
+
+    for (const segment of segments) {
+      const words = segment.split(' ').filter(word => !/^\d+$/.test(word));
+      for (let size = Math.min(MAX_PHRASE_WORDS, words.length); size > 0; size--) {
+        for (let start = 0; start + size <= words.length; start++) {
+          const phrase = words.slice(start, start + size).join(' ');
+          // Short aliases ("LA", "KL") only count as a whole segment
+          if (phrase.length < 3 && phrase !== segment) continue;
+          const found = places.get(phrase);
+          const place = found && this.pick(found, countryCode);
+          if (place) return toResult(place);
+        }
+      }
+    }
+
+    if (countryPlace) {
+      const capital = capitals.get(countryPlace.countryCode);
+      return {
+        ...toResult(countryPlace),
+        ...(capital && { latitude: capital.latitude, longitude: capital.longitude })
+      };
+    }
+    return null;
+  }
+
+  async geocode(query, options = {}) {
+    return this.lookup(query, options);
+  }
+}
+
+module.exports = GazetteerProvider;
@@ -0,0 +1,76 @@
+const GazetteerProvider = require('./gazetteerProvider');
+const NominatimProvider = require('./nominatimProvider');
+
+/**
+ * Geocoding Provider Registry
+ * GEOCODING_PROVIDER selects the backend that turns addresses into
+ * coordinates (gazetteer by default). A provider has a name, isConfigured()
+ * and geocode(query, { country }) returning { latitude, longitude,
+ * displayName, precision, provider } or null.
+ *
+ * Precision says how exactly the result pins down the place, from coarse to
+ * fine: country, region, city, locality, street, address.
+ *
+ * If the selected backend fails or finds nothing, the offline gazetteer is
+ * asked instead.
+ */
+
+const PRECISIONS = ['country', 'region', 'city', 'locality', 'street', 'address'];
+
+class GeocodingProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.fallback = this.register(new GazetteerProvider());
+    this.register(new NominatimProvider());
+    this.PRECISIONS = PRECISIONS;
+  }
+
+  /**
+   * Register (or replace) a provider
+   * @param {Object} provider - Object with name, isConfigured() and geocode()
+   */
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.geocode !== 'function') {
+      throw new Error('Geocoding provider must have a name and a geocode() method');
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  getProvider() {
+    const name = (process.env.GEOCODING_PROVIDER || 'gazetteer').trim().toLowerCase();
+    const provider = this.providers.get(name);
+    return provider && provider.isConfigured() ? provider : this.fallback;
+  }
+
+  /**
+   * Geocode an address
+   * @param {string} query - Address or place name
+   * @param {Object} options - { country }
+   * @returns {Object} { place (or null), degraded (the selected provider failed) }
+   */
+  async geocode(query, options = {}) {
+    const provider = this.getProvider();
+
+    try {
+      const place = await provider.geocode(query, options);
+      if (place || provider === this.fallback) {
+        return { place, degraded: false };
+      }
+    } catch (error) {
+      if (provider === this.fallback) throw error;
+      console.warn(`⚠️ Geocoding provider ${provider.name} failed, using ${this.fallback.name}: ${error.message}`);
+      return { place: await this.fallback.geocode(query, options), degraded: true };
+    }
+    return { place: await this.fallback.geocode(query, options), degraded: false };
+  }
+
+  /**
+   * Look a place up in the offline gazetteer only, synchronously
+   */
+  lookupOffline(query, options = {}) {
+    return this.fallback.lookup(query, options);
+  }
+}
+
+module.exports = new GeocodingProviderRegistry();
@@ -0,0 +1,111 @@
+const axios = require('axios');
+
+/**
+ * Nominatim Geocoding Provider
+ * Calls a Nominatim-compatible /search endpoint (NOMINATIM_URL, e.g.
+ * https://nominatim.openstreetmap.org or a self-hosted instance). The public
+ * instance allows one request per second and requires an identifying
+ * User-Agent (NOMINATIM_USER_AGENT); requests are spaced by
+ * NOMINATIM_MIN_INTERVAL_MS.
+ */
+
+// Nominatim address types by how exactly they pin down a place
+const ADDRESS_TYPE_PRECISION = {
+  country: 'country',
+  state: 'region',
+  region: 'region',
+  province: 'region',
+  state_district: 'region',
+  county: 'region',
+  city: 'city',
+  town: 'city',
+  village: 'city',
+  municipality: 'city',
+  city_district: 'locality',
+  borough: 'locality',
+  suburb: 'locality',
+  quarter: 'locality',
+  neighbourhood: 'locality',
+  hamlet: 'locality',
+  road: 'street'
+};
+
+const toPrecision = (place) => {
+  if (ADDRESS_TYPE_PRECISION[place.addresstype]) return ADDRESS_TYPE_PRECISION[place.addresstype];
+  const rank = parseInt(place.place_rank) || 0;
+  if (rank >= 28) return 'address';
+  if (rank >= 26) return 'street';
+  if (rank >= 17) return 'locality';
+  if (rank >= 13) return 'city';
+  return rank >= 5 ? 'region' : 'country';
+};
+
+class NominatimProvider {
+  constructor(options = {}) {
+    this.name = 'nominatim';
+    this.baseUrl = (options.baseUrl || process.env.NOMINATIM_URL || '').replace(/\/$/, '');
+    this.userAgent = process.env.NOMINATIM_USER_AGENT || 'halo-transfers-backend';
+    this.email = process.env.NOMINATIM_EMAIL || '';
+    this.timeout = parseInt(process.env.GEOCODING_TIMEOUT_MS) || 5000;
+    this.minIntervalMs = parseInt(process.env.NOMINATIM_MIN_INTERVAL_MS) || 1000;
+    this.nextRequestAt = 0;
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  // Wait for our turn so requests stay minIntervalMs apart
+  async throttle() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextRequestAt);
+    this.nextRequestAt = slot + this.minIntervalMs;
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+
+  /**
+   * Geocode an address
+   * @param {string} query - Address or place name
+   * @param {Object} options - { country (name, appended when the query lacks it) }
+   * @returns {Object|null} { latitude, longitude, displayName, precision, provider }
+   */
+  async geocode(query, { country } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('NOMINATIM_URL not configured');
+    }
+
+    const q = country && !query.toLowerCase().includes(country.toLowerCase())
+      ? `${query}, ${country}`
+      : query;
+
+    await this.throttle();
+    const response = await axios.get(`${this.baseUrl}/search`, {
+      params: {
+        q,
+        format: 'jsonv2',
+        limit: 1,
+        ...(this.email && { email: this.email })
+      },
+      headers: {
+        'User-Agent': this.userAgent,
+        'Accept-Language': 'en'
+      },
+      timeout: this.timeout
+    });
+
+    const [place] = Array.isArray(response.data) ? response.data : [];
+    if (!place) return null;
+
+    return {
+      latitude: parseFloat(place.lat),
+      longitude: parseFloat(place.lon),
+      displayName: place.display_name,
+      precision: toPrecision(place),
+      provider: this.name
+    };
+  }
+}
+
+module.exports = NominatimProvider;
@@ -0,0 +1,127 @@
+const GeocodeCache = require('../models/GeocodeCache');
+const geocodingProviders = require('./geocodingProviders');
+
+/**
+ * Geocoding Service
+ *
+ * Turns addresses into coordinates through the provider registry
+ * (services/geocodingProviders) and keeps every answer in geocode_cache for
+ * GEOCODING_CACHE_DAYS, misses for GEOCODING_MISS_CACHE_HOURS. Answers the
+ * offline gazetteer gave because the selected provider failed are not cached,
+ * so the address is tried again once the provider is back.
+ *
+ * Callers ask for the precision they need: a drop-off geofence needs an
+ * address, a conference venue at least a locality; a city centre would put
+ * them in the wrong place. Geocoding never throws: without an answer the
+ * caller carries on without coordinates.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const { PRECISIONS } = geocodingProviders;
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+class GeocodingService {
+  constructor() {
+    this.cacheDays = parseInt(process.env.GEOCODING_CACHE_DAYS) || 30;
+    this.missCacheHours = parseInt(process.env.GEOCODING_MISS_CACHE_HOURS) || 24;
+  }
+
+  getCacheKey(query, country) {
+    return `${normalize(query)}|${normalize(country)}`;
+  }
+
+  // Whether a place is at least as precise as required
+  meetsPrecision(place, minPrecision = 'country') {
+    return PRECISIONS.indexOf(place.precision) >= PRECISIONS.indexOf(minPrecision);
+  }
+
+  async readCache(key) {
+    try {
+      const entry = await GeocodeCache.findOne({ query_key: key, expires_at: { $gt: new Date() } }).lean();
+      if (!entry) return undefined;
+      if (!entry.found) return null;
+      return {
+        latitude: entry.latitude,
+        longitude: entry.longitude,
+        displayName: entry.display_name,
+        precision: entry.precision,
+        provider: entry.provider
+      };
+    } catch (error) {
+      console.warn(`⚠️ Geocode cache read failed: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  async writeCache(key, query, country, place) {
+    const ttlMs = place ? this.cacheDays * 24 * HOUR_MS : this.missCacheHours * HOUR_MS;
+    try {
+      await GeocodeCache.updateOne(
+        { query_key: key },
+        {
+          $set: {
+            query,
+            country: country || null,
+            found: !!place,
+            latitude: place?.latitude ?? null,
+            longitude: place?.longitude ?? null,
+            display_name: place?.displayName ?? null,
+            precision: place?.precision ?? null,
+            provider: place?.provider ?? null,
+            expires_at: new Date(Date.now() + ttlMs)
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Geocode cache write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Geocode an address
+   * @param {string} query - Address or place name
+   * @param {Object} options - { country (name, narrows the search), minPrecision (default 'country') }
+   * @returns {Object|null} { latitude, longitude, displayName, precision, provider }
+   */
+  async geocode(query, { country = null, minPrecision = 'country' } = {}) {
+    if (!query || !String(query).trim()) return null;
+
+    const key = this.getCacheKey(query, country);
+    let place = await this.readCache(key);
+    if (place === undefined) {
+      try {
+        const result = await geocodingProviders.geocode(String(query).trim(), { country });
+        place = result.place;
+        if (!result.degraded) {
+          await this.writeCache(key, String(query).trim(), country, place);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Geocoding "${query}" failed: ${error.message}`);
+        return null;
+      }
+    }
+
+    return place && this.meetsPrecision(place, minPrecision) ? place : null;
+  }
+
+  /**
+   * Coordinates of an address, or null
+   * @returns {Object|null} { latitude, longitude }
+   */
+  async getCoordinates(query, options = {}) {
+    const place = await this.geocode(query, options);
+    return place ? { latitude: place.latitude, longitude: place.longitude } : null;
+  }
+
+  /**
+   * Place from the offline gazetteer, synchronously and without the cache
+   */
+  lookupOffline(query, { country = null, minPrecision = 'country' } = {}) {
+    const place = geocodingProviders.lookupOffline(query, { country });
+    return place && this.meetsPrecision(place, minPrecision) ? place : null;
+  }
+}
+
+module.exports = new GeocodingService();
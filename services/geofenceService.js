@@ -0,0 +1,126 @@
+const airportDatabase = require('./databases/airportDatabase');
+
+/**
+ * Geofence Service
+ *
+ * Two zones per transfer: `pickup` around the arrival airport (airportDatabase
+ * lat/lon) and `drop` around transfer_details.drop_coordinates. Location pings
+ * entering or leaving a zone advance the transfer:
+ *
+ *   first ping outside pickup (assigned)   → enroute
+ *   enter pickup  (assigned, enroute)      → waiting
+ *   leave pickup  (waiting)                → in_progress  (actual_pickup_time)
+ *   enter drop    (in_progress)            → completed    (actual_drop_time)
+ *
+ * Transitions go through the Transfer state machine as the user who sent the
+ * ping, which also sends the matching notifications once the transfer is saved.
+ */
+
+class GeofenceService {
+  constructor() {
+    this.pickupRadiusMeters = parseInt(process.env.GEOFENCE_PICKUP_RADIUS_METERS) || 1500;
+    this.dropRadiusMeters = parseInt(process.env.GEOFENCE_DROP_RADIUS_METERS) || 200;
+  }
+
+  /**
+   * Zones for a transfer; a zone is left out when its centre is unknown
+   * @param {Object} transfer - Transfer document
+   * @returns {Object} { pickup, drop } with { latitude, longitude, radiusMeters }
+   */
+  getZones(transfer) {
+    const zones = {};
+
+    const airport = airportDatabase.getAirport(transfer.flight_details?.arrival_airport);
+    if (airport && airport.lat !== undefined && airport.lon !== undefined) {
+      zones.pickup = {
+        latitude: airport.lat,
+        longitude: airport.lon,
+        radiusMeters: this.pickupRadiusMeters
+      };
+    }
+
+    const drop = transfer.transfer_details?.drop_coordinates;
+    if (drop && drop.latitude !== undefined && drop.latitude !== null &&
+        drop.longitude !== undefined && drop.longitude !== null) {
+      zones.drop = {
+        latitude: drop.latitude,
+        longitude: drop.longitude,
+        radiusMeters: this.dropRadiusMeters
+      };
+    }
+
+    return zones;
+  }
+
+  isInside(zone, point) {
+    const distanceKm = airportDatabase.calculateDistance(
+      zone.latitude, zone.longitude,
+      point.latitude, point.longitude
+    );
+    return distanceKm * 1000 <= zone.radiusMeters;
+  }
+
+  /**
+   * Apply a location ping to the transfer: update the stored zone state and
+   * advance transfer_status when a zone is entered or left. Mutates the
+   * transfer; the caller saves it.
+   * @param {Object} transfer - Transfer document with location_tracking set
+   * @param {Object} point - { latitude, longitude, timestamp }
+   * @param {Object} actor - { role, by } of the user who sent the ping
+   * @returns {Object} { events, transition } where transition is { from, to } or null
+   */
+  evaluate(transfer, point, actor) {
+    const zones = this.getZones(transfer);
+    const tracking = transfer.location_tracking;
+    const previous = {
+      pickup: tracking.geofence_state?.pickup || null,
+      drop: tracking.geofence_state?.drop || null
+    };
+    const current = {};
+    const events = [];
+
+    for (const [name, zone] of Object.entries(zones)) {
+      current[name] = this.isInside(zone, point) ? 'inside' : 'outside';
+      if (previous[name] && previous[name] !== current[name]) {
+        events.push({ zone: name, type: current[name] === 'inside' ? 'enter' : 'exit' });
+      } else if (!previous[name] && current[name] === 'inside') {
+        // First ping already inside the zone counts as entering it
+        events.push({ zone: name, type: 'enter' });
+      }
+    }
+
+    tracking.geofence_state = { ...previous, ...current };
+
+    const status = transfer.transfer_details.transfer_status;
+    let nextStatus = null;
+
+    const happened = (zone, type) => events.some(event => event.zone === zone && event.type === type);
+
+    if (happened('drop', 'enter') && status === 'in_progress') {
+      nextStatus = 'completed';
+    } else if (happened('pickup', 'exit') && status === 'waiting') {
+      nextStatus = 'in_progress';
+    } else if (happened('pickup', 'enter') && ['assigned', 'enroute'].includes(status)) {
+      nextStatus = 'waiting';
+    } else if (status === 'assigned' && current.pickup === 'outside') {
+      nextStatus = 'enroute';
+    }
+
+    if (!nextStatus) {
+      return { events, transition: null };
+    }
+
+    this.applyTransition(transfer, nextStatus, point.timestamp || new Date(), events, actor);
+    return { events, transition: { from: status, to: nextStatus } };
+  }
+
+  applyTransition(transfer, to, timestamp, events, actor) {
+    const trigger = events.length
+      ? events.map(event => `${event.type} ${event.zone} zone`).join(', ')
+      : 'driver started moving';
+
+    transfer.transitionTo(to, { role: actor.role, by: actor.by, reason: `geofence: ${trigger}`, at: timestamp });
+  }
+}
+
+module.exports = new GeofenceService();
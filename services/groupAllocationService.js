@@ -0,0 +1,681 @@
+const mongoose = require('mongoose');
+const GroupBooking = require('../models/GroupBooking');
+const Hotel = require('../models/Hotel');
+const User = require('../models/User');
+const ClientTravelPreferences = require('../models/ClientTravelPreferences');
+
+/**
+ * Group Allocation Service
+ *
+ * Places a delegation (GroupBooking) travelling to the conference of a
+ * ClientTravelPreferences into rooms across its hotels. Travelers first form
+ * room parties: a roomGroup shares one room, 'single' travelers get a room of
+ * their own, and the others are paired up to rules.maxPerRoom, same gender
+ * only unless rules.sameGenderOnly is off, travelers with similar budgets
+ * together.
+ *
+ * Parties are then placed, largest and tightest budget first, in the first
+ * hotel (recommendation order, or rules.hotelIds) with a room type that holds
+ * them at no more than budgetPerNight per occupant, the smallest and cheapest
+ * such room, while the hotel has rooms left (availability.roomsAvailable less
+ * overlapping bookings, and rules.maxRoomsPerHotel).
+ *
+ * Each room is booked as one Hotel.assignedToCustomers entry per occupant,
+ * sharing the room's bookingReference. Allocating again replaces the group's
+ * pending bookings; once a hotel confirms one, the group is left as it is.
+ *
+ * Booking is guarded against partial and concurrent writes: the group is
+ * claimed ('allocating') before any hotel is touched, each hotel is written
+ * in one save that replaces the group's bookings there (so writing again is
+ * harmless) and re-checks its rooms against the stored document version, and
+ * a failed allocation removes what it wrote. A claim left behind by a crash
+ * expires after ALLOCATION_CLAIM_MS and the next allocation rewrites every
+ * hotel holding the group's bookings.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALLOCATION_CLAIM_MS = 10 * 60 * 1000;
+const HOTEL_WRITE_ATTEMPTS = 3;
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+const LOCKED_BOOKING_STATUSES = ['confirmed', 'completed'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class GroupAllocationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GroupAllocationError';
+    this.status = status;
+  }
+}
+
+class GroupAllocationService {
+  async findGroup(groupId) {
+    const group = mongoose.Types.ObjectId.isValid(groupId) ? await GroupBooking.findById(groupId) : null;
+    if (!group) {
+      throw new GroupAllocationError('Group not found', 404);
+    }
+    return group;
+  }
+
+  async findPreference(preferenceId) {
+    const preference = mongoose.Types.ObjectId.isValid(preferenceId)
+      ? await ClientTravelPreferences.findById(preferenceId)
+      : null;
+    if (!preference) {
+      throw new GroupAllocationError('Preferences not found', 404);
+    }
+    return preference;
+  }
+
+  /**
+   * Check a roster and fill in traveler names from their accounts
+   * @param {Array} travelers - [{ travelerId, name, gender, budgetPerNight, roomSharing, roomGroup }]
+   */
+  async prepareTravelers(travelers) {
+    if (!Array.isArray(travelers) || travelers.length === 0) {
+      throw new GroupAllocationError('travelers must be a non-empty array');
+    }
+
+    const ids = travelers.map(traveler => String(traveler?.travelerId || ''));
+    const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length > 0) {
+      throw new GroupAllocationError(`Invalid travelerId: ${invalid.join(', ') || '(missing)'}`);
+    }
+    const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+    if (duplicates.length > 0) {
+      throw new GroupAllocationError(`Travelers listed twice: ${[...new Set(duplicates)].join(', ')}`);
+    }
+
+    const users = await User.find({ _id: { $in: ids } }).select('profile username');
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+    const unknown = ids.filter(id => !usersById.has(id));
+    if (unknown.length > 0) {
+      throw new GroupAllocationError(`Unknown travelers: ${unknown.join(', ')}`);
+    }
+
+    return travelers.map((traveler, index) => {
+      const user = usersById.get(ids[index]);
+      const accountName = [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ');
+      return {
+        travelerId: user._id,
+        name: traveler.name || accountName || user.username,
+        gender: traveler.gender ? String(traveler.gender).toLowerCase() : null,
+        budgetPerNight: traveler.budgetPerNight != null ? Number(traveler.budgetPerNight) : null,
+        roomSharing: traveler.roomSharing || 'shared',
+        roomGroup: traveler.roomGroup || null
+      };
+    });
+  }
+
+  prepareRules(rules = {}, current = {}) {
+    const hotelIds = rules.hotelIds ?? current.hotelIds ?? [];
+    const invalid = hotelIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length > 0) {
+      throw new GroupAllocationError(`Invalid hotelIds: ${invalid.join(', ')}`);
+    }
+    return {
+      maxPerRoom: rules.maxPerRoom ?? current.maxPerRoom ?? 2,
+      sameGenderOnly: rules.sameGenderOnly ?? current.sameGenderOnly ?? true,
+      maxRoomsPerHotel: rules.maxRoomsPerHotel !== undefined ? rules.maxRoomsPerHotel : (current.maxRoomsPerHotel ?? null),
+      hotelIds
+    };
+  }
+
+  /**
+   * Create a group for a conference's preferences
+   * @param {string} preferenceId - ClientTravelPreferences _id
+   * @param {Object} data - { name, travelers, rules }
+   * @param {Object} options - { user (creator _id) }
+   */
+  async createGroup(preferenceId, { name, travelers, rules } = {}, { user = null } = {}) {
+    const preference = await this.findPreference(preferenceId);
+
+    const group = new GroupBooking({
+      name: name || `${preference.name} delegation`,
+      preferenceId: preference._id,
+      clientId: preference.clientId,
+      currency: preference.currency,
+      travelers: await this.prepareTravelers(travelers),
+      rules: this.prepareRules(rules),
+      createdBy: user,
+      updatedBy: user
+    });
+    await group.save();
+    return group;
+  }
+
+  /**
+   * Update a group's name, roster or rules. An allocated group goes back to
+   * draft and its pending bookings are released.
+   */
+  async updateGroup(groupId, { name, travelers, rules } = {}, { user = null } = {}) {
+    const group = await this.findGroup(groupId);
+
+    const roster = travelers !== undefined ? await this.prepareTravelers(travelers) : null;
+    const nextRules = rules !== undefined ? this.prepareRules(rules, group.rules?.toObject?.() || group.rules) : null;
+
+    if (this.isClaimed(group)) {
+      throw new GroupAllocationError('Group is being allocated; try again shortly', 409);
+    }
+    if ((roster || nextRules) && group.status === 'allocated') {
+      await this.releaseBookings(group);
+      group.status = 'draft';
+      group.rooms = [];
+      group.unallocated = [];
+      group.totalPrice = 0;
+    }
+
+    if (name) group.name = name;
+    if (roster) group.travelers = roster;
+    if (nextRules) group.rules = nextRules;
+    group.updatedBy = user;
+    await group.save();
+    return group;
+  }
+
+  async listGroups(preferenceId) {
+    return GroupBooking.find({ preferenceId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Hotels to allocate to, in order: rules.hotelIds, else the selected hotel
+   * and the recommendations that are in our Hotel collection
+   */
+  async getHotels(group, preference) {
+    const ids = group.rules?.hotelIds?.length
+      ? group.rules.hotelIds
+      : [preference.selectedHotel, ...(preference.recommendations || []).map(rec => rec.hotelId)];
+    const order = [...new Set(ids.filter(Boolean).map(id => String(id._id || id)))];
+    if (order.length === 0) return [];
+
+    const hotels = await Hotel.find({ _id: { $in: order }, status: 'active', isAvailable: true });
+    return hotels.sort((a, b) => order.indexOf(String(a._id)) - order.indexOf(String(b._id)));
+  }
+
+  /**
+   * Room types with a price; a hotel without any offers its base price as a double
+   * @returns {Array} [{ type, adults, price }]
+   */
+  getRoomTypes(hotel) {
+    const roomTypes = (hotel.roomTypes || [])
+      .filter(roomType => roomType.price > 0)
+      .map(roomType => ({
+        type: roomType.type || 'Standard Room',
+        adults: roomType.capacity?.adults || 2,
+        price: roomType.price
+      }));
+    if (roomTypes.length === 0 && hotel.pricing?.basePrice > 0) {
+      roomTypes.push({ type: 'Standard Room', adults: 2, price: hotel.pricing.basePrice });
+    }
+    return roomTypes;
+  }
+
+  /**
+   * Rooms the group may still take in a hotel for the stay (Infinity when
+   * neither the hotel nor the rules set a limit). A hotel with
+   * roomsAvailable 0 is sold out; without a number it has no limit.
+   */
+  getRoomsLeft(hotel, group, checkIn, checkOut) {
+    const limits = [];
+    if (group.rules?.maxRoomsPerHotel) {
+      limits.push(group.rules.maxRoomsPerHotel);
+    }
+
+    const roomsAvailable = hotel.availability?.roomsAvailable;
+    if (roomsAvailable != null) {
+      // Other bookings over the same nights; occupants of a room share its reference
+      const taken = new Set(
+        (hotel.assignedToCustomers || [])
+          .filter(booking => ACTIVE_BOOKING_STATUSES.includes(booking.bookingStatus))
+          .filter(booking => !booking.groupBookingId || !booking.groupBookingId.equals(group._id))
+          .filter(booking => booking.checkIn < checkOut && booking.checkOut > checkIn)
+          .map(booking => booking.bookingReference || String(booking._id))
+      );
+      limits.push(roomsAvailable - taken.size);
+    }
+
+    return limits.length > 0 ? Math.max(0, Math.min(...limits)) : Infinity;
+  }
+
+  /**
+   * Split the roster into room parties
+   * @param {Array} travelers - Group travelers
+   * @param {Object} rules - Group rules
+   * @param {number} defaultBudget - Per-night budget of travelers without their own
+   * @returns {Array} [{ travelers, budgetPerNight (of each occupant) }]
+   */
+  buildParties(travelers, rules, defaultBudget) {
+    const budgetOf = traveler => traveler.budgetPerNight ?? defaultBudget;
+    const maxPerRoom = rules.maxPerRoom || 2;
+    const parties = [];
+    const roomGroups = new Map();
+    const sharing = new Map();
+
+    for (const traveler of travelers) {
+      if (traveler.roomGroup) {
+        const key = traveler.roomGroup.toLowerCase();
+        if (!roomGroups.has(key)) roomGroups.set(key, []);
+        roomGroups.get(key).push(traveler);
+      } else if (traveler.roomSharing === 'single' || (rules.sameGenderOnly && !traveler.gender)) {
+        parties.push([traveler]);
+      } else {
+        const key = rules.sameGenderOnly ? traveler.gender : 'any';
+        if (!sharing.has(key)) sharing.set(key, []);
+        sharing.get(key).push(traveler);
+      }
+    }
+    parties.push(...roomGroups.values());
+
+    for (const pool of sharing.values()) {
+      pool.sort((a, b) => budgetOf(a) - budgetOf(b));
+      for (let i = 0; i < pool.length; i += maxPerRoom) {
+        parties.push(pool.slice(i, i + maxPerRoom));
+      }
+    }
+
+    return parties.map(members => ({
+      travelers: members,
+      budgetPerNight: Math.min(...members.map(budgetOf))
+    }));
+  }
+
+  /**
+   * Place room parties in hotels
+   * @returns {Object} { rooms, unallocated, skippedHotels }
+   */
+  planAllocation(group, preference, hotels) {
+    const checkIn = new Date(preference.checkInDate);
+    const checkOut = new Date(preference.checkOutDate);
+    const nights = Math.max(1, Math.round((checkOut - checkIn) / DAY_MS));
+    const skippedHotels = [];
+
+    const options = [];
+    for (const hotel of hotels) {
+      const currency = hotel.pricing?.currency || 'INR';
+      const roomTypes = this.getRoomTypes(hotel);
+      if (currency !== group.currency) {
+        skippedHotels.push({ hotelId: hotel._id, hotelName: hotel.name, reason: `Priced in ${currency}, not ${group.currency}` });
+      } else if (roomTypes.length === 0) {
+        skippedHotels.push({ hotelId: hotel._id, hotelName: hotel.name, reason: 'No room prices' });
+      } else {
+        options.push({ hotel, roomTypes, roomsLeft: this.getRoomsLeft(hotel, group, checkIn, checkOut) });
+      }
+    }
+
+    const parties = this.buildParties(group.travelers, group.rules || {}, preference.budgetMax)
+      .sort((a, b) => b.travelers.length - a.travelers.length || a.budgetPerNight - b.budgetPerNight);
+
+    const rooms = [];
+    const unallocated = [];
+    const reference = String(group._id).slice(-6).toUpperCase();
+
+    for (const party of parties) {
+      const size = party.travelers.length;
+      // Why the party got no room: sold_out over over_budget over no_room_type
+      let reason = 'no_room_type';
+      let placed = false;
+
+      for (const option of options) {
+        const fitting = option.roomTypes.filter(roomType => roomType.adults >= size);
+        if (fitting.length === 0) continue;
+
+        const affordable = fitting
+          .filter(roomType => roomType.price <= party.budgetPerNight * size)
+          .sort((a, b) => a.adults - b.adults || a.price - b.price);
+        if (affordable.length === 0) {
+          if (reason === 'no_room_type') reason = 'over_budget';
+          continue;
+        }
+        if (option.roomsLeft < 1) {
+          reason = 'sold_out';
+          continue;
+        }
+
+        const [roomType] = affordable;
+        option.roomsLeft -= 1;
+        rooms.push({
+          hotelId: option.hotel._id,
+          hotelName: option.hotel.name,
+          roomType: roomType.type,
+          travelerIds: party.travelers.map(traveler => traveler.travelerId),
+          pricePerNight: roomType.price,
+          nights,
+          totalPrice: round(roomType.price * nights),
+          bookingReference: `GRP-${reference}-${String(rooms.length + 1).padStart(3, '0')}`
+        });
+        placed = true;
+        break;
+      }
+
+      if (!placed) {
+        unallocated.push(...party.travelers.map(traveler => ({
+          travelerId: traveler.travelerId,
+          name: traveler.name,
+          reason
+        })));
+      }
+    }
+
+    return { rooms, unallocated, skippedHotels };
+  }
+
+  isOwnBooking(booking, group) {
+    return !!booking.groupBookingId && booking.groupBookingId.equals(group._id);
+  }
+
+  /**
+   * @throws {GroupAllocationError} 409 when a hotel has confirmed one of the group's bookings
+   */
+  assertNotLocked(group, hotels) {
+    const locked = hotels.filter(hotel =>
+      hotel.assignedToCustomers.some(booking =>
+        this.isOwnBooking(booking, group) && LOCKED_BOOKING_STATUSES.includes(booking.bookingStatus))
+    );
+    if (locked.length > 0) {
+      throw new GroupAllocationError(
+        `Bookings already confirmed at ${locked.map(hotel => hotel.name).join(', ')}; cancel them before changing the group`,
+        409
+      );
+    }
+  }
+
+  // Whether an allocation of the group is in progress (a claim older than ALLOCATION_CLAIM_MS has been abandoned)
+  isClaimed(group) {
+    return group.status === 'allocating' &&
+      !!group.allocationStartedAt && Date.now() - group.allocationStartedAt.getTime() < ALLOCATION_CLAIM_MS;
+  }
+
+  /**
+   * Mark the group 'allocating' unless another allocation holds it
+   * @throws {GroupAllocationError} 409 when it does
+   */
+  async claimGroup(group) {
+    const startedAt = new Date();
+    const claimed = await GroupBooking.findOneAndUpdate(
+      {
+        _id: group._id,
+        $or: [
+          { status: { $ne: 'allocating' } },
+          { allocationStartedAt: null },
+          { allocationStartedAt: { $lt: new Date(startedAt.getTime() - ALLOCATION_CLAIM_MS) } }
+        ]
+      },
+      { $set: { status: 'allocating', allocationStartedAt: startedAt } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new GroupAllocationError('Group is already being allocated', 409);
+    }
+    group.status = claimed.status;
+    group.allocationStartedAt = claimed.allocationStartedAt;
+  }
+
+  /**
+   * Replace the group's bookings at one hotel with `rooms`, in one save that
+   * fails if the hotel changed since it was read (another allocation, a
+   * booking) and is then retried on a fresh read
+   * @throws {GroupAllocationError} 409 when the hotel has confirmed a booking
+   *   of the group or no longer has rooms for it
+   */
+  async writeHotelBookings(hotelId, group, rooms, { user = null } = {}) {
+    const names = new Map(group.travelers.map(traveler => [String(traveler.travelerId), traveler.name]));
+
+    for (let attempt = 1; attempt <= HOTEL_WRITE_ATTEMPTS; attempt++) {
+      const hotel = await Hotel.findById(hotelId);
+      if (!hotel) {
+        throw new GroupAllocationError(`Hotel ${hotelId} no longer exists`, 409);
+      }
+      this.assertNotLocked(group, [hotel]);
+
+      if (rooms.length > 0 && this.getRoomsLeft(hotel, group, group.checkIn, group.checkOut) < rooms.length) {
+        throw new GroupAllocationError(`${hotel.name} no longer has ${rooms.length} rooms for the group; allocate again`, 409);
+      }
+
+      // Occupants of a room share its reference, so rooms are counted once
+      const own = hotel.assignedToCustomers.filter(booking => this.isOwnBooking(booking, group));
+      const releasedRooms = new Set(own.map(booking => booking.bookingReference || String(booking._id))).size;
+
+      const bookings = hotel.assignedToCustomers.filter(booking => !this.isOwnBooking(booking, group));
+      for (const room of rooms) {
+        for (const travelerId of room.travelerIds) {
+          const roommates = room.travelerIds
+            .filter(id => String(id) !== String(travelerId))
+            .map(id => names.get(String(id)));
+          bookings.push({
+            customerId: travelerId,
+            checkIn: group.checkIn,
+            checkOut: group.checkOut,
+            guests: { adults: room.travelerIds.length, children: 0 },
+            roomType: room.roomType,
+            bookingStatus: 'pending',
+            bookingReference: room.bookingReference,
+            notes: roommates.length > 0 ? `${group.name}, sharing with ${roommates.join(', ')}` : group.name,
+            assignedBy: user,
+            groupBookingId: group._id
+          });
+        }
+      }
+
+      hotel.assignedToCustomers = bookings;
+      hotel.performance.totalBookings = Math.max(0, hotel.performance.totalBookings - releasedRooms + rooms.length);
+      if (rooms.length > 0) hotel.performance.lastBooked = new Date();
+      hotel.increment();
+
+      try {
+        await hotel.save();
+        return;
+      } catch (error) {
+        if (!(error instanceof mongoose.Error.VersionError) || attempt === HOTEL_WRITE_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Remove the group's bookings from its hotels
+   * @throws {GroupAllocationError} 409 when a hotel has confirmed one
+   */
+  async releaseBookings(group) {
+    const hotels = await Hotel.find({ 'assignedToCustomers.groupBookingId': group._id });
+    this.assertNotLocked(group, hotels);
+
+    for (const hotel of hotels) {
+      await this.writeHotelBookings(hotel._id, group, []);
+    }
+  }
+
+  /**
+   * Book the planned rooms, one assignedToCustomers entry per occupant, and
+   * remove the group's bookings from hotels it no longer uses
+   */
+  async writeBookings(group, rooms, { user = null } = {}) {
+    const previous = await Hotel.find({ 'assignedToCustomers.groupBookingId': group._id }).select('_id');
+    const hotelIds = [...new Set([
+      ...rooms.map(room => String(room.hotelId)),
+      ...previous.map(hotel => String(hotel._id))
+    ])];
+
+    for (const hotelId of hotelIds) {
+      const hotelRooms = rooms.filter(room => String(room.hotelId) === hotelId);
+      await this.writeHotelBookings(hotelId, group, hotelRooms, { user });
+    }
+  }
+
+  /**
+   * Allocate the group's travelers to rooms
+   * @param {string} groupId - GroupBooking _id
+   * @param {Object} options - { dryRun (plan without booking), user (_id of who allocates) }
+   * @returns {Object} { group, skippedHotels, summary }
+   */
+  async allocate(groupId, { dryRun = false, user = null } = {}) {
+    const group = await this.findGroup(groupId);
+    const preference = await this.findPreference(group.preferenceId);
+
+    if (!dryRun && this.isClaimed(group)) {
+      throw new GroupAllocationError('Group is already being allocated', 409);
+    }
+
+    const hotels = await this.getHotels(group, preference);
+    if (hotels.length === 0) {
+      throw new GroupAllocationError('No hotels to allocate to: generate recommendations or set rules.hotelIds');
+    }
+
+    const { rooms, unallocated, skippedHotels } = this.planAllocation(group, preference, hotels);
+
+    group.checkIn = preference.checkInDate;
+    group.checkOut = preference.checkOutDate;
+    group.rooms = rooms;
+    group.unallocated = unallocated;
+    group.totalPrice = round(rooms.reduce((sum, room) => sum + room.totalPrice, 0));
+
+    if (!dryRun) {
+      // Confirmed bookings stop the allocation before anything is written
+      this.assertNotLocked(group, await Hotel.find({ 'assignedToCustomers.groupBookingId': group._id }));
+      await this.claimGroup(group);
+
+      try {
+        await this.writeBookings(group, rooms, { user });
+      } catch (error) {
+        await this.abandonAllocation(group);
+        throw error;
+      }
+
+      group.status = 'allocated';
+      group.allocatedAt = new Date();
+      group.allocatedBy = user;
+      group.allocationStartedAt = null;
+      await group.save();
+
+      const allocated = group.travelers.length - unallocated.length;
+      console.log(`🏨 Group ${group.name}: ${allocated}/${group.travelers.length} travelers in ${rooms.length} rooms across ${new Set(rooms.map(room => String(room.hotelId))).size} hotels`);
+    }
+
+    return {
+      group,
+      skippedHotels,
+      summary: await this.getSummary(group, { live: !dryRun })
+    };
+  }
+
+  // Undo a failed allocation: remove what was written and return the group to draft
+  async abandonAllocation(group) {
+    try {
+      await this.releaseBookings(group);
+    } catch (error) {
+      console.error(`❌ Group ${group._id}: could not remove bookings of a failed allocation:`, error.message);
+    }
+
+    group.status = 'draft';
+    group.rooms = [];
+    group.unallocated = [];
+    group.totalPrice = 0;
+    group.allocationStartedAt = null;
+    try {
+      await group.save();
+    } catch (error) {
+      // The claim expires on its own
+      console.error(`❌ Group ${group._id}: could not reset a failed allocation:`, error.message);
+    }
+  }
+
+  /**
+   * Group summary: totals, rooms per hotel and one row per traveler
+   * @param {Object} options - { live (false for a plan not booked yet) }
+   */
+  async getSummary(group, { live = true } = {}) {
+    const statuses = new Map();
+    if (live) {
+      const hotels = await Hotel.find({ 'assignedToCustomers.groupBookingId': group._id }).select('assignedToCustomers');
+      for (const hotel of hotels) {
+        for (const booking of hotel.assignedToCustomers) {
+          if (booking.groupBookingId && booking.groupBookingId.equals(group._id)) {
+            statuses.set(`${booking.bookingReference}|${booking.customerId}`, booking.bookingStatus);
+          }
+        }
+      }
+    }
+
+    const names = new Map(group.travelers.map(traveler => [String(traveler.travelerId), traveler.name]));
+    const travelers = [];
+    const hotels = new Map();
+
+    for (const room of group.rooms) {
+      const key = String(room.hotelId);
+      if (!hotels.has(key)) {
+        hotels.set(key, { hotelId: room.hotelId, hotelName: room.hotelName, rooms: 0, travelers: 0, totalPrice: 0 });
+      }
+      const hotel = hotels.get(key);
+      hotel.rooms += 1;
+      hotel.travelers += room.travelerIds.length;
+      hotel.totalPrice = round(hotel.totalPrice + room.totalPrice);
+
+      for (const travelerId of room.travelerIds) {
+        travelers.push({
+          travelerId,
+          name: names.get(String(travelerId)),
+          hotelName: room.hotelName,
+          roomType: room.roomType,
+          bookingReference: room.bookingReference,
+          sharesWith: room.travelerIds
+            .filter(id => String(id) !== String(travelerId))
+            .map(id => names.get(String(id))),
+          nights: room.nights,
+          pricePerNight: round(room.pricePerNight / room.travelerIds.length),
+          totalPrice: round(room.totalPrice / room.travelerIds.length),
+          bookingStatus: live ? statuses.get(`${room.bookingReference}|${travelerId}`) || null : 'planned'
+        });
+      }
+    }
+
+    return {
+      group: {
+        id: group._id,
+        name: group.name,
+        preferenceId: group.preferenceId,
+        status: group.status,
+        currency: group.currency,
+        checkIn: group.checkIn,
+        checkOut: group.checkOut,
+        allocatedAt: group.allocatedAt || null
+      },
+      totals: {
+        travelers: group.travelers.length,
+        allocated: travelers.length,
+        unallocated: group.unallocated.length,
+        rooms: group.rooms.length,
+        hotels: hotels.size,
+        totalPrice: group.totalPrice
+      },
+      hotels: [...hotels.values()],
+      travelers,
+      unallocated: group.unallocated
+    };
+  }
+
+  /**
+   * Summary as CSV, one line per traveler
+   */
+  toCsv(summary) {
+    const escape = (value) => {
+      let text = value == null ? '' : String(value);
+      // Text a spreadsheet would run as a formula is kept as text
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const { currency } = summary.group;
+    const lines = [
+      ['Traveler', 'Hotel', 'Room type', 'Booking reference', 'Shares with', 'Nights', 'Price per night', 'Total', 'Currency', 'Status'],
+      ...summary.travelers.map(row => [
+        row.name, row.hotelName, row.roomType, row.bookingReference, row.sharesWith.join('; '),
+        row.nights, row.pricePerNight, row.totalPrice, currency, row.bookingStatus
+      ]),
+      ...summary.unallocated.map(row => [row.name, '', '', '', '', '', '', '', currency, `unallocated (${row.reason})`])
+    ];
+    return lines.map(line => line.map(escape).join(',')).join('\n') + '\n';
+  }
+}
+
+const groupAllocationService = new GroupAllocationService();
+groupAllocationService.GroupAllocationError = GroupAllocationError;
+
+module.exports = groupAllocationService;
@@ -0,0 +1,176 @@
+const ClientTravelPreferences = require('../models/ClientTravelPreferences');
+const travelAdvisoryService = require('./travelAdvisoryService');
+const hotelPriceService = require('./hotelPriceService');
+const notificationService = require('./notificationService');
+
+/**
+ * Hotel Price Alert Service
+ *
+ * Re-runs the hotel search of travel preferences with recommendations ahead
+ * of check-in (cron 'hotel-prices'), which also records the prices seen, and
+ * compares each recommended hotel with its last known price. The ops manager
+ * who created the preferences (or OPS_ALERT_CONTACTS) hears about:
+ *   - a drop of HOTEL_PRICE_DROP_PERCENT or more since the reference price,
+ *   - the price leaving the client's budgetMin-budgetMax range.
+ *
+ * The reference is the price when the recommendations were generated, then
+ * the last alerted or highest later price, kept on recommendation.priceWatch.
+ * A hotel out of budget is reported once until it comes back in.
+ */
+
+const WATCHED_STATUSES = ['recommendations_generated', 'hotel_selected'];
+const MANAGER_ROLES = ['OPERATIONS_MANAGER', 'ADMIN', 'SUPER_ADMIN'];
+
+class HotelPriceAlertService {
+  constructor() {
+    this.dropPercent = parseFloat(process.env.HOTEL_PRICE_DROP_PERCENT) || 5;
+    this.opsContacts = (process.env.OPS_ALERT_CONTACTS || '')
+      .split(',')
+      .map(contact => contact.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Preferences with recommendations whose stay hasn't started
+   */
+  findWatchedPreferences(now = new Date()) {
+    return ClientTravelPreferences.find({
+      status: { $in: WATCHED_STATUSES },
+      checkInDate: { $gt: now },
+      'recommendations.0': { $exists: true }
+    }).populate('createdBy', 'role profile.phone');
+  }
+
+  // Whether a price is inside the budget; null when the currencies differ
+  isInBudget(price, preference) {
+    if (price.currency !== (preference.currency || 'INR').toUpperCase()) return null;
+    return price.amount >= (preference.budgetMin || 0) && price.amount <= preference.budgetMax;
+  }
+
+  /**
+   * Compare a new price with the watch state
+   * @param {Object|null} watch - Previous priceWatch (null on the first check)
+   * @param {Object} price - { amount, currency }
+   * @param {Object} preference - ClientTravelPreferences
+   * @returns {Object} { alerts: ['drop'|'over_budget'|'under_budget'], watch (new state) }
+   */
+  decide(watch, price, preference) {
+    const inBudget = this.isInBudget(price, preference);
+    const state = {
+      referencePrice: price.amount,
+      lastPrice: price.amount,
+      currency: price.currency,
+      inBudget
+    };
+    if (!watch || watch.referencePrice == null || watch.currency !== price.currency) {
+      return { alerts: [], watch: state };
+    }
+
+    const alerts = [];
+    if (price.amount <= watch.referencePrice * (1 - this.dropPercent / 100)) {
+      alerts.push('drop');
+    } else {
+      // Rises move the reference up; small dips keep it
+      state.referencePrice = Math.max(watch.referencePrice, price.amount);
+    }
+    if (inBudget === false && watch.inBudget !== false) {
+      alerts.push(price.amount > preference.budgetMax ? 'over_budget' : 'under_budget');
+    }
+    return { alerts, watch: state };
+  }
+
+  // Who hears about a preference: its creator when an ops manager with a phone, else the ops team
+  getRecipients(preference) {
+    const creator = preference.createdBy;
+    if (creator && MANAGER_ROLES.includes(creator.role) && creator.profile?.phone) {
+      return [creator.profile.phone];
+    }
+    return this.opsContacts;
+  }
+
+  /**
+   * Compare a preference's recommendations with fresh search results
+   * @param {Object} preference - ClientTravelPreferences document
+   * @param {Array} hotels - Resolved search results
+   * @returns {Object} { checked, drops, budgetAlerts }
+   */
+  async checkPreference(preference, hotels, { now = new Date() } = {}) {
+    const result = { checked: 0, drops: 0, budgetAlerts: 0 };
+    const recipients = this.getRecipients(preference);
+    const selectedKey = preference.selectedHotel ? `hotel:${preference.selectedHotel._id || preference.selectedHotel}` : null;
+
+    for (const recommendation of preference.recommendations) {
+      const hotelKeys = await hotelPriceService.getHotelKeys(recommendation);
+      if (hotelKeys.length === 0) continue;
+
+      const hotel = hotels.find(candidate => (candidate.entity?.keys || []).some(key => hotelKeys.includes(key)));
+      const price = hotel && hotelPriceService.getBestPrice(hotel, (preference.currency || 'INR').toUpperCase());
+      if (!price) continue;
+      result.checked++;
+
+      // First check: start from the last price seen before this run
+      let watch = recommendation.priceWatch?.referencePrice != null ? recommendation.priceWatch : null;
+      if (!watch) {
+        const history = await hotelPriceService.getHistory(hotelKeys, {
+          checkIn: preference.checkInDate,
+          currency: price.currency,
+          before: now
+        });
+        const last = history[history.length - 1];
+        if (last) {
+          watch = { referencePrice: last.amount, currency: last.currency, inBudget: this.isInBudget(last, preference) };
+        }
+      }
+
+      const decision = this.decide(watch, price, preference);
+      recommendation.priceWatch = {
+        ...decision.watch,
+        lastCheckedAt: now,
+        lastAlertedAt: decision.alerts.length > 0 ? now : recommendation.priceWatch?.lastAlertedAt,
+        lastAlert: decision.alerts[decision.alerts.length - 1] || recommendation.priceWatch?.lastAlert
+      };
+
+      for (const type of decision.alerts) {
+        await notificationService.sendHotelPriceAlert(preference, {
+          type,
+          hotelName: hotel.name || recommendation.hotelData?.name || 'Hotel',
+          selected: !!selectedKey && hotelKeys.includes(selectedKey),
+          previousPrice: watch.referencePrice,
+          price: price.amount,
+          currency: price.currency
+        }, recipients);
+        if (type === 'drop') result.drops++;
+        else result.budgetAlerts++;
+      }
+    }
+
+    await preference.save();
+    return result;
+  }
+
+  /**
+   * Re-check the hotel prices of every watched preference
+   * @returns {Object} { processed, checked, drops, budgetAlerts, errors }
+   */
+  async checkPrices({ now = new Date() } = {}) {
+    const preferences = await this.findWatchedPreferences(now);
+    const summary = { processed: 0, checked: 0, drops: 0, budgetAlerts: 0, errors: 0 };
+
+    for (const preference of preferences) {
+      try {
+        const hotels = await travelAdvisoryService.searchHotelsForPreferences(preference);
+        const result = await this.checkPreference(preference, hotels, { now });
+        summary.processed++;
+        summary.checked += result.checked;
+        summary.drops += result.drops;
+        summary.budgetAlerts += result.budgetAlerts;
+      } catch (error) {
+        summary.errors++;
+        console.error(`❌ Error re-checking hotel prices for ${preference.name}:`, error.message);
+      }
+    }
+    return summary;
+  }
+}
+
+module.exports = new HotelPriceAlertService();
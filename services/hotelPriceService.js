@@ -0,0 +1,205 @@
+const HotelPrice = require('../models/HotelPrice');
+const hotelResolutionService = require('./hotelResolutionService');
+
+/**
+ * Hotel Price Service
+ *
+ * Keeps every price a search sees, per hotel, platform and stay, in
+ * hotelprices. A hotel is identified by its linked source keys, so prices
+ * seen on CozyCozy, Xotelo or our own collection for the same property end up
+ * in one history once hotelResolutionService has linked them.
+ *
+ * Trends compare the cheapest price of each observation (one search run)
+ * for the same check-in date.
+ */
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Midnight UTC of a stay date, so searches on different days compare
+const stayDate = (date) => date ? new Date(new Date(date).toISOString().slice(0, 10)) : null;
+
+class HotelPriceService {
+  constructor() {
+    this.historyLimit = parseInt(process.env.HOTEL_PRICE_HISTORY_POINTS) || 30;
+  }
+
+  /**
+   * Nightly prices of a search result, one per platform
+   * @returns {Array} [{ platform, amount, currency }]
+   */
+  extractPrices(hotel) {
+    const prices = [];
+    const entries = hotel.prices instanceof Map ? [...hotel.prices] : Object.entries(hotel.prices || {});
+    for (const [platform, price] of entries) {
+      const amount = Number(typeof price === 'object' ? price?.amount : price);
+      const currency = (typeof price === 'object' && price?.currency) || hotel.currency || hotel.pricing?.currency || 'USD';
+      if (amount > 0) prices.push({ platform, amount, currency: currency.toUpperCase() });
+    }
+
+    // Our own hotels and scraped results only carry a base price
+    if (prices.length === 0) {
+      const amount = Number(hotel.pricing?.basePrice || hotel.price);
+      if (amount > 0) {
+        prices.push({
+          platform: hotel._id ? 'direct' : (hotel.sources?.[0]?.platform || hotel.source || 'unknown'),
+          amount,
+          currency: (hotel.pricing?.currency || hotel.currency || 'USD').toUpperCase()
+        });
+      }
+    }
+    return prices;
+  }
+
+  /**
+   * Cheapest price of a search result, preferring the given currency
+   * @returns {Object|null} { platform, amount, currency }
+   */
+  getBestPrice(hotel, currency) {
+    const prices = this.extractPrices(hotel);
+    const inCurrency = prices.filter(price => price.currency === currency);
+    const candidates = inCurrency.length > 0 ? inCurrency : prices;
+    return candidates.reduce((best, price) => !best || price.amount < best.amount ? price : best, null);
+  }
+
+  /**
+   * Store the prices of resolved search results
+   * @param {Array} hotels - Results of hotelResolutionService.resolve
+   * @param {Object} stay - { checkIn, checkOut, preferenceId }
+   * @returns {number} Prices recorded
+   */
+  async recordPrices(hotels, { checkIn, checkOut = null, preferenceId = null } = {}) {
+    if (!checkIn) return 0;
+
+    const observedAt = new Date();
+    const docs = [];
+    for (const hotel of hotels) {
+      // Records without a stable ID can't be found again
+      const hotelKeys = hotelResolutionService.getLinkedKeys(hotel.entity?.keys || hotelResolutionService.getKeys(hotel));
+      if (hotelKeys.length === 0) continue;
+
+      for (const price of this.extractPrices(hotel)) {
+        docs.push({
+          hotelKeys,
+          hotelLinkId: hotel.entity?.linkId || null,
+          hotelName: hotel.name,
+          ...price,
+          checkIn: stayDate(checkIn),
+          checkOut: stayDate(checkOut),
+          observedAt,
+          preferenceId
+        });
+      }
+    }
+    if (docs.length === 0) return 0;
+
+    try {
+      await HotelPrice.insertMany(docs, { ordered: false });
+      return docs.length;
+    } catch (error) {
+      console.error('❌ Error recording hotel prices:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Linked keys of a stored recommendation, widened through its HotelLinks
+   * @param {Object} recommendation - ClientTravelPreferences recommendation
+   */
+  async getHotelKeys(recommendation) {
+    const hotel = recommendation.hotelData;
+    const keys = hotel ? [...(hotel.entity?.keys || hotelResolutionService.getKeys(hotel))] : [];
+    if (recommendation.hotelId) {
+      keys.push(`hotel:${recommendation.hotelId._id || recommendation.hotelId}`);
+    }
+
+    const linked = hotelResolutionService.getLinkedKeys([...new Set(keys)]);
+    if (linked.length === 0) return [];
+
+    const links = await hotelResolutionService.findLinks(linked);
+    return [...new Set([...linked, ...links.flatMap(link => hotelResolutionService.getLinkKeys(link))])];
+  }
+
+  /**
+   * Cheapest price per observation of a hotel for a check-in date
+   * @param {Array} hotelKeys - From getHotelKeys
+   * @param {Object} options - { checkIn, currency (preferred), before }
+   * @returns {Array} [{ observedAt, amount, currency, platform }], oldest first
+   */
+  async getHistory(hotelKeys, { checkIn, currency, before } = {}) {
+    if (hotelKeys.length === 0 || !checkIn) return [];
+
+    const query = { hotelKeys: { $in: hotelKeys }, checkIn: stayDate(checkIn) };
+    if (before) query.observedAt = { $lt: before };
+    const prices = await HotelPrice.find(query)
+      .select('observedAt amount currency platform')
+      .sort({ observedAt: 1 })
+      .lean();
+    if (prices.length === 0) return [];
+
+    // Prices in different currencies don't compare; keep the preferred one when seen
+    const useCurrency = prices.some(price => price.currency === currency)
+      ? currency
+      : prices[prices.length - 1].currency;
+
+    const observations = new Map();
+    for (const price of prices) {
+      if (price.currency !== useCurrency) continue;
+      const key = price.observedAt.getTime();
+      const best = observations.get(key);
+      if (!best || price.amount < best.amount) {
+        observations.set(key, {
+          observedAt: price.observedAt,
+          amount: price.amount,
+          currency: price.currency,
+          platform: price.platform
+        });
+      }
+    }
+    return [...observations.values()];
+  }
+
+  /**
+   * How a price series moved
+   * @returns {Object|null} { currency, current, first, lowest, highest, change,
+   *   changePercent, direction ('down'|'up'|'flat' since the previous observation),
+   *   observations, lastObservedAt, history }
+   */
+  summarizeTrend(history) {
+    if (history.length === 0) return null;
+
+    const amounts = history.map(point => point.amount);
+    const first = amounts[0];
+    const current = amounts[amounts.length - 1];
+    const previous = amounts.length > 1 ? amounts[amounts.length - 2] : current;
+
+    return {
+      currency: history[0].currency,
+      current,
+      first,
+      lowest: Math.min(...amounts),
+      highest: Math.max(...amounts),
+      change: round(current - first),
+      changePercent: first > 0 ? round((current - first) / first * 100) : 0,
+      direction: current < previous ? 'down' : current > previous ? 'up' : 'flat',
+      observations: history.length,
+      lastObservedAt: history[history.length - 1].observedAt,
+      history: history.slice(-this.historyLimit)
+    };
+  }
+
+  /**
+   * Price trend of a recommendation for the client's stay
+   * @param {Object} recommendation - ClientTravelPreferences recommendation
+   * @param {Object} preference - ClientTravelPreferences
+   */
+  async getPriceTrend(recommendation, preference) {
+    const hotelKeys = await this.getHotelKeys(recommendation);
+    const history = await this.getHistory(hotelKeys, {
+      checkIn: preference.checkInDate,
+      currency: preference.currency
+    });
+    return this.summarizeTrend(history);
+  }
+}
+
+module.exports = new HotelPriceService();
@@ -0,0 +1,639 @@
+const mongoose = require('mongoose');
+const HotelLink = require('../models/HotelLink');
+const HotelMatch = require('../models/HotelMatch');
+
+/**
+ * Hotel Resolution Service
+ *
+ * The same property reaches us from CozyCozy, Xotelo, the scraped search
+ * sources and our own Hotel collection, each time under a slightly different
+ * name. Records are compared on normalized names, address tokens and the
+ * distance between their coordinates. Pairs scoring HOTEL_MATCH_AUTO_THRESHOLD
+ * or more are merged into one hotel; pairs between HOTEL_MATCH_REVIEW_THRESHOLD
+ * and that stay apart and wait for an admin's review (HotelMatch).
+ *
+ * A resolved hotel has one HotelLink linking its Hotel._id, cozyCozyId and
+ * xoteloId, with the source keys of all its records in `aliases`. Records that
+ * share a key or a link are always the same hotel, and admin decisions
+ * override the scores. Scraped results have no stable IDs, so they are merged
+ * in search results but never linked or queued for review.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Words that say nothing about which property it is
+const NAME_STOPWORDS = new Set(['the', 'hotel', 'hotels', 'htl', 'and', 'by', 'at', 'of', 'a', 'an']);
+const ADDRESS_STOPWORDS = new Set([
+  'road', 'rd', 'street', 'st', 'marg', 'lane', 'ln', 'avenue', 'ave', 'near', 'opp', 'opposite',
+  'no', 'plot', 'floor', 'the', 'and', 'of', 'india'
+]);
+const ABBREVIATIONS = { intl: 'international', apts: 'apartments', ste: 'suites', ctr: 'centre', center: 'centre' };
+
+// Sources with stable IDs, in the order their fields win when records merge
+const LINKED_SOURCES = ['hotel', 'cozycozy', 'xotelo'];
+const LINK_SOURCE = { hotel: 'system', cozycozy: 'cozycozy', xotelo: 'xotelo' };
+
+// An address this similar, or a position this close, confirms a name match
+const MIN_ADDRESS_MATCH = 0.5;
+const SAME_PLACE_KM = 0.25;
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const normalizeText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const tokenize = (text, stopwords, exclude = new Set()) => [...new Set(
+  normalizeText(text)
+    // Initials stay together: 'J.W. Marriott' → 'jw marriott'
+    .replace(/\b([a-z0-9]) (?=[a-z0-9]\b)/g, '$1')
+    .split(' ')
+    .filter(Boolean)
+    .map(token => ABBREVIATIONS[token] || token)
+    .filter(token => !stopwords.has(token) && !exclude.has(token))
+)];
+
+// Equal, or one typo apart in words of five letters or more ('marriot', 'marriott')
+const sameToken = (a, b) => {
+  if (a === b) return true;
+  if (Math.min(a.length, b.length) < 5 || Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+// 0-1 overlap of two token lists, or null when either is empty. Words only
+// one side has count against it: 'Holiday Inn Express' is not 'Holiday Inn'.
+const tokenSimilarity = (a, b) => {
+  if (a.length === 0 || b.length === 0) return null;
+  const matches = a.filter(token => b.some(other => sameToken(token, other))).length;
+  return round((2 * matches) / (a.length + b.length));
+};
+
+const toRad = (degrees) => degrees * (Math.PI / 180);
+
+const distanceKm = (a, b) => {
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+const splitKey = (key) => {
+  const index = key.indexOf(':');
+  return [key.slice(0, index), key.slice(index + 1)];
+};
+
+class HotelResolutionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'HotelResolutionError';
+    this.status = status;
+  }
+}
+
+class HotelResolutionService {
+  constructor() {
+    this.autoThreshold = parseFloat(process.env.HOTEL_MATCH_AUTO_THRESHOLD) || 0.85;
+    this.reviewThreshold = parseFloat(process.env.HOTEL_MATCH_REVIEW_THRESHOLD) || 0.6;
+    // Records further apart than this are different properties, whatever their names
+    this.maxDistanceKm = parseFloat(process.env.HOTEL_MATCH_MAX_DISTANCE_KM) || 1;
+  }
+
+  /**
+   * Where a hotel record came from: 'hotel' (our collection), 'cozycozy',
+   * 'xotelo' or the scraped platform
+   */
+  getSource(hotel) {
+    if (hotel._id) return 'hotel';
+    if (hotel.cozyCozyId) return 'cozycozy';
+    if (hotel.xoteloId || hotel.source === 'xotelo') return 'xotelo';
+    return hotel.sources?.[0]?.platform || hotel.source || 'unknown';
+  }
+
+  /**
+   * Source keys identifying a hotel record: 'hotel:<_id>', 'cozycozy:<id>',
+   * 'xotelo:<id>', else '<platform>:<hotelId>'
+   */
+  getKeys(hotel) {
+    const keys = [];
+    if (hotel._id) keys.push(`hotel:${hotel._id}`);
+    if (hotel.cozyCozyId) keys.push(`cozycozy:${hotel.cozyCozyId}`);
+    if (hotel.xoteloId || (hotel.source === 'xotelo' && hotel.hotelId)) {
+      keys.push(`xotelo:${hotel.xoteloId || hotel.hotelId}`);
+    }
+    if (keys.length === 0 && hotel.hotelId) {
+      keys.push(`${this.getSource(hotel)}:${hotel.hotelId}`);
+    }
+    return keys;
+  }
+
+  // Keys of the sources with stable IDs, the only ones stored on links
+  getLinkedKeys(keys) {
+    return keys.filter(key => LINKED_SOURCES.includes(splitKey(key)[0]));
+  }
+
+  /**
+   * Everything the matcher needs from a hotel record, whatever its shape
+   */
+  describe(hotel) {
+    const coordinates = hotel.location?.coordinates || hotel.coordinates;
+    const city = normalizeText(hotel.city);
+    const cityTokens = new Set(city.split(' ').filter(Boolean));
+    const name = hotel.name || hotel.hotelName || '';
+    const address = hotel.location?.address || hotel.address || '';
+
+    // 'Hotel Mumbai' has nothing left once the city is taken out
+    const nameTokens = tokenize(name, NAME_STOPWORDS, cityTokens);
+
+    return {
+      hotel,
+      keys: this.getKeys(hotel),
+      source: this.getSource(hotel),
+      name,
+      address,
+      city,
+      coordinates: coordinates && Number.isFinite(coordinates.latitude) && Number.isFinite(coordinates.longitude)
+        ? { latitude: coordinates.latitude, longitude: coordinates.longitude }
+        : null,
+      nameTokens: nameTokens.length > 0 ? nameTokens : tokenize(name, NAME_STOPWORDS),
+      addressTokens: tokenize(address, ADDRESS_STOPWORDS, cityTokens)
+    };
+  }
+
+  /**
+   * How likely two records are the same property
+   * @param {Object} a - describe() of one record
+   * @param {Object} b - describe() of the other
+   * @returns {Object} { score (0-1), signals: { name, address, distanceKm } }
+   */
+  compare(a, b) {
+    const signals = { name: null, address: null, distanceKm: null };
+    if (a.keys.some(key => b.keys.includes(key))) {
+      return { score: 1, signals };
+    }
+
+    if (a.city && b.city && !a.city.includes(b.city) && !b.city.includes(a.city)) {
+      return { score: 0, signals };
+    }
+
+    signals.name = tokenSimilarity(a.nameTokens, b.nameTokens);
+    signals.address = tokenSimilarity(a.addressTokens, b.addressTokens);
+    if (a.coordinates && b.coordinates) {
+      signals.distanceKm = round(distanceKm(a.coordinates, b.coordinates));
+    }
+    if (signals.name == null || (signals.distanceKm != null && signals.distanceKm > this.maxDistanceKm)) {
+      return { score: 0, signals };
+    }
+
+    // Weighted over the signals both records have
+    const parts = [[signals.name, 0.55]];
+    if (signals.address != null) parts.push([signals.address, 0.15]);
+    if (signals.distanceKm != null) {
+      const proximity = signals.distanceKm <= 0.1
+        ? 1
+        : 1 - (signals.distanceKm - 0.1) / (this.maxDistanceKm - 0.1);
+      parts.push([proximity, 0.3]);
+    }
+    const weight = parts.reduce((sum, [, partWeight]) => sum + partWeight, 0);
+    let score = parts.reduce((sum, [value, partWeight]) => sum + value * partWeight, 0) / weight;
+
+    // Names alone never merge: without a matching address or position a pair
+    // at most waits for review, and not even that when the names differ
+    const corroborated = (signals.address != null && signals.address >= MIN_ADDRESS_MATCH) ||
+      (signals.distanceKm != null && signals.distanceKm <= SAME_PLACE_KM);
+    const sameName = signals.name === 1;
+    if (!corroborated) {
+      score = Math.min(score, sameName ? this.autoThreshold - 0.01 : this.reviewThreshold - 0.01);
+    } else if (!sameName) {
+      score = Math.min(score, this.autoThreshold - 0.01);
+    }
+
+    return { score: round(Math.max(0, score)), signals };
+  }
+
+  // Every key a link stands for, including links stored before aliases
+  getLinkKeys(link) {
+    return [
+      ...(link.aliases || []),
+      link.hotelId && `hotel:${link.hotelId}`,
+      link.cozyCozyId && `cozycozy:${link.cozyCozyId}`,
+      link.xoteloId && `xotelo:${link.xoteloId}`
+    ].filter(Boolean);
+  }
+
+  /**
+   * Group records that are the same property
+   * @param {Array} descriptors - describe() of each record
+   * @param {Object} context - { links (HotelLinks of the records), decisions (reviewed HotelMatches) }
+   * @returns {Object} { groups: [{ members, score }], uncertain: [{ a, b, score, signals }] }
+   */
+  cluster(descriptors, { links = [], decisions = [] } = {}) {
+    const parent = descriptors.map((_, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const scores = descriptors.map(() => 1);
+    const union = (a, b, score = 1) => {
+      const [rootA, rootB] = [find(a), find(b)];
+      if (rootA === rootB) return;
+      parent[rootB] = rootA;
+      scores[rootA] = Math.min(scores[rootA], scores[rootB], score);
+    };
+
+    // Records sharing a key, a link or an admin's merge are one hotel
+    const indexByKey = new Map();
+    descriptors.forEach((descriptor, index) => {
+      for (const key of descriptor.keys) {
+        if (indexByKey.has(key)) union(indexByKey.get(key), index);
+        else indexByKey.set(key, index);
+      }
+    });
+    for (const link of links) {
+      const members = this.getLinkKeys(link).filter(key => indexByKey.has(key)).map(key => indexByKey.get(key));
+      members.slice(1).forEach(index => union(members[0], index));
+    }
+
+    const separate = [];
+    const decided = new Set();
+    for (const match of decisions) {
+      decided.add(match.pairKey);
+      const [left, right] = [indexByKey.get(match.left.key), indexByKey.get(match.right.key)];
+      if (left == null || right == null) continue;
+      if (match.status === 'merged') union(left, right);
+      else separate.push([left, right]);
+    }
+    const keptApart = (rootA, rootB) => separate.some(([left, right]) =>
+      (find(left) === rootA && find(right) === rootB) || (find(left) === rootB && find(right) === rootA)
+    );
+
+    // Then the strongest matches first
+    const candidates = [];
+    const pairScores = new Map();
+    for (let i = 0; i < descriptors.length; i++) {
+      for (let j = i + 1; j < descriptors.length; j++) {
+        if (find(i) === find(j)) continue;
+        const { score, signals } = this.compare(descriptors[i], descriptors[j]);
+        pairScores.set(`${i}|${j}`, score);
+        if (score >= this.reviewThreshold) candidates.push({ a: i, b: j, score, signals });
+      }
+    }
+    candidates.sort((x, y) => y.score - x.score);
+
+    // A match doesn't carry a third record along: groups only merge when no
+    // record of one is clearly a different hotel from a record of the other
+    const membersOf = (root) => descriptors.map((_, index) => index).filter(index => find(index) === root);
+    const conflicting = (rootA, rootB) => {
+      const others = membersOf(rootB);
+      return membersOf(rootA).some(i => others.some(j => {
+        const score = pairScores.get(i < j ? `${i}|${j}` : `${j}|${i}`);
+        return score != null && score < this.reviewThreshold;
+      }));
+    };
+
+    const uncertain = [];
+    for (const candidate of candidates) {
+      const [rootA, rootB] = [find(candidate.a), find(candidate.b)];
+      if (rootA === rootB || keptApart(rootA, rootB)) continue;
+
+      if (candidate.score >= this.autoThreshold && !conflicting(rootA, rootB)) {
+        union(rootA, rootB, candidate.score);
+      } else if (!decided.has(this.getPairKey(descriptors[candidate.a], descriptors[candidate.b]))) {
+        uncertain.push({ ...candidate, a: descriptors[candidate.a], b: descriptors[candidate.b] });
+      }
+    }
+
+    const groups = new Map();
+    descriptors.forEach((descriptor, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, { members: [], score: scores[root] });
+      groups.get(root).members.push(descriptor);
+    });
+    return { groups: [...groups.values()], uncertain };
+  }
+
+  // Sorted 'left|right' of the records' first linked keys, or null
+  getPairKey(a, b) {
+    const [left] = this.getLinkedKeys(a.keys);
+    const [right] = this.getLinkedKeys(b.keys);
+    if (!left || !right) return null;
+    return [left, right].sort().join('|');
+  }
+
+  /**
+   * One hotel from a group: the most trusted record, completed by the others
+   */
+  mergeGroup({ members, score }) {
+    const rank = (source) => {
+      const index = LINKED_SOURCES.indexOf(source);
+      return index === -1 ? LINKED_SOURCES.length : index;
+    };
+    const ordered = [...members].sort((a, b) => rank(a.source) - rank(b.source));
+    const merged = { ...ordered[0].hotel };
+
+    for (const { hotel } of ordered.slice(1)) {
+      for (const field of ['cozyCozyId', 'xoteloId', 'address', 'card', 'description']) {
+        if (!merged[field] && hotel[field]) merged[field] = hotel[field];
+      }
+      const coordinates = hotel.location?.coordinates || hotel.coordinates;
+      if (!merged.location?.coordinates && coordinates) {
+        merged.location = { ...merged.location, coordinates };
+      }
+
+      // Merge sources, booking links and prices
+      if (hotel.sources) {
+        merged.sources = [...(merged.sources || [])];
+        hotel.sources.forEach(source => {
+          if (!merged.sources.some(s => s.platform === source.platform)) {
+            merged.sources.push(source);
+          }
+        });
+      }
+      merged.bookingLinks = { ...(hotel.bookingLinks || {}), ...(merged.bookingLinks || {}) };
+      merged.prices = { ...(hotel.prices || {}), ...(merged.prices || {}) };
+    }
+
+    merged.entity = {
+      keys: [...new Set(members.flatMap(member => member.keys))],
+      sources: [...new Set(members.map(member => member.source))],
+      matchScore: score,
+      linkId: null
+    };
+    return merged;
+  }
+
+  /**
+   * Merge duplicates in memory, without links or overrides (search results)
+   * @param {Array} hotels - Hotel records of any source
+   * @returns {Array} One record per property
+   */
+  dedupe(hotels) {
+    return this.cluster(hotels.map(hotel => this.describe(hotel))).groups.map(group => this.mergeGroup(group));
+  }
+
+  /**
+   * Resolve hotel records into one per property, following stored links and
+   * admin decisions, and record the result
+   * @param {Array} hotels - Hotel records of any source
+   * @param {Object} options - { persist (update links and queue uncertain matches) }
+   * @returns {Array} One record per property, with `entity` { keys, sources, matchScore, linkId }
+   */
+  async resolve(hotels, { persist = true } = {}) {
+    const descriptors = hotels.map(hotel => this.describe(hotel));
+    const keys = this.getLinkedKeys([...new Set(descriptors.flatMap(descriptor => descriptor.keys))]);
+
+    let links = [];
+    let decisions = [];
+    if (keys.length > 0) {
+      try {
+        [links, decisions] = await Promise.all([
+          this.findLinks(keys),
+          HotelMatch.find({
+            status: { $in: ['merged', 'separate'] },
+            'left.key': { $in: keys },
+            'right.key': { $in: keys }
+          }).lean()
+        ]);
+      } catch (error) {
+        console.error('❌ Error loading hotel links for resolution:', error.message);
+      }
+    }
+
+    const { groups, uncertain } = this.cluster(descriptors, { links, decisions });
+    const hotelsResolved = groups.map(group => this.mergeGroup(group));
+
+    if (persist) {
+      try {
+        await this.saveLinks(groups, hotelsResolved, links);
+        await this.queueMatches(uncertain);
+      } catch (error) {
+        console.error('❌ Error storing hotel resolution:', error.message);
+      }
+    }
+
+    console.log(`🏨 Resolved ${hotels.length} hotel records into ${hotelsResolved.length} hotels (${uncertain.length} uncertain matches)`);
+    return hotelsResolved;
+  }
+
+  // Links holding any of the keys
+  findLinks(keys) {
+    const idsOf = (type) => keys.filter(key => splitKey(key)[0] === type).map(key => splitKey(key)[1]);
+    return HotelLink.find({
+      $or: [
+        { aliases: { $in: keys } },
+        { hotelId: { $in: idsOf('hotel').filter(id => mongoose.Types.ObjectId.isValid(id)) } },
+        { cozyCozyId: { $in: idsOf('cozycozy') } },
+        { xoteloId: { $in: idsOf('xotelo') } }
+      ]
+    });
+  }
+
+  // Add keys to a link, filling its ID fields when empty. Doesn't save.
+  applyKeys(link, keys) {
+    for (const key of keys) {
+      const [type, id] = splitKey(key);
+      if (type === 'hotel' && !link.hotelId && mongoose.Types.ObjectId.isValid(id)) link.hotelId = id;
+      if (type === 'cozycozy' && !link.cozyCozyId) link.cozyCozyId = id;
+      if (type === 'xotelo' && !link.xoteloId) link.xoteloId = id;
+      if (!link.aliases.includes(key)) link.aliases.push(key);
+    }
+  }
+
+  // Take a key off a link. Doesn't save.
+  removeKey(link, key) {
+    const [type, id] = splitKey(key);
+    link.aliases = link.aliases.filter(alias => alias !== key);
+    if (type === 'hotel' && String(link.hotelId) === id) link.hotelId = undefined;
+    if (type === 'cozycozy' && link.cozyCozyId === id) link.cozyCozyId = undefined;
+    if (type === 'xotelo' && link.xoteloId === id) link.xoteloId = undefined;
+  }
+
+  // Move the keys, booking links and prices of other links onto one. Doesn't save.
+  foldLinks(target, others) {
+    for (const other of others) {
+      this.applyKeys(target, this.getLinkKeys(other));
+      for (const [platform, url] of other.bookingUrls || []) {
+        if (!target.bookingUrls.has(platform)) target.addBookingLink(platform, url);
+      }
+      for (const [platform, price] of other.prices || []) {
+        if (!target.prices.has(platform)) target.addPrice(platform, price.amount, price.currency);
+      }
+      if (!target.cardData && other.cardData) {
+        target.cardData = other.cardData;
+        target.cardHtml = other.cardHtml;
+      }
+    }
+  }
+
+  newLink({ name, address, city, coordinates, source }) {
+    return new HotelLink({
+      hotelName: name || 'Unknown Hotel',
+      address,
+      city,
+      coordinates: coordinates || undefined,
+      source: LINK_SOURCE[source] || 'system'
+    });
+  }
+
+  /**
+   * One link per resolved hotel with more than one linked key, or with a link already
+   */
+  async saveLinks(groups, hotelsResolved, links) {
+    for (const [index, group] of groups.entries()) {
+      const keys = this.getLinkedKeys(hotelsResolved[index].entity.keys);
+      const memberLinks = links.filter(link => this.getLinkKeys(link).some(key => keys.includes(key)));
+      if (keys.length < 2 && memberLinks.length === 0) continue;
+
+      const primary = group.members.find(member => this.getLinkedKeys(member.keys).length > 0);
+      const [target = this.newLink(primary), ...others] = memberLinks;
+      this.foldLinks(target, others);
+      this.applyKeys(target, keys);
+      if (target.resolution?.method !== 'manual' && target.isModified()) {
+        target.resolution = {
+          method: group.score < 1 ? 'auto' : 'id',
+          score: group.score,
+          resolvedAt: new Date()
+        };
+      }
+
+      if (target.isNew || target.isModified()) {
+        await target.save();
+      }
+      if (others.length > 0) {
+        await HotelLink.deleteMany({ _id: { $in: others.map(other => other._id) } });
+        await HotelMatch.updateMany({ linkId: { $in: others.map(other => other._id) } }, { linkId: target._id });
+      }
+      hotelsResolved[index].entity.linkId = target._id;
+    }
+  }
+
+  snapshot(descriptor, key) {
+    return {
+      key,
+      name: descriptor.name,
+      address: descriptor.address,
+      city: descriptor.hotel.city ? String(descriptor.hotel.city).toUpperCase() : undefined,
+      source: descriptor.source,
+      coordinates: descriptor.coordinates || undefined
+    };
+  }
+
+  // Queue uncertain pairs for review; reviewed pairs keep their decision
+  async queueMatches(uncertain) {
+    for (const { a, b, score, signals } of uncertain) {
+      const pairKey = this.getPairKey(a, b);
+      if (!pairKey) continue;
+
+      const [leftKey, rightKey] = pairKey.split('|');
+      const [left, right] = this.getLinkedKeys(a.keys)[0] === leftKey ? [a, b] : [b, a];
+      await HotelMatch.updateOne(
+        { pairKey },
+        {
+          $set: { score, signals, lastSeenAt: new Date() },
+          $setOnInsert: {
+            left: this.snapshot(left, leftKey),
+            right: this.snapshot(right, rightKey),
+            status: 'pending'
+          }
+        },
+        { upsert: true }
+      );
+    }
+  }
+
+  /**
+   * Matches for the admin review
+   * @param {Object} filters - { status ('pending' by default, or 'all'), city, limit }
+   */
+  async listMatches({ status = 'pending', city, limit = 50 } = {}) {
+    const query = status === 'all' ? {} : { status };
+    if (city) {
+      const upper = String(city).toUpperCase().trim();
+      query.$or = [{ 'left.city': upper }, { 'right.city': upper }];
+    }
+    return HotelMatch.find(query)
+      .sort({ score: -1, lastSeenAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .populate('reviewedBy', 'username email')
+      .lean();
+  }
+
+  /**
+   * Decide whether a pair is the same hotel. The decision overrides the
+   * score in every later resolution.
+   * @param {string} matchId - HotelMatch _id
+   * @param {string} decision - 'merge' or 'separate'
+   * @param {Object} options - { reviewedBy (user _id), notes }
+   * @returns {HotelMatch} The reviewed match
+   */
+  async reviewMatch(matchId, decision, { reviewedBy = null, notes = '' } = {}) {
+    if (!['merge', 'separate'].includes(decision)) {
+      throw new HotelResolutionError('decision must be "merge" or "separate"');
+    }
+    const match = mongoose.Types.ObjectId.isValid(matchId) ? await HotelMatch.findById(matchId) : null;
+    if (!match) {
+      throw new HotelResolutionError('Hotel match not found', 404);
+    }
+
+    const { left, right } = match;
+    const links = await this.findLinks([left.key, right.key]);
+    const leftLink = links.find(link => this.getLinkKeys(link).includes(left.key));
+    const rightLink = links.find(link => this.getLinkKeys(link).includes(right.key));
+    const resolution = { method: 'manual', score: match.score, resolvedAt: new Date() };
+
+    if (decision === 'merge') {
+      const target = leftLink || rightLink || this.newLink(left);
+      const other = leftLink && rightLink && !leftLink._id.equals(rightLink._id) ? rightLink : null;
+      if (other) this.foldLinks(target, [other]);
+      this.applyKeys(target, [left.key, right.key]);
+      target.resolution = resolution;
+      await target.save();
+      if (other) await HotelLink.deleteOne({ _id: other._id });
+      match.linkId = target._id;
+    } else if (leftLink && rightLink && leftLink._id.equals(rightLink._id)) {
+      // Split the right side off into a hotel of its own
+      this.removeKey(leftLink, right.key);
+      leftLink.resolution = resolution;
+      await leftLink.save();
+
+      const split = this.newLink(right);
+      this.applyKeys(split, [right.key]);
+      split.resolution = resolution;
+      await split.save();
+      match.linkId = null;
+    }
+
+    match.status = decision === 'merge' ? 'merged' : 'separate';
+    match.reviewedBy = reviewedBy;
+    match.reviewedAt = new Date();
+    match.notes = notes;
+    await match.save();
+
+    console.log(`🏨 Hotel match ${left.name} / ${right.name}: ${match.status} by admin`);
+    return match;
+  }
+}
+
+const hotelResolutionService = new HotelResolutionService();
+hotelResolutionService.HotelResolutionError = HotelResolutionError;
+
+module.exports = hotelResolutionService;
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const hotelResolutionService = require('./hotelResolutionService');
 
 class HotelSearchService {
   constructor() {
@@ -478,29 +479,12 @@ class HotelSearchService {
   }
 
   /**
-   * Remove duplicate hotels and rank them
+   * Remove duplicate hotels (matched on name, address and coordinates by
+   * hotelResolutionService) and rank them
    */
   deduplicateAndRank(hotels) {
-    const uniqueHotels = new Map();
-
-    hotels.forEach(hotel => {
-      const key = hotel.name.toLowerCase().replace(/\s+/g, '');
-      
-      if (!uniqueHotels.has(key)) {
-        uniqueHotels.set(key, hotel);
-      } else {
-        // Merge sources if duplicate found
-        const existing = uniqueHotels.get(key);
-        hotel.sources?.forEach(source => {
-          if (!existing.sources.some(s => s.platform === source.platform)) {
-            existing.sources.push(source);
-          }
-        });
-      }
-    });
-
     // Sort by best price, then rating
-    return Array.from(uniqueHotels.values()).sort((a, b) => {
+    return hotelResolutionService.dedupe(hotels).sort((a, b) => {
       const priceA = a.pricing.basePrice - (a.pricing.discount || 0);
       const priceB = b.pricing.basePrice - (b.pricing.discount || 0);
       
@@ -0,0 +1,293 @@
+const mongoose = require('mongoose');
+const NotificationOutbox = require('../models/NotificationOutbox');
+const Transfer = require('../models/Transfer');
+const notificationProviders = require('./notificationProviders');
+
+/**
+ * Notification Outbox Service
+ *
+ * Every SMS/WhatsApp/push message is persisted in the notification_outbox
+ * collection before it is handed to a provider. Failed sends stay in the
+ * outbox and are retried with exponential backoff; after max_attempts they
+ * become dead letters. The transfer's notification_history entry follows the
+ * outbox entry: queued → sent → delivered/failed.
+ */
+
+// Provider status values → notification_history status
+const DELIVERY_STATUS_MAP = {
+  queued: 'sent',
+  accepted: 'sent',
+  sending: 'sent',
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed'
+};
+
+class NotificationOutboxService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+    this.batchSize = parseInt(process.env.NOTIFICATION_OUTBOX_BATCH_SIZE) || 100;
+  }
+
+  /**
+   * Persist a message and (by default) attempt delivery right away
+   * @param {Object} options - { transfer, channel, recipient, message, mediaUrl, template, sendNow }
+   * @returns {Object} { success, status, outboxId, messageId, provider, error }
+   */
+  async enqueue({ transfer = null, channel, recipient, message, mediaUrl = null, template = null, sendNow = true }) {
+    const normalizedChannel = (channel || '').toLowerCase();
+
+    if (!notificationProviders.channels.includes(normalizedChannel)) {
+      return {
+        success: false,
+        status: 'rejected',
+        error: `Unsupported notification channel: ${channel}`
+      };
+    }
+
+    if (!recipient || !message) {
+      return {
+        success: false,
+        status: 'rejected',
+        error: 'Recipient and message are required'
+      };
+    }
+
+    const transferId = transfer ? (transfer._id || transfer) : null;
+    const historyEntryId = transferId ? new mongoose.Types.ObjectId() : null;
+
+    const entry = await NotificationOutbox.create({
+      transfer_id: transferId,
+      history_entry_id: historyEntryId,
+      channel: normalizedChannel,
+      recipient,
+      message,
+      media_url: mediaUrl,
+      template,
+      max_attempts: this.maxAttempts,
+      status: sendNow ? 'processing' : 'pending',
+      locked_at: sendNow ? new Date() : null
+    });
+
+    if (transferId) {
+      await Transfer.updateOne(
+        { _id: transferId },
+        {
+          $push: {
+            'notifications.notification_history': {
+              _id: historyEntryId,
+              type: normalizedChannel,
+              sent_at: new Date(),
+              status: 'queued',
+              message,
+              recipient,
+              outbox_id: entry._id
+            }
+          }
+        }
+      );
+    }
+
+    if (!sendNow) {
+      return {
+        success: false,
+        status: entry.status,
+        outboxId: entry._id
+      };
+    }
+
+    return this.deliver(entry);
+  }
+
+  /**
+   * Hand a claimed outbox entry to its provider and record the outcome
+   * @param {Object} entry - NotificationOutbox document in 'processing' state
+   * @returns {Object} { success, status, outboxId, messageId, provider, error }
+   */
+  async deliver(entry) {
+    const now = new Date();
+    let result;
+
+    try {
+      result = await notificationProviders.send(entry.channel, {
+        to: entry.recipient,
+        message: entry.message,
+        mediaUrl: entry.media_url
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    entry.attempts += 1;
+    entry.locked_at = null;
+    entry.provider = result.provider || entry.provider;
+    entry.attempt_log.push({
+      attempted_at: now,
+      provider: result.provider || null,
+      success: !!result.success,
+      error: result.success ? null : result.error
+    });
+
+    if (result.success) {
+      entry.status = 'sent';
+      entry.sent_at = now;
+      entry.provider_message_id = result.messageId || null;
+      entry.last_error = null;
+    } else {
+      entry.last_error = result.error || 'Unknown error';
+
+      if (entry.attempts >= entry.max_attempts) {
+        entry.status = 'dead_letter';
+        entry.failed_at = now;
+        console.error(`☠️ Notification ${entry._id} moved to dead letters after ${entry.attempts} attempts: ${entry.last_error}`);
+      } else {
+        entry.status = 'pending';
+        entry.next_attempt_at = new Date(now.getTime() + NotificationOutbox.getRetryDelayMs(entry.attempts));
+      }
+    }
+
+    await entry.save();
+    await this.syncHistoryEntry(entry);
+
+    return {
+      success: entry.status === 'sent',
+      status: entry.status,
+      outboxId: entry._id,
+      messageId: entry.provider_message_id,
+      provider: entry.provider,
+      error: entry.status === 'sent' ? undefined : entry.last_error
+    };
+  }
+
+  /**
+   * Drain due outbox entries
+   * @param {number} limit - Maximum entries to process in this run
+   * @returns {Object} Counts by outcome
+   */
+  async processPending(limit = this.batchSize) {
+    await NotificationOutbox.releaseStale();
+
+    const stats = { processed: 0, sent: 0, retrying: 0, deadLettered: 0 };
+
+    while (stats.processed < limit) {
+      const entry = await NotificationOutbox.claimNext();
+      if (!entry) break;
+
+      stats.processed++;
+      const result = await this.deliver(entry);
+
+      if (result.status === 'sent') stats.sent++;
+      else if (result.status === 'dead_letter') stats.deadLettered++;
+      else stats.retrying++;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Apply a delivery report from a provider callback
+   * @param {Object} report - { provider, providerMessageId, status, error }
+   * @returns {Object} { matched, status, outboxId, transferId }
+   */
+  async handleDeliveryStatus({ provider, providerMessageId, status, error = null }) {
+    const normalizedStatus = DELIVERY_STATUS_MAP[(status || '').toLowerCase()];
+    if (!normalizedStatus) {
+      return { matched: false, error: `Unknown delivery status: ${status}` };
+    }
+
+    const query = { provider_message_id: providerMessageId };
+    if (provider) query.provider = provider;
+
+    const entry = await NotificationOutbox.findOne(query);
+    if (!entry) {
+      return { matched: false, error: 'No outbox entry for this message' };
+    }
+
+    // Never move a final state backwards (callbacks can arrive out of order)
+    const isFinal = ['delivered', 'failed'].includes(entry.status);
+
+    if (normalizedStatus === 'delivered' && entry.status !== 'delivered') {
+      entry.status = 'delivered';
+      entry.delivered_at = new Date();
+    } else if (normalizedStatus === 'failed' && !isFinal) {
+      entry.status = 'failed';
+      entry.failed_at = new Date();
+      entry.last_error = error || 'Provider reported delivery failure';
+    } else {
+      return {
+        matched: true,
+        status: entry.status,
+        outboxId: entry._id,
+        transferId: entry.transfer_id
+      };
+    }
+
+    await entry.save();
+    await this.syncHistoryEntry(entry);
+
+    return {
+      matched: true,
+      status: entry.status,
+      outboxId: entry._id,
+      transferId: entry.transfer_id
+    };
+  }
+
+  /**
+   * Put a dead-lettered or failed entry back in the queue
+   * @param {string} outboxId - Outbox entry ID
+   * @returns {Object|null} Updated entry
+   */
+  async retry(outboxId) {
+    const entry = await NotificationOutbox.findById(outboxId);
+    if (!entry) return null;
+
+    if (!['dead_letter', 'failed'].includes(entry.status)) {
+      throw new Error(`Only failed or dead-lettered notifications can be retried (current status: ${entry.status})`);
+    }
+
+    entry.status = 'pending';
+    entry.next_attempt_at = new Date();
+    entry.max_attempts = entry.attempts + this.maxAttempts;
+    entry.failed_at = null;
+    await entry.save();
+    await this.syncHistoryEntry(entry);
+
+    return entry;
+  }
+
+  /**
+   * Mirror the outbox state onto the transfer's notification_history entry
+   */
+  async syncHistoryEntry(entry) {
+    if (!entry.transfer_id || !entry.history_entry_id) return;
+
+    let historyStatus;
+    switch (entry.status) {
+      case 'sent':
+      case 'delivered':
+        historyStatus = entry.status;
+        break;
+      case 'failed':
+      case 'dead_letter':
+        historyStatus = 'failed';
+        break;
+      default:
+        historyStatus = 'queued';
+    }
+
+    try {
+      await Transfer.updateNotificationStatus(entry.transfer_id, entry.history_entry_id, historyStatus, {
+        provider: entry.provider,
+        provider_message_id: entry.provider_message_id,
+        error: historyStatus === 'failed' ? entry.last_error : null
+      });
+    } catch (error) {
+      console.error(`Error updating notification history for transfer ${entry.transfer_id}:`, error.message);
+    }
+  }
+}
+
+module.exports = new NotificationOutboxService();
@@ -0,0 +1,113 @@
+const OutboxProvider = require('./outboxProvider');
+const TwilioProvider = require('./twilioProvider');
+const WebhookProvider = require('./webhookProvider');
+const LogProvider = require('./logProvider');
+
+/**
+ * Notification Provider Registry
+ * Maps each channel (sms, whatsapp, push) to the provider that delivers it.
+ *
+ * The provider per channel is chosen with NOTIFICATION_<CHANNEL>_PROVIDER
+ * (e.g. NOTIFICATION_SMS_PROVIDER=twilio). Without an override, production
+ * uses twilio for sms/whatsapp and webhook for push, every other environment
+ * writes to the local outbox.
+ */
+
+const CHANNELS = ['sms', 'whatsapp', 'push'];
+
+const PRODUCTION_DEFAULTS = {
+  sms: 'twilio',
+  whatsapp: 'twilio',
+  push: 'webhook'
+};
+
+class NotificationProviderRegistry {
+  constructor() {
+    this.channels = CHANNELS;
+    this.providers = new Map();
+    this.register(new OutboxProvider());
+    this.register(new TwilioProvider());
+    this.register(new WebhookProvider());
+    this.register(new LogProvider());
+  }
+
+  /**
+   * Register (or replace) a provider
+   * @param {Object} provider - Object with name, channels, isConfigured() and send()
+   */
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.send !== 'function') {
+      throw new Error('Notification provider must have a name and a send() method');
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  /**
+   * Resolve the provider name configured for a channel
+   * @param {string} channel - sms, whatsapp or push
+   * @returns {string} Provider name
+   */
+  getProviderName(channel) {
+    const override = process.env[`NOTIFICATION_${channel.toUpperCase()}_PROVIDER`];
+    if (override) return override.trim().toLowerCase();
+
+    return process.env.NODE_ENV === 'production' ? PRODUCTION_DEFAULTS[channel] : 'outbox';
+  }
+
+  /**
+   * Get the provider instance for a channel
+   * @param {string} channel - sms, whatsapp or push
+   * @returns {Object|null} Provider
+   */
+  getProvider(channel) {
+    const provider = this.providers.get(this.getProviderName(channel));
+    if (!provider || !provider.channels.includes(channel)) return null;
+    return provider;
+  }
+
+  /**
+   * Send a message on a channel through its configured provider
+   * @param {string} channel - sms, whatsapp or push
+   * @param {Object} payload - { to, message, mediaUrl }
+   * @returns {Object} Send result ({ success, messageId, provider, error })
+   */
+  async send(channel, payload) {
+    const normalizedChannel = (channel || '').toLowerCase();
+
+    if (!CHANNELS.includes(normalizedChannel)) {
+      return {
+        success: false,
+        error: `Unsupported notification channel: ${channel}`
+      };
+    }
+
+    const provider = this.getProvider(normalizedChannel);
+    if (!provider) {
+      return {
+        success: false,
+        error: `No provider '${this.getProviderName(normalizedChannel)}' available for ${normalizedChannel}`
+      };
+    }
+
+    return provider.send({ ...payload, channel: normalizedChannel });
+  }
+
+  /**
+   * Describe the active provider for each channel
+   * @returns {Object} Status by channel
+   */
+  getStatus() {
+    return CHANNELS.reduce((status, channel) => {
+      const provider = this.getProvider(channel);
+      status[channel] = {
+        provider: this.getProviderName(channel),
+        available: !!provider,
+        configured: provider ? provider.isConfigured() : false
+      };
+      return status;
+    }, {});
+  }
+}
+
+module.exports = new NotificationProviderRegistry();
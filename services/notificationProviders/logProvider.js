@@ -0,0 +1,26 @@
+/**
+ * Log Notification Provider
+ * Only logs messages. Selected explicitly with `log` to keep a channel switched off.
+ */
+
+class LogProvider {
+  constructor() {
+    this.name = 'log';
+    this.channels = ['sms', 'whatsapp', 'push'];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send({ channel, to, message }) {
+    console.log(`[Notification Disabled] ${channel} to ${to}: ${message}`);
+    return {
+      success: false,
+      provider: this.name,
+      error: `${channel} notifications are disabled`
+    };
+  }
+}
+
+module.exports = LogProvider;
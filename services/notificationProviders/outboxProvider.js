@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Outbox Notification Provider
+ * Writes every outgoing message to disk instead of delivering it.
+ * Used for development and tests so templates and recipients can be inspected
+ * without a messaging account.
+ *
+ * Layout: <NOTIFICATION_OUTBOX_DIR>/<channel>/<messageId>.json
+ */
+
+class OutboxProvider {
+  constructor(options = {}) {
+    this.name = 'outbox';
+    this.channels = ['sms', 'whatsapp', 'push'];
+    this.directory = path.resolve(options.directory || process.env.NOTIFICATION_OUTBOX_DIR || './outbox');
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Write a message to the outbox directory
+   * @param {Object} payload - { channel, to, message, mediaUrl }
+   * @returns {Object} Send result
+   */
+  async send({ channel, to, message, mediaUrl = null }) {
+    try {
+      const messageId = `outbox_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+      const channelDir = path.join(this.directory, channel);
+
+      await fs.promises.mkdir(channelDir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(channelDir, `${messageId}.json`),
+        JSON.stringify({
+          messageId,
+          channel,
+          to,
+          message,
+          mediaUrl,
+          createdAt: new Date().toISOString()
+        }, null, 2)
+      );
+
+      console.log(`📤 [outbox] ${channel} to ${to} written as ${messageId}`);
+      return {
+        success: true,
+        messageId,
+        provider: this.name
+      };
+    } catch (error) {
+      console.error(`❌ [outbox] Failed to write ${channel} message to ${to}:`, error.message);
+      return {
+        success: false,
+        provider: this.name,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Read back messages written to the outbox (newest first)
+   * @param {string} channel - Channel to read
+   * @param {number} limit - Maximum number of messages
+   * @returns {Array} Stored messages
+   */
+  async list(channel, limit = 50) {
+    const channelDir = path.join(this.directory, channel);
+
+    let files;
+    try {
+      files = await fs.promises.readdir(channelDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const messages = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(async file => JSON.parse(await fs.promises.readFile(path.join(channelDir, file), 'utf8')))
+    );
+
+    return messages
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+}
+
+module.exports = OutboxProvider;
@@ -0,0 +1,86 @@
+const axios = require('axios');
+
+/**
+ * Twilio Notification Provider
+ * Sends SMS and WhatsApp messages through the Twilio REST API.
+ * Talks to the API directly with axios so no Twilio SDK is required.
+ */
+
+class TwilioProvider {
+  constructor(options = {}) {
+    this.name = 'twilio';
+    this.channels = ['sms', 'whatsapp'];
+    this.accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+    this.smsFrom = options.smsFrom || process.env.TWILIO_PHONE_NUMBER;
+    this.whatsappFrom = options.whatsappFrom || process.env.TWILIO_WHATSAPP_FROM;
+    this.baseUrl = options.baseUrl || process.env.TWILIO_API_BASE_URL || 'https://api.twilio.com/2010-04-01';
+    this.statusCallbackUrl = options.statusCallbackUrl || process.env.TWILIO_STATUS_CALLBACK_URL || null;
+  }
+
+  isConfigured() {
+    return !!(this.accountSid && this.authToken && (this.smsFrom || this.whatsappFrom));
+  }
+
+  /**
+   * Send a message through Twilio
+   * @param {Object} payload - { channel, to, message, mediaUrl }
+   * @returns {Object} Send result
+   */
+  async send({ channel, to, message, mediaUrl = null }) {
+    if (!this.isConfigured()) {
+      return {
+        success: false,
+        provider: this.name,
+        error: 'Twilio credentials not configured'
+      };
+    }
+
+    const from = channel === 'whatsapp' ? this.whatsappFrom : this.smsFrom;
+    if (!from) {
+      return {
+        success: false,
+        provider: this.name,
+        error: `No Twilio sender configured for ${channel}`
+      };
+    }
+
+    const params = new URLSearchParams({
+      To: channel === 'whatsapp' ? `whatsapp:${to.replace(/^whatsapp:/, '')}` : to,
+      From: from,
+      Body: message
+    });
+    if (mediaUrl) params.append('MediaUrl', mediaUrl);
+    if (this.statusCallbackUrl) params.append('StatusCallback', this.statusCallbackUrl);
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/Accounts/${this.accountSid}/Messages.json`,
+        params.toString(),
+        {
+          auth: { username: this.accountSid, password: this.authToken },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 10000
+        }
+      );
+
+      console.log(`✅ [twilio] ${channel} sent to ${to}: ${response.data.sid}`);
+      return {
+        success: true,
+        messageId: response.data.sid,
+        provider: this.name,
+        status: response.data.status
+      };
+    } catch (error) {
+      const apiMessage = error.response?.data?.message;
+      console.error(`❌ [twilio] Failed to send ${channel} to ${to}:`, apiMessage || error.message);
+      return {
+        success: false,
+        provider: this.name,
+        error: apiMessage || error.message
+      };
+    }
+  }
+}
+
+module.exports = TwilioProvider;
@@ -0,0 +1,61 @@
+const axios = require('axios');
+
+/**
+ * Webhook Notification Provider
+ * Posts messages as JSON to an HTTP endpoint (a push gateway or any
+ * in-house relay). Used for push notifications by default.
+ */
+
+class WebhookProvider {
+  constructor(options = {}) {
+    this.name = 'webhook';
+    this.channels = ['sms', 'whatsapp', 'push'];
+    this.url = options.url || process.env.NOTIFICATION_WEBHOOK_URL;
+    this.token = options.token || process.env.NOTIFICATION_WEBHOOK_TOKEN;
+  }
+
+  isConfigured() {
+    return !!this.url;
+  }
+
+  /**
+   * Post a message to the configured webhook
+   * @param {Object} payload - { channel, to, message, mediaUrl }
+   * @returns {Object} Send result
+   */
+  async send({ channel, to, message, mediaUrl = null }) {
+    if (!this.isConfigured()) {
+      return {
+        success: false,
+        provider: this.name,
+        error: 'NOTIFICATION_WEBHOOK_URL not configured'
+      };
+    }
+
+    try {
+      const response = await axios.post(
+        this.url,
+        { channel, to, message, mediaUrl },
+        {
+          headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+          timeout: 10000
+        }
+      );
+
+      return {
+        success: true,
+        messageId: response.data?.messageId || response.data?.id || null,
+        provider: this.name
+      };
+    } catch (error) {
+      console.error(`❌ [webhook] Failed to send ${channel} to ${to}:`, error.message);
+      return {
+        success: false,
+        provider: this.name,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = WebhookProvider;
@@ -0,0 +1,147 @@
+const User = require('../models/User');
+const timezoneService = require('./timezoneService');
+
+/**
+ * Notification Scheduler Service
+ *
+ * Builds the guest reminder schedule for a transfer from
+ * notifications.notification_preferences: the `day` lead time, or the
+ * `night` list when the flight lands between 22:00 and 06:00 local time at the
+ * arrival airport (the guest's User.preferences.timezone when the airport is
+ * unknown). Channels the guest has switched off in
+ * User.preferences.notifications are skipped at send time.
+ *
+ * The schedule is rebuilt whenever flight_details.arrival_time or the
+ * preferences change (the Transfer pre-save hook clears schedule_arrival_time).
+ */
+
+const LEAD_MINUTES = {
+  '60_min_before': 60,
+  '30_min_before': 30,
+  '15_min_before': 15,
+  'on_arrival': 0
+};
+
+class NotificationSchedulerService {
+  constructor() {
+    this.reminderChannels = (process.env.NOTIFICATION_REMINDER_CHANNELS || 'whatsapp')
+      .split(',')
+      .map(channel => channel.trim().toLowerCase())
+      .filter(Boolean);
+    // How late a reminder may still go out (cron runs every 5 minutes)
+    this.graceMinutes = parseInt(process.env.NOTIFICATION_SCHEDULE_GRACE_MINUTES) || 10;
+  }
+
+  /**
+   * Load the guest's timezone and channel opt-ins
+   * @param {Object} transfer - Transfer document
+   * @returns {Object} { userId, timezone, channels }
+   */
+  async getGuestPreferences(transfer) {
+    const email = transfer.customer_details?.email;
+    const user = email
+      ? await User.findOne({ email: email.toLowerCase() }).select('preferences').lean()
+      : null;
+
+    const preferences = user?.preferences || {};
+    const timezone = timezoneService.isValidTimezone(preferences.timezone)
+      ? preferences.timezone
+      : timezoneService.defaultTimezone;
+    const optIns = preferences.notifications || {};
+
+    return {
+      userId: user ? user._id.toString() : null,
+      timezone,
+      // Channels default to enabled when the guest has no account
+      channels: this.reminderChannels.filter(channel => optIns[channel] !== false)
+    };
+  }
+
+  /**
+   * Compute every reminder time for an arrival
+   * @param {Date} arrivalTime - Flight arrival time
+   * @param {Object} preferences - notification_preferences ({ day, night })
+   * @param {string} timezone - Timezone night time is evaluated in
+   * @returns {Array} [{ lead, scheduled_for }] sorted by time
+   */
+  buildReminderTimes(arrivalTime, preferences = {}, timezone = timezoneService.defaultTimezone) {
+    const arrival = new Date(arrivalTime);
+    const leads = timezoneService.isNightTime(arrival, timezone)
+      ? (preferences.night || [])
+      : [preferences.day].filter(Boolean);
+
+    return [...new Set(leads)]
+      .filter(lead => LEAD_MINUTES[lead] !== undefined)
+      .map(lead => ({
+        lead,
+        scheduled_for: new Date(arrival.getTime() - LEAD_MINUTES[lead] * 60 * 1000)
+      }))
+      .sort((a, b) => a.scheduled_for - b.scheduled_for);
+  }
+
+  /**
+   * Rebuild the transfer's schedule if the arrival time, preferences or
+   * timezone changed since it was last built. Sent reminders are kept.
+   * @returns {boolean} Whether the schedule was rebuilt
+   */
+  syncSchedule(transfer, guestPreferences) {
+    const notifications = transfer.notifications;
+    const arrivalTime = new Date(transfer.flight_details.arrival_time);
+    const timezone = timezoneService.getTransferTimezone(transfer) || guestPreferences.timezone;
+
+    const isCurrent = notifications.schedule_arrival_time &&
+      new Date(notifications.schedule_arrival_time).getTime() === arrivalTime.getTime() &&
+      notifications.schedule_timezone === timezone;
+
+    if (isCurrent) return false;
+
+    const sent = (notifications.schedule || []).filter(entry => entry.status === 'sent');
+    const upcoming = this.buildReminderTimes(
+      arrivalTime,
+      notifications.notification_preferences,
+      timezone
+    ).map(entry => ({ ...entry, status: 'pending' }));
+
+    notifications.schedule = [...sent, ...upcoming];
+    notifications.schedule_arrival_time = arrivalTime;
+    notifications.schedule_timezone = timezone;
+    notifications.next_scheduled_notification = this.getNextReminderTime(transfer);
+
+    return true;
+  }
+
+  /**
+   * Pending reminders whose time has come; reminders more than graceMinutes
+   * late are marked skipped instead
+   */
+  getDueReminders(transfer, now = new Date()) {
+    const due = [];
+
+    for (const entry of transfer.notifications.schedule || []) {
+      if (entry.status !== 'pending' || entry.scheduled_for > now) continue;
+
+      if (now - entry.scheduled_for > this.graceMinutes * 60 * 1000) {
+        entry.status = 'skipped';
+        entry.skip_reason = 'missed';
+      } else {
+        due.push(entry);
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Earliest pending reminder, or null when nothing is left
+   */
+  getNextReminderTime(transfer) {
+    const pending = (transfer.notifications.schedule || [])
+      .filter(entry => entry.status === 'pending')
+      .map(entry => new Date(entry.scheduled_for));
+
+    if (pending.length === 0) return null;
+    return new Date(Math.min(...pending));
+  }
+}
+
+module.exports = new NotificationSchedulerService();
@@ -1,13 +1,26 @@
 const Transfer = require('../models/Transfer');
-const { sendNotification, MESSAGE_TEMPLATES } = require('../config/twilio');
+const { MESSAGE_TEMPLATES } = require('../config/twilio');
 const { sendTemplatedEmail } = require('../config/nodemailer');
-const moment = require('moment');
+const notificationOutbox = require('./notificationOutboxService');
+const notificationScheduler = require('./notificationSchedulerService');
+const timezoneService = require('./timezoneService');
 
 class NotificationService {
   constructor() {
     this.isRunning = false;
   }
 
+  // Persist a message in the outbox and attempt delivery; failures are retried by the outbox
+  async queueMessage(transfer, recipient, message, template, channel = 'whatsapp') {
+    return notificationOutbox.enqueue({
+      transfer,
+      channel,
+      recipient,
+      message,
+      template
+    });
+  }
+
   // Send driver assignment notification
   async sendDriverAssignmentNotification(transfer, driverDetails) {
     try {
@@ -17,14 +30,15 @@ class NotificationService {
         driverDetails.vehicle_type,
         driverDetails.vehicle_number,
         transfer.transfer_details.pickup_location,
-        moment(transfer.transfer_details.estimated_pickup_time).format('MMMM Do YYYY, h:mm A')
+        timezoneService.formatTransferTime(transfer, transfer.transfer_details.estimated_pickup_time)
       );
 
       // Send WhatsApp notification
-      const whatsappResult = await sendNotification(
+      const whatsappResult = await this.queueMessage(
+        transfer,
         transfer.customer_details.contact_number,
         message,
-        'whatsapp'
+        'driverAssigned'
       );
 
       // Send email notification
@@ -37,20 +51,11 @@ class NotificationService {
           driverDetails.vehicle_type,
           driverDetails.vehicle_number,
           transfer.transfer_details.pickup_location,
-          moment(transfer.transfer_details.estimated_pickup_time).format('MMMM Do YYYY, h:mm A'),
+          timezoneService.formatTransferTime(transfer, transfer.transfer_details.estimated_pickup_time),
           transfer._id
         ]
       );
 
-      // Record notifications
-      if (whatsappResult.success) {
-        await transfer.addNotificationRecord(
-          'whatsapp',
-          message,
-          transfer.customer_details.contact_number
-        );
-      }
-
       return {
         success: true,
         whatsapp: whatsappResult,
@@ -68,28 +73,30 @@ class NotificationService {
   // Send flight status update notification
   async sendFlightStatusNotification(transfer, newStatus, delayMinutes = 0) {
     try {
-      let message, emailTemplate, emailData;
+      let message, messageTemplate, emailTemplate, emailData;
       
       switch (newStatus) {
         case 'delayed':
+          messageTemplate = 'flightDelayed';
           message = MESSAGE_TEMPLATES.flightDelayed(
             transfer.customer_details.name,
             transfer.flight_details.flight_no,
             delayMinutes,
-            moment(transfer.flight_details.arrival_time).format('MMMM Do YYYY, h:mm A')
+            timezoneService.formatTransferTime(transfer, transfer.flight_details.arrival_time)
           );
           emailTemplate = 'flightDelayed';
           emailData = [
             transfer.customer_details.name,
             transfer.flight_details.flight_no,
             delayMinutes,
-            moment(transfer.flight_details.arrival_time).format('MMMM Do YYYY, h:mm A'),
+            timezoneService.formatTransferTime(transfer, transfer.flight_details.arrival_time),
             transfer._id
           ];
           break;
           
         case 'landed':
           if (transfer.assigned_driver_details) {
+            messageTemplate = 'flightLanded';
             message = MESSAGE_TEMPLATES.flightLanded(
               transfer.customer_details.name,
               transfer.flight_details.flight_no,
@@ -109,6 +116,7 @@ class NotificationService {
           break;
           
         case 'cancelled':
+          messageTemplate = 'transferCancelled';
           message = MESSAGE_TEMPLATES.transferCancelled(
             transfer.customer_details.name,
             'Flight cancellation'
@@ -123,21 +131,13 @@ class NotificationService {
 
       // Send WhatsApp notification
       if (message) {
-        const whatsappResult = await sendNotification(
+        const whatsappResult = await this.queueMessage(
+          transfer,
           transfer.customer_details.contact_number,
           message,
-          'whatsapp'
+          messageTemplate
         );
-        
         results.whatsapp = whatsappResult;
-        
-        if (whatsappResult.success) {
-          await transfer.addNotificationRecord(
-            'whatsapp',
-            message,
-            transfer.customer_details.contact_number
-          );
-        }
       }
 
       // Send email notification
@@ -160,10 +160,11 @@ class NotificationService {
           delayMinutes > 0 ? `Delayed by ${delayMinutes} minutes` : 'Status updated'
         );
         
-        const vendorResult = await sendNotification(
+        const vendorResult = await this.queueMessage(
+          transfer,
           transfer.vendor_details.contact_number,
           vendorMessage,
-          'whatsapp'
+          'vendorFlightUpdate'
         );
         results.vendor = vendorResult;
       }
@@ -181,6 +182,289 @@ class NotificationService {
     }
   }
 
+  // Tell guest and vendor that the flight was diverted or cancelled
+  async sendFlightDisruptionNotification(transfer) {
+    try {
+      const disruption = transfer.disruption;
+      if (!disruption) {
+        return { success: true, message: 'No open disruption' };
+      }
+
+      const flightNo = disruption.flight_no || transfer.flight_details.flight_no;
+      const diverted = disruption.type === 'diversion';
+      const results = {};
+
+      const message = diverted
+        ? MESSAGE_TEMPLATES.flightDiverted(transfer.customer_details.name, flightNo, disruption.diverted_to)
+        : MESSAGE_TEMPLATES.flightCancelledRebooking(transfer.customer_details.name, flightNo);
+      results.whatsapp = await this.queueMessage(
+        transfer,
+        transfer.customer_details.contact_number,
+        message,
+        diverted ? 'flightDiverted' : 'flightCancelledRebooking'
+      );
+
+      if (transfer.vendor_details.contact_number) {
+        const vendorMessage = MESSAGE_TEMPLATES.vendorFlightDisruption(
+          transfer.vendor_details.vendor_name,
+          transfer.customer_details.name,
+          flightNo,
+          diverted
+            ? `was diverted${disruption.diverted_to ? ` to ${disruption.diverted_to}` : ''}`
+            : 'was cancelled'
+        );
+        results.vendor = await this.queueMessage(
+          transfer,
+          transfer.vendor_details.contact_number,
+          vendorMessage,
+          'vendorFlightDisruption'
+        );
+      }
+
+      return {
+        success: true,
+        results
+      };
+    } catch (error) {
+      console.error('Error sending flight disruption notification:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Send the replacement flight and new pickup time to guest and vendor
+  async sendTransferRebookedNotification(transfer) {
+    try {
+      const flight = transfer.flight_details;
+      const previous = transfer.flight_history[transfer.flight_history.length - 1];
+      const arrivalTime = timezoneService.formatTransferTime(transfer, flight.arrival_time);
+      const pickupTime = timezoneService.formatTransferTime(transfer, transfer.transfer_details.estimated_pickup_time);
+      const results = {};
+
+      const message = MESSAGE_TEMPLATES.transferRebooked(
+        transfer.customer_details.name,
+        flight.flight_no,
+        arrivalTime,
+        transfer.transfer_details.pickup_location,
+        pickupTime
+      );
+      results.whatsapp = await this.queueMessage(
+        transfer,
+        transfer.customer_details.contact_number,
+        message,
+        'transferRebooked'
+      );
+
+      if (transfer.vendor_details.contact_number) {
+        const vendorMessage = MESSAGE_TEMPLATES.vendorTransferRebooked(
+          transfer.vendor_details.vendor_name,
+          transfer.customer_details.name,
+          previous ? previous.flight_no : flight.flight_no,
+          flight.flight_no,
+          arrivalTime,
+          pickupTime
+        );
+        results.vendor = await this.queueMessage(
+          transfer,
+          transfer.vendor_details.contact_number,
+          vendorMessage,
+          'vendorTransferRebooked'
+        );
+      }
+
+      return {
+        success: true,
+        results
+      };
+    } catch (error) {
+      console.error('Error sending transfer rebooked notification:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Tell the assigned driver that the pickup time moved
+  async sendPickupRescheduledNotification(transfer, previousPickupTime) {
+    try {
+      const driver = transfer.assigned_driver_details;
+      if (!driver || !driver.contact_number) {
+        return { success: false, error: 'No driver assigned' };
+      }
+
+      const message = MESSAGE_TEMPLATES.driverPickupRescheduled(
+        driver.name,
+        transfer.customer_details.name,
+        transfer.flight_details.flight_no,
+        timezoneService.formatTransferTime(transfer, previousPickupTime),
+        timezoneService.formatTransferTime(transfer, transfer.transfer_details.estimated_pickup_time),
+        transfer.transfer_details.pickup_location
+      );
+
+      return await this.queueMessage(
+        transfer,
+        driver.contact_number,
+        message,
+        'driverPickupRescheduled'
+      );
+    } catch (error) {
+      console.error('Error sending pickup rescheduled notification:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Alert ops and vendor that a flight is likely to be delayed, or that the risk has dropped again
+  async sendDelayRiskAlert(transfer, { cleared = false, opsContacts = [] } = {}) {
+    try {
+      const flightNo = transfer.flight_details.flight_no;
+      const customerName = transfer.customer_details.name;
+      const pickupTime = timezoneService.formatTransferTime(transfer, transfer.transfer_details.estimated_pickup_time);
+      const alert = transfer.delay_alert;
+      const results = {};
+
+      if (opsContacts.length === 0) {
+        console.warn('⚠️ OPS_ALERT_CONTACTS not configured; delay alert only sent to the vendor');
+      }
+      results.ops = [];
+      for (const contact of opsContacts) {
+        const message = cleared
+          ? MESSAGE_TEMPLATES.delayRiskCleared('HALO ops', customerName, flightNo, pickupTime)
+          : MESSAGE_TEMPLATES.opsDelayRiskAlert(
+            transfer._id,
+            customerName,
+            flightNo,
+            alert.band,
+            alert.delay_probability,
+            alert.estimated_delay_minutes,
+            pickupTime
+          );
+        results.ops.push(await this.queueMessage(
+          transfer,
+          contact,
+          message,
+          cleared ? 'delayRiskCleared' : 'opsDelayRiskAlert'
+        ));
+      }
+
+      if (transfer.vendor_details.contact_number) {
+        const vendorMessage = cleared
+          ? MESSAGE_TEMPLATES.delayRiskCleared(transfer.vendor_details.vendor_name, customerName, flightNo, pickupTime)
+          : MESSAGE_TEMPLATES.vendorDelayRiskAlert(
+            transfer.vendor_details.vendor_name,
+            customerName,
+            flightNo,
+            alert.delay_probability,
+            alert.estimated_delay_minutes,
+            pickupTime
+          );
+        results.vendor = await this.queueMessage(
+          transfer,
+          transfer.vendor_details.contact_number,
+          vendorMessage,
+          cleared ? 'delayRiskCleared' : 'vendorDelayRiskAlert'
+        );
+      }
+
+      return {
+        success: true,
+        results
+      };
+    } catch (error) {
+      console.error('Error sending delay risk alert:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Alert ops that the assigned driver will reach the pickup after the guest is ready
+  async sendDriverLateAlert(transfer, eta, { opsContacts = [] } = {}) {
+    try {
+      if (opsContacts.length === 0) {
+        console.warn('⚠️ OPS_ALERT_CONTACTS not configured; late driver alert not sent');
+        return { success: false, error: 'No ops contacts configured' };
+      }
+
+      const message = MESSAGE_TEMPLATES.opsDriverLate(
+        transfer._id,
+        transfer.customer_details.name,
+        transfer.assigned_driver_details?.name || 'unknown',
+        eta.late_by_minutes,
+        timezoneService.formatTransferTime(transfer, eta.to_pickup),
+        timezoneService.formatTransferTime(transfer, eta.guest_ready_at)
+      );
+
+      const results = [];
+      for (const contact of opsContacts) {
+        results.push(await this.queueMessage(transfer, contact, message, 'opsDriverLate'));
+      }
+
+      return {
+        success: true,
+        results
+      };
+    } catch (error) {
+      console.error('Error sending late driver alert:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Tell the ops manager about a hotel price change on a client's stay
+   * @param {Object} preference - ClientTravelPreferences
+   * @param {Object} alert - { type ('drop'|'over_budget'|'under_budget'), hotelName,
+   *   selected, previousPrice, price, currency }
+   * @param {Array} recipients - Phone numbers (E.164)
+   */
+  async sendHotelPriceAlert(preference, alert, recipients = []) {
+    try {
+      const money = (amount) => `${alert.currency} ${Math.round(amount).toLocaleString('en-US')}`;
+      const kind = alert.selected ? 'selected' : 'recommended';
+      const checkIn = new Date(preference.checkInDate).toISOString().slice(0, 10);
+      const template = alert.type === 'drop' ? 'hotelPriceDrop' : 'hotelPriceOutOfBudget';
+
+      if (recipients.length === 0) {
+        console.warn(`⚠️ No ops manager to alert about ${alert.hotelName} for ${preference.name}`);
+      }
+      const results = [];
+      for (const recipient of recipients) {
+        const message = alert.type === 'drop'
+          ? MESSAGE_TEMPLATES.hotelPriceDrop('HALO ops', alert.hotelName, kind, preference.name, money(alert.previousPrice), money(alert.price), checkIn)
+          : MESSAGE_TEMPLATES.hotelPriceOutOfBudget(
+            'HALO ops',
+            alert.hotelName,
+            kind,
+            preference.name,
+            money(alert.price),
+            `${money(preference.budgetMin)}-${Math.round(preference.budgetMax).toLocaleString('en-US')}`,
+            checkIn
+          );
+        results.push(await this.queueMessage(null, recipient, message, template));
+      }
+
+      return {
+        success: true,
+        results
+      };
+    } catch (error) {
+      console.error('Error sending hotel price alert:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Send driver waiting notification
   async sendDriverWaitingNotification(transfer) {
     try {
@@ -196,23 +480,46 @@ class NotificationService {
         transfer.transfer_details.pickup_location
       );
 
-      const result = await sendNotification(
+      const result = await this.queueMessage(
+        transfer,
         transfer.customer_details.contact_number,
         message,
-        'whatsapp'
+        'driverWaiting'
       );
 
-      if (result.success) {
-        await transfer.addNotificationRecord(
-          'whatsapp',
-          message,
-          transfer.customer_details.contact_number
-        );
+      return result;
+    } catch (error) {
+      console.error('Error sending driver waiting notification:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Send picked-up notification once the transfer is in progress
+  async sendTravelerPickedUpNotification(transfer) {
+    try {
+      if (!transfer.assigned_driver_details) {
+        return { success: false, error: 'No driver assigned' };
       }
 
+      const message = MESSAGE_TEMPLATES.travelerPickedUp(
+        transfer.customer_details.name,
+        transfer.assigned_driver_details.name,
+        transfer.transfer_details.drop_location
+      );
+
+      const result = await this.queueMessage(
+        transfer,
+        transfer.customer_details.contact_number,
+        message,
+        'travelerPickedUp'
+      );
+
       return result;
     } catch (error) {
-      console.error('Error sending driver waiting notification:', error);
+      console.error('Error sending traveler picked up notification:', error);
       return {
         success: false,
         error: error.message
@@ -220,29 +527,23 @@ class NotificationService {
     }
   }
 
-  // Send pickup reminder
-  async sendPickupReminder(transfer) {
+  // Send pickup reminder on one channel (whatsapp and sms go to the guest's phone)
+  async sendPickupReminder(transfer, channel = 'whatsapp', recipient = transfer.customer_details.contact_number) {
     try {
       const message = MESSAGE_TEMPLATES.pickupReminder(
         transfer.customer_details.name,
         transfer.flight_details.flight_no,
-        moment(transfer.transfer_details.estimated_pickup_time).format('MMMM Do YYYY, h:mm A')
+        timezoneService.formatTransferTime(transfer, transfer.transfer_details.estimated_pickup_time)
       );
 
-      const result = await sendNotification(
-        transfer.customer_details.contact_number,
+      const result = await this.queueMessage(
+        transfer,
+        recipient,
         message,
-        'whatsapp'
+        'pickupReminder',
+        channel
       );
 
-      if (result.success) {
-        await transfer.addNotificationRecord(
-          'whatsapp',
-          message,
-          transfer.customer_details.contact_number
-        );
-      }
-
       return result;
     } catch (error) {
       console.error('Error sending pickup reminder:', error);
@@ -260,24 +561,17 @@ class NotificationService {
         transfer.vendor_details.vendor_name,
         transfer.customer_details.name,
         transfer.flight_details.flight_no,
-        moment(transfer.flight_details.arrival_time).format('MMMM Do YYYY, h:mm A'),
+        timezoneService.formatTransferTime(transfer, transfer.flight_details.arrival_time),
         transfer.transfer_details.pickup_location
       );
 
-      const result = await sendNotification(
+      const result = await this.queueMessage(
+        transfer,
         transfer.vendor_details.contact_number,
         message,
-        'whatsapp'
+        'vendorDriverDispatch'
       );
 
-      if (result.success) {
-        await transfer.addNotificationRecord(
-          'whatsapp',
-          message,
-          transfer.vendor_details.contact_number
-        );
-      }
-
       return result;
     } catch (error) {
       console.error('Error sending driver dispatch reminder:', error);
@@ -296,10 +590,11 @@ class NotificationService {
         transfer.transfer_details.drop_location
       );
 
-      const whatsappResult = await sendNotification(
+      const whatsappResult = await this.queueMessage(
+        transfer,
         transfer.customer_details.contact_number,
         message,
-        'whatsapp'
+        'transferCompleted'
       );
 
       const emailResult = await sendTemplatedEmail(
@@ -312,14 +607,6 @@ class NotificationService {
         ]
       );
 
-      if (whatsappResult.success) {
-        await transfer.addNotificationRecord(
-          'whatsapp',
-          message,
-          transfer.customer_details.contact_number
-        );
-      }
-
       return {
         success: true,
         whatsapp: whatsappResult,
@@ -334,50 +621,67 @@ class NotificationService {
     }
   }
 
-  // Calculate next notification time based on preferences
-  calculateNextNotificationTime(transfer) {
-    const arrivalTime = new Date(transfer.flight_details.arrival_time);
-    const now = new Date();
-    const isNightTime = this.isNightTime(now);
-    
-    const preferences = transfer.notifications.notification_preferences;
-    const intervals = isNightTime ? preferences.night : [preferences.day];
-    
-    let nextNotificationTime = null;
-    
-    for (const interval of intervals) {
-      let notificationTime;
-      
-      switch (interval) {
-        case '60_min_before':
-          notificationTime = new Date(arrivalTime.getTime() - (60 * 60 * 1000));
-          break;
-        case '30_min_before':
-          notificationTime = new Date(arrivalTime.getTime() - (30 * 60 * 1000));
-          break;
-        case '15_min_before':
-          notificationTime = new Date(arrivalTime.getTime() - (15 * 60 * 1000));
-          break;
-        case 'on_arrival':
-          notificationTime = arrivalTime;
-          break;
-        default:
-          continue;
-      }
-      
-      // Find the next upcoming notification time
-      if (notificationTime > now && (!nextNotificationTime || notificationTime < nextNotificationTime)) {
-        nextNotificationTime = notificationTime;
-      }
+  // Send transfer cancellation notification
+  async sendTransferCancellationNotification(transfer, reason = '') {
+    try {
+      const message = MESSAGE_TEMPLATES.transferCancelled(
+        transfer.customer_details.name,
+        reason
+      );
+
+      const result = await this.queueMessage(
+        transfer,
+        transfer.customer_details.contact_number,
+        message,
+        'transferCancelled'
+      );
+
+      return result;
+    } catch (error) {
+      console.error('Error sending transfer cancellation notification:', error);
+      return {
+        success: false,
+        error: error.message
+      };
     }
-    
-    return nextNotificationTime;
   }
 
-  // Check if current time is night time (10 PM to 6 AM)
-  isNightTime(date = new Date()) {
-    const hour = date.getHours();
-    return hour >= 22 || hour <= 6;
+  // Send a due reminder on every channel the guest has enabled
+  async sendScheduledReminder(transfer, reminder, guestPreferences) {
+    if (guestPreferences.channels.length === 0) {
+      reminder.status = 'skipped';
+      reminder.skip_reason = 'all_channels_disabled';
+      return null;
+    }
+
+    const results = [];
+    for (const channel of guestPreferences.channels) {
+      const recipient = channel === 'push' ? guestPreferences.userId : transfer.customer_details.contact_number;
+      if (!recipient) continue;
+
+      results.push(await this.sendPickupReminder(transfer, channel, recipient));
+    }
+
+    if (results.length === 0) {
+      reminder.status = 'skipped';
+      reminder.skip_reason = 'no_recipient';
+      return null;
+    }
+
+    // Failed sends stay in the outbox for retry, so one accepted send is enough.
+    // Otherwise the reminder stays pending and is tried again on the next run
+    // (until it is more than the grace period late)
+    const success = results.some(result => result.success || result.status === 'pending');
+    if (success) {
+      reminder.status = 'sent';
+      reminder.sent_at = new Date();
+      reminder.channels = guestPreferences.channels;
+    }
+
+    return {
+      success,
+      results
+    };
   }
 
   // Process scheduled notifications
@@ -396,34 +700,21 @@ class NotificationService {
         try {
           processedCount++;
           
-          // Determine what type of notification to send
-          const arrivalTime = new Date(transfer.flight_details.arrival_time);
-          const timeUntilArrival = arrivalTime - now;
-          const minutesUntilArrival = Math.floor(timeUntilArrival / (1000 * 60));
-          
-          let notificationResult;
+          const guestPreferences = await notificationScheduler.getGuestPreferences(transfer);
+          notificationScheduler.syncSchedule(transfer, guestPreferences);
           
-          if (minutesUntilArrival <= 15 && minutesUntilArrival > 0) {
-            // Send pickup reminder
-            notificationResult = await this.sendPickupReminder(transfer);
-          } else if (minutesUntilArrival <= 30 && minutesUntilArrival > 0) {
-            // Send driver dispatch reminder to vendor
-            notificationResult = await this.sendDriverDispatchReminder(transfer);
-          } else if (transfer.flight_details.status === 'landed' && 
-                     transfer.assigned_driver_details?.status !== 'waiting') {
-            // Send driver waiting notification
-            notificationResult = await this.sendDriverWaitingNotification(transfer);
-          }
-          
-          if (notificationResult && notificationResult.success) {
-            successCount++;
-          } else if (notificationResult && !notificationResult.success) {
-            errorCount++;
+          for (const reminder of notificationScheduler.getDueReminders(transfer, now)) {
+            const notificationResult = await this.sendScheduledReminder(transfer, reminder, guestPreferences);
+            
+            if (notificationResult && notificationResult.success) {
+              successCount++;
+            } else if (notificationResult) {
+              errorCount++;
+            }
           }
           
           // Update next scheduled notification time
-          const nextNotificationTime = this.calculateNextNotificationTime(transfer);
-          transfer.notifications.next_scheduled_notification = nextNotificationTime;
+          transfer.notifications.next_scheduled_notification = notificationScheduler.getNextReminderTime(transfer);
           await transfer.save();
           
         } catch (error) {
@@ -432,12 +723,17 @@ class NotificationService {
         }
       }
       
+      // Drain the outbox: new reminders plus earlier sends waiting for a retry
+      const outboxStats = await notificationOutbox.processPending();
+      
       console.log(`✅ Notification processing completed: ${processedCount} processed, ${successCount} successful, ${errorCount} errors`);
+      console.log(`📬 Outbox drained: ${outboxStats.sent} sent, ${outboxStats.retrying} retrying, ${outboxStats.deadLettered} dead-lettered`);
       
       return {
         processed: processedCount,
         successful: successCount,
-        errors: errorCount
+        errors: errorCount,
+        outbox: outboxStats
       };
     } catch (error) {
       console.error('Error in processScheduledNotifications:', error);
@@ -459,9 +755,10 @@ class NotificationService {
             'assigned_driver_details.status': { $ne: 'waiting' },
             'transfer_details.transfer_status': { $in: ['assigned', 'enroute'] }
           },
-          // Cancelled flights
+          // Cancelled flights not already waiting on a rebooking
           {
             'flight_details.status': 'cancelled',
+            'disruption.status': { $ne: 'open' },
             'transfer_details.transfer_status': { $in: ['pending', 'assigned', 'enroute'] }
           }
         ]
@@ -0,0 +1,133 @@
+const airportDatabase = require('./databases/airportDatabase');
+
+/**
+ * Pickup Planner
+ *
+ * Derives transfer_details.estimated_pickup_time from the flight's arrival
+ * (actual once landed, otherwise the delay-adjusted estimate) plus the time
+ * the guest needs to reach the pickup point:
+ *
+ * - arrival type: domestic, or international (immigration and customs), from
+ *   the countries of the two airports in airportDatabase
+ * - baggage claim when the guest checked bags, plus a little per extra bag
+ * - a little per extra passenger in the party
+ * - a walk from some terminals (PICKUP_TERMINAL_BUFFERS, e.g. "DEL:3=10")
+ * - meet-and-greet for VIP transfers
+ *
+ * Flights between airports not in the database are planned as domestic.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const envMinutes = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// "T3", "t3" and "3" are the same terminal
+const normalizeTerminal = (terminal) => String(terminal || '').trim().toUpperCase().replace(/^T(?=\w)/, '');
+
+class PickupPlanner {
+  constructor() {
+    this.buffers = {
+      domestic: envMinutes('PICKUP_BUFFER_DOMESTIC_MINUTES', 20),
+      international: envMinutes('PICKUP_BUFFER_INTERNATIONAL_MINUTES', 45),
+      baggageClaim: envMinutes('PICKUP_BAGGAGE_CLAIM_MINUTES', 15),
+      perBag: envMinutes('PICKUP_BUFFER_PER_BAG_MINUTES', 2),
+      perPassenger: envMinutes('PICKUP_BUFFER_PER_PASSENGER_MINUTES', 2),
+      meetAndGreet: envMinutes('PICKUP_MEET_AND_GREET_MINUTES', 15)
+    };
+
+    // PICKUP_TERMINAL_BUFFERS=DEL:3=10,BOM:2=5
+    this.terminalBuffers = new Map();
+    for (const entry of (process.env.PICKUP_TERMINAL_BUFFERS || '').split(',')) {
+      const [key, minutes] = entry.split('=').map(part => part && part.trim());
+      const [airport, terminal] = (key || '').split(':');
+      if (airport && terminal && !Number.isNaN(parseInt(minutes, 10))) {
+        this.terminalBuffers.set(`${airport.toUpperCase()}:${normalizeTerminal(terminal)}`, parseInt(minutes, 10));
+      }
+    }
+  }
+
+  /**
+   * 'domestic', 'international' or 'unknown' (an airport isn't in the database)
+   */
+  getArrivalType(departureAirport, arrivalAirport) {
+    const from = airportDatabase.getAirport(departureAirport);
+    const to = airportDatabase.getAirport(arrivalAirport);
+    if (!from || !to) return 'unknown';
+    return from.country === to.country ? 'domestic' : 'international';
+  }
+
+  getTerminalBuffer(airport, terminal) {
+    if (!airport || !terminal) return 0;
+    return this.terminalBuffers.get(`${String(airport).toUpperCase()}:${normalizeTerminal(terminal)}`) || 0;
+  }
+
+  /**
+   * Arrival the pickup is planned from: the actual landing if known,
+   * otherwise flight_details.arrival_time (already moved by delays)
+   */
+  getArrival(transfer) {
+    const flight = transfer.flight_details;
+    return flight.actual_arrival_time
+      ? { time: new Date(flight.actual_arrival_time), basis: 'actual' }
+      : { time: new Date(flight.arrival_time), basis: 'estimated' };
+  }
+
+  /**
+   * Minutes between arrival and pickup, itemised
+   * @param {Object} transfer - Transfer document
+   * @returns {Object} { arrival_type, base_minutes, baggage_minutes, passenger_minutes,
+   *   terminal_minutes, meet_and_greet_minutes, buffer_minutes }
+   */
+  getBuffer(transfer) {
+    const flight = transfer.flight_details;
+    const customer = transfer.customer_details || {};
+    const bags = customer.luggage_count || 0;
+    const passengers = customer.no_of_passengers || 1;
+
+    const arrivalType = this.getArrivalType(flight.departure_airport, flight.arrival_airport);
+    const buffer = {
+      arrival_type: arrivalType,
+      base_minutes: arrivalType === 'international' ? this.buffers.international : this.buffers.domestic,
+      baggage_minutes: bags > 0 ? this.buffers.baggageClaim + (bags - 1) * this.buffers.perBag : 0,
+      passenger_minutes: Math.max(0, passengers - 1) * this.buffers.perPassenger,
+      terminal_minutes: this.getTerminalBuffer(flight.arrival_airport, flight.terminal),
+      meet_and_greet_minutes: transfer.priority === 'vip' ? this.buffers.meetAndGreet : 0
+    };
+
+    buffer.buffer_minutes = buffer.base_minutes + buffer.baggage_minutes + buffer.passenger_minutes +
+      buffer.terminal_minutes + buffer.meet_and_greet_minutes;
+    return buffer;
+  }
+
+  /**
+   * Plan the pickup for a transfer. Doesn't change the transfer.
+   * @param {Object} transfer - Transfer document
+   * @returns {Object} { pickupTime, plan } where plan is stored as transfer_details.pickup_plan
+   */
+  plan(transfer, { now = new Date() } = {}) {
+    const arrival = this.getArrival(transfer);
+    const buffer = this.getBuffer(transfer);
+
+    return {
+      pickupTime: new Date(arrival.time.getTime() + buffer.buffer_minutes * MINUTE_MS),
+      plan: {
+        arrival_time: arrival.time,
+        arrival_basis: arrival.basis,
+        ...buffer,
+        planned_at: now
+      }
+    };
+  }
+
+  /**
+   * When the guest should be ready at the pickup point
+   */
+  getGuestReadyTime(transfer) {
+    return this.plan(transfer).pickupTime;
+  }
+}
+
+module.exports = new PickupPlanner();
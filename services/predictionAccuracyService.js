@@ -0,0 +1,348 @@
+const Transfer = require('../models/Transfer');
+const DelayPrediction = require('../models/DelayPrediction');
+const aiService = require('./aiService');
+const delayModelService = require('./delayModelService');
+const { DELAY_THRESHOLD_MINUTES } = require('./flightProviders/flightRecord');
+
+/**
+ * Prediction Accuracy Service
+ *
+ * The delay-predictions job predicts every transfer departing within the
+ * longest horizon and stores the predictions in delay_predictions, one per
+ * transfer, model version and horizon before departure. The hourly
+ * delay-outcomes job copies the final delay_minutes of landed flights onto
+ * them, and the report compares the two: mean absolute error, calibration of
+ * delayProbability (do flights given 70-80% turn out delayed 70-80% of the
+ * time?) and error per airline and horizon. Reports only read.
+ *
+ * A backtest replays landed transfers through chosen model versions as if
+ * predicted some hours before departure, so versions can be compared on the
+ * same flights. A learned version has seen the outcomes it was trained on, so
+ * by default only flights departing after the newest trained_at among the
+ * compared versions are replayed.
+ */
+
+const CALIBRATION_BUCKETS = 10;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Flights not yet departed; a prediction after departure isn't a forecast
+const PREDICTABLE_FLIGHT_STATUSES = ['on_time', 'delayed', 'boarding'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+const mean = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+class BacktestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BacktestError';
+    this.status = status;
+  }
+}
+
+class PredictionAccuracyService {
+  constructor() {
+    this.backtestHoursBefore = parseInt(process.env.BACKTEST_HOURS_BEFORE_DEPARTURE) || 12;
+    this.backtestLimit = parseInt(process.env.BACKTEST_MAX_TRANSFERS) || 2000;
+  }
+
+  /**
+   * Predict and store every transfer departing within the longest horizon
+   * (DelayPrediction.HORIZONS_HOURS), so each horizon gets a prediction
+   * @returns {Object} { processed, recorded }
+   */
+  async recordUpcomingPredictions({ now = new Date() } = {}) {
+    // A prediction up to an hour beyond the longest horizon still counts for it
+    const windowHours = Math.max(...DelayPrediction.HORIZONS_HOURS) + 1;
+    const transfers = await Transfer.find({
+      'transfer_details.transfer_status': { $ne: 'cancelled' },
+      'flight_details.status': { $in: PREDICTABLE_FLIGHT_STATUSES },
+      'flight_details.departure_time': { $gte: now, $lte: new Date(now.getTime() + windowHours * HOUR_MS) }
+    }).select('flight_details').lean();
+    if (transfers.length === 0) return { processed: 0, recorded: 0 };
+
+    const batch = await aiService.batchPredictDelays(transfers.map(transfer => ({
+      ...transfer.flight_details,
+      transferId: transfer._id
+    })), { now, record: true });
+
+    return {
+      processed: transfers.length,
+      recorded: batch.predictions.filter(({ prediction }) => prediction).length
+    };
+  }
+
+  /**
+   * Copy the final delay of landed flights onto their unresolved predictions
+   * @returns {number} Predictions resolved
+   */
+  async resolveOutcomes({ limit = 1000 } = {}) {
+    const transferIds = await DelayPrediction.distinct('transfer_id', {
+      resolved_at: null,
+      transfer_id: { $ne: null }
+    });
+    if (transferIds.length === 0) return 0;
+
+    const landed = await Transfer.find({
+      _id: { $in: transferIds.slice(0, limit) },
+      'flight_details.status': 'landed'
+    }).select('flight_details.delay_minutes').lean();
+
+    let resolved = 0;
+    for (const transfer of landed) {
+      const result = await DelayPrediction.updateMany(
+        { transfer_id: transfer._id, resolved_at: null },
+        { $set: { actual_delay_minutes: transfer.flight_details.delay_minutes || 0, resolved_at: new Date() } }
+      );
+      resolved += result.modifiedCount;
+    }
+    return resolved;
+  }
+
+  /**
+   * Accuracy of predicted against actual delays
+   * @param {Array} pairs - { airline, predictedDelay, predictedProbability (0-100), actualDelay }
+   * @returns {Object} { count, mae, bias, brierScore, calibration, byAirline }
+   */
+  summarize(pairs) {
+    const errors = pairs.map(pair => pair.predictedDelay - pair.actualDelay);
+    const delayed = (pair) => pair.actualDelay >= DELAY_THRESHOLD_MINUTES ? 1 : 0;
+
+    const calibration = [];
+    for (let bucket = 0; bucket < CALIBRATION_BUCKETS; bucket++) {
+      const low = bucket * 100 / CALIBRATION_BUCKETS;
+      const high = low + 100 / CALIBRATION_BUCKETS;
+      const inBucket = pairs.filter(pair =>
+        pair.predictedProbability >= low && (pair.predictedProbability < high || (bucket === CALIBRATION_BUCKETS - 1 && pair.predictedProbability <= high))
+      );
+      if (inBucket.length === 0) continue;
+      calibration.push({
+        range: `${low}-${high}%`,
+        count: inBucket.length,
+        predictedRate: round(mean(inBucket.map(pair => pair.predictedProbability))),
+        observedRate: round(mean(inBucket.map(delayed)) * 100)
+      });
+    }
+
+    const airlines = {};
+    pairs.forEach((pair, i) => {
+      (airlines[pair.airline || 'UNKNOWN'] ||= []).push(errors[i]);
+    });
+    const byAirline = Object.entries(airlines)
+      .map(([airline, airlineErrors]) => ({
+        airline,
+        count: airlineErrors.length,
+        mae: round(mean(airlineErrors.map(Math.abs))),
+        bias: round(mean(airlineErrors))
+      }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      count: pairs.length,
+      delayThresholdMinutes: DELAY_THRESHOLD_MINUTES,
+      // Minutes; bias > 0 means delays are over-predicted
+      mae: pairs.length ? round(mean(errors.map(Math.abs))) : null,
+      bias: pairs.length ? round(mean(errors)) : null,
+      // Mean squared error of delayProbability against delayed/not (0 is perfect, 0.25 is a coin flip)
+      brierScore: pairs.length ? round(mean(pairs.map(pair => (pair.predictedProbability / 100 - delayed(pair)) ** 2)), 4) : null,
+      calibration,
+      byAirline
+    };
+  }
+
+  /**
+   * Report on stored predictions whose flights have landed
+   * @param {Object} filters - { from, to (predicted_at), modelVersion ('heuristic' or a number),
+   *   horizon (hours before departure, one of DelayPrediction.HORIZONS_HOURS) }
+   */
+  async getAccuracyReport({ from, to, modelVersion, horizon } = {}) {
+    const query = this.buildReportQuery({ from, to, modelVersion, horizon });
+
+    const predictions = await DelayPrediction.find(query)
+      .select('transfer_id inputs.airline estimated_delay_minutes delay_probability actual_delay_minutes model_type model_version horizon_hours')
+      .lean();
+    const toPair = (prediction) => ({
+      airline: prediction.inputs?.airline,
+      predictedDelay: prediction.estimated_delay_minutes,
+      predictedProbability: prediction.delay_probability,
+      actualDelay: prediction.actual_delay_minutes
+    });
+
+    const models = {};
+    for (const prediction of predictions) {
+      const key = prediction.model_type === 'learned' ? `v${prediction.model_version}` : 'heuristic';
+      (models[key] ||= []).push(prediction);
+    }
+
+    const horizons = {};
+    for (const prediction of predictions) {
+      (horizons[prediction.horizon_hours ?? 'unknown'] ||= []).push(prediction);
+    }
+
+    return {
+      pending: await DelayPrediction.countDocuments({ resolved_at: null }),
+      transfers: new Set(predictions.map(prediction => prediction.transfer_id)).size,
+      ...this.summarize(predictions.map(toPair)),
+      byModel: Object.entries(models).map(([model, modelPredictions]) => {
+        const { count, mae, bias, brierScore } = this.summarize(modelPredictions.map(toPair));
+        return { model, count, mae, bias, brierScore };
+      }),
+      byHorizon: Object.entries(horizons).map(([hours, horizonPredictions]) => {
+        const { count, mae, bias, brierScore } = this.summarize(horizonPredictions.map(toPair));
+        return { horizonHours: hours === 'unknown' ? null : Number(hours), count, mae, bias, brierScore };
+      })
+    };
+  }
+
+  // Resolved predictions matching report filters
+  buildReportQuery({ from, to, modelVersion, horizon } = {}) {
+    const query = { resolved_at: { $ne: null } };
+    if (from || to) {
+      query.predicted_at = {};
+      if (from) query.predicted_at.$gte = new Date(from);
+      if (to) query.predicted_at.$lte = new Date(to);
+    }
+    if (modelVersion === 'heuristic') {
+      query.model_type = 'heuristic';
+    } else if (modelVersion != null) {
+      query.model_version = Number(modelVersion);
+    }
+    if (horizon != null) {
+      query.horizon_hours = Number(horizon);
+    }
+    return query;
+  }
+
+  /**
+   * Replay landed transfers through model versions
+   * @param {Object} options - { versions (numbers or 'heuristic'; default the
+   *   active version and the heuristics), from, to (departure), hoursBefore, limit,
+   *   includeTrainingFlights (also replay flights a compared version was trained on) }
+   * @returns {Object} { transfers, hoursBefore, departedAfter, results: [{ model, trainedAt, ...summary }] }
+   */
+  async backtest({
+    versions,
+    from,
+    to,
+    hoursBefore = this.backtestHoursBefore,
+    limit = this.backtestLimit,
+    includeTrainingFlights = false
+  } = {}) {
+    if (!Number.isFinite(hoursBefore) || hoursBefore < 0) {
+      throw new BacktestError('hoursBefore must be a number of hours (0 or more)');
+    }
+    if (!versions || versions.length === 0) {
+      const active = await delayModelService.getActiveModel();
+      versions = active ? [active.version, 'heuristic'] : ['heuristic'];
+    }
+
+    const models = [];
+    for (const version of versions) {
+      if (version === 'heuristic') {
+        models.push({ name: 'heuristic', model: null });
+        continue;
+      }
+      if (!Number.isInteger(Number(version))) {
+        throw new BacktestError(`Unknown model version "${version}"; use a version number or "heuristic"`);
+      }
+      const model = await delayModelService.getModel(Number(version));
+      if (!model) {
+        throw new BacktestError(`Delay model v${version} not found`, 404);
+      }
+      models.push({ name: `v${model.version}`, model });
+    }
+
+    // Held out: flights that departed after every compared version was trained
+    let departedAfter = from ? new Date(from) : null;
+    if (!includeTrainingFlights) {
+      for (const { model } of models) {
+        if (model?.trained_at && (!departedAfter || model.trained_at > departedAfter)) {
+          departedAfter = new Date(model.trained_at);
+        }
+      }
+    }
+
+    const query = { 'flight_details.status': 'landed' };
+    if (departedAfter || to) {
+      query['flight_details.departure_time'] = {};
+      if (departedAfter) query['flight_details.departure_time'].$gte = departedAfter;
+      if (to) query['flight_details.departure_time'].$lte = new Date(to);
+    }
+    const transfers = await Transfer.find(query)
+      .select('flight_details')
+      .sort({ 'flight_details.departure_time': -1 })
+      .limit(limit)
+      .lean();
+
+    const results = [];
+    for (const { name, model } of models) {
+      const pairs = [];
+      for (const { flight_details: flight } of transfers) {
+        if (!flight.departure_time) continue;
+        // As the flight looked before departure; the stored inbound leg is
+        // its last state, not what was known then
+        const { prediction } = await aiService.predictFlightDelay({ ...flight, status: 'on_time', inbound: null }, {
+          model,
+          now: new Date(new Date(flight.departure_time).getTime() - hoursBefore * 60 * 60 * 1000),
+          record: false,
+          // Reports are for today, not for past flights
+          weather: false
+        });
+        if (!prediction) continue;
+        pairs.push({
+          airline: delayModelService.extractFeatures(flight).airline,
+          predictedDelay: prediction.estimatedDelayMinutes,
+          predictedProbability: prediction.delayProbability,
+          actualDelay: flight.delay_minutes || 0
+        });
+      }
+      results.push({
+        model: name,
+        trainedAt: model?.trained_at || null,
+        ...this.summarize(pairs)
+      });
+    }
+
+    return {
+      transfers: transfers.length,
+      hoursBefore,
+      departedAfter,
+      results
+    };
+  }
+
+  /**
+   * Headline accuracy for the AI dashboard, aggregated in the database
+   */
+  async getDashboardSummary({ days = 30 } = {}) {
+    const error = { $subtract: ['$estimated_delay_minutes', '$actual_delay_minutes'] };
+    const delayed = { $cond: [{ $gte: ['$actual_delay_minutes', DELAY_THRESHOLD_MINUTES] }, 1, 0] };
+
+    const [totals] = await DelayPrediction.aggregate([
+      { $match: this.buildReportQuery({ from: new Date(Date.now() - days * DAY_MS) }) },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          mae: { $avg: { $abs: error } },
+          bias: { $avg: error },
+          brierScore: { $avg: { $pow: [{ $subtract: [{ $divide: ['$delay_probability', 100] }, delayed] }, 2] } }
+        }
+      }
+    ]);
+    const pending = await DelayPrediction.countDocuments({ resolved_at: null });
+
+    return {
+      days,
+      evaluated: totals?.count || 0,
+      pending,
+      mae: totals ? round(totals.mae) : null,
+      bias: totals ? round(totals.bias) : null,
+      brierScore: totals ? round(totals.brierScore, 4) : null
+    };
+  }
+}
+
+const predictionAccuracyService = new PredictionAccuracyService();
+predictionAccuracyService.BacktestError = BacktestError;
+
+module.exports = predictionAccuracyService;
@@ -0,0 +1,232 @@
+const LocationPing = require('../models/LocationPing');
+const airportDatabase = require('./databases/airportDatabase');
+
+/**
+ * Route History Service
+ *
+ * Records driver location pings in the location_pings time-series collection
+ * and rebuilds trips from them: full polyline, distance and duration, plus a
+ * tracking timeline combined with the transfer's audit log.
+ */
+
+// Ignore GPS jitter below this distance when summing the route
+const MIN_SEGMENT_KM = 0.005;
+
+class RouteHistoryService {
+  /**
+   * Store a location ping for a transfer
+   * @param {Object} transfer - Transfer document
+   * @param {Object} ping - { latitude, longitude, address, speed, heading, status, timestamp }
+   * @param {string} recordedBy - Who sent the ping
+   */
+  async recordPing(transfer, ping, recordedBy = 'driver') {
+    return LocationPing.create({
+      timestamp: ping.timestamp || new Date(),
+      meta: {
+        transfer_id: transfer._id,
+        driver_id: transfer.assigned_driver_details?.driver_id || null
+      },
+      latitude: ping.latitude,
+      longitude: ping.longitude,
+      address: ping.address || '',
+      speed: ping.speed ?? null,
+      heading: ping.heading ?? null,
+      status: ping.status || null,
+      recorded_by: recordedBy
+    });
+  }
+
+  /**
+   * Recent points for the live tracking view
+   */
+  async getRecentPoints(transferId, limit = 100) {
+    const pings = await LocationPing.findRecentByTransfer(transferId, limit);
+    return pings.map(ping => this.toPoint(ping));
+  }
+
+  /**
+   * Average speed over the last few minutes, from ping positions
+   * @param {string} transferId - Transfer APX ID
+   * @param {number} minutes - Window to look back
+   * @returns {number|null} km/h, or null with too few pings
+   */
+  async getRecentSpeedKmh(transferId, minutes = 10) {
+    const pings = await LocationPing.findByTransfer(transferId, {
+      from: new Date(Date.now() - minutes * 60 * 1000)
+    });
+    if (pings.length < 2) return null;
+
+    const route = this.summarizeRoute(pings);
+    const hours = (new Date(route.endedAt) - new Date(route.startedAt)) / 3600000;
+    if (hours <= 0) return null;
+
+    return Math.round((route.distanceKm / hours) * 10) / 10;
+  }
+
+  /**
+   * Full route of a transfer
+   * @param {string} transferId - Transfer APX ID
+   * @param {Object} options - { from, to }
+   * @returns {Object} { points, polyline, distanceKm, durationMinutes, ... }
+   */
+  async getRoute(transferId, options = {}) {
+    const pings = await LocationPing.findByTransfer(transferId, options);
+    return this.summarizeRoute(pings);
+  }
+
+  /**
+   * Distance, duration and encoded polyline for a list of pings
+   */
+  summarizeRoute(pings) {
+    const points = pings.map(ping => this.toPoint(ping));
+
+    let distanceKm = 0;
+    for (let i = 1; i < points.length; i++) {
+      const segment = airportDatabase.calculateDistance(
+        points[i - 1].latitude, points[i - 1].longitude,
+        points[i].latitude, points[i].longitude
+      );
+      if (segment >= MIN_SEGMENT_KM) distanceKm += segment;
+    }
+
+    const startedAt = points.length ? points[0].timestamp : null;
+    const endedAt = points.length ? points[points.length - 1].timestamp : null;
+    const durationMinutes = startedAt
+      ? Math.round((new Date(endedAt) - new Date(startedAt)) / 60000)
+      : 0;
+
+    return {
+      pointCount: points.length,
+      startedAt,
+      endedAt,
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      durationMinutes,
+      averageSpeedKmh: durationMinutes > 0 ? Math.round((distanceKm / (durationMinutes / 60)) * 10) / 10 : null,
+      polyline: this.encodePolyline(points),
+      points
+    };
+  }
+
+  /**
+   * Tracking timeline from the audit log and the real location pings
+   * @param {Object} transfer - Transfer document
+   * @returns {Array} Events, most recent first
+   */
+  async getTrackingTimeline(transfer) {
+    const pings = await LocationPing.findByTransfer(transfer._id);
+    const history = [];
+
+    history.push({
+      timestamp: transfer.create_time || transfer.createdAt || null,
+      event: 'Transfer Created',
+      description: 'Transfer request was created',
+      type: 'system'
+    });
+
+    for (const entry of transfer.audit_log || []) {
+      if (entry.action === 'created' || entry.action === 'updated') continue;
+      history.push({
+        timestamp: entry.timestamp,
+        event: this.formatAction(entry.action),
+        description: entry.details,
+        type: entry.action === 'driver_assigned' ? 'assignment' : 'status'
+      });
+    }
+
+    if (pings.length > 0) {
+      const first = pings[0];
+      const last = pings[pings.length - 1];
+
+      history.push({
+        timestamp: first.timestamp,
+        event: 'Tracking Started',
+        description: 'Driver started sharing location',
+        type: 'location',
+        location: this.toPoint(first)
+      });
+
+      // Status reported with pings, once per change
+      let lastStatus = null;
+      for (const ping of pings) {
+        if (ping.status && ping.status !== lastStatus) {
+          history.push({
+            timestamp: ping.timestamp,
+            event: 'Status Update',
+            description: `Status changed to ${ping.status}`,
+            type: 'status',
+            location: this.toPoint(ping)
+          });
+          lastStatus = ping.status;
+        }
+      }
+
+      if (pings.length > 1) {
+        const route = this.summarizeRoute(pings);
+        history.push({
+          timestamp: last.timestamp,
+          event: 'Last Location',
+          description: `${route.distanceKm} km travelled over ${route.durationMinutes} min`,
+          type: 'location',
+          location: this.toPoint(last)
+        });
+      }
+    }
+
+    return history
+      .filter(item => item.timestamp)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  toPoint(ping) {
+    return {
+      latitude: ping.latitude,
+      longitude: ping.longitude,
+      address: ping.address || '',
+      speed: ping.speed,
+      heading: ping.heading,
+      timestamp: ping.timestamp
+    };
+  }
+
+  formatAction(action) {
+    return action
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * Encode points with the Google encoded polyline algorithm (precision 5)
+   * @param {Array} points - [{ latitude, longitude }]
+   * @returns {string} Encoded polyline
+   */
+  encodePolyline(points) {
+    let previousLat = 0;
+    let previousLng = 0;
+    let encoded = '';
+
+    for (const point of points) {
+      const lat = Math.round(point.latitude * 1e5);
+      const lng = Math.round(point.longitude * 1e5);
+      encoded += this.encodeValue(lat - previousLat) + this.encodeValue(lng - previousLng);
+      previousLat = lat;
+      previousLng = lng;
+    }
+
+    return encoded;
+  }
+
+  encodeValue(value) {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let encoded = '';
+
+    while (remaining >= 0x20) {
+      encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+
+    return encoded + String.fromCharCode(remaining + 63);
+  }
+}
+
+module.exports = new RouteHistoryService();
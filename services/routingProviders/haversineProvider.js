@@ -0,0 +1,65 @@
+const airportDatabase = require('../databases/airportDatabase');
+const timezoneService = require('../timezoneService');
+
+/**
+ * Haversine Routing Provider
+ * Offline estimate: straight-line distance times a road factor, driven at a
+ * speed that depends on the local hour (rush hour, daytime, night). When the
+ * driver's recent observed speed is known it is blended in.
+ */
+
+// Straight-line to road distance
+const ROAD_FACTOR = 1.3;
+
+// Average city speeds (km/h) by local hour
+const SPEED_PROFILE = [
+  { fromHour: 0, toHour: 6, speedKmh: 45 },
+  { fromHour: 6, toHour: 8, speedKmh: 32 },
+  { fromHour: 8, toHour: 11, speedKmh: 20 },
+  { fromHour: 11, toHour: 17, speedKmh: 28 },
+  { fromHour: 17, toHour: 21, speedKmh: 18 },
+  { fromHour: 21, toHour: 24, speedKmh: 35 }
+];
+
+class HaversineProvider {
+  constructor() {
+    this.name = 'haversine';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getProfileSpeed(departAt, timezone) {
+    const hour = timezoneService.getLocalHour(departAt, timezone);
+    const slot = SPEED_PROFILE.find(entry => hour >= entry.fromHour && hour < entry.toHour);
+    return slot ? slot.speedKmh : 30;
+  }
+
+  /**
+   * Estimate a drive between two points
+   * @param {Object} from - { latitude, longitude }
+   * @param {Object} to - { latitude, longitude }
+   * @param {Object} options - { departAt, timezone, observedSpeedKmh }
+   * @returns {Object} { distanceKm, durationMinutes, provider }
+   */
+  async route(from, to, { departAt = new Date(), timezone, observedSpeedKmh = null } = {}) {
+    const distanceKm = airportDatabase.calculateDistance(
+      from.latitude, from.longitude,
+      to.latitude, to.longitude
+    ) * ROAD_FACTOR;
+
+    const profileSpeed = this.getProfileSpeed(departAt, timezone || timezoneService.defaultTimezone);
+    const speedKmh = observedSpeedKmh
+      ? (profileSpeed + observedSpeedKmh) / 2
+      : profileSpeed;
+
+    return {
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      durationMinutes: Math.ceil((distanceKm / speedKmh) * 60),
+      provider: this.name
+    };
+  }
+}
+
+module.exports = HaversineProvider;
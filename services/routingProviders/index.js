@@ -0,0 +1,55 @@
+const HaversineProvider = require('./haversineProvider');
+const OsrmProvider = require('./osrmProvider');
+
+/**
+ * Routing Provider Registry
+ * ROUTING_PROVIDER selects the backend used for ETAs (haversine by default).
+ * If the selected backend fails, the offline haversine estimate is used.
+ */
+
+class RoutingProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.fallback = this.register(new HaversineProvider());
+    this.register(new OsrmProvider());
+  }
+
+  /**
+   * Register (or replace) a provider
+   * @param {Object} provider - Object with name, isConfigured() and route()
+   */
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.route !== 'function') {
+      throw new Error('Routing provider must have a name and a route() method');
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  getProvider() {
+    const name = (process.env.ROUTING_PROVIDER || 'haversine').trim().toLowerCase();
+    const provider = this.providers.get(name);
+    return provider && provider.isConfigured() ? provider : this.fallback;
+  }
+
+  /**
+   * Drive distance and duration between two points
+   * @param {Object} from - { latitude, longitude }
+   * @param {Object} to - { latitude, longitude }
+   * @param {Object} options - Passed to the provider ({ departAt, timezone, observedSpeedKmh })
+   * @returns {Object} { distanceKm, durationMinutes, provider }
+   */
+  async route(from, to, options = {}) {
+    const provider = this.getProvider();
+
+    try {
+      return await provider.route(from, to, options);
+    } catch (error) {
+      if (provider === this.fallback) throw error;
+      console.warn(`⚠️ Routing provider ${provider.name} failed, using ${this.fallback.name}: ${error.message}`);
+      return this.fallback.route(from, to, options);
+    }
+  }
+}
+
+module.exports = new RoutingProviderRegistry();
@@ -0,0 +1,55 @@
+const axios = require('axios');
+
+/**
+ * OSRM Routing Provider
+ * Calls an OSRM-compatible /route/v1/driving endpoint (self-hosted OSRM,
+ * or any service exposing the same API).
+ */
+
+class OsrmProvider {
+  constructor(options = {}) {
+    this.name = 'osrm';
+    this.baseUrl = (options.baseUrl || process.env.OSRM_BASE_URL || '').replace(/\/$/, '');
+    this.profile = options.profile || process.env.OSRM_PROFILE || 'driving';
+    this.timeout = parseInt(process.env.OSRM_TIMEOUT_MS) || 5000;
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Route between two points
+   * @param {Object} from - { latitude, longitude }
+   * @param {Object} to - { latitude, longitude }
+   * @returns {Object} { distanceKm, durationMinutes, provider }
+   */
+  async route(from, to) {
+    if (!this.isConfigured()) {
+      throw new Error('OSRM_BASE_URL not configured');
+    }
+
+    // OSRM expects lon,lat pairs
+    const coordinates = `${from.longitude},${from.latitude};${to.longitude},${to.latitude}`;
+    const response = await axios.get(
+      `${this.baseUrl}/route/v1/${this.profile}/${coordinates}`,
+      {
+        params: { overview: 'false' },
+        timeout: this.timeout
+      }
+    );
+
+    const route = response.data?.routes?.[0];
+    if (response.data?.code !== 'Ok' || !route) {
+      throw new Error(`OSRM returned ${response.data?.code || 'no route'}`);
+    }
+
+    return {
+      distanceKm: Math.round((route.distance / 1000) * 100) / 100,
+      durationMinutes: Math.ceil(route.duration / 60),
+      provider: this.name
+    };
+  }
+}
+
+module.exports = OsrmProvider;
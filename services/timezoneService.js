@@ -0,0 +1,129 @@
+const airportDatabase = require('./databases/airportDatabase');
+
+/**
+ * Timezone Service
+ *
+ * Dates are stored in UTC. Anything shown to a guest (arrival, pickup and
+ * reminder times in messages and emails) is rendered in the arrival
+ * airport's local time, and night-time rules are evaluated there too.
+ */
+
+const NIGHT_START_HOUR = 22;
+const NIGHT_END_HOUR = 6;
+
+class TimezoneService {
+  constructor() {
+    this.defaultTimezone = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+  }
+
+  /**
+   * Check that a string is a valid IANA timezone
+   */
+  isValidTimezone(timezone) {
+    if (!timezone) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Timezone of the transfer's arrival airport, or null if the airport is unknown
+   */
+  getTransferTimezone(transfer) {
+    return airportDatabase.getTimezone(transfer?.flight_details?.arrival_airport);
+  }
+
+  /**
+   * Hour of day (0-23) of a date in the given timezone
+   */
+  getLocalHour(date, timezone = this.defaultTimezone) {
+    const hour = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour: 'numeric',
+      hourCycle: 'h23'
+    }).format(new Date(date));
+    return parseInt(hour, 10);
+  }
+
+  /**
+   * Night time is 22:00 to 06:00 in the given timezone
+   */
+  isNightTime(date = new Date(), timezone = this.defaultTimezone) {
+    const hour = this.getLocalHour(date, timezone);
+    return hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+  }
+
+  /**
+   * Format a date for guests, e.g. "October 19th 2026, 11:30 PM GMT+5:30"
+   * @param {Date|string} date - Date to format
+   * @param {string} timezone - IANA timezone (defaults to DEFAULT_TIMEZONE)
+   * @returns {string} Formatted local time
+   */
+  formatDateTime(date, timezone = this.defaultTimezone) {
+    if (!date) return '';
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.isValidTimezone(timezone) ? timezone : this.defaultTimezone,
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+      timeZoneName: 'short'
+    }).formatToParts(new Date(date)).reduce((acc, part) => {
+      acc[part.type] = part.value;
+      return acc;
+    }, {});
+
+    const day = parseInt(parts.day, 10);
+    return `${parts.month} ${day}${this.getOrdinalSuffix(day)} ${parts.year}, ` +
+      `${parts.hour}:${parts.minute} ${parts.dayPeriod} ${parts.timeZoneName}`;
+  }
+
+  /**
+   * Calendar date ('YYYY-MM-DD') of a moment in the given timezone
+   */
+  getLocalDate(date, timezone = this.defaultTimezone) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.isValidTimezone(timezone) ? timezone : this.defaultTimezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(new Date(date));
+  }
+
+  /**
+   * Operating date of a flight: its scheduled departure date at the origin
+   * airport. Unknown airports fall back to the UTC date.
+   */
+  getFlightDate(departureTime, departureAirport) {
+    if (!departureTime || isNaN(new Date(departureTime).getTime())) return null;
+    const timezone = airportDatabase.getTimezone(departureAirport);
+    return timezone
+      ? this.getLocalDate(departureTime, timezone)
+      : new Date(departureTime).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Format a date in the transfer's arrival airport time
+   */
+  formatTransferTime(transfer, date) {
+    return this.formatDateTime(date, this.getTransferTimezone(transfer) || this.defaultTimezone);
+  }
+
+  getOrdinalSuffix(day) {
+    if (day >= 11 && day <= 13) return 'th';
+    switch (day % 10) {
+      case 1: return 'st';
+      case 2: return 'nd';
+      case 3: return 'rd';
+      default: return 'th';
+    }
+  }
+}
+
+module.exports = new TimezoneService();
@@ -0,0 +1,138 @@
+/**
+ * Tracking Event Service
+ *
+ * In-process hub for live transfer tracking over Server-Sent Events.
+ * Clients subscribe to a transfer ID and receive `location`, `status` and
+ * `flight` events as they happen. Status and flight events are published by
+ * the Transfer post-save hook; location events by the location update endpoint.
+ *
+ * Subscriptions live in memory, so every API instance only pushes the changes
+ * it saved itself.
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+class TrackingEventService {
+  constructor() {
+    this.subscribers = new Map();
+    this.heartbeat = null;
+    this.eventId = 0;
+  }
+
+  /**
+   * Register an SSE response for a transfer
+   * @param {string} transferId - Transfer APX ID
+   * @param {Object} res - Express response already set up for SSE
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(transferId, res) {
+    if (!this.subscribers.has(transferId)) {
+      this.subscribers.set(transferId, new Set());
+    }
+    this.subscribers.get(transferId).add(res);
+    this.startHeartbeat();
+
+    return () => {
+      const clients = this.subscribers.get(transferId);
+      if (!clients) return;
+
+      clients.delete(res);
+      if (clients.size === 0) {
+        this.subscribers.delete(transferId);
+      }
+      if (this.subscribers.size === 0) {
+        this.stopHeartbeat();
+      }
+    };
+  }
+
+  /**
+   * Write one SSE event to a single client
+   */
+  send(res, event, data) {
+    this.eventId += 1;
+    res.write(`id: ${this.eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Push an event to every subscriber of a transfer
+   * @param {string} transferId - Transfer APX ID
+   * @param {string} event - location, status or flight
+   * @param {Object} data - Event payload
+   * @returns {number} Number of clients notified
+   */
+  publish(transferId, event, data) {
+    const clients = this.subscribers.get(transferId);
+    if (!clients || clients.size === 0) return 0;
+
+    const payload = { transferId, ...data, timestamp: new Date() };
+    for (const res of clients) {
+      try {
+        this.send(res, event, payload);
+      } catch (error) {
+        console.error(`Error pushing ${event} event for ${transferId}:`, error.message);
+      }
+    }
+
+    return clients.size;
+  }
+
+  /**
+   * Publish the tracking-relevant changes of a saved transfer
+   * @param {Object} transfer - Saved Transfer document
+   * @param {Object} changes - { status, flight } flags captured before save
+   */
+  publishTransferChanges(transfer, changes = {}) {
+    const transferId = transfer._id;
+
+    if (changes.status) {
+      this.publish(transferId, 'status', {
+        transfer_status: transfer.transfer_details?.transfer_status,
+        driver_status: transfer.assigned_driver_details?.status || null
+      });
+    }
+
+    if (changes.flight) {
+      const flight = transfer.flight_details?.toObject
+        ? transfer.flight_details.toObject()
+        : transfer.flight_details;
+      this.publish(transferId, 'flight', { flight_details: flight });
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    // Comment lines keep proxies from closing idle connections
+    this.heartbeat = setInterval(() => {
+      for (const clients of this.subscribers.values()) {
+        for (const res of clients) {
+          res.write(': ping\n\n');
+        }
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (!this.heartbeat) return;
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * Count of open subscriptions
+   */
+  getStats() {
+    let connections = 0;
+    for (const clients of this.subscribers.values()) {
+      connections += clients.size;
+    }
+    return {
+      transfers: this.subscribers.size,
+      connections
+    };
+  }
+}
+
+module.exports = new TrackingEventService();
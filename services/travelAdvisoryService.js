@@ -1,9 +1,23 @@
 const Hotel = require('../models/Hotel');
-const hotelSearchService = require('./hotelSearchService');
+const HotelSearchService = require('./hotelSearchService');
 const cozyCozyService = require('./cozyCozyService');
 const cozyCozyParser = require('./cozyCozyParserService');
 const hotelCardService = require('./hotelCardService');
 const HotelLink = require('../models/HotelLink');
+const hotelResolutionService = require('./hotelResolutionService');
+const hotelPriceService = require('./hotelPriceService');
+const geocodingService = require('./geocodingService');
+const User = require('../models/User');
+const ClientTravelPreferences = require('../models/ClientTravelPreferences');
+const {
+  CONSTRAINTS,
+  FACTORS,
+  DEFAULT_SCORING_PROFILE,
+  getScoringProfile,
+  listScoringProfiles
+} = require('../config/scoringProfiles');
+
+const hotelSearchService = new HotelSearchService();
 
 /**
  * Travel Advisory Service
@@ -27,6 +41,9 @@ class TravelAdvisoryService {
     this.toRad = (degrees) => {
       return degrees * (Math.PI / 180);
     };
+
+    // Fewer hotels than this meeting a profile's constraints relaxes them
+    this.minResults = parseInt(process.env.RECOMMENDATION_MIN_RESULTS) || 5;
   }
 
   /**
@@ -39,6 +56,11 @@ class TravelAdvisoryService {
       console.log('🔍 Starting recommendation generation for preference:', preferences._id);
       console.log('📍 Search location:', preferences.targetAreas?.[0] || preferences.country);
       console.log('💰 Budget:', preferences.budgetMin, '-', preferences.budgetMax);
+
+      // A venue saved moments ago may still wait for its coordinates; scoring needs them
+      if (preferences.conferenceLocation?.geocodePending && preferences._id) {
+        await ClientTravelPreferences.geocodeVenue(preferences);
+      }
       
       // Step 1: Search hotels in the target city/areas
       const hotels = await this.searchHotelsForPreferences(preferences);
@@ -52,50 +74,13 @@ class TravelAdvisoryService {
         console.log(`✅ Generated ${fallbackHotels.length} fallback mock hotels`);
       }
 
-      // Step 2: Filter and score hotels
-      const scoredHotels = await this.scoreAndFilterHotels(hotels, preferences);
-      console.log(`📊 Scored ${scoredHotels.length} hotels (after filtering)`);
-
-      if (scoredHotels.length === 0) {
-        console.warn('⚠️ All hotels filtered out by scoring. Lowering threshold...');
-        // Try with lower threshold
-        const allScored = [];
-        for (const hotel of hotels) {
-          const scores = {
-            priceMatch: this.calculatePriceMatch(hotel, preferences),
-            amenitiesMatch: this.calculateAmenitiesMatch(hotel, preferences),
-            starRatingMatch: this.calculateStarRatingMatch(hotel, preferences),
-            locationMatch: await this.calculateLocationMatch(hotel, preferences),
-            conferenceProximity: this.calculateConferenceProximity(hotel, preferences)
-          };
-          const relevanceScore = this.calculateRelevanceScore(scores, preferences);
-          
-          // Accept all hotels
-          if (relevanceScore >= 0) {
-            const bookingLinks = hotel.bookingLinks || {};
-            const prices = hotel.prices || {};
-            const card = hotel.card || (hotel.cozyCozyId ? hotelCardService.buildCard(hotel) : null);
-            
-            allScored.push({
-              hotelId: hotel._id || hotel.hotelId,
-              hotel: hotel,
-              relevanceScore: Math.round(relevanceScore * 100) / 100,
-              priceMatch: Math.round(scores.priceMatch * 100) / 100,
-              amenitiesMatch: Math.round(scores.amenitiesMatch * 100) / 100,
-              starRatingMatch: scores.starRatingMatch,
-              distanceFromConference: scores.conferenceProximity.distance,
-              distanceFromTargetArea: scores.locationMatch.distance,
-              withinConferenceRadius: scores.conferenceProximity.withinRadius,
-              scores: scores,
-              bookingLinks: bookingLinks,
-              prices: prices,
-              card: card,
-              cozyCozyId: hotel.cozyCozyId
-            });
-          }
-        }
-        scoredHotels.push(...allScored);
-        console.log(`📊 After lowering threshold: ${scoredHotels.length} hotels`);
+      // Step 2: Score hotels with the scoring profile, then apply its constraints
+      const profile = await this.resolveScoringProfile(preferences);
+      const allScored = await this.scoreAndFilterHotels(hotels, preferences, profile);
+      const { selected: scoredHotels, relaxedConstraints } = this.applyConstraints(allScored, profile);
+      console.log(`📊 Scored ${allScored.length} hotels with profile ${profile.name}, ${scoredHotels.length} meet its constraints`);
+      if (relaxedConstraints.length > 0) {
+        console.warn(`⚠️ Relaxed constraints: ${relaxedConstraints.map(relaxed => relaxed.constraint).join(', ')}`);
       }
 
       // Step 3: Sort by relevance score
@@ -110,6 +95,8 @@ class TravelAdvisoryService {
         totalHotelsFound: hotels.length,
         recommendationsGenerated: topRecommendations.length,
         recommendations: topRecommendations,
+        scoringProfile: profile.name,
+        relaxedConstraints,
         generatedAt: new Date()
       };
     } catch (error) {
@@ -192,9 +179,16 @@ class TravelAdvisoryService {
       }
 
       // Remove duplicates
-      const uniqueHotels = this.deduplicateHotels(searchResults.hotels || []);
+      const uniqueHotels = await this.deduplicateHotels(searchResults.hotels || []);
       console.log(`✅ Total unique hotels after deduplication: ${uniqueHotels.length}`);
 
+      // Keep the prices seen for this stay (see hotelPriceService)
+      await hotelPriceService.recordPrices(uniqueHotels, {
+        checkIn: preferences.checkInDate,
+        checkOut: preferences.checkOutDate,
+        preferenceId: preferences._id
+      });
+
       return uniqueHotels;
     } catch (error) {
       console.error('Error searching hotels:', error);
@@ -252,9 +246,34 @@ class TravelAdvisoryService {
   }
 
   /**
-   * Score and filter hotels based on preferences
+   * Scoring profile of a preference: its own, else its client's, else the default
+   * @returns {Object} Profile from config/scoringProfiles.js, with its name
+   */
+  async resolveScoringProfile(preferences) {
+    if (preferences.scoringProfile && getScoringProfile(preferences.scoringProfile)) {
+      return getScoringProfile(preferences.scoringProfile);
+    }
+
+    // clientId may be an ID or a client populated without the field
+    let client = preferences.clientId;
+    if (client && client.scoringProfile === undefined) {
+      client = await User.findById(client._id || client).select('scoringProfile').lean();
+    }
+    if (client?.scoringProfile && getScoringProfile(client.scoringProfile)) {
+      return getScoringProfile(client.scoringProfile);
+    }
+    return getScoringProfile(DEFAULT_SCORING_PROFILE) || listScoringProfiles()[0];
+  }
+
+  getScoringProfiles() {
+    return listScoringProfiles();
+  }
+
+  /**
+   * Score every hotel with a profile, noting the constraints each one misses
    */
-  async scoreAndFilterHotels(hotels, preferences) {
+  async scoreAndFilterHotels(hotels, preferences, profile) {
+    profile = profile || await this.resolveScoringProfile(preferences);
     const scoredHotels = [];
     console.log(`📊 Scoring ${hotels.length} hotels...`);
 
@@ -267,48 +286,194 @@ class TravelAdvisoryService {
         conferenceProximity: this.calculateConferenceProximity(hotel, preferences)
       };
 
-      // Calculate overall relevance score (weighted average)
-      const relevanceScore = this.calculateRelevanceScore(scores, preferences);
+      // Calculate overall relevance score (weighted average), factor by factor
+      const relevanceScore = this.calculateRelevanceScore(scores, preferences, profile);
+      const explanation = this.explainScores(hotel, scores, preferences, profile);
+
+      // Get booking links and card if available
+      const bookingLinks = hotel.bookingLinks || {};
+      const prices = hotel.prices || {};
+      const card = hotel.card || (hotel.cozyCozyId ? hotelCardService.buildCard(hotel) : null);
+
+      scoredHotels.push({
+        hotelId: hotel._id || hotel.hotelId,
+        hotel: hotel,
+        relevanceScore: Math.round(relevanceScore * 100) / 100,
+        priceMatch: Math.round(scores.priceMatch * 100) / 100,
+        amenitiesMatch: Math.round(scores.amenitiesMatch * 100) / 100,
+        starRatingMatch: scores.starRatingMatch,
+        distanceFromConference: scores.conferenceProximity.distance,
+        distanceFromTargetArea: scores.locationMatch.distance,
+        withinConferenceRadius: scores.conferenceProximity.withinRadius,
+        scores: scores,
+        explanation,
+        unmetConstraints: this.checkConstraints(hotel, scores, relevanceScore, preferences, profile),
+        // Add CozyCozy data
+        bookingLinks: bookingLinks,
+        prices: prices,
+        card: card,
+        cozyCozyId: hotel.cozyCozyId
+      });
+    }
 
-      // Log first hotel for debugging
-      if (scoredHotels.length === 0) {
-        console.log(`📊 Sample hotel scoring:`, {
-          name: hotel.name,
-          price: hotel.pricing?.basePrice,
-          scores,
-          relevanceScore: Math.round(relevanceScore * 100) / 100
-        });
-      }
+    return scoredHotels;
+  }
 
-      // Only include hotels that meet minimum criteria
-      // Very low threshold to ensure we get results (can be adjusted later)
-      if (relevanceScore >= 0) { // Accept all hotels for now
-        // Get booking links and card if available
-        const bookingLinks = hotel.bookingLinks || {};
-        const prices = hotel.prices || {};
-        const card = hotel.card || (hotel.cozyCozyId ? hotelCardService.buildCard(hotel) : null);
-
-        scoredHotels.push({
-          hotelId: hotel._id || hotel.hotelId,
-          hotel: hotel,
-          relevanceScore: Math.round(relevanceScore * 100) / 100,
-          priceMatch: Math.round(scores.priceMatch * 100) / 100,
-          amenitiesMatch: Math.round(scores.amenitiesMatch * 100) / 100,
-          starRatingMatch: scores.starRatingMatch,
-          distanceFromConference: scores.conferenceProximity.distance,
-          distanceFromTargetArea: scores.locationMatch.distance,
-          withinConferenceRadius: scores.conferenceProximity.withinRadius,
-          scores: scores,
-          // Add CozyCozy data
-          bookingLinks: bookingLinks,
-          prices: prices,
-          card: card,
-          cozyCozyId: hotel.cozyCozyId
-        });
-      }
+  /**
+   * Profile weights for a preference: without a placed conference venue, its
+   * weight goes to location
+   */
+  getWeights(preferences, profile) {
+    const weights = { ...profile.weights };
+    if (!preferences.conferenceLocation?.coordinates?.latitude) {
+      weights.location = (weights.location || 0) + (weights.conference || 0);
+      weights.conference = 0;
     }
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    return Object.fromEntries(Object.entries(weights).map(([factor, weight]) => [factor, total > 0 ? weight / total : 0]));
+  }
 
-    return scoredHotels;
+  // Scores of the profile factors, 0-100
+  getFactorScores(scores) {
+    return {
+      price: scores.priceMatch,
+      amenities: scores.amenitiesMatch,
+      // Within a star of the preferred rating, or not
+      starRating: scores.starRatingMatch ? 100 : 50,
+      location: scores.locationMatch.score,
+      conference: scores.conferenceProximity.score
+    };
+  }
+
+  /**
+   * Each factor's score, weight and contribution to relevanceScore, with why
+   * @returns {Array} [{ factor, label, score, weight, contribution, detail }]
+   */
+  explainScores(hotel, scores, preferences, profile) {
+    const weights = this.getWeights(preferences, profile);
+    const price = hotel.pricing?.basePrice || 0;
+    const currency = hotel.pricing?.currency || preferences.currency || 'INR';
+    const money = (amount) => `${currency} ${Math.round(amount).toLocaleString('en-US')}`;
+    const budget = `${money(preferences.budgetMin || 0)}-${Math.round(preferences.budgetMax || 0).toLocaleString('en-US')}`;
+    const required = preferences.requiredAmenities || [];
+    const missing = required.filter(amenity => hotel.amenities?.[amenity] !== true);
+    const venue = preferences.conferenceLocation;
+
+    const details = {
+      price: !price
+        ? 'Price unknown'
+        : price > preferences.budgetMax
+          ? `${money(price)}/night, ${Math.round((price - preferences.budgetMax) / preferences.budgetMax * 100)}% over the ${budget} budget`
+          : price < (preferences.budgetMin || 0)
+            ? `${money(price)}/night, below the ${budget} budget`
+            : `${money(price)}/night, within the ${budget} budget`,
+      amenities: required.length === 0
+        ? 'No amenities required'
+        : `${required.length - missing.length} of ${required.length} required amenities${missing.length ? ` (missing ${missing.join(', ')})` : ''}`,
+      starRating: hotel.starRating
+        ? `${hotel.starRating}★ against ${preferences.preferredStarRating || 3}★ preferred`
+        : 'Star rating unknown',
+      location: !preferences.targetAreas?.length
+        ? 'No target areas'
+        : scores.locationMatch.distance != null
+          ? `${scores.locationMatch.distance} km from the nearest target area`
+          : 'Location unknown',
+      conference: weights.conference === 0
+        ? 'No placed conference venue; its weight goes to location'
+        : scores.conferenceProximity.distance != null
+          ? `${scores.conferenceProximity.distance} km from ${venue.name || 'the venue'} (limit ${preferences.maxDistanceFromConference || 10} km)`
+          : 'Hotel location unknown'
+    };
+    const factorScores = this.getFactorScores(scores);
+
+    return Object.keys(FACTORS).map(factor => ({
+      factor,
+      label: FACTORS[factor],
+      score: Math.round(factorScores[factor] * 100) / 100,
+      weight: Math.round(weights[factor] * 1000) / 1000,
+      contribution: Math.round(factorScores[factor] * weights[factor] * 100) / 100,
+      detail: details[factor]
+    }));
+  }
+
+  /**
+   * Hard constraints of a profile that a hotel misses
+   * @returns {Array} Constraint names (keys of CONSTRAINTS)
+   */
+  checkConstraints(hotel, scores, relevanceScore, preferences, profile) {
+    const { budgetOverPercent, starTolerance, allAmenities, conferenceRadius, minScore } = profile.constraints;
+    const unmet = [];
+    const price = hotel.pricing?.basePrice || 0;
+
+    if (budgetOverPercent != null && price && preferences.budgetMax &&
+        price > preferences.budgetMax * (1 + budgetOverPercent / 100)) {
+      unmet.push('budgetOverPercent');
+    }
+    if (starTolerance != null && hotel.starRating &&
+        hotel.starRating < (preferences.preferredStarRating || 3) - starTolerance) {
+      unmet.push('starTolerance');
+    }
+    if (allAmenities && scores.amenitiesMatch < 100) {
+      unmet.push('allAmenities');
+    }
+    if (conferenceRadius && preferences.conferenceLocation?.coordinates?.latitude &&
+        !scores.conferenceProximity.withinRadius) {
+      unmet.push('conferenceRadius');
+    }
+    if (minScore != null && relevanceScore < minScore) {
+      unmet.push('minScore');
+    }
+    return unmet;
+  }
+
+  /**
+   * Keep the hotels meeting every constraint. While fewer than minResults do,
+   * drop constraints in the profile's relaxOrder (then any left), and say so.
+   * @returns {Object} { selected, relaxedConstraints: [{ constraint, label, description, admitted }] }
+   */
+  applyConstraints(scoredHotels, profile) {
+    const enforced = Object.keys(CONSTRAINTS).filter(constraint => {
+      const value = profile.constraints[constraint];
+      return value !== null && value !== undefined && value !== false;
+    });
+    const order = [...new Set([...(profile.relaxOrder || []), ...enforced])].filter(constraint => enforced.includes(constraint));
+
+    const active = new Set(enforced);
+    const passes = (hotel) => hotel.unmetConstraints.every(constraint => !active.has(constraint));
+    let selected = scoredHotels.filter(passes);
+    const relaxedConstraints = [];
+
+    for (const constraint of order) {
+      if (selected.length >= Math.min(this.minResults, scoredHotels.length)) break;
+      active.delete(constraint);
+      const before = selected.length;
+      selected = scoredHotels.filter(passes);
+      relaxedConstraints.push({
+        constraint,
+        label: CONSTRAINTS[constraint],
+        description: this.describeConstraint(constraint, profile.constraints[constraint]),
+        admitted: selected.length - before
+      });
+    }
+
+    return { selected, relaxedConstraints };
+  }
+
+  describeConstraint(constraint, value) {
+    switch (constraint) {
+      case 'budgetOverPercent':
+        return value ? `Price at most ${value}% over budgetMax` : 'Price within budgetMax';
+      case 'starTolerance':
+        return value ? `At most ${value} star(s) below the preferred rating` : 'At least the preferred star rating';
+      case 'allAmenities':
+        return 'Every required amenity';
+      case 'conferenceRadius':
+        return 'Within maxDistanceFromConference of the venue';
+      case 'minScore':
+        return `Relevance score of at least ${value}`;
+      default:
+        return constraint;
+    }
   }
 
   /**
@@ -389,8 +554,20 @@ class TravelAdvisoryService {
       return { score: 50, distance: null }; // Unknown location
     }
 
-    // For now, we'll use a simple scoring based on city match
-    // In a full implementation, you'd geocode target areas and calculate distances
+    // Distance to the nearest target area that can be placed
+    const areaCoords = await Promise.all(preferences.targetAreas.map(area =>
+      this.geocodeAddress(area, { country: preferences.country, minPrecision: 'city' })
+    ));
+    const distances = areaCoords
+      .filter(Boolean)
+      .map(coords => this.calculateDistance(coords.latitude, coords.longitude, hotelCoords.latitude, hotelCoords.longitude));
+    if (distances.length > 0) {
+      const distance = Math.round(Math.min(...distances) * 100) / 100;
+      const score = distance <= 3 ? 100 : distance <= 10 ? 80 : distance <= 25 ? 60 : 40;
+      return { score, distance };
+    }
+
+    // Otherwise score on the city name
     const hotelCity = (hotel.city || '').toUpperCase();
     const targetAreasUpper = preferences.targetAreas.map(area => area.toUpperCase());
 
@@ -448,119 +625,42 @@ class TravelAdvisoryService {
   }
 
   /**
-   * Calculate overall relevance score
+   * Calculate overall relevance score (0-100) with a scoring profile
    */
-  calculateRelevanceScore(scores, preferences) {
-    // Weighted scoring
-    const weights = {
-      priceMatch: 0.25,
-      amenitiesMatch: 0.25,
-      starRatingMatch: 0.15,
-      locationMatch: 0.15,
-      conferenceProximity: preferences.conferenceLocation ? 0.20 : 0.10
-    };
-
-    // Adjust weights if conference location not provided
-    if (!preferences.conferenceLocation) {
-      weights.locationMatch = 0.25; // Increase location weight
-      weights.conferenceProximity = 0; // Remove conference weight
-    }
-
-    let totalScore = 0;
-    let totalWeight = 0;
-
-    // Price match
-    totalScore += scores.priceMatch * weights.priceMatch;
-    totalWeight += weights.priceMatch;
-
-    // Amenities match
-    totalScore += scores.amenitiesMatch * weights.amenitiesMatch;
-    totalWeight += weights.amenitiesMatch;
-
-    // Star rating match (boolean, convert to 0-100)
-    totalScore += (scores.starRatingMatch ? 100 : 50) * weights.starRatingMatch;
-    totalWeight += weights.starRatingMatch;
-
-    // Location match
-    totalScore += scores.locationMatch.score * weights.locationMatch;
-    totalWeight += weights.locationMatch;
-
-    // Conference proximity
-    if (preferences.conferenceLocation) {
-      totalScore += scores.conferenceProximity.score * weights.conferenceProximity;
-      totalWeight += weights.conferenceProximity;
-    }
-
-    // Normalize to 0-100
-    return totalWeight > 0 ? totalScore / totalWeight : 0;
+  calculateRelevanceScore(scores, preferences, profile = getScoringProfile(DEFAULT_SCORING_PROFILE)) {
+    const weights = this.getWeights(preferences, profile);
+    const factorScores = this.getFactorScores(scores);
+    return Object.keys(FACTORS).reduce((sum, factor) => sum + (factorScores[factor] || 0) * (weights[factor] || 0), 0);
   }
 
   /**
-   * Remove duplicate hotels
+   * Remove duplicate hotels: the same property from CozyCozy, Xotelo, the
+   * search sources and our Hotel collection becomes one record, linked
+   * through HotelLink (see hotelResolutionService)
    */
-  deduplicateHotels(hotels) {
-    const uniqueHotels = new Map();
-
-    hotels.forEach(hotel => {
-      const key = hotel._id?.toString() || hotel.hotelId || hotel.name?.toLowerCase();
-      
-      if (!uniqueHotels.has(key)) {
-        uniqueHotels.set(key, hotel);
-      } else {
-        // Merge sources if duplicate found
-        const existing = uniqueHotels.get(key);
-        if (hotel.sources && existing.sources) {
-          hotel.sources.forEach(source => {
-            if (!existing.sources.some(s => s.platform === source.platform)) {
-              existing.sources.push(source);
-            }
-          });
-        }
-      }
-    });
-
-    return Array.from(uniqueHotels.values());
+  async deduplicateHotels(hotels) {
+    return hotelResolutionService.resolve(hotels);
   }
 
   /**
-   * Geocode address to coordinates (placeholder - would use Google Maps API or similar)
+   * Geocode address to coordinates (see geocodingService)
+   * @param {string} address - Address or place name
+   * @param {Object} options - { country, minPrecision }
+   * @returns {Object|null} { latitude, longitude }
    */
-  async geocodeAddress(address) {
-    // TODO: Implement geocoding using Google Maps Geocoding API or similar
-    // For now, return null
-    return null;
+  async geocodeAddress(address, options = {}) {
+    return geocodingService.getCoordinates(address, options);
   }
 
   /**
-   * Get approximate coordinates for a country/city
+   * Get approximate coordinates for a country/city from the offline gazetteer
    */
   getApproximateCoordinates(country, city) {
-    // Common city/country coordinates mapping
-    const coordinatesMap = {
-      'mexico': { latitude: 19.4326, longitude: -99.1332 }, // Mexico City
-      'mexico city': { latitude: 19.4326, longitude: -99.1332 },
-      'india': { latitude: 28.6139, longitude: 77.2090 }, // New Delhi
-      'mumbai': { latitude: 19.0760, longitude: 72.8777 },
-      'delhi': { latitude: 28.6139, longitude: 77.2090 },
-      'bangalore': { latitude: 12.9716, longitude: 77.5946 },
-      'usa': { latitude: 40.7128, longitude: -74.0060 }, // New York
-      'united states': { latitude: 40.7128, longitude: -74.0060 },
-      'uk': { latitude: 51.5074, longitude: -0.1278 }, // London
-      'united kingdom': { latitude: 51.5074, longitude: -0.1278 },
-      'london': { latitude: 51.5074, longitude: -0.1278 },
-      'france': { latitude: 48.8566, longitude: 2.3522 }, // Paris
-      'paris': { latitude: 48.8566, longitude: 2.3522 },
-      'germany': { latitude: 52.5200, longitude: 13.4050 }, // Berlin
-      'berlin': { latitude: 52.5200, longitude: 13.4050 },
-      'dubai': { latitude: 25.2048, longitude: 55.2708 },
-      'uae': { latitude: 25.2048, longitude: 55.2708 },
-      'singapore': { latitude: 1.3521, longitude: 103.8198 },
-      'thailand': { latitude: 13.7563, longitude: 100.5018 }, // Bangkok
-      'bangkok': { latitude: 13.7563, longitude: 100.5018 }
-    };
-
-    const searchKey = (city || country || '').toLowerCase().trim();
-    return coordinatesMap[searchKey] || coordinatesMap[country?.toLowerCase()?.trim()] || { latitude: 19.4326, longitude: -99.1332 }; // Default to Mexico City
+    const place = (city && geocodingService.lookupOffline(city, { country })) ||
+      geocodingService.lookupOffline(country);
+    return place
+      ? { latitude: place.latitude, longitude: place.longitude }
+      : { latitude: 19.4326, longitude: -99.1332 }; // Default to Mexico City
   }
 
   /**
@@ -782,6 +882,7 @@ class TravelAdvisoryService {
         if (!hotelLink) {
           hotelLink = new HotelLink({
             cozyCozyId: hotel.cozyCozyId,
+            aliases: [`cozycozy:${hotel.cozyCozyId}`],
             hotelName: hotel.name,
             address: hotel.address,
             city: hotel.city,
@@ -0,0 +1,124 @@
+const MetarProvider = require('./metarProvider');
+const airportDatabase = require('../databases/airportDatabase');
+
+/**
+ * Weather Provider Registry
+ * WEATHER_PROVIDER selects the source of airport weather (metar by default).
+ * A provider has a name, isConfigured() and getConditions(icao, { at })
+ * returning visibility, wind, ceiling, precipitation and thunderstorm flags.
+ *
+ * Weather is an optional signal: without a configured provider, or when the
+ * provider fails or has no report for the airport, lookups return null and
+ * predictions go ahead without it. Results are cached per station and hour
+ * for WEATHER_CACHE_TTL_SECONDS.
+ */
+
+class WeatherProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.cache = new Map();
+    this.cacheTtlMs = (parseInt(process.env.WEATHER_CACHE_TTL_SECONDS) || 600) * 1000;
+    this.register(new MetarProvider());
+  }
+
+  /**
+   * Register (or replace) a provider
+   * @param {Object} provider - Object with name, isConfigured() and getConditions()
+   */
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.getConditions !== 'function') {
+      throw new Error('Weather provider must have a name and a getConditions() method');
+    }
+    this.providers.set(provider.name, provider);
+    this.cache.clear();
+    return provider;
+  }
+
+  // The selected provider, or null when it isn't configured
+  getProvider() {
+    const name = (process.env.WEATHER_PROVIDER || 'metar').trim().toLowerCase();
+    const provider = this.providers.get(name);
+    return provider && provider.isConfigured() ? provider : null;
+  }
+
+  /**
+   * How much the conditions hinder operations, 0-100, with the reasons
+   * @param {Object} conditions - From a provider
+   * @returns {Object} { score, reasons }
+   */
+  assess(conditions) {
+    const hazards = [];
+    const { visibilityMeters, windSpeedKt, windGustKt, ceilingFt } = conditions;
+
+    if (conditions.thunderstorm) hazards.push([80, 'thunderstorm']);
+    if (conditions.freezing || conditions.frozenPrecipitation) hazards.push([60, 'snow or ice']);
+    if (conditions.heavyPrecipitation) hazards.push([35, 'heavy precipitation']);
+    else if (conditions.precipitation) hazards.push([10, 'precipitation']);
+
+    if (visibilityMeters != null) {
+      if (visibilityMeters < 800) hazards.push([60, `visibility ${visibilityMeters} m`]);
+      else if (visibilityMeters < 1600) hazards.push([40, `visibility ${visibilityMeters} m`]);
+      else if (visibilityMeters < 5000) hazards.push([15, `visibility ${visibilityMeters} m`]);
+    }
+    if (ceilingFt != null) {
+      if (ceilingFt < 200) hazards.push([50, `ceiling ${ceilingFt} ft`]);
+      else if (ceilingFt < 500) hazards.push([25, `ceiling ${ceilingFt} ft`]);
+    }
+
+    const wind = Math.max(windSpeedKt || 0, windGustKt || 0);
+    if (wind >= 40) hazards.push([50, `wind ${wind} kt`]);
+    else if (wind >= 25) hazards.push([20, `wind ${wind} kt`]);
+
+    if (hazards.length === 0) return { score: 0, reasons: [] };
+
+    // The worst hazard counts in full, the others add a quarter each
+    const scores = hazards.map(([score]) => score).sort((a, b) => b - a);
+    const score = scores[0] + scores.slice(1).reduce((sum, value) => sum + value * 0.25, 0);
+    return {
+      score: Math.min(Math.round(score), 100),
+      reasons: hazards.map(([, reason]) => reason)
+    };
+  }
+
+  /**
+   * Weather at an airport at a moment
+   * @param {string} airportCode - IATA or ICAO code
+   * @param {Object} options - { at (default now) }
+   * @returns {Object|null} { airport, station, source, reportedAt, visibilityMeters,
+   *   windSpeedKt, windGustKt, ceilingFt, thunderstorm, precipitation, ..., severity }
+   */
+  async getAirportWeather(airportCode, { at = new Date() } = {}) {
+    const provider = this.getProvider();
+    if (!provider || !airportCode) return null;
+
+    const code = String(airportCode).toUpperCase().trim();
+    const station = airportDatabase.getAirport(code)?.icao || (code.length === 4 ? code : null);
+    if (!station) return null;
+
+    const time = new Date(at);
+    const key = `${provider.name}:${station}:${Math.floor(time.getTime() / (60 * 60 * 1000))}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.cachedAt < this.cacheTtlMs) {
+      return cached.weather;
+    }
+
+    let weather = null;
+    try {
+      const conditions = await provider.getConditions(station, { at: time });
+      if (conditions) {
+        weather = { airport: code, ...conditions, severity: this.assess(conditions) };
+      }
+    } catch (error) {
+      console.warn(`⚠️ Weather provider ${provider.name} failed for ${station}: ${error.message}`);
+      return null;
+    }
+
+    this.cache.set(key, { weather, cachedAt: Date.now() });
+    if (this.cache.size > 500) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return weather;
+  }
+}
+
+module.exports = new WeatherProviderRegistry();
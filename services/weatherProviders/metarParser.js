@@ -0,0 +1,332 @@
+/**
+ * METAR / TAF Parser
+ * Turns raw aviation weather reports into the conditions delay prediction
+ * cares about: visibility, wind, ceiling, precipitation and thunderstorms.
+ * Groups that don't affect delays (temperature, pressure, runway visual
+ * range, remarks) are skipped.
+ *
+ *   METAR VIDP 191030Z 27008KT 0800 FG BKN002 18/17 Q1015 NOSIG
+ *   TAF VIDP 191100Z 1912/2018 27006KT 3000 HZ NSC
+ *     TEMPO 1914/1918 TSRA BKN025CB
+ *     FM200200 VRB03KT 0800 FG
+ */
+
+const KNOTS_PER_MPS = 1.94384;
+const KNOTS_PER_KMH = 0.539957;
+const METERS_PER_STATUTE_MILE = 1609.34;
+// 9999 and CAVOK mean "10 km or more"
+const UNLIMITED_VISIBILITY_METERS = 10000;
+
+const PRECIPITATION = ['DZ', 'RA', 'SN', 'SG', 'IC', 'PL', 'GR', 'GS', 'UP'];
+const FROZEN = ['SN', 'SG', 'IC', 'PL', 'GR', 'GS'];
+const WEATHER_GROUP = /^(\+|-|VC)?((?:MI|PR|BC|DR|BL|SH|TS|FZ)*)((?:DZ|RA|SN|SG|IC|PL|GR|GS|UP|BR|FG|FU|VA|DU|SA|HZ|PY|PO|SQ|FC|SS|DS)*)$/;
+
+const emptyConditions = () => ({
+  visibilityMeters: null,
+  windSpeedKt: null,
+  windGustKt: null,
+  ceilingFt: null,
+  thunderstorm: false,
+  precipitation: false,
+  heavyPrecipitation: false,
+  freezing: false,
+  frozenPrecipitation: false,
+  weather: []
+});
+
+const toKnots = (value, unit) => {
+  if (unit === 'MPS') return Math.round(value * KNOTS_PER_MPS);
+  if (unit === 'KMH') return Math.round(value * KNOTS_PER_KMH);
+  return value;
+};
+
+/**
+ * Resolve a day/hour/minute group against a reference date: the closest
+ * matching moment within a month either side
+ */
+const resolveTime = (day, hour, minute, reference) => {
+  const candidates = [-1, 0, 1].map(offset => new Date(Date.UTC(
+    reference.getUTCFullYear(),
+    reference.getUTCMonth() + offset,
+    day,
+    hour,
+    minute
+  )));
+  return candidates.reduce((best, candidate) =>
+    Math.abs(candidate - reference) < Math.abs(best - reference) ? candidate : best
+  );
+};
+
+/**
+ * Apply one report group to a conditions object
+ * @returns {boolean} Whether the group was understood
+ */
+const applyGroup = (conditions, token, previous) => {
+  let match;
+
+  if (token === 'CAVOK') {
+    conditions.visibilityMeters = UNLIMITED_VISIBILITY_METERS;
+    return true;
+  }
+
+  if ((match = token.match(/^(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS|KMH)$/))) {
+    conditions.windSpeedKt = toKnots(parseInt(match[2], 10), match[4]);
+    conditions.windGustKt = match[3] ? toKnots(parseInt(match[3], 10), match[4]) : null;
+    return true;
+  }
+
+  if ((match = token.match(/^(\d{4})(?:NDV)?$/))) {
+    const meters = parseInt(match[1], 10);
+    conditions.visibilityMeters = meters >= 9999 ? UNLIMITED_VISIBILITY_METERS : meters;
+    return true;
+  }
+
+  // Statute miles: 10SM, 1/2SM, M1/4SM, or "1 1/2SM" across two tokens
+  if ((match = token.match(/^[MP]?(?:(\d+)\/(\d+)|(\d+))SM$/))) {
+    let miles = match[3] ? parseInt(match[3], 10) : parseInt(match[1], 10) / parseInt(match[2], 10);
+    if (match[1] && /^\d$/.test(previous || '')) miles += parseInt(previous, 10);
+    conditions.visibilityMeters = Math.min(Math.round(miles * METERS_PER_STATUTE_MILE), UNLIMITED_VISIBILITY_METERS);
+    return true;
+  }
+
+  if ((match = token.match(/^(BKN|OVC|VV)(\d{3})/))) {
+    const height = parseInt(match[2], 10) * 100;
+    conditions.ceilingFt = conditions.ceilingFt == null ? height : Math.min(conditions.ceilingFt, height);
+    return true;
+  }
+
+  // No significant weather: ends the weather of earlier periods
+  if (token === 'NSW') {
+    Object.assign(conditions, {
+      nsw: true,
+      thunderstorm: false,
+      precipitation: false,
+      heavyPrecipitation: false,
+      freezing: false,
+      frozenPrecipitation: false,
+      weather: []
+    });
+    return true;
+  }
+
+  match = token.match(WEATHER_GROUP);
+  if (match && (match[2] || match[3])) {
+    const [, intensity, descriptor, phenomena] = match;
+    const codes = (phenomena.match(/.{2}/g) || []);
+    const precipitation = codes.filter(code => PRECIPITATION.includes(code));
+
+    conditions.weather.push(token);
+    if (descriptor.includes('TS')) conditions.thunderstorm = true;
+    if (descriptor.includes('FZ')) conditions.freezing = true;
+    // Showers in the vicinity (VCSH) aren't at the airport
+    if (precipitation.length > 0 && intensity !== 'VC') {
+      conditions.precipitation = true;
+      if (intensity === '+') conditions.heavyPrecipitation = true;
+      if (precipitation.some(code => FROZEN.includes(code))) conditions.frozenPrecipitation = true;
+    }
+    return true;
+  }
+
+  return false;
+};
+
+const tokenize = (text) => String(text || '')
+  .replace(/=\s*$/, '')
+  .trim()
+  .split(/\s+/)
+  .filter(Boolean);
+
+/**
+ * Parse a METAR or SPECI report
+ * @param {string} text - Raw report
+ * @param {Object} options - { reference: Date near the observation (default now) }
+ * @returns {Object|null} { station, observedAt, ...conditions, raw }
+ */
+const parseMetar = (text, { reference = new Date() } = {}) => {
+  const tokens = tokenize(text);
+  if (tokens[0] === 'METAR' || tokens[0] === 'SPECI') tokens.shift();
+  if (tokens[0] === 'COR') tokens.shift();
+
+  const station = tokens.shift();
+  if (!/^[A-Z][A-Z0-9]{3}$/.test(station || '')) return null;
+
+  const report = { station, observedAt: null, ...emptyConditions(), raw: String(text).trim() };
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    // Remarks and trend forecasts follow the observation
+    if (['RMK', 'NOSIG', 'BECMG', 'TEMPO'].includes(token)) break;
+
+    const time = token.match(/^(\d{2})(\d{2})(\d{2})Z$/);
+    if (time) {
+      report.observedAt = resolveTime(+time[1], +time[2], +time[3], reference);
+      continue;
+    }
+    applyGroup(report, token, tokens[i - 1]);
+  }
+
+  return report;
+};
+
+/**
+ * Parse a TAF into its forecast periods
+ * @param {string} text - Raw report
+ * @param {Object} options - { reference: Date near the issue time (default now) }
+ * @returns {Object|null} { station, issuedAt, validFrom, validTo, periods: [{ type, from, to, probability, conditions }], raw }
+ */
+const parseTaf = (text, { reference = new Date() } = {}) => {
+  const tokens = tokenize(text);
+  if (tokens[0] === 'TAF') tokens.shift();
+  while (['AMD', 'COR'].includes(tokens[0])) tokens.shift();
+
+  const station = tokens.shift();
+  if (!/^[A-Z][A-Z0-9]{3}$/.test(station || '')) return null;
+
+  const taf = { station, issuedAt: null, validFrom: null, validTo: null, periods: [], raw: String(text).trim() };
+  let anchor = reference;
+  const period = (token) => {
+    const match = token.match(/^(\d{2})(\d{2})\/(\d{2})(\d{2})$/);
+    if (!match) return null;
+    return {
+      from: resolveTime(+match[1], +match[2], 0, anchor),
+      to: resolveTime(+match[3], +match[4], 0, anchor)
+    };
+  };
+
+  let current = null;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === 'RMK') break;
+
+    const issued = token.match(/^(\d{2})(\d{2})(\d{2})Z$/);
+    if (issued && !taf.issuedAt) {
+      taf.issuedAt = resolveTime(+issued[1], +issued[2], +issued[3], reference);
+      anchor = taf.issuedAt;
+      continue;
+    }
+
+    if (!taf.validFrom) {
+      const validity = period(token);
+      if (validity) {
+        taf.validFrom = validity.from;
+        taf.validTo = validity.to;
+        current = { type: 'base', from: validity.from, to: validity.to, probability: null, conditions: emptyConditions() };
+        taf.periods.push(current);
+        continue;
+      }
+    }
+
+    const from = token.match(/^FM(\d{2})(\d{2})(\d{2})$/);
+    if (from) {
+      current = {
+        type: 'FM',
+        from: resolveTime(+from[1], +from[2], +from[3], anchor),
+        to: taf.validTo,
+        probability: null,
+        conditions: emptyConditions()
+      };
+      taf.periods.push(current);
+      continue;
+    }
+
+    const probability = token.match(/^PROB(\d{2})$/);
+    if (['TEMPO', 'BECMG'].includes(token) || probability) {
+      let type = probability ? 'PROB' : token;
+      if (probability && tokens[i + 1] === 'TEMPO') {
+        type = 'TEMPO';
+        i++;
+      }
+      const validity = period(tokens[i + 1] || '');
+      if (validity) i++;
+      current = {
+        type,
+        from: validity?.from || null,
+        to: validity?.to || null,
+        probability: probability ? parseInt(probability[1], 10) : null,
+        conditions: emptyConditions()
+      };
+      taf.periods.push(current);
+      continue;
+    }
+
+    if (current) applyGroup(current.conditions, token, tokens[i - 1]);
+  }
+
+  // An FM period lasts until the next one
+  const changes = taf.periods.filter(entry => entry.type === 'FM');
+  changes.forEach((entry, index) => {
+    if (changes[index + 1]) entry.to = changes[index + 1].from;
+  });
+
+  return taf;
+};
+
+// Keep the fields a change group mentions, the rest carries over
+const overlay = (conditions, change) => {
+  const result = { ...conditions, weather: [...conditions.weather] };
+  for (const field of ['visibilityMeters', 'windSpeedKt', 'windGustKt', 'ceilingFt']) {
+    if (change[field] != null) result[field] = change[field];
+  }
+  // A new wind group without gusts means the gusts stopped
+  if (change.windSpeedKt != null) {
+    result.windGustKt = change.windGustKt;
+  }
+  if (change.weather.length > 0 || change.nsw) {
+    for (const flag of ['thunderstorm', 'precipitation', 'heavyPrecipitation', 'freezing', 'frozenPrecipitation']) {
+      result[flag] = change[flag];
+    }
+    result.weather = [...change.weather];
+  }
+  return result;
+};
+
+// The worse of two conditions (temporary changes might happen, so plan for them)
+const worst = (a, b) => {
+  const min = (x, y) => x == null ? y : y == null ? x : Math.min(x, y);
+  const max = (x, y) => x == null ? y : y == null ? x : Math.max(x, y);
+  return {
+    visibilityMeters: min(a.visibilityMeters, b.visibilityMeters),
+    windSpeedKt: max(a.windSpeedKt, b.windSpeedKt),
+    windGustKt: max(a.windGustKt, b.windGustKt),
+    ceilingFt: min(a.ceilingFt, b.ceilingFt),
+    thunderstorm: a.thunderstorm || b.thunderstorm,
+    precipitation: a.precipitation || b.precipitation,
+    heavyPrecipitation: a.heavyPrecipitation || b.heavyPrecipitation,
+    freezing: a.freezing || b.freezing,
+    frozenPrecipitation: a.frozenPrecipitation || b.frozenPrecipitation,
+    weather: [...new Set([...a.weather, ...b.weather])]
+  };
+};
+
+/**
+ * Forecast conditions at a moment: the base or latest FM period, with
+ * BECMG changes that have started and the worst of TEMPO/PROB groups
+ * covering the moment
+ * @returns {Object|null} Conditions, or null outside the TAF's validity
+ */
+const forecastAt = (taf, at) => {
+  if (!taf || !taf.validFrom || at < taf.validFrom || at > taf.validTo) return null;
+
+  let conditions = null;
+  for (const entry of taf.periods) {
+    if (entry.type === 'base' || (entry.type === 'FM' && entry.from <= at)) {
+      conditions = { ...entry.conditions, weather: [...entry.conditions.weather] };
+    } else if (entry.type === 'BECMG' && conditions && entry.from && entry.from <= at) {
+      conditions = overlay(conditions, entry.conditions);
+    }
+  }
+  if (!conditions) return null;
+
+  for (const entry of taf.periods) {
+    if (!['TEMPO', 'PROB'].includes(entry.type) || !entry.from || entry.from > at || entry.to < at) continue;
+    conditions = worst(conditions, overlay(conditions, entry.conditions));
+  }
+  delete conditions.nsw;
+  return conditions;
+};
+
+module.exports = {
+  parseMetar,
+  parseTaf,
+  forecastAt,
+  UNLIMITED_VISIBILITY_METERS
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const axios = require('axios');
+const { parseMetar, parseTaf, forecastAt } = require('./metarParser');
+
+/**
+ * METAR/TAF Weather Provider
+ * Reads raw METAR and TAF reports, either from a local file
+ * (WEATHER_METAR_FILE) or from an HTTP source with the aviationweather.gov
+ * data API layout (WEATHER_METAR_URL, e.g. https://aviationweather.gov/api/data
+ * or a stub server answering GET /metar?ids=VIDP and GET /taf?ids=VIDP with raw text).
+ *
+ * The file holds one report per line, with TAF change groups optionally on
+ * indented continuation lines. The newest report per station wins.
+ *
+ * Conditions at a moment come from the latest METAR when the moment is close
+ * to the observation, otherwise from the TAF covering it.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Split raw text into reports: a report starts on an unindented line
+const splitReports = (text) => {
+  const reports = [];
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    if (/^\s/.test(line) && reports.length > 0) {
+      reports[reports.length - 1] += ` ${line.trim()}`;
+    } else {
+      reports.push(line.trim());
+    }
+  }
+  return reports;
+};
+
+class MetarProvider {
+  constructor(options = {}) {
+    this.name = 'metar';
+    this.file = options.file || process.env.WEATHER_METAR_FILE || '';
+    this.baseUrl = (options.baseUrl || process.env.WEATHER_METAR_URL || '').replace(/\/$/, '');
+    this.timeout = parseInt(process.env.WEATHER_TIMEOUT_MS) || 5000;
+    // A METAR describes the next hour or so; later moments use the TAF
+    this.observationValidMs = (parseInt(process.env.WEATHER_METAR_VALID_MINUTES) || 60) * MINUTE_MS;
+    this.fileCache = { mtimeMs: null, stations: new Map() };
+  }
+
+  isConfigured() {
+    return !!(this.file || this.baseUrl);
+  }
+
+  /**
+   * Parse raw reports into the newest METAR and TAF per station
+   * @returns {Map} station → { metar, taf }
+   */
+  parseReports(text, reference = new Date()) {
+    const stations = new Map();
+    for (const raw of splitReports(text)) {
+      const isTaf = /^TAF\b/.test(raw);
+      const report = isTaf ? parseTaf(raw, { reference }) : parseMetar(raw, { reference });
+      if (!report) continue;
+
+      const entry = stations.get(report.station) || { metar: null, taf: null };
+      if (isTaf) {
+        if (!entry.taf || (report.issuedAt && report.issuedAt > entry.taf.issuedAt)) entry.taf = report;
+      } else if (!entry.metar || (report.observedAt && report.observedAt > entry.metar.observedAt)) {
+        entry.metar = report;
+      }
+      stations.set(report.station, entry);
+    }
+    return stations;
+  }
+
+  // Reports from the file, re-read when it changes
+  readFile(station) {
+    const { mtimeMs } = fs.statSync(this.file);
+    if (mtimeMs !== this.fileCache.mtimeMs) {
+      this.fileCache = {
+        mtimeMs,
+        stations: this.parseReports(fs.readFileSync(this.file, 'utf8'))
+      };
+    }
+    return this.fileCache.stations.get(station) || { metar: null, taf: null };
+  }
+
+  async fetchReports(station) {
+    const get = (type) => axios.get(`${this.baseUrl}/${type}`, {
+      params: { ids: station, format: 'raw' },
+      timeout: this.timeout,
+      responseType: 'text'
+    }).then(response => response.data);
+
+    const [metar, taf] = await Promise.all([get('metar'), get('taf')]);
+    return this.parseReports(`${metar || ''}\n${taf || ''}`).get(station) || { metar: null, taf: null };
+  }
+
+  /**
+   * Latest METAR and TAF of a station
+   * @param {string} station - ICAO code
+   * @returns {Object} { metar, taf } (either may be null)
+   */
+  async getReports(station) {
+    if (!this.isConfigured()) {
+      throw new Error('WEATHER_METAR_FILE or WEATHER_METAR_URL not configured');
+    }
+    return this.file ? this.readFile(station) : this.fetchReports(station);
+  }
+
+  /**
+   * Conditions at a station at a moment
+   * @param {string} station - ICAO code
+   * @param {Object} options - { at (default now) }
+   * @returns {Object|null} { station, source ('metar'|'taf'), reportedAt, ...conditions, raw }
+   */
+  async getConditions(station, { at = new Date() } = {}) {
+    const { metar, taf } = await this.getReports(station);
+
+    if (metar && metar.observedAt && Math.abs(at - metar.observedAt) <= this.observationValidMs) {
+      const { observedAt, raw, ...conditions } = metar;
+      return { ...conditions, station, source: 'metar', reportedAt: observedAt, raw };
+    }
+
+    const forecast = forecastAt(taf, at);
+    if (forecast) {
+      return { ...forecast, station, source: 'taf', reportedAt: taf.issuedAt, raw: taf.raw };
+    }
+    return null;
+  }
+}
+
+module.exports = MetarProvider;
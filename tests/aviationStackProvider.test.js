@@ -0,0 +1,83 @@
+jest.mock('axios');
+const axios = require('axios');
+const AviationStackProvider = require('../services/flightProviders/aviationStackProvider');
+
+const arrival = (flightNo, registration, scheduled) => ({
+  flight_date: '2026-03-10',
+  flight: { iata: flightNo },
+  aircraft: { iata: '32N', icao: 'A20N', registration },
+  departure: { iata: 'DEL', scheduled: '2026-03-10T04:00:00+00:00' },
+  arrival: { iata: 'BOM', scheduled },
+  flight_status: 'landed'
+});
+
+const page = (data, offset, total) => ({ data: { data, pagination: { limit: 100, offset, count: data.length, total } } });
+
+describe('AviationStackProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new AviationStackProvider({ apiKey: 'test' });
+    axios.get.mockReset();
+  });
+
+  test('the aircraft type is the ICAO designator', () => {
+    const record = provider.toRecord(arrival('AI101', 'VT-EXA', '2026-03-10T06:00:00+00:00'));
+    expect(record.aircraft).toBe('A20N');
+  });
+
+  test('airport listings are read page by page', async () => {
+    const first = Array.from({ length: 100 }, (_, i) => arrival(`AI${i + 1}`, `VT-A${i}`, '2026-03-10T06:00:00+00:00'));
+    axios.get
+      .mockResolvedValueOnce(page(first, 0, 101))
+      .mockResolvedValueOnce(page([arrival('AI999', 'VT-EXA', '2026-03-10T07:00:00+00:00')], 100, 101));
+
+    const records = await provider.getFlightsByAirport('bom', 'arrival', '2026-03-10');
+
+    expect(records).toHaveLength(101);
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(axios.get.mock.calls[1][1].params).toMatchObject({ arr_iata: 'BOM', offset: 100, limit: 100 });
+  });
+
+  test('stops after maxPages', async () => {
+    provider.maxPages = 2;
+    const full = Array.from({ length: 100 }, (_, i) => arrival(`AI${i + 1}`, null, '2026-03-10T06:00:00+00:00'));
+    axios.get.mockResolvedValue(page(full, 0, 1000));
+
+    await provider.getFlightsByAirport('BOM', 'arrival', '2026-03-10');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('previous legs of flights from the same airport share one listing', async () => {
+    axios.get.mockResolvedValue(page([
+      arrival('AI864', 'VT-EXA', '2026-03-10T06:00:00+00:00'),
+      arrival('AI660', 'VT-EXB', '2026-03-10T07:00:00+00:00')
+    ], 0, 2));
+
+    const outbound = (flightNo, registration) => provider.toRecord({
+      flight_date: '2026-03-10',
+      flight: { iata: flightNo },
+      aircraft: { registration },
+      departure: { iata: 'BOM', scheduled: '2026-03-10T09:00:00+00:00' },
+      arrival: { iata: 'BLR' }
+    });
+
+    const [a, b] = await Promise.all([
+      provider.getPreviousLeg(outbound('AI601', 'VT-EXA')),
+      provider.getPreviousLeg(outbound('AI603', 'VT-EXB'))
+    ]);
+
+    expect(a.flight_no).toBe('AI864');
+    expect(b.flight_no).toBe('AI660');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get.mock.calls[0][1].params).toMatchObject({ arr_iata: 'BOM', airline_iata: 'AI', flight_date: '2026-03-10' });
+  });
+
+  test('a failed listing is not cached', async () => {
+    axios.get.mockRejectedValueOnce(new Error('timeout'));
+    await expect(provider.getFlightsByAirport('BOM', 'arrival', '2026-03-10')).rejects.toThrow('timeout');
+
+    axios.get.mockResolvedValueOnce(page([], 0, 0));
+    await expect(provider.getFlightsByAirport('BOM', 'arrival', '2026-03-10')).resolves.toEqual([]);
+  });
+});
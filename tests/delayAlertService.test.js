@@ -0,0 +1,53 @@
+const delayAlertService = require('../services/delayAlertService');
+
+const prediction = (delayProbability) => ({
+  delayProbability,
+  riskLevel: delayProbability >= 70 ? 'high' : delayProbability >= 40 ? 'medium' : 'low'
+});
+
+describe('delayAlertService.decide', () => {
+  const decide = (alertedBand, probability) => delayAlertService.decide(alertedBand, prediction(probability));
+
+  test('uses a clear threshold below the alert threshold', () => {
+    expect(delayAlertService.threshold).toBe(70);
+    expect(delayAlertService.clearThreshold).toBe(55);
+  });
+
+  test('raises once the threshold is reached', () => {
+    expect(decide(null, 69)).toBeNull();
+    expect(decide(null, 70)).toBe('raise');
+  });
+
+  test('stays quiet while the band is unchanged', () => {
+    expect(decide('high', 85)).toBeNull();
+  });
+
+  test('a probability around the threshold does not flap', () => {
+    let band = null;
+    const actions = [];
+    for (const probability of [71, 69, 71, 69, 71, 60]) {
+      const action = decide(band, probability);
+      if (action) actions.push(action);
+      if (action === 'raise') band = prediction(probability).riskLevel;
+      if (action === 'clear') band = null;
+    }
+    expect(actions).toEqual(['raise']);
+  });
+
+  test('a lower band above the clear threshold keeps the alert', () => {
+    expect(decide('high', 60)).toBeNull();
+  });
+
+  test('clears only below the clear threshold', () => {
+    expect(decide('high', 55)).toBeNull();
+    expect(decide('high', 54)).toBe('clear');
+  });
+
+  test('reports a climb to a higher band', () => {
+    expect(decide('medium', 75)).toBe('change');
+  });
+
+  test('no alert and no risk does nothing', () => {
+    expect(decide(null, 10)).toBeNull();
+  });
+});
@@ -0,0 +1,63 @@
+const delayModelService = require('../services/delayModelService');
+
+const row = (airline, delay, extra = {}) => ({
+  airline,
+  departure_airport: null,
+  arrival_airport: null,
+  departure_hour: null,
+  delay,
+  ...extra
+});
+
+describe('delayModelService.fitTarget', () => {
+  const { priorStrength } = delayModelService;
+
+  test('the intercept is the average target', () => {
+    const { intercept } = delayModelService.fitTarget([row('AI', 10), row('6E', 30)], r => r.delay);
+    expect(intercept).toBe(20);
+  });
+
+  test('an airline with many outcomes gets close to its own offset', () => {
+    const rows = [
+      ...Array.from({ length: 200 }, () => row('AI', 40)),
+      ...Array.from({ length: 200 }, () => row('6E', 0))
+    ];
+    const { intercept, effects } = delayModelService.fitTarget(rows, r => r.delay);
+
+    expect(intercept).toBe(20);
+    expect(effects.airline.AI.n).toBe(200);
+    expect(effects.airline.AI.effect).toBeCloseTo(20 * 200 / (200 + priorStrength), 5);
+    expect(effects.airline['6E'].effect).toBeCloseTo(-20 * 200 / (200 + priorStrength), 5);
+  });
+
+  test('a single late flight is shrunk toward the average', () => {
+    const rows = [
+      ...Array.from({ length: 50 }, () => row('6E', 10)),
+      row('UK', 190)
+    ];
+    const { intercept, effects } = delayModelService.fitTarget(rows, r => r.delay);
+    const offset = 190 - intercept;
+
+    expect(effects.airline.UK.effect).toBeGreaterThan(0);
+    expect(effects.airline.UK.effect).toBeLessThan(offset / priorStrength + 1);
+  });
+
+  test('missing feature values get no effect', () => {
+    const { effects } = delayModelService.fitTarget([row('AI', 10), row('AI', 20)], r => r.delay);
+    expect(effects.departure_airport).toEqual({});
+    expect(effects.departure_hour).toEqual({});
+  });
+
+  test('effects of correlated features are not counted twice', () => {
+    // Every AI flight leaves BOM, so the delay is split between them, not doubled
+    const rows = [
+      ...Array.from({ length: 100 }, () => row('AI', 30, { departure_airport: 'BOM' })),
+      ...Array.from({ length: 100 }, () => row('6E', 0, { departure_airport: 'DEL' }))
+    ];
+    const { intercept, effects } = delayModelService.fitTarget(rows, r => r.delay);
+    const predicted = intercept + effects.airline.AI.effect + effects.departure_airport.BOM.effect;
+
+    expect(predicted).toBeGreaterThan(25);
+    expect(predicted).toBeLessThanOrEqual(30);
+  });
+});
@@ -0,0 +1,58 @@
+const dispatchService = require('../services/dispatchService');
+const User = require('../models/User');
+const Vendor = require('../models/Vendor');
+
+const pickup = new Date('2026-03-10T10:00:00Z');
+
+const transfer = {
+  _id: 'T1',
+  vendor_details: { vendor_id: 'V1' },
+  customer_details: { no_of_passengers: 2, luggage_count: 2 },
+  transfer_details: { estimated_pickup_time: pickup }
+};
+
+const driver = (driverId) => ({
+  _id: `user-${driverId}`,
+  driverId,
+  profile: { firstName: 'Test', lastName: driverId },
+  driverDetails: { vehicleType: 'sedan', rating: 4.5 }
+});
+
+describe('dispatchService.evaluate vendor concurrency', () => {
+  beforeEach(() => {
+    jest.spyOn(Vendor, 'findOne').mockResolvedValue({ preferences: { maxConcurrentTransfers: 1 } });
+    jest.spyOn(User, 'find').mockResolvedValue([driver('D1')]);
+    jest.spyOn(dispatchService, 'findActiveTransfers').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("another vendor's reservations in the batch don't count", async () => {
+    const reserved = new Map([['OTHER-D9', [dispatchService.getWindow(transfer)]]]);
+    const result = await dispatchService.evaluate(transfer, { reserved });
+    expect(result.selected?.driverId).toBe('D1');
+  });
+
+  test("the vendor's own reservations in the batch count", async () => {
+    User.find.mockResolvedValue([driver('D1'), driver('D2')]);
+    const reserved = new Map([['D2', [dispatchService.getWindow(transfer)]]]);
+    const result = await dispatchService.evaluate(transfer, { reserved });
+    expect(result.selected).toBeNull();
+    expect(result.explanation).toMatch(/already has 1 transfers/);
+  });
+
+  test('normalizes a lowercase vendor id for every lookup', async () => {
+    await dispatchService.evaluate({ ...transfer, vendor_details: { vendor_id: ' ven000001 ' } });
+    expect(Vendor.findOne).toHaveBeenCalledWith({ vendorId: 'VEN000001' });
+    expect(User.find).toHaveBeenCalledWith(expect.objectContaining({ vendorId: 'VEN000001' }));
+    expect(dispatchService.findActiveTransfers.mock.calls[0][0]).toBe('VEN000001');
+  });
+
+  test('a driver without a profile is still ranked', async () => {
+    const { profile, ...bare } = driver('D1');
+    User.find.mockResolvedValue([{ ...bare, username: 'driver1' }]);
+    const result = await dispatchService.evaluate(transfer);
+    expect(result.selected?.name).toBe('driver1');
+    expect(result.selected?.contactNumber).toBeNull();
+  });
+});
@@ -0,0 +1,29 @@
+const etaService = require('../services/etaService');
+const notificationService = require('../services/notificationService');
+
+describe('etaService.raiseLateWarning', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('records a driver_late audit entry and alerts ops', async () => {
+    const send = jest.spyOn(notificationService, 'sendDriverLateAlert').mockResolvedValue({ success: true });
+    const transfer = {
+      _id: 'APEX1',
+      customer_details: { name: 'Guest' },
+      flight_details: { arrival_airport: 'BOM' },
+      transfer_details: {},
+      audit_log: []
+    };
+    const eta = {
+      to_pickup: new Date('2026-03-10T10:20:00Z'),
+      guest_ready_at: new Date('2026-03-10T10:00:00Z'),
+      late_by_minutes: 20
+    };
+
+    await etaService.raiseLateWarning(transfer, eta);
+
+    expect(transfer.audit_log).toHaveLength(1);
+    expect(transfer.audit_log[0]).toMatchObject({ action: 'driver_late', by: 'eta' });
+    expect(transfer.audit_log[0].details).toMatch(/20 min after the guest is ready/);
+    expect(send).toHaveBeenCalledWith(transfer, eta, { opsContacts: etaService.opsContacts });
+  });
+});
@@ -0,0 +1,31 @@
+const flightProviders = require('../services/flightProviders');
+const { getFlightStatusWithRetry } = require('../config/flightApi');
+
+const record = (flightDate) => ({
+  flight_no: 'AI101',
+  flight_date: flightDate,
+  departure: { iata: 'DEL' },
+  arrival: { iata: 'BOM' },
+  status: 'on_time'
+});
+
+describe('flightApi.getFlightStatusWithRetry', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('asks the provider for the given day\'s operation', async () => {
+    const getFlight = jest.spyOn(flightProviders, 'getFlight').mockResolvedValue(record('2026-03-10'));
+
+    const flight = await getFlightStatusWithRetry('AI101', '2026-03-10');
+
+    expect(getFlight).toHaveBeenCalledWith('AI101', { date: '2026-03-10' });
+    expect(flight.flight_date).toBe('2026-03-10');
+  });
+
+  test('retries a missing flight up to maxRetries', async () => {
+    const getFlight = jest.spyOn(flightProviders, 'getFlight').mockResolvedValue(null);
+
+    await expect(getFlightStatusWithRetry('AI101', '2026-03-10', 2)).resolves.toBeNull();
+    expect(getFlight).toHaveBeenCalledTimes(2);
+    expect(getFlight).toHaveBeenLastCalledWith('AI101', { date: '2026-03-10' });
+  });
+});
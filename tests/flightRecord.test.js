@@ -0,0 +1,47 @@
+const { createFlightRecord, toFlightDate } = require('../services/flightProviders/flightRecord');
+const AviationStackProvider = require('../services/flightProviders/aviationStackProvider');
+
+// 00:30 on 11 March in Delhi, still 10 March in UTC
+const departure = new Date('2026-03-10T19:00:00Z');
+
+describe('flightRecord.toFlightDate', () => {
+  test('keeps a YYYY-MM-DD date as given', () => {
+    expect(toFlightDate('2026-03-10', 'DEL')).toBe('2026-03-10');
+  });
+
+  test('uses the local date at the departure airport', () => {
+    expect(toFlightDate(departure, 'DEL')).toBe('2026-03-11');
+  });
+
+  test('falls back to UTC without a known airport', () => {
+    expect(toFlightDate(departure)).toBe('2026-03-10');
+  });
+});
+
+describe('flight date of records without one', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('createFlightRecord derives the local departure date', () => {
+    const record = createFlightRecord({
+      flight_no: 'AI101',
+      departure: { iata: 'DEL', scheduled: departure },
+      arrival: { iata: 'BOM' },
+      source: 'test'
+    });
+    expect(record.flight_date).toBe('2026-03-11');
+  });
+
+  test('getPreviousLeg searches the local departure date first', async () => {
+    const provider = new AviationStackProvider();
+    jest.spyOn(provider, 'getFlightsByAirport').mockResolvedValue([]);
+
+    await provider.getPreviousLeg({
+      flight_no: 'AI101',
+      flight_date: null,
+      registration: 'VT-EXA',
+      departure: { iata: 'DEL', scheduled: departure }
+    });
+
+    expect(provider.getFlightsByAirport.mock.calls.map(call => call[2])).toEqual(['2026-03-11', '2026-03-10']);
+  });
+});
@@ -0,0 +1,44 @@
+const geofenceService = require('../services/geofenceService');
+
+const AIRPORT = { latitude: 19.0896, longitude: 72.8656 };
+const driver = { role: 'DRIVER', by: 'user:d1' };
+
+const transfer = (status, geofenceState) => ({
+  flight_details: { arrival_airport: 'BOM' },
+  transfer_details: { transfer_status: status },
+  location_tracking: { geofence_state: geofenceState },
+  transitionTo: jest.fn()
+});
+
+describe('geofenceService.evaluate', () => {
+  test('entering the pickup zone moves the transfer to waiting as the pinging user', () => {
+    const t = transfer('enroute', { pickup: 'outside' });
+    const at = new Date('2026-03-10T10:00:00Z');
+
+    const result = geofenceService.evaluate(t, { ...AIRPORT, timestamp: at }, driver);
+
+    expect(result.transition).toEqual({ from: 'enroute', to: 'waiting' });
+    expect(t.transitionTo).toHaveBeenCalledWith('waiting', {
+      role: 'DRIVER',
+      by: 'user:d1',
+      reason: 'geofence: enter pickup zone',
+      at
+    });
+  });
+
+  test('the first ping away from the airport starts the trip', () => {
+    const t = transfer('assigned', {});
+    const result = geofenceService.evaluate(t, { latitude: 19.2, longitude: 72.9 }, driver);
+
+    expect(result.transition).toEqual({ from: 'assigned', to: 'enroute' });
+    expect(t.transitionTo.mock.calls[0][1].reason).toBe('geofence: driver started moving');
+  });
+
+  test('staying outside every zone changes nothing', () => {
+    const t = transfer('enroute', { pickup: 'outside' });
+    const result = geofenceService.evaluate(t, { latitude: 19.2, longitude: 72.9 }, driver);
+
+    expect(result.transition).toBeNull();
+    expect(t.transitionTo).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const groupAllocationService = require('../services/groupAllocationService');
+const GroupBooking = require('../models/GroupBooking');
+const Hotel = require('../models/Hotel');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const traveler = (name, extra = {}) => ({ travelerId: id(), name, gender: 'female', roomSharing: 'shared', ...extra });
+
+const makeGroup = (travelers, rules = {}) => new GroupBooking({
+  name: 'Delegation',
+  preferenceId: id(),
+  currency: 'INR',
+  travelers,
+  rules: { maxPerRoom: 2, sameGenderOnly: true, ...rules },
+  checkIn: new Date('2026-05-10'),
+  checkOut: new Date('2026-05-12')
+});
+
+const preference = { checkInDate: '2026-05-10', checkOutDate: '2026-05-12', budgetMax: 10000 };
+
+const hotel = (name, roomTypes, extra = {}) => ({
+  _id: id(),
+  name,
+  pricing: { currency: 'INR' },
+  roomTypes,
+  availability: { roomsAvailable: null },
+  assignedToCustomers: [],
+  ...extra
+});
+
+const names = (party) => party.travelers.map(member => member.name).sort();
+
+describe('groupAllocationService.buildParties', () => {
+  const rules = { maxPerRoom: 2, sameGenderOnly: true };
+
+  test('a room group shares one room, whatever its size', () => {
+    const parties = groupAllocationService.buildParties([
+      traveler('Asha', { roomGroup: 'Family' }),
+      traveler('Ravi', { roomGroup: 'family', gender: 'male' }),
+      traveler('Meera', { roomGroup: 'FAMILY' })
+    ], rules, 5000);
+
+    expect(parties).toHaveLength(1);
+    expect(names(parties[0])).toEqual(['Asha', 'Meera', 'Ravi']);
+  });
+
+  test('single travelers and travelers without a gender get their own room', () => {
+    const parties = groupAllocationService.buildParties([
+      traveler('Asha', { roomSharing: 'single' }),
+      traveler('Kiran', { gender: null }),
+      traveler('Meera')
+    ], rules, 5000);
+
+    expect(parties.map(names)).toEqual([['Asha'], ['Kiran'], ['Meera']]);
+  });
+
+  test('only travelers of the same gender are paired', () => {
+    const parties = groupAllocationService.buildParties([
+      traveler('Asha'),
+      traveler('Ravi', { gender: 'male' }),
+      traveler('Meera'),
+      traveler('Arjun', { gender: 'male' })
+    ], rules, 5000);
+
+    expect(parties.map(names).sort()).toEqual([['Arjun', 'Ravi'], ['Asha', 'Meera']]);
+  });
+
+  test('pairs travelers with similar budgets and keeps the lowest', () => {
+    const parties = groupAllocationService.buildParties([
+      traveler('A', { budgetPerNight: 9000 }),
+      traveler('B', { budgetPerNight: 2000 }),
+      traveler('C', { budgetPerNight: 8000 }),
+      traveler('D', { budgetPerNight: 3000 })
+    ], rules, 5000);
+
+    expect(parties.map(names)).toEqual([['B', 'D'], ['A', 'C']]);
+    expect(parties.map(party => party.budgetPerNight)).toEqual([2000, 8000]);
+  });
+
+  test('travelers without a budget use the default', () => {
+    const [party] = groupAllocationService.buildParties([traveler('A')], rules, 4500);
+    expect(party.budgetPerNight).toBe(4500);
+  });
+});
+
+describe('groupAllocationService.planAllocation', () => {
+  test('books the smallest affordable room in the first hotel', () => {
+    const group = makeGroup([traveler('Asha'), traveler('Meera')]);
+    const first = hotel('First', [
+      { type: 'Suite', capacity: { adults: 4 }, price: 9000 },
+      { type: 'Twin', capacity: { adults: 2 }, price: 6000 }
+    ]);
+    const second = hotel('Second', [{ type: 'Twin', capacity: { adults: 2 }, price: 3000 }]);
+
+    const { rooms, unallocated } = groupAllocationService.planAllocation(group, preference, [first, second]);
+
+    expect(unallocated).toEqual([]);
+    expect(rooms).toHaveLength(1);
+    expect(rooms[0]).toMatchObject({ hotelName: 'First', roomType: 'Twin', pricePerNight: 6000, nights: 2, totalPrice: 12000 });
+    expect(rooms[0].bookingReference).toMatch(/^GRP-[0-9A-F]{6}-001$/);
+  });
+
+  test('moves on to the next hotel once one runs out of rooms', () => {
+    const group = makeGroup([
+      traveler('A', { roomSharing: 'single' }),
+      traveler('B', { roomSharing: 'single' }),
+      traveler('C', { roomSharing: 'single' })
+    ], { maxRoomsPerHotel: 2 });
+    const first = hotel('First', [{ type: 'Double', capacity: { adults: 2 }, price: 4000 }]);
+    const second = hotel('Second', [{ type: 'Double', capacity: { adults: 2 }, price: 4000 }]);
+
+    const { rooms } = groupAllocationService.planAllocation(group, preference, [first, second]);
+
+    expect(rooms.map(room => room.hotelName)).toEqual(['First', 'First', 'Second']);
+  });
+
+  test('counts rooms other bookings hold over the same nights', () => {
+    const group = makeGroup([traveler('A', { roomSharing: 'single' }), traveler('B', { roomSharing: 'single' })]);
+    const other = { bookingStatus: 'confirmed', checkIn: new Date('2026-05-11'), checkOut: new Date('2026-05-13') };
+    const full = hotel('Full', [{ type: 'Double', capacity: { adults: 2 }, price: 4000 }], {
+      availability: { roomsAvailable: 2 },
+      // Two guests of one room share its reference
+      assignedToCustomers: [
+        { ...other, bookingReference: 'R1' },
+        { ...other, bookingReference: 'R1' }
+      ]
+    });
+
+    const { rooms, unallocated } = groupAllocationService.planAllocation(group, preference, [full]);
+
+    expect(rooms).toHaveLength(1);
+    expect(unallocated).toEqual([expect.objectContaining({ reason: 'sold_out' })]);
+  });
+
+  test('a hotel with no rooms available is sold out', () => {
+    const group = makeGroup([traveler('A', { roomSharing: 'single' })]);
+    const soldOut = hotel('Sold out', [{ type: 'Double', capacity: { adults: 2 }, price: 4000 }], {
+      availability: { roomsAvailable: 0 }
+    });
+    const open = hotel('Open', [{ type: 'Double', capacity: { adults: 2 }, price: 4000 }]);
+
+    expect(groupAllocationService.getRoomsLeft(soldOut, group, group.checkIn, group.checkOut)).toBe(0);
+    expect(groupAllocationService.getRoomsLeft(open, group, group.checkIn, group.checkOut)).toBe(Infinity);
+
+    const { rooms } = groupAllocationService.planAllocation(group, preference, [soldOut, open]);
+    expect(rooms.map(room => room.hotelName)).toEqual(['Open']);
+  });
+
+  test('reports travelers the hotels are too expensive for', () => {
+    const group = makeGroup([traveler('A', { budgetPerNight: 1000, roomSharing: 'single' })]);
+    const dear = hotel('Dear', [{ type: 'Double', capacity: { adults: 2 }, price: 4000 }]);
+
+    const { rooms, unallocated } = groupAllocationService.planAllocation(group, preference, [dear]);
+
+    expect(rooms).toEqual([]);
+    expect(unallocated).toEqual([expect.objectContaining({ name: 'A', reason: 'over_budget' })]);
+  });
+
+  test('skips hotels priced in another currency', () => {
+    const group = makeGroup([traveler('A')]);
+    const abroad = hotel('Abroad', [{ type: 'Double', capacity: { adults: 2 }, price: 100 }], { pricing: { currency: 'EUR' } });
+
+    const { skippedHotels, unallocated } = groupAllocationService.planAllocation(group, preference, [abroad]);
+
+    expect(skippedHotels).toEqual([expect.objectContaining({ hotelName: 'Abroad', reason: 'Priced in EUR, not INR' })]);
+    expect(unallocated).toHaveLength(1);
+  });
+});
+
+describe('groupAllocationService.writeHotelBookings', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const room = (group, travelers, reference) => ({
+    hotelId: null,
+    roomType: 'Twin',
+    travelerIds: travelers.map(member => member.travelerId),
+    bookingReference: reference
+  });
+
+  const stored = (group, extra = {}) => {
+    const doc = new Hotel({
+      name: 'Trident',
+      availability: { roomsAvailable: 10 },
+      performance: { totalBookings: 5 },
+      ...extra
+    });
+    jest.spyOn(doc, 'save').mockResolvedValue(doc);
+    return doc;
+  };
+
+  test("replaces the group's bookings and counts each room once", async () => {
+    const asha = traveler('Asha');
+    const meera = traveler('Meera');
+    const group = makeGroup([asha, meera]);
+    const doc = stored(group, {
+      assignedToCustomers: [
+        { customerId: asha.travelerId, groupBookingId: group._id, bookingReference: 'OLD-1', bookingStatus: 'pending' },
+        { customerId: meera.travelerId, groupBookingId: group._id, bookingReference: 'OLD-1', bookingStatus: 'pending' },
+        { customerId: id(), bookingReference: 'OTHER', bookingStatus: 'pending' }
+      ]
+    });
+    jest.spyOn(Hotel, 'findById').mockResolvedValue(doc);
+
+    await groupAllocationService.writeHotelBookings(doc._id, group, [room(group, [asha, meera], 'NEW-1')]);
+
+    expect(doc.assignedToCustomers.map(booking => booking.bookingReference)).toEqual(['OTHER', 'NEW-1', 'NEW-1']);
+    expect(doc.performance.totalBookings).toBe(5);
+    expect(doc.save).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses rooms the hotel no longer has', async () => {
+    const asha = traveler('Asha');
+    const group = makeGroup([asha]);
+    const doc = stored(group, { availability: { roomsAvailable: 1 } });
+    doc.assignedToCustomers.push({
+      customerId: id(),
+      bookingReference: 'OTHER',
+      bookingStatus: 'confirmed',
+      checkIn: group.checkIn,
+      checkOut: group.checkOut
+    });
+    jest.spyOn(Hotel, 'findById').mockResolvedValue(doc);
+
+    await expect(groupAllocationService.writeHotelBookings(doc._id, group, [room(group, [asha], 'NEW-1')]))
+      .rejects.toMatchObject({ status: 409 });
+    expect(doc.save).not.toHaveBeenCalled();
+  });
+
+  test('re-reads and retries a hotel another writer changed', async () => {
+    const asha = traveler('Asha');
+    const group = makeGroup([asha]);
+    const first = stored(group);
+    first.save.mockRejectedValue(new mongoose.Error.VersionError(first, 0, []));
+    const second = stored(group);
+    jest.spyOn(Hotel, 'findById').mockResolvedValueOnce(first).mockResolvedValueOnce(second);
+
+    await groupAllocationService.writeHotelBookings(first._id, group, [room(group, [asha], 'NEW-1')]);
+
+    expect(second.save).toHaveBeenCalledTimes(1);
+    expect(second.performance.totalBookings).toBe(6);
+  });
+});
+
+describe('groupAllocationService.allocate', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a failed write removes the bookings and returns the group to draft', async () => {
+    const group = makeGroup([traveler('A')]);
+    jest.spyOn(groupAllocationService, 'findGroup').mockResolvedValue(group);
+    jest.spyOn(groupAllocationService, 'findPreference').mockResolvedValue(preference);
+    jest.spyOn(groupAllocationService, 'getHotels').mockResolvedValue([
+      hotel('First', [{ type: 'Double', capacity: { adults: 2 }, price: 4000 }])
+    ]);
+    jest.spyOn(Hotel, 'find').mockResolvedValue([]);
+    jest.spyOn(groupAllocationService, 'claimGroup').mockImplementation(async (claimed) => {
+      claimed.status = 'allocating';
+      claimed.allocationStartedAt = new Date();
+    });
+    jest.spyOn(groupAllocationService, 'writeBookings').mockRejectedValue(new Error('connection reset'));
+    const release = jest.spyOn(groupAllocationService, 'releaseBookings').mockResolvedValue();
+    jest.spyOn(group, 'save').mockResolvedValue(group);
+
+    await expect(groupAllocationService.allocate(group._id)).rejects.toThrow('connection reset');
+
+    expect(release).toHaveBeenCalledWith(group);
+    expect(group.status).toBe('draft');
+    expect(group.rooms).toHaveLength(0);
+    expect(group.allocationStartedAt).toBeNull();
+  });
+
+  test('a group being allocated is not allocated twice', async () => {
+    const group = makeGroup([traveler('A')]);
+    group.status = 'allocating';
+    group.allocationStartedAt = new Date();
+    jest.spyOn(groupAllocationService, 'findGroup').mockResolvedValue(group);
+    jest.spyOn(groupAllocationService, 'findPreference').mockResolvedValue(preference);
+
+    await expect(groupAllocationService.allocate(group._id)).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('groupAllocationService.toCsv', () => {
+  test('cells a spreadsheet would run as formulas are kept as text', () => {
+    const csv = groupAllocationService.toCsv({
+      group: { currency: 'INR' },
+      travelers: [{
+        name: '=HYPERLINK("http://evil.example","x")',
+        hotelName: '+Trident',
+        roomType: '-Twin',
+        bookingReference: '@GRP',
+        sharesWith: [],
+        nights: 2,
+        pricePerNight: 3000,
+        totalPrice: 6000,
+        bookingStatus: 'pending'
+      }],
+      unallocated: []
+    });
+
+    const [, row] = csv.trim().split('\n');
+    expect(row).toBe(`"'=HYPERLINK(""http://evil.example"",""x"")",'+Trident,'-Twin,'@GRP,,2,3000,6000,INR,pending`);
+  });
+});
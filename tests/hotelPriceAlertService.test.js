@@ -0,0 +1,143 @@
+const hotelPriceAlertService = require('../services/hotelPriceAlertService');
+const hotelPriceService = require('../services/hotelPriceService');
+const notificationService = require('../services/notificationService');
+
+const preference = { currency: 'INR', budgetMin: 4000, budgetMax: 10000 };
+const inr = (amount) => ({ amount, currency: 'INR' });
+const watchOf = (referencePrice, extra = {}) => ({ referencePrice, currency: 'INR', inBudget: true, ...extra });
+
+describe('hotelPriceAlertService.decide', () => {
+  const decide = (watch, amount, pref = preference) => hotelPriceAlertService.decide(watch, inr(amount), pref);
+
+  test('the first check only records the price', () => {
+    expect(decide(null, 12000)).toEqual({
+      alerts: [],
+      watch: { referencePrice: 12000, lastPrice: 12000, currency: 'INR', inBudget: false }
+    });
+  });
+
+  test('a drop of the threshold or more alerts and becomes the new reference', () => {
+    expect(hotelPriceAlertService.dropPercent).toBe(5);
+    const { alerts, watch } = decide(watchOf(8000), 7600);
+    expect(alerts).toEqual(['drop']);
+    expect(watch.referencePrice).toBe(7600);
+  });
+
+  test('a dip under the threshold keeps the reference', () => {
+    const { alerts, watch } = decide(watchOf(8000), 7601);
+    expect(alerts).toEqual([]);
+    expect(watch.referencePrice).toBe(8000);
+    expect(watch.lastPrice).toBe(7601);
+  });
+
+  test('a rise moves the reference up, so a later fall from it counts', () => {
+    const risen = decide(watchOf(8000), 9000).watch;
+    expect(risen.referencePrice).toBe(9000);
+
+    expect(decide(risen, 8550).alerts).toEqual(['drop']);
+  });
+
+  test('small dips in a row do not add up to a drop', () => {
+    let watch = watchOf(8000);
+    const alerts = [];
+    for (const amount of [7800, 7700, 7650]) {
+      const decision = decide(watch, amount);
+      alerts.push(...decision.alerts);
+      watch = decision.watch;
+    }
+    expect(alerts).toEqual([]);
+    expect(watch.referencePrice).toBe(8000);
+  });
+
+  test('leaving the budget alerts once until the price comes back in', () => {
+    let watch = watchOf(9000);
+    const alerts = [];
+    for (const amount of [11000, 11500, 11200, 9900, 10200]) {
+      const decision = decide(watch, amount);
+      alerts.push(...decision.alerts);
+      watch = decision.watch;
+    }
+    expect(alerts).toEqual(['over_budget', 'drop', 'over_budget']);
+  });
+
+  test('falling below budgetMin is reported as under budget', () => {
+    const { alerts } = decide(watchOf(4000), 3900);
+    expect(alerts).toEqual(['under_budget']);
+  });
+
+  test('a drop out of the budget reports both', () => {
+    expect(decide(watchOf(5000), 3500).alerts).toEqual(['drop', 'under_budget']);
+  });
+
+  test('a price in another currency than the watch starts over', () => {
+    const { alerts, watch } = hotelPriceAlertService.decide(watchOf(8000), { amount: 50, currency: 'USD' }, preference);
+    expect(alerts).toEqual([]);
+    expect(watch.referencePrice).toBe(50);
+  });
+
+  test('without the budget currency there is no budget alert', () => {
+    const usd = { currency: 'USD', budgetMin: 50, budgetMax: 100 };
+    expect(hotelPriceAlertService.isInBudget(inr(20000), usd)).toBeNull();
+
+    const { alerts, watch } = decide(watchOf(20000, { inBudget: null }), 21000, usd);
+    expect(alerts).toEqual([]);
+    expect(watch.inBudget).toBeNull();
+  });
+});
+
+describe('hotelPriceAlertService.checkPreference', () => {
+  const now = new Date('2026-04-01T06:00:00Z');
+  let send;
+
+  const makePreference = (priceWatch) => ({
+    ...preference,
+    name: 'Mumbai summit',
+    checkInDate: new Date('2026-05-10'),
+    createdBy: null,
+    recommendations: [{ hotelData: { name: 'Trident' }, priceWatch }],
+    save: jest.fn().mockResolvedValue()
+  });
+  const hotels = [{ name: 'Trident', entity: { keys: ['hotel:1'] } }];
+
+  beforeEach(() => {
+    jest.spyOn(hotelPriceService, 'getHotelKeys').mockResolvedValue(['hotel:1']);
+    jest.spyOn(hotelPriceService, 'getBestPrice').mockReturnValue(inr(7000));
+    send = jest.spyOn(notificationService, 'sendHotelPriceAlert').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('the first check compares with the last price seen before this run', async () => {
+    const getHistory = jest.spyOn(hotelPriceService, 'getHistory').mockResolvedValue([inr(9000), inr(8000)]);
+    const pref = makePreference(undefined);
+
+    const result = await hotelPriceAlertService.checkPreference(pref, hotels, { now });
+
+    expect(getHistory).toHaveBeenCalledWith(['hotel:1'], { checkIn: pref.checkInDate, currency: 'INR', before: now });
+    expect(result).toEqual({ checked: 1, drops: 1, budgetAlerts: 0 });
+    expect(send.mock.calls[0][1]).toMatchObject({ type: 'drop', previousPrice: 8000, price: 7000 });
+    expect(pref.recommendations[0].priceWatch).toMatchObject({ referencePrice: 7000, lastAlert: 'drop', lastAlertedAt: now });
+    expect(pref.save).toHaveBeenCalled();
+  });
+
+  test('without history the first check only records the price', async () => {
+    jest.spyOn(hotelPriceService, 'getHistory').mockResolvedValue([]);
+    const pref = makePreference(undefined);
+
+    const result = await hotelPriceAlertService.checkPreference(pref, hotels, { now });
+
+    expect(result.drops).toBe(0);
+    expect(send).not.toHaveBeenCalled();
+    expect(pref.recommendations[0].priceWatch).toMatchObject({ referencePrice: 7000, lastCheckedAt: now });
+  });
+
+  test('a kept watch is used instead of the history', async () => {
+    const getHistory = jest.spyOn(hotelPriceService, 'getHistory');
+    const pref = makePreference(watchOf(7200));
+
+    await hotelPriceAlertService.checkPreference(pref, hotels, { now });
+
+    expect(getHistory).not.toHaveBeenCalled();
+    expect(send).not.toHaveBeenCalled();
+  });
+});
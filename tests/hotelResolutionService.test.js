@@ -0,0 +1,132 @@
+const hotelResolutionService = require('../services/hotelResolutionService');
+
+const hotel = (name, extra = {}) => ({ name, city: 'Mumbai', source: 'scraped', ...extra });
+const describe_ = (record) => hotelResolutionService.describe(record);
+const compare = (a, b) => hotelResolutionService.compare(describe_(a), describe_(b));
+
+const BKC = { latitude: 19.0653, longitude: 72.8645 };
+const near = (metres) => ({ latitude: BKC.latitude + metres / 111000, longitude: BKC.longitude });
+
+describe('hotelResolutionService.compare', () => {
+  const { autoThreshold, reviewThreshold } = hotelResolutionService;
+
+  test('same name and position is the same hotel', () => {
+    const { score } = compare(
+      hotel('Trident Bandra Kurla', { coordinates: BKC }),
+      hotel('Trident, Bandra-Kurla', { coordinates: near(50) })
+    );
+    expect(score).toBeGreaterThanOrEqual(autoThreshold);
+  });
+
+  test('one-letter typos still match', () => {
+    const { score, signals } = compare(
+      hotel('JW Marriott Juhu', { address: 'Juhu Tara Road' }),
+      hotel('J.W. Marriot Juhu', { address: 'Juhu Tara Rd' })
+    );
+    expect(signals.name).toBe(1);
+    expect(score).toBeGreaterThanOrEqual(autoThreshold);
+  });
+
+  test('name alone never auto-merges', () => {
+    const { score } = compare(hotel('Taj Lands End'), hotel('Taj Lands End'));
+    expect(score).toBeLessThan(autoThreshold);
+    expect(score).toBeGreaterThanOrEqual(reviewThreshold);
+  });
+
+  test('a containing name is a different hotel without an address or position', () => {
+    const { score } = compare(hotel('Holiday Inn Express'), hotel('Holiday Inn'));
+    expect(score).toBeLessThan(reviewThreshold);
+  });
+
+  test('a containing name at the same place waits for review', () => {
+    const { score } = compare(
+      hotel('Holiday Inn Express', { coordinates: BKC }),
+      hotel('Holiday Inn', { coordinates: near(20) })
+    );
+    expect(score).toBeLessThan(autoThreshold);
+    expect(score).toBeGreaterThanOrEqual(reviewThreshold);
+  });
+
+  test('records too far apart are different hotels', () => {
+    const { score } = compare(
+      hotel('Novotel', { coordinates: BKC }),
+      hotel('Novotel', { coordinates: near(5000) })
+    );
+    expect(score).toBe(0);
+  });
+
+  test('different cities never match', () => {
+    const { score } = compare(hotel('Grand Hyatt'), hotel('Grand Hyatt', { city: 'Goa' }));
+    expect(score).toBe(0);
+  });
+
+  test('shared IDs are the same hotel', () => {
+    const { score } = compare(
+      hotel('Hotel A', { cozyCozyId: '42' }),
+      hotel('Completely Different', { cozyCozyId: '42' })
+    );
+    expect(score).toBe(1);
+  });
+});
+
+describe('hotelResolutionService.cluster', () => {
+  test('name-only variants of a brand stay separate', () => {
+    const hotels = hotelResolutionService.dedupe([
+      hotel('Holiday Inn Express'),
+      hotel('Holiday Inn'),
+      hotel('Holiday Inn Resort')
+    ]);
+    expect(hotels).toHaveLength(3);
+  });
+
+  test('records of one property from several sources merge', () => {
+    const hotels = hotelResolutionService.dedupe([
+      hotel('Trident Bandra Kurla', { coordinates: BKC, address: 'C 56, G Block, BKC' }),
+      hotel('Trident Bandra-Kurla', { cozyCozyId: '7', coordinates: near(30) }),
+      hotel('Trident, Bandra Kurla', { xoteloId: 'x7', address: 'C-56 G Block BKC' })
+    ]);
+    expect(hotels).toHaveLength(1);
+    expect(hotels[0].entity.keys).toEqual(expect.arrayContaining(['cozycozy:7', 'xotelo:x7']));
+  });
+
+  test('a match does not chain in a record that differs from one side', () => {
+    // The middle record has the address of both others but no position,
+    // the outer two are 1.5 km apart
+    const descriptors = [
+      hotel('Sea Princess', { cozyCozyId: '1', address: 'Juhu Tara Road', coordinates: BKC }),
+      hotel('Sea Princess', { xoteloId: '2', address: 'Juhu Tara Road' }),
+      hotel('Sea Princess', { hotelId: 'S3', address: 'Juhu Tara Road', coordinates: near(1500) })
+    ].map(describe_);
+
+    const { groups } = hotelResolutionService.cluster(descriptors);
+    const sizes = groups.map(group => group.members.length).sort();
+    expect(sizes).toEqual([1, 2]);
+  });
+
+  test('an admin separation keeps a pair apart', () => {
+    const descriptors = [
+      hotel('Sea Princess', { cozyCozyId: '1', coordinates: BKC }),
+      hotel('Sea Princess', { xoteloId: '2', coordinates: near(20) })
+    ].map(describe_);
+    const decisions = [{
+      pairKey: 'cozycozy:1|xotelo:2',
+      status: 'separate',
+      left: { key: 'cozycozy:1' },
+      right: { key: 'xotelo:2' }
+    }];
+
+    const { groups } = hotelResolutionService.cluster(descriptors, { decisions });
+    expect(groups).toHaveLength(2);
+  });
+
+  test('uncertain pairs are reported, not merged', () => {
+    const descriptors = [
+      hotel('Holiday Inn Express', { cozyCozyId: '1', coordinates: BKC }),
+      hotel('Holiday Inn', { xoteloId: '2', coordinates: near(20) })
+    ].map(describe_);
+
+    const { groups, uncertain } = hotelResolutionService.cluster(descriptors);
+    expect(groups).toHaveLength(2);
+    expect(uncertain).toHaveLength(1);
+  });
+});
@@ -0,0 +1,110 @@
+const Hotel = require('../models/Hotel');
+const ClientTravelPreferences = require('../models/ClientTravelPreferences');
+const geocodingService = require('../services/geocodingService');
+
+const PLACE = { latitude: 19.0653, longitude: 72.8645, precision: 'locality' };
+
+// Run a document's pre-save hooks without a database
+const runPreSave = (doc) => new Promise((resolve, reject) => {
+  doc.schema.s.hooks.execPre('save', doc, [{}], (error) => error ? reject(error) : resolve());
+});
+
+describe('Hotel geocoding', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a new hotel without coordinates is queued, not geocoded during the save', async () => {
+    const getCoordinates = jest.spyOn(geocodingService, 'getCoordinates');
+    const hotel = new Hotel({ hotelId: 'HTL1', name: 'Trident', city: 'Mumbai', location: { address: 'C 56, BKC' } });
+
+    await runPreSave(hotel);
+
+    expect(hotel.location.geocodePending).toBe(true);
+    expect(hotel.$locals.geocodeLocation).toBe(true);
+    expect(getCoordinates).not.toHaveBeenCalled();
+  });
+
+  test('saving a placed hotel again queues nothing', async () => {
+    const hotel = Hotel.hydrate({
+      _id: '64b000000000000000000001',
+      hotelId: 'HTL1',
+      name: 'Trident',
+      city: 'Mumbai',
+      location: { address: 'C 56, BKC', coordinates: { latitude: 19, longitude: 72 } }
+    });
+    hotel.name = 'Trident BKC';
+
+    await runPreSave(hotel);
+
+    expect(hotel.location.geocodePending).toBeFalsy();
+    expect(hotel.$locals.geocodeLocation).toBeUndefined();
+  });
+
+  test('stores the coordinates only while the address is unchanged', async () => {
+    jest.spyOn(geocodingService, 'getCoordinates').mockResolvedValue(PLACE);
+    const updateOne = jest.spyOn(Hotel, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const placed = await Hotel.geocodeLocation({ _id: 'h1', city: 'Mumbai', country: 'India', location: { address: 'C 56, BKC' } });
+
+    expect(placed).toBe(true);
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: 'h1', 'location.address': 'C 56, BKC', 'location.geocodePending': true },
+      { $set: { 'location.coordinates': { latitude: PLACE.latitude, longitude: PLACE.longitude }, 'location.geocodePending': false } }
+    );
+    expect(geocodingService.getCoordinates).toHaveBeenCalledWith('C 56, BKC, Mumbai', expect.objectContaining({ minPrecision: 'locality' }));
+  });
+
+  test('a miss counts an attempt', async () => {
+    jest.spyOn(geocodingService, 'getCoordinates').mockResolvedValue(null);
+    const updateOne = jest.spyOn(Hotel, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(Hotel.geocodeLocation({ _id: 'h1', city: 'Mumbai', location: { address: 'Juhu' } })).resolves.toBe(false);
+    expect(updateOne.mock.calls[0][1]).toEqual({ $inc: { 'location.geocodeAttempts': 1 } });
+  });
+});
+
+describe('ClientTravelPreferences venue geocoding', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a venue without coordinates is queued on create', async () => {
+    const getCoordinates = jest.spyOn(geocodingService, 'getCoordinates');
+    const preferences = new ClientTravelPreferences({
+      name: 'Mumbai summit',
+      clientId: '64b000000000000000000002',
+      country: 'India',
+      budgetMin: 5000,
+      budgetMax: 12000,
+      checkInDate: new Date('2026-05-01'),
+      checkOutDate: new Date('2026-05-04'),
+      conferenceLocation: { name: 'Jio World Centre', address: 'BKC' }
+    });
+
+    await runPreSave(preferences);
+
+    expect(preferences.conferenceLocation.geocodePending).toBe(true);
+    expect(getCoordinates).not.toHaveBeenCalled();
+  });
+
+  test('a placed venue is also set on the document', async () => {
+    jest.spyOn(geocodingService, 'getCoordinates').mockResolvedValue(PLACE);
+    const updateOne = jest.spyOn(ClientTravelPreferences, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const preferences = {
+      _id: 'p1',
+      country: 'India',
+      targetAreas: ['Mumbai'],
+      conferenceLocation: { name: 'Jio World Centre', geocodePending: true }
+    };
+
+    await expect(ClientTravelPreferences.geocodeVenue(preferences)).resolves.toBe(true);
+
+    expect(updateOne.mock.calls[0][0]).toEqual({
+      _id: 'p1',
+      'conferenceLocation.name': 'Jio World Centre',
+      'conferenceLocation.address': null,
+      'conferenceLocation.geocodePending': true
+    });
+    expect(preferences.conferenceLocation).toMatchObject({
+      coordinates: { latitude: PLACE.latitude, longitude: PLACE.longitude },
+      geocodePending: false
+    });
+  });
+});
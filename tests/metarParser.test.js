@@ -0,0 +1,135 @@
+const { parseMetar, parseTaf, forecastAt, UNLIMITED_VISIBILITY_METERS } = require('../services/weatherProviders/metarParser');
+
+const reference = new Date('2026-01-19T11:00:00Z');
+
+describe('metarParser.parseMetar', () => {
+  test('reads fog, a low ceiling and the wind', () => {
+    const report = parseMetar('METAR VIDP 191030Z 27008KT 0800 FG BKN002 18/17 Q1015 NOSIG', { reference });
+
+    expect(report).toMatchObject({
+      station: 'VIDP',
+      observedAt: new Date('2026-01-19T10:30:00Z'),
+      visibilityMeters: 800,
+      windSpeedKt: 8,
+      windGustKt: null,
+      ceilingFt: 200,
+      weather: ['FG'],
+      precipitation: false
+    });
+  });
+
+  test('reads thunderstorms with heavy rain and gusts', () => {
+    const report = parseMetar('VABB 191000Z 24015G35KT 2000 +TSRA FEW015CB OVC040 26/24 Q1006', { reference });
+
+    expect(report).toMatchObject({
+      windSpeedKt: 15,
+      windGustKt: 35,
+      thunderstorm: true,
+      precipitation: true,
+      heavyPrecipitation: true,
+      ceilingFt: 4000
+    });
+  });
+
+  test('converts metres per second and statute miles', () => {
+    const report = parseMetar('KJFK 191051Z 31010MPS 1 1/2SM -FZRA OVC008 M02/M04 A2990', { reference });
+
+    expect(report.windSpeedKt).toBe(19);
+    expect(report.visibilityMeters).toBe(2414);
+    expect(report.freezing).toBe(true);
+    expect(report.frozenPrecipitation).toBe(false);
+  });
+
+  test('CAVOK and 9999 mean unlimited visibility', () => {
+    expect(parseMetar('VOBL 191030Z 09005KT CAVOK 24/12 Q1018', { reference }).visibilityMeters)
+      .toBe(UNLIMITED_VISIBILITY_METERS);
+    expect(parseMetar('VOBL 191030Z 09005KT 9999 FEW030 24/12 Q1018', { reference }).visibilityMeters)
+      .toBe(UNLIMITED_VISIBILITY_METERS);
+  });
+
+  test('showers in the vicinity are not precipitation at the airport', () => {
+    const report = parseMetar('VOMM 191030Z 12006KT 6000 VCSH SCT020 29/24 Q1010', { reference });
+    expect(report.weather).toEqual(['VCSH']);
+    expect(report.precipitation).toBe(false);
+  });
+
+  test('ignores trend forecasts and remarks', () => {
+    const report = parseMetar('VIDP 191030Z 27008KT 5000 HZ NSC 18/10 Q1015 TEMPO 0800 FG RMK BKN001', { reference });
+    expect(report.visibilityMeters).toBe(5000);
+    expect(report.ceilingFt).toBeNull();
+    expect(report.weather).toEqual(['HZ']);
+  });
+
+  test('a day late in the previous month resolves to that month', () => {
+    const report = parseMetar('VIDP 312330Z 00000KT 3000 BR', { reference: new Date('2026-02-01T00:10:00Z') });
+    expect(report.observedAt).toEqual(new Date('2026-01-31T23:30:00Z'));
+  });
+
+  test('rejects text without a station', () => {
+    expect(parseMetar('', { reference })).toBeNull();
+    expect(parseMetar('METAR 191030Z 27008KT', { reference })).toBeNull();
+  });
+});
+
+describe('metarParser.parseTaf and forecastAt', () => {
+  const taf = parseTaf(
+    'TAF VIDP 191100Z 1912/2018 27006KT 3000 HZ NSC ' +
+    'TEMPO 1914/1918 TSRA BKN025CB ' +
+    'BECMG 1920/1922 1500 BR ' +
+    'FM200200 VRB03KT 0800 FG ' +
+    'FM200900 30008KT 6000 NSW',
+    { reference }
+  );
+
+  test('reads the validity and the change groups', () => {
+    expect(taf.issuedAt).toEqual(new Date('2026-01-19T11:00:00Z'));
+    expect(taf.validFrom).toEqual(new Date('2026-01-19T12:00:00Z'));
+    expect(taf.validTo).toEqual(new Date('2026-01-20T18:00:00Z'));
+    expect(taf.periods.map(period => period.type)).toEqual(['base', 'TEMPO', 'BECMG', 'FM', 'FM']);
+  });
+
+  test('an FM period lasts until the next one', () => {
+    const [, , , first, second] = taf.periods;
+    expect(first.to).toEqual(second.from);
+    expect(second.to).toEqual(taf.validTo);
+  });
+
+  test('uses the base forecast outside change groups', () => {
+    expect(forecastAt(taf, new Date('2026-01-19T13:00:00Z'))).toMatchObject({
+      visibilityMeters: 3000,
+      windSpeedKt: 6,
+      thunderstorm: false
+    });
+  });
+
+  test('counts a TEMPO group at its worst', () => {
+    expect(forecastAt(taf, new Date('2026-01-19T15:00:00Z'))).toMatchObject({
+      visibilityMeters: 3000,
+      ceilingFt: 2500,
+      thunderstorm: true,
+      precipitation: true
+    });
+  });
+
+  test('applies BECMG changes once they have started', () => {
+    expect(forecastAt(taf, new Date('2026-01-19T23:00:00Z'))).toMatchObject({
+      visibilityMeters: 1500,
+      weather: ['BR']
+    });
+  });
+
+  test('an FM period replaces earlier conditions, and NSW ends the weather', () => {
+    expect(forecastAt(taf, new Date('2026-01-20T03:00:00Z'))).toMatchObject({
+      visibilityMeters: 800,
+      windSpeedKt: 3,
+      weather: ['FG']
+    });
+    const clear = forecastAt(taf, new Date('2026-01-20T10:00:00Z'));
+    expect(clear.weather).toEqual([]);
+    expect(clear).not.toHaveProperty('nsw');
+  });
+
+  test('nothing is forecast outside the validity', () => {
+    expect(forecastAt(taf, new Date('2026-01-20T19:00:00Z'))).toBeNull();
+  });
+});
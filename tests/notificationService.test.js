@@ -0,0 +1,56 @@
+const notificationService = require('../services/notificationService');
+
+const transfer = (contactNumber = '+15551234567') => ({
+  _id: 'APEX1',
+  customer_details: { name: 'Guest', contact_number: contactNumber },
+  flight_details: { flight_no: 'AI101' },
+  transfer_details: {}
+});
+
+const preferences = (channels) => ({ userId: 'user-1', channels });
+
+describe('notificationService.sendScheduledReminder', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a reminder a channel accepted is marked sent', async () => {
+    jest.spyOn(notificationService, 'sendPickupReminder')
+      .mockResolvedValueOnce({ success: false, status: 'rejected' })
+      .mockResolvedValueOnce({ success: false, status: 'pending' });
+    const reminder = { status: 'pending' };
+
+    const result = await notificationService.sendScheduledReminder(transfer(), reminder, preferences(['whatsapp', 'sms']));
+
+    expect(result.success).toBe(true);
+    expect(reminder.status).toBe('sent');
+    expect(reminder.sent_at).toBeInstanceOf(Date);
+    expect(reminder.channels).toEqual(['whatsapp', 'sms']);
+  });
+
+  test('a reminder no channel accepted stays pending for the next run', async () => {
+    jest.spyOn(notificationService, 'sendPickupReminder').mockResolvedValue({ success: false, error: 'provider down' });
+    const reminder = { status: 'pending' };
+
+    const result = await notificationService.sendScheduledReminder(transfer(), reminder, preferences(['whatsapp']));
+
+    expect(result.success).toBe(false);
+    expect(reminder.status).toBe('pending');
+    expect(reminder.sent_at).toBeUndefined();
+  });
+
+  test('a reminder without anyone to send it to is skipped', async () => {
+    const send = jest.spyOn(notificationService, 'sendPickupReminder');
+    const reminder = { status: 'pending' };
+
+    const result = await notificationService.sendScheduledReminder(transfer(null), reminder, preferences(['whatsapp']));
+
+    expect(result).toBeNull();
+    expect(send).not.toHaveBeenCalled();
+    expect(reminder).toMatchObject({ status: 'skipped', skip_reason: 'no_recipient' });
+  });
+
+  test('a guest who disabled every channel is skipped', async () => {
+    const reminder = { status: 'pending' };
+    await notificationService.sendScheduledReminder(transfer(), reminder, preferences([]));
+    expect(reminder).toMatchObject({ status: 'skipped', skip_reason: 'all_channels_disabled' });
+  });
+});
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const notificationOutbox = require('../services/notificationOutboxService');
+const { handleDeliveryStatusWebhook } = require('../controllers/notificationController');
+
+const CALLBACK_URL = 'https://api.example.com/api/notifications/webhooks/twilio/status';
+const AUTH_TOKEN = 'twilio-auth-token';
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const request = ({ provider = 'generic', headers = {}, body = {}, rawBody, query = {} }) => ({
+  params: { provider },
+  get: (name) => headers[name],
+  body,
+  rawBody,
+  query
+});
+
+const twilioSignature = (params) => crypto
+  .createHmac('sha1', AUTH_TOKEN)
+  .update(Object.keys(params).sort().reduce((data, key) => data + key + params[key], CALLBACK_URL), 'utf8')
+  .digest('base64');
+
+describe('notificationController.handleDeliveryStatusWebhook', () => {
+  const VARIABLES = ['NOTIFICATION_WEBHOOK_SECRET', 'TWILIO_STATUS_CALLBACK_URL', 'TWILIO_AUTH_TOKEN'];
+  const original = Object.fromEntries(VARIABLES.map(name => [name, process.env[name]]));
+
+  beforeEach(() => {
+    jest.spyOn(notificationOutbox, 'handleDeliveryStatus').mockResolvedValue({ matched: true });
+  });
+
+  afterEach(() => {
+    for (const name of VARIABLES) {
+      if (original[name] === undefined) delete process.env[name];
+      else process.env[name] = original[name];
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('shared secret', () => {
+    beforeEach(() => {
+      process.env.NOTIFICATION_WEBHOOK_SECRET = 'abcd';
+    });
+
+    test('a token of the same length in characters but not in bytes is refused', async () => {
+      const res = response();
+      await handleDeliveryStatusWebhook(request({ headers: { 'X-Webhook-Secret': 'abcé' } }), res);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('the right token is accepted', async () => {
+      const res = response();
+      await handleDeliveryStatusWebhook(request({
+        headers: { 'X-Webhook-Secret': 'abcd' },
+        body: { messageId: 'm1', status: 'delivered' }
+      }), res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(notificationOutbox.handleDeliveryStatus).toHaveBeenCalledWith(expect.objectContaining({ providerMessageId: 'm1' }));
+    });
+  });
+
+  describe('Twilio signature', () => {
+    beforeEach(() => {
+      process.env.TWILIO_STATUS_CALLBACK_URL = CALLBACK_URL;
+      process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    });
+
+    test('is checked against the parameters as posted, not the sanitized body', async () => {
+      const posted = { MessageSid: 'SM1', MessageStatus: 'failed', ErrorMessage: 'Unreachable <handset>' };
+      const res = response();
+
+      await handleDeliveryStatusWebhook(request({
+        provider: 'twilio',
+        headers: { 'X-Twilio-Signature': twilioSignature(posted) },
+        rawBody: new URLSearchParams(posted).toString(),
+        body: { ...posted, ErrorMessage: 'Unreachable &lt;handset&gt;' }
+      }), res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(notificationOutbox.handleDeliveryStatus).toHaveBeenCalled();
+    });
+
+    test('a wrong signature with multibyte characters is refused, not an error', async () => {
+      const posted = { MessageSid: 'SM1', MessageStatus: 'delivered' };
+      const signature = twilioSignature(posted);
+      const res = response();
+
+      await handleDeliveryStatusWebhook(request({
+        provider: 'twilio',
+        headers: { 'X-Twilio-Signature': `${signature.slice(0, -1)}é` },
+        rawBody: new URLSearchParams(posted).toString(),
+        body: posted
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
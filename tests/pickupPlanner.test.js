@@ -0,0 +1,98 @@
+const pickupPlanner = require('../services/pickupPlanner');
+
+const MINUTE_MS = 60 * 1000;
+const arrival = new Date('2026-03-10T10:00:00Z');
+
+const transfer = ({ flight = {}, customer = {}, priority = 'normal' } = {}) => ({
+  priority,
+  flight_details: {
+    departure_airport: 'DEL',
+    arrival_airport: 'BOM',
+    arrival_time: arrival,
+    ...flight
+  },
+  customer_details: { no_of_passengers: 1, luggage_count: 0, ...customer }
+});
+
+const minutesAfterArrival = (plan) => (plan.pickupTime - arrival) / MINUTE_MS;
+
+describe('pickupPlanner', () => {
+  test('a domestic guest without bags is ready after the domestic buffer', () => {
+    const planned = pickupPlanner.plan(transfer());
+
+    expect(planned.plan).toMatchObject({
+      arrival_type: 'domestic',
+      arrival_basis: 'estimated',
+      base_minutes: 20,
+      baggage_minutes: 0,
+      buffer_minutes: 20
+    });
+    expect(minutesAfterArrival(planned)).toBe(20);
+  });
+
+  test('international arrivals allow for immigration and customs', () => {
+    const { plan } = pickupPlanner.plan(transfer({ flight: { departure_airport: 'DXB' } }));
+    expect(plan.arrival_type).toBe('international');
+    expect(plan.base_minutes).toBe(45);
+  });
+
+  test('flights from airports not in the database are planned as domestic', () => {
+    const { plan } = pickupPlanner.plan(transfer({ flight: { departure_airport: 'ZZZ' } }));
+    expect(plan.arrival_type).toBe('unknown');
+    expect(plan.base_minutes).toBe(20);
+  });
+
+  test('adds baggage claim, extra bags and extra passengers', () => {
+    const { plan } = pickupPlanner.plan(transfer({ customer: { luggage_count: 3, no_of_passengers: 4 } }));
+
+    expect(plan.baggage_minutes).toBe(15 + 2 * 2);
+    expect(plan.passenger_minutes).toBe(3 * 2);
+    expect(plan.buffer_minutes).toBe(20 + 19 + 6);
+  });
+
+  test('VIP transfers add meet-and-greet', () => {
+    const { plan } = pickupPlanner.plan(transfer({ priority: 'vip' }));
+    expect(plan.meet_and_greet_minutes).toBe(15);
+    expect(plan.buffer_minutes).toBe(35);
+  });
+
+  test('plans from the actual landing once known', () => {
+    const landed = new Date('2026-03-10T10:40:00Z');
+    const { pickupTime, plan } = pickupPlanner.plan(transfer({ flight: { actual_arrival_time: landed } }));
+
+    expect(plan.arrival_basis).toBe('actual');
+    expect(pickupTime).toEqual(new Date(landed.getTime() + 20 * MINUTE_MS));
+  });
+
+  test('the guest is ready at the planned pickup time', () => {
+    const planned = transfer({ customer: { luggage_count: 1 } });
+    expect(pickupPlanner.getGuestReadyTime(planned)).toEqual(pickupPlanner.plan(planned).pickupTime);
+  });
+
+  describe('terminal buffers', () => {
+    const original = process.env.PICKUP_TERMINAL_BUFFERS;
+    let planner;
+
+    beforeAll(() => {
+      process.env.PICKUP_TERMINAL_BUFFERS = 'bom:T2=10, DEL:3=5, broken';
+      planner = new pickupPlanner.constructor();
+    });
+
+    afterAll(() => {
+      if (original === undefined) delete process.env.PICKUP_TERMINAL_BUFFERS;
+      else process.env.PICKUP_TERMINAL_BUFFERS = original;
+    });
+
+    test('"T2", "t2" and "2" are the same terminal', () => {
+      expect(planner.getTerminalBuffer('BOM', '2')).toBe(10);
+      expect(planner.getTerminalBuffer('bom', 't2')).toBe(10);
+      expect(planner.getTerminalBuffer('BOM', 'T1')).toBe(0);
+    });
+
+    test('adds the walk from the arrival terminal', () => {
+      const { plan } = planner.plan(transfer({ flight: { terminal: 'T2' } }));
+      expect(plan.terminal_minutes).toBe(10);
+      expect(plan.buffer_minutes).toBe(30);
+    });
+  });
+});
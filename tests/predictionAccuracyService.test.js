@@ -0,0 +1,75 @@
+const Transfer = require('../models/Transfer');
+const aiService = require('../services/aiService');
+const delayModelService = require('../services/delayModelService');
+const predictionAccuracyService = require('../services/predictionAccuracyService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Transfer.find() chain resolving to the given transfers
+const findReturning = (transfers) => {
+  const query = {};
+  for (const method of ['select', 'sort', 'limit']) query[method] = jest.fn(() => query);
+  query.lean = jest.fn().mockResolvedValue(transfers);
+  return jest.spyOn(Transfer, 'find').mockReturnValue(query);
+};
+
+describe('predictionAccuracyService.recordUpcomingPredictions', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stores predictions for flights departing up to the longest horizon', async () => {
+    const now = new Date('2026-03-10T00:00:00Z');
+    const find = findReturning([{ _id: 'APX1', flight_details: { flight_no: 'AI101' } }]);
+    const batch = jest.spyOn(aiService, 'batchPredictDelays').mockResolvedValue({
+      predictions: [{ prediction: { delayProbability: 20 } }]
+    });
+
+    const result = await predictionAccuracyService.recordUpcomingPredictions({ now });
+
+    const departure = find.mock.calls[0][0]['flight_details.departure_time'];
+    expect(departure.$gte).toEqual(now);
+    expect(departure.$lte).toEqual(new Date(now.getTime() + 25 * HOUR_MS));
+    expect(batch).toHaveBeenCalledWith([{ flight_no: 'AI101', transferId: 'APX1' }], { now, record: true });
+    expect(result).toEqual({ processed: 1, recorded: 1 });
+  });
+});
+
+describe('predictionAccuracyService.backtest', () => {
+  const trainedAt = new Date('2026-02-01T03:00:00Z');
+
+  beforeEach(() => {
+    jest.spyOn(delayModelService, 'getActiveModel').mockResolvedValue({ version: 4, trained_at: trainedAt });
+    jest.spyOn(delayModelService, 'getModel').mockResolvedValue({ version: 4, trained_at: trainedAt });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('by default replays only flights departing after the compared versions were trained', async () => {
+    const find = findReturning([]);
+
+    const result = await predictionAccuracyService.backtest({ from: '2026-01-01' });
+
+    expect(find.mock.calls[0][0]['flight_details.departure_time']).toEqual({ $gte: trainedAt });
+    expect(result.departedAfter).toEqual(trainedAt);
+    expect(result.results.map(r => r.model)).toEqual(['v4', 'heuristic']);
+  });
+
+  test('a later from is kept', async () => {
+    const find = findReturning([]);
+    await predictionAccuracyService.backtest({ versions: ['4'], from: '2026-03-01T00:00:00Z' });
+    expect(find.mock.calls[0][0]['flight_details.departure_time']).toEqual({ $gte: new Date('2026-03-01T00:00:00Z') });
+  });
+
+  test('includeTrainingFlights replays the training flights too', async () => {
+    const find = findReturning([]);
+    const result = await predictionAccuracyService.backtest({ includeTrainingFlights: true });
+
+    expect(find.mock.calls[0][0]).not.toHaveProperty(['flight_details.departure_time']);
+    expect(result.departedAfter).toBeNull();
+  });
+
+  test('heuristics alone replay every landed flight', async () => {
+    const find = findReturning([]);
+    await predictionAccuracyService.backtest({ versions: ['heuristic'] });
+    expect(find.mock.calls[0][0]).toEqual({ 'flight_details.status': 'landed' });
+  });
+});
@@ -0,0 +1,26 @@
+const { getScoringProfile, listScoringProfiles } = require('../config/scoringProfiles');
+
+describe('scoringProfiles.getScoringProfile', () => {
+  test('returns a built-in profile by name', () => {
+    const profile = getScoringProfile('vip');
+    expect(profile.name).toBe('vip');
+    expect(profile.weights).toBeDefined();
+    expect(profile.constraints).toBeDefined();
+  });
+
+  test.each(['constructor', 'toString', '__proto__', 'hasOwnProperty'])('"%s" is not a profile', (name) => {
+    expect(getScoringProfile(name)).toBeNull();
+  });
+
+  test('only names are looked up', () => {
+    expect(getScoringProfile(['vip'])).toBeNull();
+    expect(getScoringProfile(undefined)).toBeNull();
+  });
+
+  test('lists only real profiles', () => {
+    expect(listScoringProfiles().map(profile => profile.name)).toEqual(
+      expect.arrayContaining(['balanced', 'budget-first', 'proximity-first', 'vip'])
+    );
+    expect(listScoringProfiles().every(profile => profile.weights)).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+const Transfer = require('../models/Transfer');
+const routeHistory = require('../services/routeHistoryService');
+const geofenceService = require('../services/geofenceService');
+const etaService = require('../services/etaService');
+const trackingEvents = require('../services/trackingEventService');
+const { updateDriverLocation } = require('../controllers/trackingController');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const ping = (user) => ({
+  params: { id: 'APX123456' },
+  body: { latitude: 19.2, longitude: 72.9 },
+  user
+});
+
+describe('trackingController.updateDriverLocation', () => {
+  let transfer;
+
+  beforeEach(() => {
+    transfer = {
+      _id: 'APX123456',
+      vendor_details: { vendor_id: 'VEN001' },
+      assigned_driver_details: { driver_id: 'DRV001' },
+      flight_details: { arrival_airport: 'BOM' },
+      transfer_details: { transfer_status: 'assigned' },
+      location_tracking: { enabled: true, last_location: null },
+      transitionTo: jest.fn(),
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(Transfer, 'findById').mockResolvedValue(transfer);
+    jest.spyOn(routeHistory, 'recordPing').mockResolvedValue();
+    jest.spyOn(geofenceService, 'evaluate');
+    jest.spyOn(etaService, 'updateTransferEta').mockResolvedValue(null);
+    jest.spyOn(trackingEvents, 'publish').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a driver not assigned to the transfer can neither record pings nor move it', async () => {
+    const res = response();
+    await updateDriverLocation(ping({ _id: 'u2', role: 'DRIVER', driverId: 'DRV002', vendorId: 'VEN001' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(routeHistory.recordPing).not.toHaveBeenCalled();
+    expect(geofenceService.evaluate).not.toHaveBeenCalled();
+    expect(transfer.save).not.toHaveBeenCalled();
+  });
+
+  test('another vendor\'s manager is refused', async () => {
+    const res = response();
+    await updateDriverLocation(ping({ _id: 'u3', role: 'VENDOR_MANAGER', vendorId: 'VEN002' }), res);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test('the assigned driver\'s ping is recorded and geofence changes are made as the driver', async () => {
+    const res = response();
+    await updateDriverLocation(ping({ _id: 'u1', role: 'DRIVER', driverId: 'DRV001', vendorId: 'VEN001' }), res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(routeHistory.recordPing).toHaveBeenCalledWith(transfer, expect.any(Object), 'user:u1');
+    expect(transfer.transitionTo).toHaveBeenCalledWith('enroute', expect.objectContaining({
+      role: 'DRIVER',
+      by: 'user:u1'
+    }));
+    expect(transfer.save).toHaveBeenCalled();
+  });
+});
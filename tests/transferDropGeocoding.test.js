@@ -0,0 +1,61 @@
+const Transfer = require('../models/Transfer');
+const geocodingService = require('../services/geocodingService');
+
+const transfer = {
+  _id: 'APEX1',
+  transfer_details: { drop_location: 'Taj Mahal Palace, Colaba' },
+  flight_details: { arrival_airport: 'BOM' }
+};
+
+describe('Transfer.geocodeDrop', () => {
+  let updateOne;
+
+  beforeEach(() => {
+    updateOne = jest.spyOn(Transfer, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stores the coordinates only while the location is unchanged', async () => {
+    jest.spyOn(geocodingService, 'getCoordinates').mockResolvedValue({ latitude: 18.9217, longitude: 72.8332, precision: 'address' });
+
+    await expect(Transfer.geocodeDrop(transfer)).resolves.toBe(true);
+
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter).toEqual({
+      _id: 'APEX1',
+      'transfer_details.drop_location': 'Taj Mahal Palace, Colaba',
+      'transfer_details.drop_geocode_pending': true
+    });
+    expect(update.$set).toEqual({
+      'transfer_details.drop_coordinates': { latitude: 18.9217, longitude: 72.8332 },
+      'transfer_details.drop_geocode_pending': false
+    });
+  });
+
+  test('asks for an address-level place in the arrival city', async () => {
+    const getCoordinates = jest.spyOn(geocodingService, 'getCoordinates').mockResolvedValue(null);
+
+    await Transfer.geocodeDrop(transfer);
+
+    expect(getCoordinates).toHaveBeenCalledWith(
+      'Taj Mahal Palace, Colaba, Mumbai',
+      expect.objectContaining({ minPrecision: 'address' })
+    );
+  });
+
+  test('a miss counts an attempt and stays pending', async () => {
+    jest.spyOn(geocodingService, 'getCoordinates').mockResolvedValue(null);
+
+    await expect(Transfer.geocodeDrop(transfer)).resolves.toBe(false);
+    expect(updateOne.mock.calls[0][1]).toEqual({ $inc: { 'transfer_details.drop_geocode_attempts': 1 } });
+  });
+
+  test('a failure is logged, not thrown', async () => {
+    jest.spyOn(geocodingService, 'getCoordinates').mockRejectedValue(new Error('provider down'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(Transfer.geocodeDrop(transfer)).resolves.toBe(false);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+const travelAdvisoryService = require('../services/travelAdvisoryService');
+
+const hotel = (name, unmetConstraints = []) => ({ name, unmetConstraints });
+const names = (hotels) => hotels.map(h => h.name);
+
+const profile = (constraints, relaxOrder = []) => ({
+  constraints: {
+    budgetOverPercent: null,
+    starTolerance: null,
+    allAmenities: false,
+    conferenceRadius: false,
+    minScore: null,
+    ...constraints
+  },
+  relaxOrder
+});
+
+describe('travelAdvisoryService.applyConstraints', () => {
+  const { minResults } = travelAdvisoryService;
+
+  beforeAll(() => {
+    travelAdvisoryService.minResults = 2;
+  });
+
+  afterAll(() => {
+    travelAdvisoryService.minResults = minResults;
+  });
+
+  test('keeps only hotels meeting every constraint when enough do', () => {
+    const { selected, relaxedConstraints } = travelAdvisoryService.applyConstraints([
+      hotel('A'),
+      hotel('B'),
+      hotel('C', ['minScore'])
+    ], profile({ minScore: 40 }));
+
+    expect(names(selected)).toEqual(['A', 'B']);
+    expect(relaxedConstraints).toEqual([]);
+  });
+
+  test('ignores misses of constraints the profile leaves out', () => {
+    const { selected } = travelAdvisoryService.applyConstraints([
+      hotel('A', ['allAmenities']),
+      hotel('B', ['budgetOverPercent']),
+      hotel('C', ['conferenceRadius'])
+    ], profile({ budgetOverPercent: 0 }));
+
+    expect(names(selected)).toEqual(['A', 'C']);
+  });
+
+  test('relaxes in the profile order until enough hotels remain', () => {
+    const { selected, relaxedConstraints } = travelAdvisoryService.applyConstraints([
+      hotel('A'),
+      hotel('B', ['minScore']),
+      hotel('C', ['starTolerance'])
+    ], profile({ minScore: 40, starTolerance: 1 }, ['minScore', 'starTolerance']));
+
+    expect(names(selected)).toEqual(['A', 'B']);
+    expect(relaxedConstraints).toEqual([{
+      constraint: 'minScore',
+      label: 'Minimum relevance score',
+      description: 'Relevance score of at least 40',
+      admitted: 1
+    }]);
+  });
+
+  test('drops constraints missing from relaxOrder last', () => {
+    const { selected, relaxedConstraints } = travelAdvisoryService.applyConstraints([
+      hotel('A', ['budgetOverPercent']),
+      hotel('B', ['minScore', 'budgetOverPercent'])
+    ], profile({ minScore: 40, budgetOverPercent: 10 }, ['minScore']));
+
+    expect(names(selected)).toEqual(['A', 'B']);
+    expect(relaxedConstraints.map(r => r.constraint)).toEqual(['minScore', 'budgetOverPercent']);
+    expect(relaxedConstraints.map(r => r.admitted)).toEqual([0, 2]);
+  });
+
+  test('stops relaxing once every hotel is in', () => {
+    const { selected, relaxedConstraints } = travelAdvisoryService.applyConstraints([
+      hotel('A', ['starTolerance'])
+    ], profile({ starTolerance: 0, minScore: 40 }, ['starTolerance', 'minScore']));
+
+    expect(names(selected)).toEqual(['A']);
+    expect(relaxedConstraints.map(r => r.constraint)).toEqual(['starTolerance']);
+  });
+});